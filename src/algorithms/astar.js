@@ -1,325 +1,22 @@
-/**
- * @typedef {Object} Position
- * @property {number} row - Zero-based row index on the board.
- * @property {number} col - Zero-based column index on the board.
- */
-
-/**
- * @typedef {'horizontal' | 'vertical' | 'single'} Orientation
- */
-
-/**
- * @typedef {Object} Vehicle
- * @property {Orientation} orientation - Movement orientation of the vehicle.
- * @property {number} length - Number of consecutive cells occupied by the vehicle.
- * @property {boolean} isGoal - Whether this is the goal vehicle.
- * @property {string} label - Human-readable label for logs/UI.
- * @property {Position} initialPosition - Anchor (top-most/left-most) position of the vehicle.
- */
-
-/**
- * @typedef {'left' | 'right' | 'up' | 'down'} Direction
- */
-
-/**
- * @typedef {Object} Move
- * @property {number} vehicleIndex - Index of the vehicle in the context's vehicle array.
- * @property {Direction} direction - Direction of the move.
- * @property {number} steps - Number of grid cells to move (>= 1).
- */
-
-/**
- * @typedef {Object} Context
- * @property {number} rows - Total number of rows in the board.
- * @property {number} columns - Total number of columns in the board.
- * @property {Position} exit - Exit cell position that solves the puzzle.
- * @property {Vehicle[]} vehicles - All vehicles on the board.
- * @property {number} goalIndex - Index of the goal vehicle in {@link Context.vehicles}.
- */
-
-/**
- * @typedef {Object} Metrics
- * @property {number} explored - Total number of explored nodes (states).
- * @property {number} frontier - Current frontier size (open set size).
- * @property {number} depth - Depth of the found solution (or 0 if none).
- * @property {number} timeMs - Elapsed time in milliseconds.
- */
-
-const DIRECTION_OFFSETS = {
-    left: { row: 0, col: -1 },
-    right: { row: 0, col: 1 },
-    up: { row: -1, col: 0 },
-    down: { row: 1, col: 0 },
-};
-
-const DIRECTION_DESCRIPTIONS = {
-    left: 'hacia la izquierda',
-    right: 'hacia la derecha',
-    up: 'hacia arriba',
-    down: 'hacia abajo',
-};
-
-const PROGRESS_INTERVAL = 150;
-
-const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
-
-const clonePositions = (positions) =>
-    positions.map((position) => ({ row: position.row, col: position.col }));
-
-/**
- * Builds a solver context from parsed board data.
- * Validates input, labels vehicles, and locates the goal vehicle index.
- *
- * @param {import('../models/boardRenderer.js').ParsedBoard} boardData - Parsed board input.
- * @throws {Error} If board data is invalid or the goal vehicle is missing.
- * @returns {Context} Prepared, immutable solving context.
- */
-const createContext = (boardData) => {
-    if (!boardData || !Array.isArray(boardData.vehicles)) {
-        throw new Error('Los datos del tablero no son validos para A*.');
-    }
-
-    let vehicleCounter = 1;
-    const vehicles = boardData.vehicles.map((vehicle) => {
-        const anchorRow = Math.min(...vehicle.cells.map((cell) => cell.row));
-        const anchorCol = Math.min(...vehicle.cells.map((cell) => cell.col));
-        const label = vehicle.isGoal ? 'carro objetivo' : `carro ${vehicleCounter}`;
-
-        if (!vehicle.isGoal) {
-            vehicleCounter += 1;
-        }
-
-        return {
-            orientation: vehicle.orientation,
-            length: vehicle.length,
-            isGoal: vehicle.isGoal,
-            label,
-            initialPosition: { row: anchorRow, col: anchorCol },
-        };
-    });
-
-    const goalIndex = vehicles.findIndex((vehicle) => vehicle.isGoal);
-
-    if (goalIndex === -1) {
-        throw new Error('No se encontro el carro objetivo en el tablero.');
-    }
-
-    return {
-        rows: boardData.rows,
-        columns: boardData.columns,
-        exit: boardData.exit,
-        vehicles,
-        goalIndex,
-    };
-};
-
-/**
- * Builds an occupancy matrix for the current state.
- *
- * @param {Context} context - The solving context.
- * @param {Position[]} positions - Current anchor positions of all vehicles.
- * @returns {number[][]} Matrix of size rows×columns, -1 is empty, otherwise vehicle index.
- */
-const buildOccupancyMatrix = (context, positions) => {
-    const matrix = Array.from({ length: context.rows }, () =>
-        Array.from({ length: context.columns }, () => -1),
-    );
-
-    context.vehicles.forEach((vehicle, index) => {
-        const { row, col } = positions[index];
-        const deltaRow = vehicle.orientation === 'vertical' ? 1 : 0;
-        const deltaCol = vehicle.orientation === 'horizontal' ? 1 : 0;
-
-        for (let offset = 0; offset < vehicle.length; offset += 1) {
-            const currentRow = row + deltaRow * offset;
-            const currentCol = col + deltaCol * offset;
-            matrix[currentRow][currentCol] = index;
-        }
-    });
-
-    return matrix;
-};
-
-/**
- * Generates all legal moves from a given state.
- * The result is NOT deduplicated and does not consider visited sets.
- *
- * @param {Context} context - The solving context.
- * @param {Position[]} positions - Current anchor positions of all vehicles.
- * @returns {Move[]} A list of candidate moves for exploration.
- */
-const generateMoves = (context, positions) => {
-    const moves = [];
-    const matrix = buildOccupancyMatrix(context, positions);
-
-    context.vehicles.forEach((vehicle, index) => {
-        const { row, col } = positions[index];
-
-        if (vehicle.orientation === 'horizontal' || vehicle.orientation === 'single') {
-            let step = 1;
-            while (col - step >= 0 && matrix[row][col - step] === -1) {
-                moves.push({ vehicleIndex: index, direction: 'left', steps: step });
-                step += 1;
-            }
-
-            const tailCol = col + vehicle.length - 1;
-            step = 1;
-            while (tailCol + step < context.columns && matrix[row][tailCol + step] === -1) {
-                moves.push({ vehicleIndex: index, direction: 'right', steps: step });
-                step += 1;
-            }
-        }
-
-        if (vehicle.orientation === 'vertical' || vehicle.orientation === 'single') {
-            let step = 1;
-            while (row - step >= 0 && matrix[row - step][col] === -1) {
-                moves.push({ vehicleIndex: index, direction: 'up', steps: step });
-                step += 1;
-            }
-
-            const tailRow = row + vehicle.length - 1;
-            step = 1;
-            while (tailRow + step < context.rows && matrix[tailRow + step][col] === -1) {
-                moves.push({ vehicleIndex: index, direction: 'down', steps: step });
-                step += 1;
-            }
-        }
-    });
-
-    return moves;
-};
-
-/**
- * The `applyMove` function updates the positions of vehicles based on a move object containing
- * direction and steps.
- * @param positions - The `positions` parameter in the `applyMove` function represents an array of
- * objects where each object contains information about the position of a vehicle. Each object has
- * `row` and `col` properties indicating the row and column of the vehicle on a grid.
- * @param move - The `move` parameter in the `applyMove` function represents an object that contains
- * information about the direction and steps to move a vehicle on a grid. It has the following
- * structure:
- * @returns The `applyMove` function takes in an array of positions and a move object. It calculates
- * the new positions of the vehicles based on the move direction and steps specified in the move
- * object. It returns a new array of positions with the updated coordinates for the vehicles based on
- * the move.
- */
-const applyMove = (positions, move) => {
-    const delta = DIRECTION_OFFSETS[move.direction];
-
-    return positions.map((position, index) => {
-        if (index !== move.vehicleIndex) {
-            return { row: position.row, col: position.col };
-        }
-
-        return {
-            row: position.row + delta.row * move.steps,
-            col: position.col + delta.col * move.steps,
-        };
-    });
-};
-
-/**
- * The `stateKey` function takes an array of positions and returns a string representation of those
- * positions.
- * @param positions - An array of objects representing positions. Each object has two properties: `row`
- * and `col`, which indicate the row and column of a position.
- */
-const stateKey = (positions) =>
-    positions.map((position) => `${position.row},${position.col}`).join('|');
-
-/**
- * The function `isGoalState` checks if a given vehicle is in the goal position in a puzzle game
- * context.
- * @param context - The `context` parameter in the `isGoalState` function represents the context of the
- * puzzle or game state. It contains information about the vehicles on the board, the goal index, the
- * exit position, and other relevant details needed to determine if the current state is the goal
- * state.
- * @param positions - The `positions` parameter in the `isGoalState` function represents the current
- * positions of the vehicles on the game board. It is an array that contains the positions of each
- * vehicle on the board. Each position object typically has `row` and `col` properties indicating the
- * row and column where the
- * @returns The function `isGoalState` returns a boolean value indicating whether the current state of
- * the game matches the goal state. If the goal vehicle is oriented horizontally, it checks if the
- * vehicle spans the exit column. If the goal vehicle is oriented vertically, it checks if the vehicle
- * spans the exit row. If the goal vehicle is oriented neither horizontally nor vertically, it checks
- * if the goal position matches the exit
- */
-const isGoalState = (context, positions) => {
-    const goalVehicle = context.vehicles[context.goalIndex];
-    const goalPosition = positions[context.goalIndex];
-
-    if (!goalVehicle || !goalPosition) {
-        return false;
-    }
-
-    if (goalVehicle.orientation === 'horizontal') {
-        if (goalPosition.row !== context.exit.row) {
-            return false;
-        }
-
-        const frontCol = goalPosition.col;
-        const rearCol = goalPosition.col + goalVehicle.length - 1;
-        return context.exit.col >= frontCol && context.exit.col <= rearCol;
-    }
-
-    if (goalVehicle.orientation === 'vertical') {
-        if (goalPosition.col !== context.exit.col) {
-            return false;
-        }
-
-        const topRow = goalPosition.row;
-        const bottomRow = goalPosition.row + goalVehicle.length - 1;
-        return context.exit.row >= topRow && context.exit.row <= bottomRow;
-    }
-
-    return goalPosition.row === context.exit.row && goalPosition.col === context.exit.col;
-};
-
-/**
- * The function `buildStateHistory` takes initial positions and a series of moves as input, and returns
- * a history of positions after each move.
- * @param initialPositions - The `initialPositions` parameter represents the starting positions of a
- * game or simulation. It could be an array, object, or any data structure that holds the initial state
- * of the game or simulation.
- * @param moves - Moves is an array of moves that need to be applied to the initial positions in order
- * to build the state history. Each move represents a change in the positions of elements in the state.
- * @returns The `buildStateHistory` function returns an array containing the history of positions after
- * applying each move.
- */
-const buildStateHistory = (initialPositions, moves) => {
-    const history = [clonePositions(initialPositions)];
-    let current = clonePositions(initialPositions);
-
-    moves.forEach((move) => {
-        current = applyMove(current, move);
-        history.push(current);
-    });
-
-    return history;
-};
-
-/**
- * The function `describeMove` takes a vehicle and a move object as parameters and returns a
- * description of the move in Spanish.
- * @param vehicle - The `vehicle` parameter in the `describeMove` function represents the vehicle that
- * is being moved. It likely contains information such as the label or name of the vehicle.
- * @param move - The `move` parameter seems to be an object containing information about a movement,
- * such as the direction and number of steps. It likely has properties like `direction` and `steps`.
- * @returns The function `describeMove` returns a string that describes a move of a vehicle in a
- * specific direction and number of steps. The format of the returned string is either "mover [vehicle
- * label] [direction text]" if the number of steps is 1 or "mover [vehicle label] [direction text]
- * [number of steps] [step label]" if the number of steps is greater
- */
-const describeMove = (vehicle, move) => {
-    const directionText = DIRECTION_DESCRIPTIONS[move.direction] ?? move.direction;
-
-    if (move.steps <= 1) {
-        return `mover ${vehicle.label} ${directionText}`;
-    }
-
-    const stepLabel = move.steps === 1 ? 'espacio' : 'espacios';
-    return `mover ${vehicle.label} ${directionText} ${move.steps} ${stepLabel}`;
-};
+import {
+    createContext,
+    getInitialState,
+    buildOccupancy,
+    updateOccupancy,
+    generateMoves,
+    applyMove,
+    stateKey,
+    decodeStateKey,
+    reconstructMoves,
+    isGoalState,
+    createProgressReporter,
+    buildSolverResult,
+} from './solverCore.js';
+import { getHeuristic } from './heuristics.js';
+import { createPatternHeuristic } from './patternDatabase.js';
+
+/** @typedef {import('./solverCore.js').Metrics} Metrics */
+/** @typedef {import('./solverCore.js').SolverResult} SolverResult */
 
 /* The class PriorityQueue implements a priority queue data structure using a binary heap to
 efficiently store and retrieve elements based on a specified comparator function. */
@@ -411,165 +108,99 @@ class PriorityQueue {
 }
 
 /**
- * The `heuristic` function calculates the heuristic value for a given context and positions in a
- * puzzle-solving scenario.
- * @param context - The `context` parameter in the `heuristic` function seems to contain information
- * about the current state of the puzzle or game. It likely includes details such as the vehicles
- * present, their orientations, lengths, positions, the goal index, the exit position, number of rows,
- * and number of columns.
- * @param positions - It seems like you were about to provide some information about the `positions`
- * parameter but it got cut off. Could you please provide more details or let me know how I can assist
- * you further with the `positions` parameter?
- * @returns The heuristic function returns a value that represents the estimated cost or distance from
- * the current state to the goal state in a specific scenario. The exact value returned depends on the
- * orientation of the goal vehicle (horizontal or vertical) and its position relative to the exit
- * position. The function calculates this value based on various conditions and calculations involving
- * distances, positions, and occupancy matrix of the context.
+ * Reads the search mode from the solver options: the weight `w` of f = g + w·h (at least 1) and
+ * whether the search is greedy (f = h) or anytime.
+ *
+ * @param {Object} options - Solver options.
+ * @returns {{ weight: number, greedy: boolean, anytime: boolean }} Normalized mode.
  */
+const readSearchMode = (options) => ({
+    weight: Number.isFinite(options.weight) && options.weight >= 1 ? options.weight : 1,
+    greedy: options.greedy === true,
+    anytime: options.anytime === true,
+});
 
-const heuristic = (context, positions) => {
-    const goalVehicle = context.vehicles[context.goalIndex];
-    const goalPosition = positions[context.goalIndex];
-
-    if (!goalVehicle || !goalPosition) {
-        return 0;
-    }
-
-    const matrix = buildOccupancyMatrix(context, positions);
-
-    if (goalVehicle.orientation === 'horizontal') {
-        const row = goalPosition.row;
-        const frontCol = goalPosition.col;
-        const rearCol = goalPosition.col + goalVehicle.length - 1;
-
-        if (row !== context.exit.row) {
-            return (
-                Math.abs(context.exit.row - row) +
-                Math.abs(context.exit.col - frontCol)
-            );
-        }
-
-        if (context.exit.col >= frontCol && context.exit.col <= rearCol) {
-            return 0;
-        }
-
-        if (context.exit.col > rearCol) {
-            let blocking = 0;
-            for (
-                let col = rearCol + 1;
-                col <= context.exit.col && col < context.columns;
-                col += 1
-            ) {
-                if (matrix[row][col] !== -1) {
-                    blocking += 1;
-                }
-            }
-            return context.exit.col - rearCol + blocking * 2;
-        }
-
-        let blocking = 0;
-        for (
-            let col = frontCol - 1;
-            col >= context.exit.col && col >= 0;
-            col -= 1
-        ) {
-            if (matrix[row][col] !== -1) {
-                blocking += 1;
-            }
-        }
-        return frontCol - context.exit.col + blocking * 2;
-    }
-
-    if (goalVehicle.orientation === 'vertical') {
-        const col = goalPosition.col;
-        const topRow = goalPosition.row;
-        const bottomRow = goalPosition.row + goalVehicle.length - 1;
-
-        if (col !== context.exit.col) {
-            return (
-                Math.abs(context.exit.col - col) +
-                Math.abs(context.exit.row - topRow)
-            );
-        }
-
-        if (context.exit.row >= topRow && context.exit.row <= bottomRow) {
-            return 0;
-        }
-
-        if (context.exit.row > bottomRow) {
-            let blocking = 0;
-            for (
-                let row = bottomRow + 1;
-                row <= context.exit.row && row < context.rows;
-                row += 1
-            ) {
-                if (matrix[row][col] !== -1) {
-                    blocking += 1;
-                }
-            }
-            return context.exit.row - bottomRow + blocking * 2;
-        }
-
-        let blocking = 0;
-        for (
-            let row = topRow - 1;
-            row >= context.exit.row && row >= 0;
-            row -= 1
-        ) {
-            if (matrix[row][col] !== -1) {
-                blocking += 1;
-            }
-        }
-        return topRow - context.exit.row + blocking * 2;
+/**
+ * Guaranteed ratio between the cost of a solution and the optimal cost, assuming the heuristic
+ * is admissible. Weighted A* guarantees `w`; besides, every open node bounds the optimal cost
+ * from below by its g + h, which is all a greedy search can offer.
+ *
+ * @param {number} cost - Moves of the solution.
+ * @param {Iterable<{ g: number, h: number }>} openNodes - Nodes still in the open set.
+ * @param {{ weight: number, greedy: boolean }} mode - Search mode.
+ * @returns {number | null} The bound (1 means proven optimal), or null when nothing is known.
+ */
+const suboptimalityBound = (cost, openNodes, { weight, greedy }) => {
+    let lowerBound = cost;
+    for (const node of openNodes) {
+        lowerBound = Math.min(lowerBound, node.g + node.h);
     }
 
-    return (
-        Math.abs(context.exit.row - goalPosition.row) +
-        Math.abs(context.exit.col - goalPosition.col)
-    );
+    const openBound = lowerBound > 0 ? cost / lowerBound : 1;
+    const bound = Math.min(greedy ? Infinity : weight, openBound);
+    return Number.isFinite(bound) ? bound : null;
 };
 
 /**
- * The function `solveWithAStar` uses the A* algorithm to find a solution for a given board game state
- * with optional progress tracking.
- * @param boardData - The `boardData` parameter in the `solveWithAStar` function represents the data of
- * the game board or puzzle that you want to solve using the A* algorithm. This data typically includes
- * information about the layout of the board, the positions of different elements on the board, and any
- * constraints or
- * @param [options] - The `options` parameter in the `solveWithAStar` function is an object that can
- * contain the following properties:
- * @returns The `solveWithAStar` function returns an object with the following properties:
+ * A* solver for the sliding-block/Rush Hour-like board.
+ * Expands nodes by lowest f = g + w·h, breaking ties by the lowest heuristic value. With the
+ * default weight of 1 this is plain A*; larger weights trust the heuristic more and find
+ * solutions faster that are at most `w` times longer than the optimal one, and `greedy` ignores
+ * g altogether (f = h, ties broken by the lowest g).
+ *
+ * The `anytime` mode keeps searching after the first solution, pruning every node whose g + h
+ * cannot beat it, until the open set is exhausted (the last solution is then optimal) or the
+ * signal aborts. Each improved solution is reported right away through `onProgress` as
+ * `improvement: { moves, suboptimalityBound }`, and an aborted anytime search still returns the
+ * best solution found as `solved`.
+ *
+ * The heuristic is chosen by name from heuristics.js (`options.heuristic`, the admissible
+ * `DEFAULT_HEURISTIC` by default). The result's `suboptimalityBound` holds when the
+ * heuristic is admissible; with the `legacy` heuristic even plain A* may miss the optimum.
+ *
+ * @param {import('../models/boardRenderer.js').ParsedBoard} boardData - Parsed board with vehicles and exit.
+ * @param {Object} [options] - Optional solver configuration.
+ * @param {AbortSignal} [options.signal] - Abort signal to cancel the search.
+ * @param {(metrics: Metrics) => void} [options.onProgress] - Progress callback (sampled every ~PROGRESS_INTERVAL nodes).
+ * @param {string} [options.heuristic] - Heuristic key (see `HEURISTICS`).
+ * @param {import('./patternDatabase.js').PatternDatabase} [options.patternDatabase] - Pattern database
+ *   used instead of `heuristic` (see patternDatabase.js).
+ * @param {number} [options.weight] - Heuristic weight w >= 1 (1 by default).
+ * @param {boolean} [options.greedy] - Greedy best-first search: order by h only.
+ * @param {boolean} [options.anytime] - Keep improving the solution until aborted.
+ * @returns {Promise<SolverResult & { suboptimalityBound: number | null }>} Solver result and
+ *   telemetry, with the guaranteed ratio to the optimal cost (null when unsolved or unknown).
  */
-
 const solveWithAStar = async (boardData, options = {}) => {
     const context = createContext(boardData);
-    const initialPositions = context.vehicles.map((vehicle) => vehicle.initialPosition);
-    const startKey = stateKey(initialPositions);
+    const initialState = getInitialState(context);
+    const startKey = stateKey(context, initialState);
+    const mode = readSearchMode(options);
+    const heuristic = options.patternDatabase
+        ? createPatternHeuristic(options.patternDatabase, context)
+        : getHeuristic(options.heuristic);
+    const priority = (g, h) => (mode.greedy ? h : g + mode.weight * h);
 
     const openSet = new PriorityQueue((a, b) => {
         if (a.f !== b.f) {
             return a.f - b.f;
         }
 
-        return a.h - b.h;
+        return mode.greedy ? a.g - b.g : a.h - b.h;
     });
 
-    const startNode = {
-        positions: clonePositions(initialPositions),
-        path: [],
-        g: 0,
-        h: heuristic(context, initialPositions),
-    };
-    startNode.f = startNode.g + startNode.h;
-
-    openSet.push(startNode);
+    const startH = heuristic(context, initialState);
+    openSet.push({ key: startKey, g: 0, h: startH, f: priority(0, startH) });
 
+    // Open nodes only carry packed keys; paths are rebuilt from the parent map at the end.
     const bestCosts = new Map([[startKey, 0]]);
-    const progressCallback = typeof options.onProgress === 'function' ? options.onProgress : null;
+    const parents = new Map([[startKey, null]]);
+    const reporter = createProgressReporter(options);
 
-    const startTime = now();
     let nodesExplored = 0;
-    let solutionNode = null;
+    let deepest = 0;
+    let bestMoves = null;
+    let incumbentCost = Infinity;
     let aborted = false;
 
     while (!openSet.isEmpty()) {
@@ -579,110 +210,98 @@ const solveWithAStar = async (boardData, options = {}) => {
         }
 
         const currentNode = openSet.pop();
-        const currentKey = stateKey(currentNode.positions);
-        const knownCost = bestCosts.get(currentKey);
+        const knownCost = bestCosts.get(currentNode.key);
 
         if (knownCost !== undefined && currentNode.g > knownCost) {
             continue;
         }
 
+        if (currentNode.g + currentNode.h >= incumbentCost) {
+            continue;
+        }
+
+        const currentState = decodeStateKey(context, currentNode.key);
         nodesExplored += 1;
+        deepest = Math.max(deepest, currentNode.g);
 
-        if (isGoalState(context, currentNode.positions)) {
-            solutionNode = currentNode;
-            break;
+        if (isGoalState(context, currentState)) {
+            bestMoves = reconstructMoves(context, parents, currentNode.key);
+            incumbentCost = bestMoves.length;
+
+            if (!mode.anytime) {
+                break;
+            }
+
+            reporter.notify({
+                explored: nodesExplored,
+                frontier: openSet.size,
+                depth: deepest,
+                improvement: {
+                    moves: bestMoves,
+                    suboptimalityBound: suboptimalityBound(incumbentCost, openSet.heap, mode),
+                },
+            });
+            continue;
         }
 
-        const moves = generateMoves(context, currentNode.positions);
+        const occupancy = buildOccupancy(context, currentState);
+        const moves = generateMoves(context, currentState, occupancy);
 
         for (const move of moves) {
-            const nextPositions = applyMove(currentNode.positions, move);
-            const nextKey = stateKey(nextPositions);
+            const nextState = applyMove(context, currentState, move);
+            const nextKey = stateKey(context, nextState);
             const tentativeG = currentNode.g + 1;
 
             if (tentativeG >= (bestCosts.get(nextKey) ?? Infinity)) {
                 continue;
             }
 
-            bestCosts.set(nextKey, tentativeG);
-            const h = heuristic(context, nextPositions);
-            const nextNode = {
-                positions: nextPositions,
-                path: currentNode.path.concat(move),
-                g: tentativeG,
-                h,
-            };
-            nextNode.f = tentativeG + h;
-            openSet.push(nextNode);
-        }
+            // Slide the vehicle inside the parent's bitboard, score the child and slide it back.
+            const { vehicleIndex } = move;
+            const from = currentState[vehicleIndex];
+            const to = nextState[vehicleIndex];
+            updateOccupancy(context, occupancy, vehicleIndex, from, to);
+            const h = heuristic(context, nextState, occupancy);
+            updateOccupancy(context, occupancy, vehicleIndex, to, from);
 
-        if (progressCallback && nodesExplored % PROGRESS_INTERVAL === 0) {
-            const elapsed = Math.round(now() - startTime);
-            progressCallback({
-                explored: nodesExplored,
-                frontier: openSet.size,
-                depth: currentNode.path.length,
-                timeMs: elapsed,
-            });
+            // Infinity marks states the heuristic proved dead ends.
+            if (!Number.isFinite(h) || tentativeG + h >= incumbentCost) {
+                continue;
+            }
 
-            // eslint-disable-next-line no-await-in-loop
-            await new Promise((resolve) => {
-                setTimeout(resolve, 0);
-            });
+            bestCosts.set(nextKey, tentativeG);
+            parents.set(nextKey, currentNode.key);
+            openSet.push({ key: nextKey, g: tentativeG, h, f: priority(tentativeG, h) });
         }
+
+        // eslint-disable-next-line no-await-in-loop
+        await reporter.tick({
+            explored: nodesExplored,
+            frontier: openSet.size,
+            depth: deepest,
+        });
     }
 
-    const elapsedTime = Math.round(now() - startTime);
+    const moves = bestMoves ?? [];
     const metrics = {
         explored: nodesExplored,
         frontier: openSet.size,
-        depth: solutionNode ? solutionNode.path.length : 0,
-        timeMs: elapsedTime,
+        depth: moves.length,
+        timeMs: reporter.elapsed(),
     };
 
-    if (aborted) {
-        progressCallback?.(metrics);
-        return {
-            status: 'aborted',
-            moves: [],
-            stateHistory: [clonePositions(initialPositions)],
-            actions: [],
-            metrics,
-            vehicleLabels: context.vehicles.map((vehicle) => vehicle.label),
-        };
-    }
+    reporter.finish(metrics);
 
-    if (!solutionNode) {
-        progressCallback?.(metrics);
+    if (bestMoves === null) {
         return {
-            status: 'unsolved',
-            moves: [],
-            stateHistory: [clonePositions(initialPositions)],
-            actions: [],
-            metrics,
-            vehicleLabels: context.vehicles.map((vehicle) => vehicle.label),
+            ...buildSolverResult(context, aborted ? 'aborted' : 'unsolved', metrics),
+            suboptimalityBound: null,
         };
     }
 
-    const stateHistory = buildStateHistory(initialPositions, solutionNode.path);
-    const actions = solutionNode.path.map((move) =>
-        describeMove(context.vehicles[move.vehicleIndex], move),
-    );
-
-    progressCallback?.({
-        explored: metrics.explored,
-        frontier: metrics.frontier,
-        depth: metrics.depth,
-        timeMs: metrics.timeMs,
-    });
-
     return {
-        status: 'solved',
-        moves: solutionNode.path,
-        stateHistory,
-        actions,
-        metrics,
-        vehicleLabels: context.vehicles.map((vehicle) => vehicle.label),
+        ...buildSolverResult(context, 'solved', metrics, moves),
+        suboptimalityBound: suboptimalityBound(moves.length, openSet.heap, mode),
     };
 };
 
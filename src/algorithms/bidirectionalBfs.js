@@ -0,0 +1,212 @@
+import {
+    createContext,
+    getInitialState,
+    isGoalState,
+    collectGoalKeys,
+    generateMoves,
+    moveBetween,
+    stateKey,
+    keyAfterMove,
+    decodeStateKey,
+    reconstructMoves,
+    createProgressReporter,
+    buildSolverResult,
+} from './solverCore.js';
+import { solveWithBfs } from './bfs.js';
+
+/** @typedef {import('./solverCore.js').Context} Context */
+/** @typedef {import('./solverCore.js').Move} Move */
+/** @typedef {import('./solverCore.js').StateKey} StateKey */
+/** @typedef {import('./solverCore.js').Metrics} Metrics */
+/** @typedef {import('./solverCore.js').SolverResult} SolverResult */
+
+/**
+ * Goal states the backward search may start from before the solver gives up on it and searches
+ * forward only.
+ * @constant
+ * @type {number}
+ */
+const DEFAULT_MAX_GOAL_STATES = 200000;
+
+/**
+ * @typedef {Object} FrontierMetrics
+ * @property {number} explored - States expanded by this side.
+ * @property {number} frontier - States discovered by this side and not expanded yet.
+ * @property {number} depth - Levels this side has fully expanded.
+ */
+
+/**
+ * @typedef {Metrics & {
+ *   forward: FrontierMetrics,
+ *   backward: (FrontierMetrics & { goalStates: number }) | null,
+ * }} BidirectionalMetrics
+ * `backward` is null when the solver fell back to a forward-only search.
+ */
+
+/**
+ * Moves from a state to the goal, following the backward search's links (each state points to
+ * the neighbour it was discovered from, one move closer to a goal state).
+ *
+ * @param {Context} context - The solving context.
+ * @param {Map<StateKey, StateKey | null>} links - Backward links (null for goal states).
+ * @param {StateKey} meetingKey - State where both searches met.
+ * @returns {Move[]} Moves from `meetingKey` to a goal state.
+ */
+const followToGoal = (context, links, meetingKey) => {
+    const moves = [];
+    let currentKey = meetingKey;
+    let nextKey = links.get(currentKey);
+
+    while (nextKey !== null && nextKey !== undefined) {
+        const from = decodeStateKey(context, currentKey);
+        moves.push(moveBetween(context, from, decodeStateKey(context, nextKey)));
+        currentKey = nextKey;
+        nextKey = links.get(currentKey);
+    }
+
+    return moves;
+};
+
+const frontierMetrics = (side) => ({
+    explored: side.explored,
+    frontier: side.level.length - side.next + side.nextLevel.length,
+    depth: side.depth,
+});
+
+/**
+ * Bidirectional Breadth-First Search solver for the sliding-block/Rush Hour-like board.
+ * Grows a forward frontier from the initial state and a backward frontier from every goal state
+ * at once (moves are reversible, so the backward search uses the same move generator). Each
+ * step expands one whole level of the smaller frontier; the first state reached by both
+ * searches lies on a shortest solution.
+ *
+ * When the board has more than `maxGoalStates` goal states, enumerating them would cost more
+ * than it saves, and the solver runs {@link solveWithBfs} instead (with `backward: null` in the
+ * metrics).
+ *
+ * @param {import('../models/boardRenderer.js').ParsedBoard} boardData - Parsed board with vehicles and exit.
+ * @param {Object} [options] - Optional solver configuration.
+ * @param {AbortSignal} [options.signal] - Abort signal to cancel the search.
+ * @param {(metrics: BidirectionalMetrics) => void} [options.onProgress] - Progress callback (sampled every ~PROGRESS_INTERVAL nodes).
+ * @param {number} [options.maxGoalStates] - Goal states allowed for the backward search
+ *   ({@link DEFAULT_MAX_GOAL_STATES} by default).
+ * @returns {Promise<SolverResult>} Solver result and telemetry; `metrics` also carries the
+ *   metrics of each frontier.
+ */
+const solveWithBidirectionalBfs = async (boardData, options = {}) => {
+    const context = createContext(boardData);
+    const startState = getInitialState(context);
+    const startKey = stateKey(context, startState);
+    const maxGoalStates = Number.isInteger(options.maxGoalStates)
+        ? Math.max(0, options.maxGoalStates)
+        : DEFAULT_MAX_GOAL_STATES;
+
+    const goalKeys = isGoalState(context, startState)
+        ? [startKey]
+        : collectGoalKeys(context, maxGoalStates);
+
+    if (goalKeys === null) {
+        const result = await solveWithBfs(boardData, options);
+        const { explored, frontier, depth } = result.metrics;
+        result.metrics = {
+            ...result.metrics,
+            forward: { explored, frontier, depth },
+            backward: null,
+        };
+        return result;
+    }
+
+    const reporter = createProgressReporter(options);
+    const createSide = (keys) => ({
+        links: new Map(keys.map((key) => [key, null])),
+        level: keys,
+        next: 0,
+        nextLevel: [],
+        explored: 0,
+        depth: 0,
+    });
+    const forward = createSide([startKey]);
+    const backward = createSide(goalKeys);
+
+    const collectMetrics = () => {
+        const sides = { forward: frontierMetrics(forward), backward: frontierMetrics(backward) };
+        return {
+            explored: sides.forward.explored + sides.backward.explored,
+            frontier: sides.forward.frontier + sides.backward.frontier,
+            depth: sides.forward.depth + sides.backward.depth,
+            ...sides,
+        };
+    };
+
+    let meetingKey = backward.links.has(startKey) ? startKey : null;
+    let aborted = false;
+
+    while (meetingKey === null && forward.level.length > 0 && backward.level.length > 0) {
+        const side = forward.level.length <= backward.level.length ? forward : backward;
+        const other = side === forward ? backward : forward;
+
+        while (side.next < side.level.length && meetingKey === null) {
+            if (options.signal?.aborted) {
+                aborted = true;
+                break;
+            }
+
+            const currentKey = side.level[side.next];
+            side.next += 1;
+            side.explored += 1;
+
+            const moves = generateMoves(context, decodeStateKey(context, currentKey));
+            for (const move of moves) {
+                const key = keyAfterMove(context, currentKey, move);
+
+                if (side.links.has(key)) {
+                    continue;
+                }
+
+                side.links.set(key, currentKey);
+                side.nextLevel.push(key);
+
+                if (other.links.has(key)) {
+                    meetingKey = key;
+                    break;
+                }
+            }
+
+            // eslint-disable-next-line no-await-in-loop
+            await reporter.tick(collectMetrics());
+        }
+
+        if (aborted || meetingKey !== null) {
+            break;
+        }
+
+        side.level = side.nextLevel;
+        side.next = 0;
+        side.nextLevel = [];
+        side.depth += 1;
+    }
+
+    const moves =
+        meetingKey === null
+            ? []
+            : [
+                ...reconstructMoves(context, forward.links, meetingKey),
+                ...followToGoal(context, backward.links, meetingKey),
+            ];
+    const metrics = { ...collectMetrics(), timeMs: reporter.elapsed() };
+    metrics.backward.goalStates = goalKeys.length;
+
+    if (meetingKey !== null) {
+        metrics.depth = moves.length;
+    }
+
+    reporter.finish(metrics);
+
+    if (aborted || meetingKey === null) {
+        return buildSolverResult(context, aborted ? 'aborted' : 'unsolved', metrics);
+    }
+
+    return buildSolverResult(context, 'solved', metrics, moves);
+};
+
+export { DEFAULT_MAX_GOAL_STATES, solveWithBidirectionalBfs };
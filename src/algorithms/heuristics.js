@@ -0,0 +1,521 @@
+import { coordinateToPosition, buildOccupancy, isCellOccupied } from './solverCore.js';
+
+/** @typedef {import('./solverCore.js').Context} Context */
+/** @typedef {import('./solverCore.js').State} State */
+/** @typedef {import('./solverCore.js').Occupancy} Occupancy */
+
+/**
+ * Lower bounds on the number of moves left (one move slides one vehicle any distance), used by
+ * A* and IDA*. Every admissible heuristic counts distinct vehicles that must still move at least
+ * once, and returns Infinity for states from which the exit cannot be reached at all (a wall in
+ * the way, or a blocker with no room to leave).
+ */
+
+/**
+ * @typedef {(context: Context, state: State, occupancy?: Occupancy) => number} HeuristicFunction
+ */
+
+/**
+ * @typedef {Object} HeuristicEntry
+ * @property {string} displayName - Name shown in the UI.
+ * @property {boolean} admissible - Whether it never overestimates the moves left.
+ * @property {HeuristicFunction} estimate - The heuristic.
+ */
+
+/** Cell index of every cell a vehicle covers at a coordinate. */
+const vehicleCells = (context, index, coordinate) => {
+    const vehicle = context.vehicles[index];
+    const { row, col } = coordinateToPosition(context, index, coordinate);
+    const deltaRow = vehicle.orientation === 'vertical' ? 1 : 0;
+    const deltaCol = vehicle.orientation === 'horizontal' ? 1 : 0;
+    const cells = [];
+
+    for (let offset = 0; offset < vehicle.length; offset += 1) {
+        cells.push((row + deltaRow * offset) * context.columns + col + deltaCol * offset);
+    }
+    return cells;
+};
+
+/** Index of the vehicle covering every cell, -1 for empty cells. */
+const cellOwners = (context, state) => {
+    const owners = new Int16Array(context.rows * context.columns).fill(-1);
+
+    for (let index = 0; index < state.length; index += 1) {
+        vehicleCells(context, index, state[index]).forEach((cell) => {
+            owners[cell] = index;
+        });
+    }
+    return owners;
+};
+
+/**
+ * Cells the goal vehicle still has to cover to reach the exit, nearest first. Null when it can
+ * never reach it (a horizontal goal off the exit row or a vertical one off the exit column).
+ * Single-cell goals have no fixed path and get an empty list.
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} state - Packed state.
+ * @returns {number[] | null} Cell indexes.
+ */
+const goalPath = (context, state) => {
+    const vehicle = context.vehicles[context.goalIndex];
+    const { row, col } = coordinateToPosition(context, context.goalIndex, state[context.goalIndex]);
+    const { exit, columns } = context;
+    const cells = [];
+
+    if (vehicle.orientation === 'horizontal') {
+        if (row !== exit.row) {
+            return null;
+        }
+        for (let current = col + vehicle.length; current <= exit.col; current += 1) {
+            cells.push(row * columns + current);
+        }
+        for (let current = col - 1; current >= exit.col; current -= 1) {
+            cells.push(row * columns + current);
+        }
+    } else if (vehicle.orientation === 'vertical') {
+        if (col !== exit.col) {
+            return null;
+        }
+        for (let current = row + vehicle.length; current <= exit.row; current += 1) {
+            cells.push(current * columns + col);
+        }
+        for (let current = row - 1; current >= exit.row; current -= 1) {
+            cells.push(current * columns + col);
+        }
+    }
+    return cells;
+};
+
+/** Moves a single-cell goal needs ignoring every other vehicle: 0, 1 or 2. */
+const singleGoalMoves = (context, state) => {
+    const { row, col } = coordinateToPosition(context, context.goalIndex, state[context.goalIndex]);
+    return Number(row !== context.exit.row) + Number(col !== context.exit.col);
+};
+
+/**
+ * Vehicles on the goal path in the order the goal meets them, with the path cells each covers.
+ *
+ * @returns {Map<number, Set<number>> | null} Blockers, or null when the path is impossible.
+ */
+const directBlockerCells = (context, state, owners) => {
+    const path = goalPath(context, state);
+    if (path === null) {
+        return null;
+    }
+
+    const blockers = new Map();
+    for (const cell of path) {
+        const owner = owners[cell];
+        if (owner === -1) {
+            continue;
+        }
+        if (context.vehicles[owner].orientation === 'fixed') {
+            return null;
+        }
+        if (!blockers.has(owner)) {
+            blockers.set(owner, new Set());
+        }
+        blockers.get(owner).add(cell);
+    }
+    return blockers;
+};
+
+/**
+ * The two shortest ways a vehicle can slide off a set of its own cells: backwards and forwards
+ * along its axis. Each feasible way is described by the vehicles on the cells it slides over
+ * (they must move first), with those cells; ways that leave the board or cross a wall are left
+ * out. Single cells can go round obstacles and get no analysis (null).
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} state - Packed state.
+ * @param {Int16Array} owners - Owner of every cell.
+ * @param {number} index - Vehicle that must leave.
+ * @param {Set<number>} vacate - Cells of the vehicle that must become free.
+ * @returns {Map<number, Set<number>>[] | null} Occupants of every feasible way.
+ */
+const clearingWays = (context, state, owners, index, vacate) => {
+    const vehicle = context.vehicles[index];
+    if (vehicle.orientation !== 'horizontal' && vehicle.orientation !== 'vertical') {
+        return null;
+    }
+
+    const coordinate = state[index];
+    const current = vehicleCells(context, index, coordinate);
+    const offsets = current.flatMap((cell, offset) => (vacate.has(cell) ? [offset] : []));
+    const targets = [
+        coordinate + Math.min(...offsets) - vehicle.length,
+        coordinate + Math.max(...offsets) + 1,
+    ];
+    const ways = [];
+
+    for (const target of targets) {
+        if (target < 0 || target >= vehicle.span) {
+            continue;
+        }
+
+        const low = Math.min(coordinate, target);
+        const high = Math.max(coordinate, target);
+        const occupants = new Map();
+        let blocked = false;
+
+        for (let step = low; step <= high && !blocked; step += 1) {
+            for (const cell of vehicleCells(context, index, step)) {
+                const owner = owners[cell];
+                if (owner === -1 || owner === index) {
+                    continue;
+                }
+                if (context.vehicles[owner].orientation === 'fixed') {
+                    blocked = true;
+                    break;
+                }
+                if (!occupants.has(owner)) {
+                    occupants.set(owner, new Set());
+                }
+                occupants.get(owner).add(cell);
+            }
+        }
+
+        if (!blocked) {
+            ways.push(occupants);
+        }
+    }
+    return ways;
+};
+
+/**
+ * Admissible: 1 for the goal vehicle plus 1 for every distinct vehicle standing on its path to
+ * the exit, since each of them has to move at least once.
+ *
+ * @type {HeuristicFunction}
+ */
+const directBlockers = (context, state) => {
+    if (context.vehicles[context.goalIndex].orientation === 'single') {
+        return singleGoalMoves(context, state);
+    }
+
+    const blockers = directBlockerCells(context, state, cellOwners(context, state));
+    if (blockers === null) {
+        return Infinity;
+    }
+
+    const path = goalPath(context, state);
+    return path.length === 0 ? 0 : 1 + blockers.size;
+};
+
+/**
+ * Vehicles that certainly have to move: the goal, its direct blockers and, recursively, every
+ * vehicle standing in the way of all the ways a vehicle already in the set can clear the cells
+ * it must leave (whichever way is taken, that vehicle has to move first).
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} state - Packed state, not a goal state.
+ * @param {Int16Array} owners - Owner of every cell.
+ * @param {Map<number, Set<number>>} blockers - Direct blockers with the path cells they cover.
+ * @returns {Set<number> | null} Vehicle indexes, or null when some vehicle cannot clear at all.
+ */
+const forcedVehicles = (context, state, owners, blockers) => {
+    const forced = new Set([context.goalIndex, ...blockers.keys()]);
+    const pending = [...blockers.entries()];
+
+    while (pending.length > 0) {
+        const [index, vacate] = pending.pop();
+        const ways = clearingWays(context, state, owners, index, vacate);
+        if (ways === null) {
+            continue;
+        }
+        if (ways.length === 0) {
+            return null;
+        }
+
+        for (const [owner, cells] of ways[0]) {
+            if (forced.has(owner) || !ways.every((way) => way.has(owner))) {
+                continue;
+            }
+
+            forced.add(owner);
+            // Only the cells crossed by every way are certain to be needed.
+            const common = [...cells].filter((cell) =>
+                ways.every((way) => way.get(owner).has(cell)),
+            );
+            if (common.length > 0) {
+                pending.push([owner, new Set(common)]);
+            }
+        }
+    }
+
+    return forced;
+};
+
+/**
+ * Admissible: the number of vehicles that certainly have to move (see `forcedVehicles`), each
+ * at least once.
+ *
+ * @type {HeuristicFunction}
+ */
+const blockerChain = (context, state) => {
+    if (context.vehicles[context.goalIndex].orientation === 'single') {
+        return singleGoalMoves(context, state);
+    }
+
+    const owners = cellOwners(context, state);
+    const blockers = directBlockerCells(context, state, owners);
+    if (blockers === null) {
+        return Infinity;
+    }
+    if (goalPath(context, state).length === 0) {
+        return 0;
+    }
+
+    return forcedVehicles(context, state, owners, blockers)?.size ?? Infinity;
+};
+
+/**
+ * Admissible: {@link blockerChain} plus, for every direct blocker, the fewest vehicles outside
+ * the chain it has to push aside to leave the path either way. Those vehicles are shared out
+ * among the blockers (each counts for the first blocker that can meet it), so the per-blocker
+ * minimums count disjoint vehicles and can be added to the chain.
+ *
+ * @type {HeuristicFunction}
+ */
+const additive = (context, state) => {
+    if (context.vehicles[context.goalIndex].orientation === 'single') {
+        return singleGoalMoves(context, state);
+    }
+
+    const owners = cellOwners(context, state);
+    const blockers = directBlockerCells(context, state, owners);
+    if (blockers === null) {
+        return Infinity;
+    }
+    if (goalPath(context, state).length === 0) {
+        return 0;
+    }
+
+    const claimed = forcedVehicles(context, state, owners, blockers);
+    if (claimed === null) {
+        return Infinity;
+    }
+    let total = claimed.size;
+
+    for (const [index, vacate] of blockers) {
+        const ways = clearingWays(context, state, owners, index, vacate);
+        if (ways === null) {
+            continue;
+        }
+
+        const unclaimed = ways.map((way) =>
+            [...way.keys()].filter((owner) => !claimed.has(owner)),
+        );
+        total += Math.min(...unclaimed.map((vehicles) => vehicles.length));
+        unclaimed.flat().forEach((owner) => claimed.add(owner));
+    }
+
+    return total;
+};
+
+/**
+ * How far every vehicle is from getting in the goal's way: 0 for the goal vehicle, 1 for the
+ * vehicles on its path, 2 for the ones on some way a level-1 vehicle can clear the path, and so
+ * on. Vehicles that never get involved are left out.
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} state - Packed state.
+ * @returns {Map<number, number>} Level of every involved vehicle, in discovery order.
+ */
+const blockingLevels = (context, state) => {
+    const levels = new Map([[context.goalIndex, 0]]);
+    const owners = cellOwners(context, state);
+    const blockers = directBlockerCells(context, state, owners);
+    if (blockers === null) {
+        return levels;
+    }
+
+    const pending = [...blockers.entries()];
+    blockers.forEach((_, index) => levels.set(index, 1));
+
+    for (let head = 0; head < pending.length; head += 1) {
+        const [index, vacate] = pending[head];
+        const ways = clearingWays(context, state, owners, index, vacate) ?? [];
+
+        for (const way of ways) {
+            for (const [owner, cells] of way) {
+                if (!levels.has(owner)) {
+                    levels.set(owner, levels.get(index) + 1);
+                    pending.push([owner, cells]);
+                }
+            }
+        }
+    }
+
+    return levels;
+};
+
+/**
+ * Original A* heuristic: cells between the goal vehicle and the exit plus 2 per occupied cell.
+ * It is not admissible (a single move can cover several cells), so A* may return solutions
+ * longer than the optimal one with it. Kept for comparison.
+ *
+ * @type {HeuristicFunction}
+ */
+const legacy = (context, state, occupancy = buildOccupancy(context, state)) => {
+    const goalVehicle = context.vehicles[context.goalIndex];
+
+    if (!goalVehicle || state[context.goalIndex] === undefined) {
+        return 0;
+    }
+
+    const goalPosition = coordinateToPosition(context, context.goalIndex, state[context.goalIndex]);
+
+    if (goalVehicle.orientation === 'horizontal') {
+        const row = goalPosition.row;
+        const frontCol = goalPosition.col;
+        const rearCol = goalPosition.col + goalVehicle.length - 1;
+
+        if (row !== context.exit.row) {
+            return (
+                Math.abs(context.exit.row - row) +
+                Math.abs(context.exit.col - frontCol)
+            );
+        }
+
+        if (context.exit.col >= frontCol && context.exit.col <= rearCol) {
+            return 0;
+        }
+
+        if (context.exit.col > rearCol) {
+            let blocking = 0;
+            for (
+                let col = rearCol + 1;
+                col <= context.exit.col && col < context.columns;
+                col += 1
+            ) {
+                if (isCellOccupied(context, occupancy, row, col)) {
+                    blocking += 1;
+                }
+            }
+            return context.exit.col - rearCol + blocking * 2;
+        }
+
+        let blocking = 0;
+        for (
+            let col = frontCol - 1;
+            col >= context.exit.col && col >= 0;
+            col -= 1
+        ) {
+            if (isCellOccupied(context, occupancy, row, col)) {
+                blocking += 1;
+            }
+        }
+        return frontCol - context.exit.col + blocking * 2;
+    }
+
+    if (goalVehicle.orientation === 'vertical') {
+        const col = goalPosition.col;
+        const topRow = goalPosition.row;
+        const bottomRow = goalPosition.row + goalVehicle.length - 1;
+
+        if (col !== context.exit.col) {
+            return (
+                Math.abs(context.exit.col - col) +
+                Math.abs(context.exit.row - topRow)
+            );
+        }
+
+        if (context.exit.row >= topRow && context.exit.row <= bottomRow) {
+            return 0;
+        }
+
+        if (context.exit.row > bottomRow) {
+            let blocking = 0;
+            for (
+                let row = bottomRow + 1;
+                row <= context.exit.row && row < context.rows;
+                row += 1
+            ) {
+                if (isCellOccupied(context, occupancy, row, col)) {
+                    blocking += 1;
+                }
+            }
+            return context.exit.row - bottomRow + blocking * 2;
+        }
+
+        let blocking = 0;
+        for (
+            let row = topRow - 1;
+            row >= context.exit.row && row >= 0;
+            row -= 1
+        ) {
+            if (isCellOccupied(context, occupancy, row, col)) {
+                blocking += 1;
+            }
+        }
+        return topRow - context.exit.row + blocking * 2;
+    }
+
+    return (
+        Math.abs(context.exit.row - goalPosition.row) +
+        Math.abs(context.exit.col - goalPosition.col)
+    );
+};
+
+/**
+ * Available heuristics keyed by the value used in the heuristic select, the solver options and
+ * the CLI.
+ * @constant
+ * @type {Readonly<Record<string, HeuristicEntry>>}
+ */
+const HEURISTICS = Object.freeze({
+    additive: {
+        displayName: 'Bloqueos en cadena (aditiva)',
+        admissible: true,
+        estimate: additive,
+    },
+    blockerChain: {
+        displayName: 'Bloqueos en cadena',
+        admissible: true,
+        estimate: blockerChain,
+    },
+    directBlockers: {
+        displayName: 'Bloqueos directos',
+        admissible: true,
+        estimate: directBlockers,
+    },
+    legacy: {
+        displayName: 'Distancia y bloqueos (no admisible)',
+        admissible: false,
+        estimate: legacy,
+    },
+});
+
+/**
+ * Heuristic used when the options do not name one.
+ * @constant
+ * @type {string}
+ */
+const DEFAULT_HEURISTIC = 'additive';
+
+/**
+ * Looks up a heuristic by name.
+ *
+ * @param {string} [name] - Heuristic key; {@link DEFAULT_HEURISTIC} when omitted.
+ * @throws {Error} If the name is unknown.
+ * @returns {HeuristicFunction} The heuristic.
+ */
+const getHeuristic = (name = DEFAULT_HEURISTIC) => {
+    if (!Object.hasOwn(HEURISTICS, name)) {
+        throw new Error(`Heuristica desconocida: ${name}`);
+    }
+    return HEURISTICS[name].estimate;
+};
+
+export {
+    HEURISTICS,
+    DEFAULT_HEURISTIC,
+    getHeuristic,
+    directBlockers,
+    blockerChain,
+    additive,
+    legacy,
+    blockingLevels,
+};
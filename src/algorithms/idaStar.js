@@ -0,0 +1,169 @@
+import {
+    createContext,
+    getInitialState,
+    buildOccupancy,
+    updateOccupancy,
+    generateMoves,
+    applyMove,
+    stateKey,
+    isGoalState,
+    createProgressReporter,
+    buildSolverResult,
+} from './solverCore.js';
+import { getHeuristic } from './heuristics.js';
+import { createPatternHeuristic } from './patternDatabase.js';
+
+/** @typedef {import('./solverCore.js').Metrics} Metrics */
+/** @typedef {import('./solverCore.js').SolverResult} SolverResult */
+
+/**
+ * Moves out of a state, except those of the vehicle moved last when it moves along one axis:
+ * sliding it again is never shorter than a single slide (or no slide at all) from the previous
+ * state. Single-cell vehicles move on both axes, so they may need two moves in a row to turn.
+ */
+const expandFrame = (context, key, state, g, lastVehicle) => {
+    const occupancy = buildOccupancy(context, state);
+    const pruned =
+        lastVehicle !== -1 && context.vehicles[lastVehicle].orientation !== 'single'
+            ? lastVehicle
+            : -1;
+    const moves = generateMoves(context, state, occupancy).filter(
+        (move) => move.vehicleIndex !== pruned,
+    );
+
+    return { key, state, g, occupancy, moves, next: 0 };
+};
+
+/**
+ * IDA* solver for the sliding-block/Rush Hour-like board.
+ * Runs depth-first searches bounded by f = g + h, raising the bound to the lowest f that
+ * exceeded it after every pass. Only the current path is kept in memory (cycles are checked
+ * against it), so memory grows with the solution depth instead of the number of states, at the
+ * cost of expanding some states more than once. With an admissible heuristic (the default one
+ * is) the first solution found is a shortest one.
+ *
+ * Without a visited set an unsolvable board is not detected until every bound up to `maxDepth`
+ * has been tried. By default that is the size of the state space minus one, the longest any
+ * shortest solution can be, which may still take very long on big boards: pass a smaller
+ * `maxDepth` or an abort signal when the board may have no solution.
+ *
+ * @param {import('../models/boardRenderer.js').ParsedBoard} boardData - Parsed board with vehicles and exit.
+ * @param {Object} [options] - Optional solver configuration.
+ * @param {AbortSignal} [options.signal] - Abort signal to cancel the search.
+ * @param {(metrics: Metrics) => void} [options.onProgress] - Progress callback (sampled every ~PROGRESS_INTERVAL nodes).
+ * @param {number} [options.maxDepth] - Highest bound to try (state space size - 1 by default).
+ * @param {string} [options.heuristic] - Heuristic key (see `HEURISTICS` in heuristics.js).
+ * @param {import('./patternDatabase.js').PatternDatabase} [options.patternDatabase] - Pattern database
+ *   used instead of `heuristic` (see patternDatabase.js).
+ * @returns {Promise<SolverResult>} Solver result and telemetry.
+ */
+const solveWithIdaStar = async (boardData, options = {}) => {
+    const context = createContext(boardData);
+    const initialState = getInitialState(context);
+    const startKey = stateKey(context, initialState);
+
+    const maxDepth = Number.isInteger(options.maxDepth)
+        ? Math.max(0, options.maxDepth)
+        : context.spaceSize - 1;
+
+    const heuristic = options.patternDatabase
+        ? createPatternHeuristic(options.patternDatabase, context)
+        : getHeuristic(options.heuristic);
+    const reporter = createProgressReporter(options);
+    let deepest = 0;
+    let solution = isGoalState(context, initialState) ? [] : null;
+    // Expanded states, as in the other solvers: children cut off by the bound are not counted.
+    let nodesExplored = solution ? 1 : 0;
+    let aborted = false;
+    let bound = heuristic(context, initialState);
+    let frames = [];
+
+    while (solution === null && !aborted && Number.isFinite(bound) && bound <= maxDepth) {
+        // One frame per state on the current path; `pathMoves[i]` leads from frame i to i + 1.
+        frames = [expandFrame(context, startKey, initialState, 0, -1)];
+        nodesExplored += 1;
+        const pathKeys = new Set([startKey]);
+        const pathMoves = [];
+        let nextBound = Number.POSITIVE_INFINITY;
+
+        while (frames.length > 0) {
+            if (options.signal?.aborted) {
+                aborted = true;
+                break;
+            }
+
+            const frame = frames.at(-1);
+
+            if (frame.next >= frame.moves.length) {
+                frames.pop();
+                pathKeys.delete(frame.key);
+                pathMoves.pop();
+                continue;
+            }
+
+            const move = frame.moves[frame.next];
+            frame.next += 1;
+
+            const nextState = applyMove(context, frame.state, move);
+            const nextKey = stateKey(context, nextState);
+
+            if (pathKeys.has(nextKey)) {
+                continue;
+            }
+
+            const g = frame.g + 1;
+            deepest = Math.max(deepest, g);
+
+            // Slide the vehicle inside the parent's bitboard, score the child and slide it back.
+            const { vehicleIndex } = move;
+            const from = frame.state[vehicleIndex];
+            const to = nextState[vehicleIndex];
+            updateOccupancy(context, frame.occupancy, vehicleIndex, from, to);
+            const f = g + heuristic(context, nextState, frame.occupancy);
+            updateOccupancy(context, frame.occupancy, vehicleIndex, to, from);
+
+            // eslint-disable-next-line no-await-in-loop
+            await reporter.tick({
+                explored: nodesExplored,
+                frontier: frames.length,
+                depth: deepest,
+            });
+
+            if (f > bound) {
+                nextBound = Math.min(nextBound, f);
+                continue;
+            }
+
+            pathMoves.push(move);
+            nodesExplored += 1;
+
+            if (isGoalState(context, nextState)) {
+                solution = pathMoves;
+                break;
+            }
+
+            frames.push(expandFrame(context, nextKey, nextState, g, vehicleIndex));
+            pathKeys.add(nextKey);
+        }
+
+        bound = nextBound;
+    }
+
+    const moves = solution ?? [];
+    const metrics = {
+        explored: nodesExplored,
+        frontier: frames.length,
+        depth: moves.length,
+        timeMs: reporter.elapsed(),
+    };
+
+    reporter.finish(metrics);
+
+    if (aborted || solution === null) {
+        return buildSolverResult(context, aborted ? 'aborted' : 'unsolved', metrics);
+    }
+
+    return buildSolverResult(context, 'solved', metrics, moves);
+};
+
+export { solveWithIdaStar };
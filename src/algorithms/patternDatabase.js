@@ -0,0 +1,427 @@
+import {
+    createContext,
+    getInitialState,
+    generateMoves,
+    keyAfterMove,
+    decodeStateKey,
+    collectGoalKeys,
+    createProgressReporter,
+} from './solverCore.js';
+import { additive, blockingLevels } from './heuristics.js';
+
+/** @typedef {import('./solverCore.js').Context} Context */
+/** @typedef {import('./solverCore.js').Orientation} Orientation */
+/** @typedef {import('./heuristics.js').HeuristicFunction} HeuristicFunction */
+
+/**
+ * Pattern databases: exact solution lengths of an abstraction of the board that keeps only the
+ * goal vehicle, the walls and a subset of the other vehicles (the pattern). Removing vehicles
+ * only makes the puzzle easier, so the abstract distance never exceeds the real one and can be
+ * used as an admissible heuristic by A* and IDA*. A database is tied to the geometry of the
+ * pattern (orientation, length and line of each vehicle), not to their positions, so it serves
+ * every board of the same family: same size, exit and walls, and the same pattern vehicles.
+ */
+
+/**
+ * Default cap on the abstract states of a database (one byte each, plus four for the BFS queue
+ * while building). Most of them overlap and stay unreachable, so the saved file is far smaller.
+ * @constant
+ * @type {number}
+ */
+const DEFAULT_MAX_ENTRIES = 1 << 24;
+
+/**
+ * Distance stored for abstract states from which the exit cannot be reached.
+ * @constant
+ * @type {number}
+ */
+const UNREACHABLE = 255;
+
+/**
+ * Largest distance a database can hold. Longer ones are stored as this value, which keeps the
+ * heuristic admissible (it only underestimates them).
+ * @constant
+ * @type {number}
+ */
+const MAX_DISTANCE = UNREACHABLE - 1;
+
+const FORMAT = 'rush-hour-pattern-database';
+const VERSION = 1;
+
+/**
+ * @typedef {Object} PatternVehicle
+ * @property {Orientation} orientation - Orientation of the vehicle.
+ * @property {number} length - Cells it covers.
+ * @property {number} line - Row (horizontal) or column (vertical) it moves on, -1 otherwise.
+ * @property {number} span - Coordinates it can take.
+ * @property {boolean} isGoal - Whether it is the goal vehicle.
+ * @property {string} label - Label on the board the database was built from.
+ * @property {import('./solverCore.js').Position} [position] - Cell of a wall.
+ */
+
+/**
+ * @typedef {Object} PatternDatabase
+ * @property {number} rows - Rows of the board.
+ * @property {number} columns - Columns of the board.
+ * @property {import('./solverCore.js').Position} exit - Exit cell.
+ * @property {PatternVehicle[]} vehicles - Vehicles kept by the abstraction, in key order.
+ * @property {Uint8Array} distances - Moves to the exit of every abstract state, indexed by its
+ *   mixed-radix key, capped at {@link MAX_DISTANCE}; {@link UNREACHABLE} when there is no way out.
+ */
+
+const describeVehicle = (vehicle) => {
+    const described = {
+        orientation: vehicle.orientation,
+        length: vehicle.length,
+        line: vehicle.line,
+        span: vehicle.span,
+        isGoal: vehicle.isGoal,
+        label: vehicle.label,
+    };
+    if (vehicle.orientation === 'fixed') {
+        described.position = { ...vehicle.initialPosition };
+    }
+    return described;
+};
+
+const sameGeometry = (pattern, vehicle) =>
+    pattern.orientation === vehicle.orientation &&
+    pattern.length === vehicle.length &&
+    pattern.isGoal === vehicle.isGoal &&
+    (pattern.orientation === 'fixed'
+        ? pattern.position.row === vehicle.initialPosition.row &&
+          pattern.position.col === vehicle.initialPosition.col
+        : pattern.line === vehicle.line);
+
+/**
+ * Vehicles of the board playing the role of every pattern vehicle. Vehicles with the same
+ * geometry are interchangeable, so any free one will do.
+ *
+ * @param {PatternDatabase} database - The database.
+ * @param {Context} context - Context of the board to solve.
+ * @returns {number[] | null} Board vehicle index of every pattern vehicle, or null when the
+ *   board does not belong to the family of the database.
+ */
+const bindPattern = (database, context) => {
+    const { rows, columns, exit } = database;
+    if (
+        rows !== context.rows ||
+        columns !== context.columns ||
+        exit.row !== context.exit.row ||
+        exit.col !== context.exit.col
+    ) {
+        return null;
+    }
+
+    const used = new Set();
+    const indexes = [];
+    for (const pattern of database.vehicles) {
+        const index = context.vehicles.findIndex(
+            (vehicle, candidate) => !used.has(candidate) && sameGeometry(pattern, vehicle),
+        );
+        if (index === -1) {
+            return null;
+        }
+        used.add(index);
+        indexes.push(index);
+    }
+    return indexes;
+};
+
+/**
+ * Default pattern: the goal vehicle, every wall and then the vehicles most involved in freeing
+ * the goal's way out on the board it is built from (see `blockingLevels`), then the ones whose
+ * line is nearest to the goal's path, as many as fit in `maxEntries` abstract states.
+ *
+ * @param {Context} context - The solving context.
+ * @param {number} maxEntries - Cap on the product of the spans.
+ * @returns {number[]} Vehicle indexes, in board order.
+ */
+const choosePattern = (context, maxEntries) => {
+    const { vehicles, goalIndex } = context;
+    const goal = vehicles[goalIndex];
+    const levels = blockingLevels(context, getInitialState(context));
+    const { row, col } = goal.initialPosition;
+    const goalLine = goal.orientation === 'horizontal' ? row : col;
+    const lineDistance = ({ line }) => (line === -1 ? Infinity : Math.abs(line - goalLine));
+
+    const pattern = vehicles.flatMap((vehicle, index) =>
+        index === goalIndex || vehicle.orientation === 'fixed' ? [index] : [],
+    );
+    let entries = goal.span;
+
+    vehicles
+        .map((_, index) => index)
+        .filter((index) => !pattern.includes(index))
+        .map((index) => ({
+            index,
+            level: levels.get(index) ?? Infinity,
+            distance: lineDistance(vehicles[index]),
+        }))
+        .sort((a, b) => a.level - b.level || a.distance - b.distance || a.index - b.index)
+        .forEach(({ index }) => {
+            if (entries * vehicles[index].span <= maxEntries) {
+                entries *= vehicles[index].span;
+                pattern.push(index);
+            }
+        });
+
+    return pattern.sort((a, b) => a - b);
+};
+
+/**
+ * Builds the pattern database of a board with a backward BFS over the abstract board that starts
+ * from all of its goal states at once (moves are reversible, so backward moves are the regular
+ * ones). Every abstract state gets its exact distance, so the database also serves the other
+ * starting positions of the same family.
+ *
+ * @param {import('../models/boardRenderer.js').ParsedBoard} boardData - Parsed board.
+ * @param {Object} [options] - Build options.
+ * @param {string[]} [options.vehicles] - Labels of the vehicles to keep besides the goal vehicle
+ *   and the walls (`carro A`, `carro 3`, ...); chosen by `choosePattern` when omitted.
+ * @param {number} [options.maxEntries] - Cap on the abstract states
+ *   ({@link DEFAULT_MAX_ENTRIES} by default).
+ * @param {number} [options.maxDistance] - Distances above this are stored as it
+ *   ({@link MAX_DISTANCE} by default and at most).
+ * @param {AbortSignal} [options.signal] - Abort signal to cancel the build.
+ * @param {(metrics: import('./solverCore.js').Metrics) => void} [options.onProgress] - Progress
+ *   callback; `explored` counts abstract states expanded.
+ * @throws {Error} If a label is unknown or the abstraction has more than `maxEntries` states.
+ * @returns {Promise<PatternDatabase | null>} The database, or null when aborted.
+ */
+const buildPatternDatabase = async (
+    boardData,
+    {
+        vehicles: labels,
+        maxEntries = DEFAULT_MAX_ENTRIES,
+        maxDistance = MAX_DISTANCE,
+        signal,
+        onProgress,
+    } = {},
+) => {
+    const context = createContext(boardData);
+    const reporter = createProgressReporter({ onProgress });
+    let pattern = null;
+
+    if (labels) {
+        pattern = labels.map((label) => {
+            const index = context.vehicles.findIndex((vehicle) => vehicle.label === label);
+            if (index === -1) {
+                throw new Error(`Vehiculo desconocido: ${label}`);
+            }
+            return index;
+        });
+        context.vehicles.forEach((vehicle, index) => {
+            if (index === context.goalIndex || vehicle.orientation === 'fixed') {
+                pattern.push(index);
+            }
+        });
+        pattern = [...new Set(pattern)].sort((a, b) => a - b);
+    } else {
+        pattern = choosePattern(context, maxEntries);
+    }
+
+    const abstract = createContext({
+        ...boardData,
+        vehicles: pattern.map((index) => boardData.vehicles[index]),
+    });
+    const entries = abstract.vehicles.reduce((product, vehicle) => product * vehicle.span, 1);
+    if (entries > maxEntries) {
+        throw new Error(
+            `La abstraccion tiene ${entries} estados y supera el limite de ${maxEntries}.`,
+        );
+    }
+
+    const distanceCap = Math.min(maxDistance, MAX_DISTANCE);
+    const distances = new Uint8Array(entries).fill(UNREACHABLE);
+    const queue = new Uint32Array(entries);
+    let tail = 0;
+
+    collectGoalKeys(abstract).forEach((key) => {
+        distances[key] = 0;
+        queue[tail] = key;
+        tail += 1;
+    });
+
+    for (let head = 0; head < tail; head += 1) {
+        if (signal?.aborted) {
+            return null;
+        }
+
+        const key = queue[head];
+        for (const move of generateMoves(abstract, decodeStateKey(abstract, key))) {
+            const next = keyAfterMove(abstract, key, move);
+            if (distances[next] === UNREACHABLE) {
+                // BFS distances never decrease, so every state past the cap is at least as far.
+                distances[next] = Math.min(distances[key] + 1, distanceCap);
+                queue[tail] = next;
+                tail += 1;
+            }
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        await reporter.tick({
+            explored: head + 1,
+            frontier: tail - head - 1,
+            depth: distances[key],
+        });
+    }
+
+    reporter.finish({
+        explored: tail,
+        frontier: 0,
+        depth: tail > 0 ? distances[queue[tail - 1]] : 0,
+        timeMs: reporter.elapsed(),
+    });
+
+    return {
+        rows: boardData.rows,
+        columns: boardData.columns,
+        exit: { ...boardData.exit },
+        vehicles: pattern.map((index) => describeVehicle(context.vehicles[index])),
+        distances,
+    };
+};
+
+/**
+ * Whether a database can be used on a board.
+ *
+ * @param {PatternDatabase} database - The database.
+ * @param {import('../models/boardRenderer.js').ParsedBoard} boardData - Parsed board.
+ * @returns {boolean} True when the board has every vehicle and wall of the pattern.
+ */
+const matchesPatternDatabase = (database, boardData) =>
+    bindPattern(database, createContext(boardData)) !== null;
+
+/**
+ * Heuristic that looks up the abstract state of a board in a database. The larger of the lookup
+ * and the {@link additive} heuristic is returned: both are admissible, so their maximum is too,
+ * and it keeps the vehicles outside the pattern from being ignored altogether.
+ *
+ * @param {PatternDatabase} database - The database.
+ * @param {Context} context - Context of the board to solve.
+ * @throws {Error} If the board does not belong to the family of the database.
+ * @returns {HeuristicFunction} The lookup (Infinity for states with no way out).
+ */
+const createPatternHeuristic = (database, context) => {
+    const indexes = bindPattern(database, context);
+    if (indexes === null) {
+        throw new Error('La base de patrones no corresponde a este tablero.');
+    }
+
+    // Walls have a single coordinate and add nothing to the key.
+    const placeValues = new Array(indexes.length);
+    let placeValue = 1;
+    for (let slot = indexes.length - 1; slot >= 0; slot -= 1) {
+        placeValues[slot] = placeValue;
+        placeValue *= database.vehicles[slot].span;
+    }
+    const { distances } = database;
+
+    return (_, state) => {
+        let key = 0;
+        for (let slot = 0; slot < indexes.length; slot += 1) {
+            key += state[indexes[slot]] * placeValues[slot];
+        }
+        const distance = distances[key];
+        return distance === UNREACHABLE ? Infinity : Math.max(distance, additive(context, state));
+    };
+};
+
+const encodeBase64 = (bytes) => {
+    let binary = '';
+    for (let start = 0; start < bytes.length; start += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+    }
+    return btoa(binary);
+};
+
+const decodeBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+// CompressionStream exists both in browsers and in Node 18+.
+const transform = async (bytes, stream) => {
+    const output = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await output.arrayBuffer());
+};
+
+/**
+ * Writes a database as JSON (the distances gzipped and in base64), for the CLI to save and the
+ * browser to load.
+ *
+ * @param {PatternDatabase} database - The database.
+ * @returns {Promise<string>} JSON text.
+ */
+const serializePatternDatabase = async (database) =>
+    JSON.stringify({
+        format: FORMAT,
+        version: VERSION,
+        rows: database.rows,
+        columns: database.columns,
+        exit: database.exit,
+        vehicles: database.vehicles,
+        distances: encodeBase64(
+            await transform(database.distances, new CompressionStream('gzip')),
+        ),
+    });
+
+/**
+ * Reads a database written by {@link serializePatternDatabase}.
+ *
+ * @param {string} text - JSON text.
+ * @throws {Error} If the text is not a pattern database or its distances are damaged.
+ * @returns {Promise<PatternDatabase>} The database.
+ */
+const parsePatternDatabase = async (text) => {
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        data = null;
+    }
+
+    if (data?.format !== FORMAT) {
+        throw new Error('El archivo no es una base de patrones.');
+    }
+    if (data.version !== VERSION) {
+        throw new Error(`Version de base de patrones no soportada: ${data.version}`);
+    }
+
+    let distances = null;
+    try {
+        distances = await transform(
+            decodeBase64(data.distances),
+            new DecompressionStream('gzip'),
+        );
+    } catch {
+        distances = null;
+    }
+
+    const vehicles = Array.isArray(data.vehicles) ? data.vehicles : [];
+    const entries = vehicles.reduce((product, vehicle) => product * vehicle.span, 1);
+    if (
+        distances === null ||
+        distances.length !== entries ||
+        vehicles.filter((vehicle) => vehicle.isGoal).length !== 1
+    ) {
+        throw new Error('La base de patrones esta danada.');
+    }
+
+    return {
+        rows: data.rows,
+        columns: data.columns,
+        exit: data.exit,
+        vehicles,
+        distances,
+    };
+};
+
+export {
+    DEFAULT_MAX_ENTRIES,
+    UNREACHABLE,
+    MAX_DISTANCE,
+    buildPatternDatabase,
+    matchesPatternDatabase,
+    createPatternHeuristic,
+    serializePatternDatabase,
+    parsePatternDatabase,
+};
@@ -0,0 +1,55 @@
+import { solveWithBacktracking } from './backtracking.js';
+import { solveWithBfs } from './bfs.js';
+import { solveWithBidirectionalBfs } from './bidirectionalBfs.js';
+import { solveWithAStar } from './astar.js';
+import { solveWithDfs } from './dfs.js';
+import { solveWithIdaStar } from './idaStar.js';
+
+/**
+ * @typedef {Object} SolverEntry
+ * @property {string} displayName - Name shown in the UI and status messages.
+ * @property {(board: import('../models/boardRenderer.js').ParsedBoard, options?: object) =>
+ *   Promise<import('./solverCore.js').SolverResult>} solve - Solver implementation.
+ * @property {boolean} [usesHeuristic] - Whether the solver takes `options.heuristic` (see
+ *   heuristics.js).
+ */
+
+/**
+ * Available solvers keyed by the value used in the algorithm select, the worker protocol
+ * and the CLI.
+ * @constant
+ * @type {Readonly<Record<string, SolverEntry>>}
+ */
+const SOLVERS = Object.freeze({
+    bfs: { displayName: 'Busqueda en anchura (BFS)', solve: solveWithBfs },
+    dfs: { displayName: 'Busqueda en profundidad (DFS)', solve: solveWithDfs },
+    backtracking: { displayName: 'Backtracking', solve: solveWithBacktracking },
+    astar: { displayName: 'A*', solve: solveWithAStar, usesHeuristic: true },
+    weighted: {
+        displayName: 'A* ponderado (w = 2)',
+        solve: (board, options) => solveWithAStar(board, { weight: 2, ...options }),
+        usesHeuristic: true,
+    },
+    greedy: {
+        displayName: 'Primero el mejor (voraz)',
+        solve: (board, options) => solveWithAStar(board, { greedy: true, ...options }),
+        usesHeuristic: true,
+    },
+    anytime: {
+        displayName: 'A* anytime',
+        solve: (board, options) => solveWithAStar(board, { weight: 2, anytime: true, ...options }),
+        usesHeuristic: true,
+    },
+    idastar: { displayName: 'IDA*', solve: solveWithIdaStar, usesHeuristic: true },
+    bidirectional: { displayName: 'BFS bidireccional', solve: solveWithBidirectionalBfs },
+});
+
+/**
+ * Looks up a solver by name.
+ *
+ * @param {string} name - Solver key (e.g. "bfs").
+ * @returns {SolverEntry | null} The solver entry, or null when unknown.
+ */
+const getSolver = (name) => (Object.hasOwn(SOLVERS, name) ? SOLVERS[name] : null);
+
+export { SOLVERS, getSolver };
@@ -0,0 +1,850 @@
+/**
+ * @typedef {Object} Position
+ * @property {number} row - Zero-based row index on the board.
+ * @property {number} col - Zero-based column index on the board.
+ */
+
+/**
+ * @typedef {'horizontal' | 'vertical' | 'single' | 'fixed'} Orientation
+ * Single cells slide on both axes; fixed cells (walls) never move.
+ */
+
+/**
+ * @typedef {Object} Vehicle
+ * @property {Orientation} orientation - Movement orientation of the vehicle.
+ * @property {number} length - Number of consecutive cells occupied by the vehicle.
+ * @property {boolean} isGoal - Whether this is the goal vehicle.
+ * @property {string} label - Human-readable label for logs and UI.
+ * @property {Position} initialPosition - Anchor (top-most/left-most) position of the vehicle.
+ * @property {number} line - Fixed row (horizontal) or column (vertical) of the vehicle, -1 for single
+ *   and fixed cells.
+ * @property {number} span - Number of distinct coordinates the vehicle can take on its axis.
+ */
+
+/**
+ * @typedef {'left' | 'right' | 'up' | 'down'} Direction
+ */
+
+/**
+ * @typedef {Object} Move
+ * @property {number} vehicleIndex - Index of the vehicle in the context's vehicle array.
+ * @property {Direction} direction - Direction of the move.
+ * @property {number} steps - Number of grid cells to move (>= 1).
+ */
+
+/**
+ * @typedef {Object} Context
+ * @property {number} rows - Total number of rows in the board.
+ * @property {number} columns - Total number of columns in the board.
+ * @property {Position} exit - Exit cell position that solves the puzzle.
+ * @property {Vehicle[]} vehicles - All vehicles on the board.
+ * @property {number} goalIndex - Index of the goal vehicle in {@link Context.vehicles}.
+ * @property {number} spaceSize - Number of packed states (product of the spans), an upper bound on
+ *   the reachable states.
+ * @property {boolean} bigKeys - Whether state keys are BigInts (state space above 2^53).
+ * @property {Array<number | bigint>} placeValues - Mixed-radix weight of every vehicle coordinate.
+ * @property {Uint8ArrayConstructor | Uint16ArrayConstructor} StateArray - Typed array used for states.
+ * @property {number} wordCount - Number of 32-bit words of an occupancy bitboard.
+ * @property {Uint32Array[]} vehicleMasks - Per-vehicle occupancy masks for every coordinate.
+ */
+
+/**
+ * Packed board state: one coordinate per vehicle along its free axis.
+ * @typedef {Uint8Array | Uint16Array} State
+ */
+
+/**
+ * @typedef {number | bigint} StateKey
+ */
+
+/**
+ * Occupancy bitboard, one bit per cell split into 32-bit words.
+ * @typedef {Uint32Array} Occupancy
+ */
+
+/**
+ * @typedef {Object} Metrics
+ * @property {number} explored - Total number of explored nodes (states).
+ * @property {number} frontier - Current frontier size (queue, stack or open set length).
+ * @property {number} depth - Deepest level reached while searching, or the solution depth once solved.
+ * @property {number} timeMs - Elapsed time in milliseconds.
+ */
+
+/**
+ * @typedef {Object} SolverResult
+ * @property {'solved' | 'unsolved' | 'aborted'} status - Outcome of the search.
+ * @property {Move[]} moves - Moves of the solution (empty unless solved).
+ * @property {Position[][]} stateHistory - States after each move, including the initial one.
+ * @property {string[]} actions - Readable description of every move.
+ * @property {Metrics} metrics - Final search telemetry.
+ * @property {string[]} vehicleLabels - Labels of the vehicles, indexed like the board vehicles.
+ */
+
+/**
+ * Direction offsets expressed as row/col deltas.
+ * @constant
+ * @type {Record<Direction, {row:number, col:number}>}
+ */
+const DIRECTION_OFFSETS = {
+    left: { row: 0, col: -1 },
+    right: { row: 0, col: 1 },
+    up: { row: -1, col: 0 },
+    down: { row: 1, col: 0 },
+};
+
+/**
+ * Human-friendly direction descriptions (Spanish, UI-facing).
+ * @constant
+ * @type {Record<Direction, string>}
+ */
+const DIRECTION_DESCRIPTIONS = {
+    left: 'hacia la izquierda',
+    right: 'hacia la derecha',
+    up: 'hacia arriba',
+    down: 'hacia abajo',
+};
+
+/**
+ * Progress reporting interval (in explored nodes) for onProgress callbacks.
+ * @constant
+ * @type {number}
+ */
+const PROGRESS_INTERVAL = 150;
+
+/**
+ * High-resolution timestamp provider (falls back to Date.now in non-browser envs).
+ * @returns {number} Current time in milliseconds.
+ */
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Creates a deep copy of an array of positions.
+ * @param {Position[]} positions - Positions to clone.
+ * @returns {Position[]} New array with cloned position objects.
+ */
+const clonePositions = (positions) =>
+    positions.map((position) => ({ row: position.row, col: position.col }));
+
+/**
+ * Builds a solver context from parsed board data.
+ * Validates the board, labels vehicles (by their letter when the format gives one), locates the
+ * goal vehicle index and prepares the packed state codec (see {@link stateKey}).
+ *
+ * @param {import('../models/boardRenderer.js').ParsedBoard} boardData - Parsed board input.
+ * @throws {Error} If board data is invalid or the goal vehicle is missing.
+ * @returns {Context} The prepared, immutable solving context.
+ */
+const createContext = (boardData) => {
+    if (!boardData || !Array.isArray(boardData.vehicles)) {
+        throw new Error('Los datos del tablero no son validos para el solucionador.');
+    }
+
+    let vehicleCounter = 1;
+    const vehicles = boardData.vehicles.map((vehicle) => {
+        const anchorRow = Math.min(...vehicle.cells.map((cell) => cell.row));
+        const anchorCol = Math.min(...vehicle.cells.map((cell) => cell.col));
+        const isWall = vehicle.orientation === 'fixed';
+        let label = 'carro objetivo';
+
+        if (isWall) {
+            label = 'muro';
+        } else if (!vehicle.isGoal) {
+            label = `carro ${vehicle.letter ?? vehicleCounter}`;
+            vehicleCounter += 1;
+        }
+
+        let line = -1;
+        let span = isWall ? 1 : boardData.rows * boardData.columns;
+        if (vehicle.orientation === 'horizontal') {
+            line = anchorRow;
+            span = boardData.columns - vehicle.length + 1;
+        } else if (vehicle.orientation === 'vertical') {
+            line = anchorCol;
+            span = boardData.rows - vehicle.length + 1;
+        }
+
+        return {
+            orientation: vehicle.orientation,
+            length: vehicle.length,
+            isGoal: vehicle.isGoal,
+            label,
+            initialPosition: { row: anchorRow, col: anchorCol },
+            line,
+            span: Math.max(span, 1),
+        };
+    });
+
+    const goalIndex = vehicles.findIndex((vehicle) => vehicle.isGoal);
+
+    if (goalIndex === -1) {
+        throw new Error('No se encontro el carro objetivo en el tablero.');
+    }
+
+    // Mixed-radix place values: the key of a state is sum(coordinate[i] * placeValues[i]).
+    // Plain numbers are used while the whole state space fits in a safe integer.
+    const spaceSize = vehicles.reduce((product, vehicle) => product * vehicle.span, 1);
+    const bigKeys = spaceSize > Number.MAX_SAFE_INTEGER;
+    const placeValues = new Array(vehicles.length);
+    let placeValue = bigKeys ? 1n : 1;
+    for (let index = vehicles.length - 1; index >= 0; index -= 1) {
+        placeValues[index] = placeValue;
+        placeValue *= bigKeys ? BigInt(vehicles[index].span) : vehicles[index].span;
+    }
+
+    const context = {
+        rows: boardData.rows,
+        columns: boardData.columns,
+        exit: boardData.exit,
+        vehicles,
+        goalIndex,
+        spaceSize,
+        bigKeys,
+        placeValues,
+        StateArray: boardData.rows * boardData.columns <= 256 ? Uint8Array : Uint16Array,
+        wordCount: Math.max(1, Math.ceil((boardData.rows * boardData.columns) / 32)),
+        vehicleMasks: [],
+    };
+
+    context.vehicleMasks = vehicles.map((_, index) => buildVehicleMasks(context, index));
+
+    return context;
+};
+
+/**
+ * Converts a vehicle coordinate into its anchor position on the board.
+ *
+ * @param {Context} context - The solving context.
+ * @param {number} index - Vehicle index.
+ * @param {number} coordinate - Packed coordinate of the vehicle.
+ * @returns {Position} Anchor (top-most/left-most) cell of the vehicle.
+ */
+const coordinateToPosition = (context, index, coordinate) => {
+    const vehicle = context.vehicles[index];
+
+    if (vehicle.orientation === 'horizontal') {
+        return { row: vehicle.line, col: coordinate };
+    }
+
+    if (vehicle.orientation === 'vertical') {
+        return { row: coordinate, col: vehicle.line };
+    }
+
+    if (vehicle.orientation === 'fixed') {
+        return { ...vehicle.initialPosition };
+    }
+
+    return { row: Math.floor(coordinate / context.columns), col: coordinate % context.columns };
+};
+
+/**
+ * Precomputes the occupancy mask of a vehicle for every coordinate it can take. Masks for
+ * coordinate `c` live at `masks[c * wordCount .. (c + 1) * wordCount)`.
+ *
+ * @param {Context} context - The solving context (codec fields already set).
+ * @param {number} index - Vehicle index.
+ * @returns {Uint32Array} Flat list of per-coordinate masks.
+ */
+const buildVehicleMasks = (context, index) => {
+    const vehicle = context.vehicles[index];
+    const { wordCount, columns } = context;
+    const masks = new Uint32Array(vehicle.span * wordCount);
+    const deltaRow = vehicle.orientation === 'vertical' ? 1 : 0;
+    const deltaCol = vehicle.orientation === 'horizontal' ? 1 : 0;
+
+    for (let coordinate = 0; coordinate < vehicle.span; coordinate += 1) {
+        const { row, col } = coordinateToPosition(context, index, coordinate);
+
+        for (let offset = 0; offset < vehicle.length; offset += 1) {
+            const cell = (row + deltaRow * offset) * columns + col + deltaCol * offset;
+            masks[coordinate * wordCount + (cell >>> 5)] |= 1 << (cell & 31);
+        }
+    }
+
+    return masks;
+};
+
+/**
+ * Builds the occupancy bitboard of a state: bit `row * columns + col` is set when the cell is
+ * taken. JavaScript bitwise operators work on 32-bit integers, so the board is split into
+ * 32-bit words; boards up to 8x8 fit in a single 64-bit mask (two words) and larger boards
+ * simply use more words.
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} state - Packed state.
+ * @returns {Occupancy} Occupancy bitboard.
+ */
+const buildOccupancy = (context, state) => {
+    const { wordCount, vehicleMasks } = context;
+    const occupancy = new Uint32Array(wordCount);
+
+    for (let index = 0; index < state.length; index += 1) {
+        const masks = vehicleMasks[index];
+        const base = state[index] * wordCount;
+        for (let word = 0; word < wordCount; word += 1) {
+            occupancy[word] |= masks[base + word];
+        }
+    }
+
+    return occupancy;
+};
+
+/**
+ * Moves a vehicle inside an occupancy bitboard (in place). The update is an XOR of the old and
+ * new masks, so calling it again with the same coordinates undoes it.
+ *
+ * @param {Context} context - The solving context.
+ * @param {Occupancy} occupancy - Bitboard to update.
+ * @param {number} index - Vehicle index.
+ * @param {number} fromCoordinate - Coordinate before the move.
+ * @param {number} toCoordinate - Coordinate after the move.
+ * @returns {Occupancy} The same bitboard, for chaining.
+ */
+const updateOccupancy = (context, occupancy, index, fromCoordinate, toCoordinate) => {
+    const { wordCount } = context;
+    const masks = context.vehicleMasks[index];
+    const fromBase = fromCoordinate * wordCount;
+    const toBase = toCoordinate * wordCount;
+
+    for (let word = 0; word < wordCount; word += 1) {
+        occupancy[word] ^= masks[fromBase + word] ^ masks[toBase + word];
+    }
+
+    return occupancy;
+};
+
+/**
+ * Tests whether a cell is occupied in a bitboard.
+ *
+ * @param {Context} context - The solving context.
+ * @param {Occupancy} occupancy - Occupancy bitboard.
+ * @param {number} row - Cell row.
+ * @param {number} col - Cell column.
+ * @returns {boolean} True when a vehicle covers the cell.
+ */
+const isCellOccupied = (context, occupancy, row, col) => {
+    const cell = row * context.columns + col;
+    return (occupancy[cell >>> 5] & (1 << (cell & 31))) !== 0;
+};
+
+/**
+ * Packs anchor positions into a state: one coordinate per vehicle along its free axis
+ * (column for horizontal vehicles, row for vertical ones, cell index for single cells, always 0
+ * for walls).
+ *
+ * @param {Context} context - The solving context.
+ * @param {Position[]} positions - Anchor positions of all vehicles.
+ * @returns {State} Packed state.
+ */
+const encodePositions = (context, positions) => {
+    const state = new context.StateArray(context.vehicles.length);
+
+    context.vehicles.forEach((vehicle, index) => {
+        const { row, col } = positions[index];
+        if (vehicle.orientation === 'horizontal') {
+            state[index] = col;
+        } else if (vehicle.orientation === 'vertical') {
+            state[index] = row;
+        } else if (vehicle.orientation === 'fixed') {
+            state[index] = 0;
+        } else {
+            state[index] = row * context.columns + col;
+        }
+    });
+
+    return state;
+};
+
+/**
+ * Unpacks a state into anchor positions.
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} state - Packed state.
+ * @returns {Position[]} Anchor positions of all vehicles.
+ */
+const decodeState = (context, state) =>
+    context.vehicles.map((_, index) => coordinateToPosition(context, index, state[index]));
+
+/**
+ * Returns the packed state every vehicle starts from.
+ *
+ * @param {Context} context - The solving context.
+ * @returns {State} Fresh copy of the initial state.
+ */
+const getInitialState = (context) =>
+    encodePositions(
+        context,
+        context.vehicles.map((vehicle) => vehicle.initialPosition),
+    );
+
+/**
+ * Returns the anchor positions every vehicle starts from.
+ *
+ * @param {Context} context - The solving context.
+ * @returns {Position[]} Fresh copy of the initial positions.
+ */
+const getInitialPositions = (context) =>
+    clonePositions(context.vehicles.map((vehicle) => vehicle.initialPosition));
+
+/**
+ * Generates all legal moves from a given state.
+ * The result is NOT deduplicated and does not consider visited sets.
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} state - Packed state.
+ * @param {Occupancy} [occupancy] - Bitboard of `state`, when the caller already maintains one.
+ * @returns {Move[]} A list of candidate moves for exploration.
+ */
+const generateMoves = (context, state, occupancy = buildOccupancy(context, state)) => {
+    const moves = [];
+    const { rows, columns } = context;
+
+    context.vehicles.forEach((vehicle, index) => {
+        const { row, col } = coordinateToPosition(context, index, state[index]);
+
+        if (vehicle.orientation === 'horizontal' || vehicle.orientation === 'single') {
+            let step = 1;
+            while (col - step >= 0 && !isCellOccupied(context, occupancy, row, col - step)) {
+                moves.push({ vehicleIndex: index, direction: 'left', steps: step });
+                step += 1;
+            }
+
+            const tailCol = col + vehicle.length - 1;
+            step = 1;
+            while (
+                tailCol + step < columns &&
+                !isCellOccupied(context, occupancy, row, tailCol + step)
+            ) {
+                moves.push({ vehicleIndex: index, direction: 'right', steps: step });
+                step += 1;
+            }
+        }
+
+        if (vehicle.orientation === 'vertical' || vehicle.orientation === 'single') {
+            let step = 1;
+            while (row - step >= 0 && !isCellOccupied(context, occupancy, row - step, col)) {
+                moves.push({ vehicleIndex: index, direction: 'up', steps: step });
+                step += 1;
+            }
+
+            const tailRow = row + vehicle.length - 1;
+            step = 1;
+            while (tailRow + step < rows && !isCellOccupied(context, occupancy, tailRow + step, col)) {
+                moves.push({ vehicleIndex: index, direction: 'down', steps: step });
+                step += 1;
+            }
+        }
+    });
+
+    return moves;
+};
+
+/**
+ * Change of the moved vehicle's packed coordinate produced by a move.
+ *
+ * @param {Context} context - The solving context.
+ * @param {Move} move - Move to measure.
+ * @returns {number} Signed coordinate delta.
+ */
+const moveDelta = (context, move) => {
+    const sign = move.direction === 'left' || move.direction === 'up' ? -1 : 1;
+    const isSingle = context.vehicles[move.vehicleIndex].orientation === 'single';
+    const isVerticalMove = move.direction === 'up' || move.direction === 'down';
+    const unit = isSingle && isVerticalMove ? context.columns : 1;
+
+    return sign * unit * move.steps;
+};
+
+/**
+ * Applies a move to a state, returning a new state (immutable).
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} state - Current state.
+ * @param {Move} move - Move to apply.
+ * @returns {State} New state after applying the move.
+ */
+const applyMove = (context, state, move) => {
+    const next = state.slice();
+    next[move.vehicleIndex] += moveDelta(context, move);
+    return next;
+};
+
+/**
+ * Recovers the move that turns one state into another one reachable in a single move.
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} from - State before the move.
+ * @param {State} to - State after the move.
+ * @returns {Move | null} The move, or null when the states are equal.
+ */
+const moveBetween = (context, from, to) => {
+    for (let index = 0; index < from.length; index += 1) {
+        if (from[index] === to[index]) {
+            continue;
+        }
+
+        const start = coordinateToPosition(context, index, from[index]);
+        const end = coordinateToPosition(context, index, to[index]);
+
+        if (start.row === end.row) {
+            return {
+                vehicleIndex: index,
+                direction: end.col < start.col ? 'left' : 'right',
+                steps: Math.abs(end.col - start.col),
+            };
+        }
+
+        return {
+            vehicleIndex: index,
+            direction: end.row < start.row ? 'up' : 'down',
+            steps: Math.abs(end.row - start.row),
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Packs a state into a single key for visited sets and cost maps. The key is a mixed-radix
+ * number (a BigInt when the state space exceeds Number.MAX_SAFE_INTEGER).
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} state - State to encode.
+ * @returns {StateKey} Canonical state key.
+ */
+const stateKey = (context, state) => {
+    const { placeValues } = context;
+
+    if (context.bigKeys) {
+        let key = 0n;
+        for (let index = 0; index < state.length; index += 1) {
+            key += BigInt(state[index]) * placeValues[index];
+        }
+        return key;
+    }
+
+    let key = 0;
+    for (let index = 0; index < state.length; index += 1) {
+        key += state[index] * placeValues[index];
+    }
+    return key;
+};
+
+/**
+ * Key of the state reached by applying a move, computed without materializing the state.
+ *
+ * @param {Context} context - The solving context.
+ * @param {StateKey} key - Key of the current state.
+ * @param {Move} move - Move to apply.
+ * @returns {StateKey} Key of the resulting state.
+ */
+const keyAfterMove = (context, key, move) => {
+    const delta = moveDelta(context, move);
+    const placeValue = context.placeValues[move.vehicleIndex];
+
+    return context.bigKeys ? key + BigInt(delta) * placeValue : key + delta * placeValue;
+};
+
+/**
+ * Inverse of {@link stateKey}.
+ *
+ * @param {Context} context - The solving context.
+ * @param {StateKey} key - Key to decode.
+ * @returns {State} Packed state.
+ */
+const decodeStateKey = (context, key) => {
+    const state = new context.StateArray(context.vehicles.length);
+    let remainder = key;
+
+    for (let index = context.vehicles.length - 1; index >= 0; index -= 1) {
+        const span = context.vehicles[index].span;
+        if (context.bigKeys) {
+            const bigSpan = BigInt(span);
+            state[index] = Number(remainder % bigSpan);
+            remainder /= bigSpan;
+        } else {
+            state[index] = remainder % span;
+            remainder = Math.floor(remainder / span);
+        }
+    }
+
+    return state;
+};
+
+/**
+ * Rebuilds the moves leading to a state by following a parent map back to the root.
+ *
+ * @param {Context} context - The solving context.
+ * @param {Map<StateKey, StateKey | null>} parents - Parent key of every reached state (null for the root).
+ * @param {StateKey} goalKey - Key of the final state.
+ * @returns {Move[]} Moves from the root to `goalKey`.
+ */
+const reconstructMoves = (context, parents, goalKey) => {
+    const moves = [];
+    let currentKey = goalKey;
+    let parentKey = parents.get(currentKey);
+
+    while (parentKey !== null && parentKey !== undefined) {
+        moves.push(
+            moveBetween(context, decodeStateKey(context, parentKey), decodeStateKey(context, currentKey)),
+        );
+        currentKey = parentKey;
+        parentKey = parents.get(currentKey);
+    }
+
+    return moves.reverse();
+};
+
+/**
+ * Checks whether the current state is a goal state (goal vehicle overlaps the exit).
+ *
+ * @param {Context} context - The solving context.
+ * @param {State} state - Packed state.
+ * @returns {boolean} True if the goal condition is satisfied.
+ */
+const isGoalState = (context, state) => {
+    const goalVehicle = context.vehicles[context.goalIndex];
+
+    if (!goalVehicle || state[context.goalIndex] === undefined) {
+        return false;
+    }
+
+    const goalPosition = coordinateToPosition(context, context.goalIndex, state[context.goalIndex]);
+
+    if (goalVehicle.orientation === 'horizontal') {
+        if (goalPosition.row !== context.exit.row) {
+            return false;
+        }
+
+        const frontCol = goalPosition.col;
+        const rearCol = goalPosition.col + goalVehicle.length - 1;
+        return context.exit.col >= frontCol && context.exit.col <= rearCol;
+    }
+
+    if (goalVehicle.orientation === 'vertical') {
+        if (goalPosition.col !== context.exit.col) {
+            return false;
+        }
+
+        const topRow = goalPosition.row;
+        const bottomRow = goalPosition.row + goalVehicle.length - 1;
+        return context.exit.row >= topRow && context.exit.row <= bottomRow;
+    }
+
+    return goalPosition.row === context.exit.row && goalPosition.col === context.exit.col;
+};
+
+/**
+ * Checks whether a vehicle mask shares any cell with an occupancy bitboard.
+ *
+ * @param {Occupancy} occupancy - Occupancy bitboard.
+ * @param {Uint32Array} masks - Per-coordinate masks of one vehicle ({@link Context.vehicleMasks}).
+ * @param {number} base - Offset of the coordinate's mask (coordinate * wordCount).
+ * @returns {boolean} True if any cell is occupied.
+ */
+const overlaps = (occupancy, masks, base) => {
+    for (let word = 0; word < occupancy.length; word += 1) {
+        if ((occupancy[word] & masks[base + word]) !== 0) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Adds a vehicle mask to an occupancy bitboard, or removes it when it is already there.
+ *
+ * @param {Occupancy} occupancy - Occupancy bitboard, updated in place.
+ * @param {Uint32Array} masks - Per-coordinate masks of one vehicle.
+ * @param {number} base - Offset of the coordinate's mask (coordinate * wordCount).
+ */
+const toggle = (occupancy, masks, base) => {
+    for (let word = 0; word < occupancy.length; word += 1) {
+        occupancy[word] ^= masks[base + word];
+    }
+};
+
+/**
+ * Enumerates every state that satisfies {@link isGoalState} with all vehicles on the board and
+ * none overlapping. The goal vehicle and the walls are placed first so that the remaining
+ * vehicles only try coordinates that are still free.
+ *
+ * @param {Context} context - The solving context.
+ * @param {number} [limit] - Maximum number of goal states to collect (no limit by default).
+ * @returns {StateKey[] | null} Keys of the goal states, or null when there are more than `limit`.
+ */
+const collectGoalKeys = (context, limit = Infinity) => {
+    const { vehicles, vehicleMasks, wordCount, goalIndex } = context;
+    const order = vehicles
+        .map((vehicle, index) => ({ index, first: index === goalIndex || vehicle.span === 1 }))
+        .sort((a, b) => Number(b.first) - Number(a.first))
+        .map(({ index }) => index);
+    const state = new context.StateArray(vehicles.length);
+    const occupancy = new Uint32Array(wordCount);
+    const keys = [];
+
+    const place = (position) => {
+        if (position === order.length) {
+            keys.push(stateKey(context, state));
+            return keys.length <= limit;
+        }
+
+        const index = order[position];
+        for (let coordinate = 0; coordinate < vehicles[index].span; coordinate += 1) {
+            const base = coordinate * wordCount;
+            if (overlaps(occupancy, vehicleMasks[index], base)) {
+                continue;
+            }
+
+            state[index] = coordinate;
+            if (index === goalIndex && !isGoalState(context, state)) {
+                continue;
+            }
+
+            toggle(occupancy, vehicleMasks[index], base);
+            const keepGoing = place(position + 1);
+            toggle(occupancy, vehicleMasks[index], base);
+
+            if (!keepGoing) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    return place(0) ? keys : null;
+};
+
+/**
+ * Reconstructs the sequence of board positions from the initial state and a list of moves.
+ *
+ * @param {Context} context - The solving context.
+ * @param {Move[]} moves - Moves to apply in order.
+ * @returns {Position[][]} Array of states, including the initial state at index 0.
+ */
+const buildStateHistory = (context, moves) => {
+    let current = getInitialState(context);
+    const history = [decodeState(context, current)];
+
+    moves.forEach((move) => {
+        current = applyMove(context, current, move);
+        history.push(decodeState(context, current));
+    });
+
+    return history;
+};
+
+/**
+ * Produces a human-readable description for a move (Spanish UI string).
+ *
+ * @param {Vehicle} vehicle - The vehicle being moved.
+ * @param {Move} move - The move to describe.
+ * @returns {string} A readable action like "mover carro 2 hacia la izquierda 2 espacios".
+ */
+const describeMove = (vehicle, move) => {
+    const directionText = DIRECTION_DESCRIPTIONS[move.direction] ?? move.direction;
+
+    if (move.steps <= 1) {
+        return `mover ${vehicle.label} ${directionText}`;
+    }
+
+    return `mover ${vehicle.label} ${directionText} ${move.steps} espacios`;
+};
+
+/**
+ * Creates the progress reporter shared by every solver. Progress is sampled every
+ * {@link PROGRESS_INTERVAL} explored nodes; after each sample the solver yields to the
+ * event loop so the UI can repaint and abort signals can be observed. Solvers running off
+ * the main thread pass `yieldEveryMs` to yield only once per time slice instead. Fields other
+ * than the standard metrics are passed through to `onProgress` unchanged. `notify` skips the
+ * sampling for events the caller must not miss, such as an improved solution.
+ *
+ * @param {{ onProgress?: (metrics: Metrics) => void, yieldEveryMs?: number }} options - Solver options.
+ * @returns {{
+ *   elapsed: () => number,
+ *   tick: (metrics: Omit<Metrics, 'timeMs'>) => Promise<void>,
+ *   notify: (metrics: Omit<Metrics, 'timeMs'>) => void,
+ *   finish: (metrics: Metrics) => void,
+ * }} Reporter bound to the current search.
+ */
+const createProgressReporter = (options = {}) => {
+    const callback = typeof options.onProgress === 'function' ? options.onProgress : null;
+    const yieldEveryMs = Number.isFinite(options.yieldEveryMs) ? options.yieldEveryMs : 0;
+    const startTime = now();
+    const elapsed = () => Math.round(now() - startTime);
+    let lastYield = startTime;
+
+    return {
+        elapsed,
+        async tick(metrics) {
+            if (!callback || metrics.explored % PROGRESS_INTERVAL !== 0) {
+                return;
+            }
+
+            callback({ ...metrics, timeMs: elapsed() });
+
+            if (yieldEveryMs > 0 && now() - lastYield < yieldEveryMs) {
+                return;
+            }
+
+            await new Promise((resolve) => {
+                setTimeout(resolve, 0);
+            });
+            lastYield = now();
+        },
+        notify(metrics) {
+            callback?.({ ...metrics, timeMs: elapsed() });
+        },
+        finish(metrics) {
+            callback?.({ ...metrics });
+        },
+    };
+};
+
+/**
+ * Assembles the result object every solver returns.
+ *
+ * @param {Context} context - The solving context.
+ * @param {'solved' | 'unsolved' | 'aborted'} status - Outcome of the search.
+ * @param {Metrics} metrics - Final search telemetry.
+ * @param {Move[]} [moves] - Solution moves (only meaningful when solved).
+ * @returns {SolverResult} Result in the shape expected by the UI and tests.
+ */
+const buildSolverResult = (context, status, metrics, moves = []) => ({
+    status,
+    moves,
+    stateHistory: buildStateHistory(context, moves),
+    actions: moves.map((move) => describeMove(context.vehicles[move.vehicleIndex], move)),
+    metrics,
+    vehicleLabels: context.vehicles.map((vehicle) => vehicle.label),
+});
+
+export {
+    DIRECTION_OFFSETS,
+    DIRECTION_DESCRIPTIONS,
+    PROGRESS_INTERVAL,
+    now,
+    clonePositions,
+    createContext,
+    coordinateToPosition,
+    encodePositions,
+    decodeState,
+    getInitialState,
+    getInitialPositions,
+    buildOccupancy,
+    updateOccupancy,
+    isCellOccupied,
+    generateMoves,
+    moveDelta,
+    applyMove,
+    moveBetween,
+    stateKey,
+    keyAfterMove,
+    decodeStateKey,
+    reconstructMoves,
+    isGoalState,
+    collectGoalKeys,
+    buildStateHistory,
+    describeMove,
+    createProgressReporter,
+    buildSolverResult,
+};
@@ -0,0 +1,192 @@
+import {
+    createContext,
+    getInitialState,
+    generateMoves,
+    stateKey,
+    keyAfterMove,
+    decodeStateKey,
+    decodeState,
+    isGoalState,
+    createProgressReporter,
+} from '../algorithms/solverCore.js';
+import { serializePuzzle, isFaithfulPuzzleText } from '../models/boardRenderer.js';
+
+/**
+ * @typedef {Object} HardestPosition
+ * @property {import('../algorithms/solverCore.js').Position[]} positions - Vehicle anchors.
+ * @property {string} text - The position written in the `parsePuzzle` text format.
+ * @property {boolean} faithful - False when the text format would merge touching vehicles.
+ */
+
+/**
+ * @typedef {Object} StateSpaceAnalysis
+ * @property {'complete' | 'aborted'} status - Whether the whole component was analyzed.
+ * @property {number} componentSize - Configurations reachable from the parsed position.
+ * @property {number} goalStates - Configurations of the component that satisfy `isGoalState`.
+ * @property {number} startDistance - Optimal solution length of the parsed position (-1 if none).
+ * @property {number} maxDistance - Longest optimal solution in the component (-1 if none).
+ * @property {number[]} distribution - `distribution[d]` configurations need exactly d moves.
+ * @property {number} hardestCount - Configurations at `maxDistance`.
+ * @property {HardestPosition[]} hardest - The first `maxResults` of them.
+ * @property {number} timeMs - Elapsed time in milliseconds.
+ */
+
+/**
+ * Default cap on the configurations enumerated, to keep memory bounded on big boards.
+ * @constant
+ * @type {number}
+ */
+const DEFAULT_MAX_STATES = 2_000_000;
+
+const emptyAnalysis = (status, timeMs) => ({
+    status,
+    componentSize: 0,
+    goalStates: 0,
+    startDistance: -1,
+    maxDistance: -1,
+    distribution: [],
+    hardestCount: 0,
+    hardest: [],
+    timeMs,
+});
+
+/**
+ * Retrograde analysis of the whole state space of a board, the classic way of finding the
+ * hardest Rush Hour configurations. First every configuration reachable from the parsed
+ * position is enumerated; then a BFS that starts from all goal states at once assigns each
+ * configuration its optimal solution length. Moves are reversible, so "backward" moves are
+ * simply the regular ones, and the component is either solvable everywhere or nowhere.
+ *
+ * @param {import('../models/boardRenderer.js').ParsedBoard} boardData - Parsed board.
+ * @param {Object} [options] - Analysis options.
+ * @param {number} [options.maxStates=2000000] - Maximum configurations to enumerate.
+ * @param {number} [options.maxResults=10] - Hardest positions to return.
+ * @param {AbortSignal} [options.signal] - Abort signal to cancel the analysis.
+ * @param {(metrics: import('../algorithms/solverCore.js').Metrics) => void} [options.onProgress]
+ *   - Progress callback; `explored` counts configurations processed in both passes.
+ * @throws {Error} If the component has more than `maxStates` configurations.
+ * @returns {Promise<StateSpaceAnalysis>} Distances summary and hardest positions.
+ */
+const analyzeStateSpace = async (
+    boardData,
+    { maxStates = DEFAULT_MAX_STATES, maxResults = 10, signal, onProgress } = {},
+) => {
+    const context = createContext(boardData);
+    const reporter = createProgressReporter({ onProgress });
+    const startKey = stateKey(context, getInitialState(context));
+
+    // Pass 1: enumerate the connected component, numbering configurations in discovery order.
+    const keys = [startKey];
+    const indexByKey = new Map([[startKey, 0]]);
+    const goalIndexes = [];
+
+    for (let index = 0; index < keys.length; index += 1) {
+        if (signal?.aborted) {
+            return emptyAnalysis('aborted', reporter.elapsed());
+        }
+
+        const state = decodeStateKey(context, keys[index]);
+        if (isGoalState(context, state)) {
+            goalIndexes.push(index);
+        }
+
+        for (const move of generateMoves(context, state)) {
+            const key = keyAfterMove(context, keys[index], move);
+            if (indexByKey.has(key)) {
+                continue;
+            }
+
+            if (keys.length >= maxStates) {
+                throw new Error(
+                    `El espacio de estados supera el limite de ${maxStates} configuraciones.`,
+                );
+            }
+            indexByKey.set(key, keys.length);
+            keys.push(key);
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        await reporter.tick({ explored: index + 1, frontier: keys.length - index - 1, depth: 0 });
+    }
+
+    // Pass 2: multi-source BFS from every goal state.
+    const componentSize = keys.length;
+    const distances = new Int32Array(componentSize).fill(-1);
+    const queue = new Int32Array(componentSize);
+    let tail = 0;
+
+    goalIndexes.forEach((index) => {
+        distances[index] = 0;
+        queue[tail] = index;
+        tail += 1;
+    });
+
+    for (let head = 0; head < tail; head += 1) {
+        if (signal?.aborted) {
+            return emptyAnalysis('aborted', reporter.elapsed());
+        }
+
+        const current = queue[head];
+        const state = decodeStateKey(context, keys[current]);
+
+        for (const move of generateMoves(context, state)) {
+            const next = indexByKey.get(keyAfterMove(context, keys[current], move));
+            if (distances[next] === -1) {
+                distances[next] = distances[current] + 1;
+                queue[tail] = next;
+                tail += 1;
+            }
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        await reporter.tick({
+            explored: componentSize + head + 1,
+            frontier: tail - head - 1,
+            depth: distances[current],
+        });
+    }
+
+    const maxDistance = tail > 0 ? distances[queue[tail - 1]] : -1;
+    const distribution = new Array(maxDistance + 1).fill(0);
+    distances.forEach((distance) => {
+        if (distance >= 0) {
+            distribution[distance] += 1;
+        }
+    });
+
+    // The BFS queue is ordered by distance, so the hardest configurations sit at its end.
+    const hardestCount = maxDistance >= 0 ? distribution[maxDistance] : 0;
+    const hardest = Array.from(queue.subarray(tail - hardestCount, tail))
+        .slice(0, maxResults)
+        .map((index) => {
+            const positions = decodeState(context, decodeStateKey(context, keys[index]));
+            const text = serializePuzzle(boardData, positions);
+            return {
+                positions,
+                text,
+                faithful: isFaithfulPuzzleText(text, boardData.vehicles.length),
+            };
+        });
+
+    const analysis = {
+        status: 'complete',
+        componentSize,
+        goalStates: goalIndexes.length,
+        startDistance: distances[0],
+        maxDistance,
+        distribution,
+        hardestCount,
+        hardest,
+        timeMs: reporter.elapsed(),
+    };
+
+    reporter.finish({
+        explored: componentSize + tail,
+        frontier: 0,
+        depth: maxDistance,
+        timeMs: analysis.timeMs,
+    });
+    return analysis;
+};
+
+export { DEFAULT_MAX_STATES, analyzeStateSpace };
@@ -0,0 +1,200 @@
+import { parsePuzzle, serializePuzzle, isFaithfulPuzzleText } from '../models/boardRenderer.js';
+import { solveWithBfs } from '../algorithms/bfs.js';
+import { createRandom } from '../utils/random.js';
+
+/**
+ * @typedef {Object} RandomPuzzleOptions
+ * @property {number} [rows=6] - Board rows.
+ * @property {number} [columns=6] - Board columns.
+ * @property {number} [vehicleCount=10] - Vehicles on the board, goal vehicle included.
+ * @property {number} [minDepth=3] - Shortest accepted optimal solution.
+ * @property {number} [maxDepth=Infinity] - Longest accepted optimal solution.
+ * @property {import('../algorithms/solverCore.js').Position} [exit] - Exit cell on the border;
+ *   defaults to the right end of the middle row.
+ * @property {number} [goalLength=2] - Length of the goal vehicle.
+ * @property {number[]} [lengths=[2, 2, 2, 3]] - Obstacle lengths to draw from.
+ * @property {number | string} [seed] - Seed for reproducible output.
+ * @property {number} [maxAttempts=1000] - Layouts to try before giving up.
+ */
+
+/**
+ * @typedef {Object} RandomPuzzleResult
+ * @property {string} text - Generated puzzle in the `parsePuzzle` text format.
+ * @property {import('../models/boardRenderer.js').ParsedBoard} board - The text, parsed.
+ * @property {number} depth - Optimal solution length measured with BFS.
+ * @property {number} seed - Seed that reproduces this result with the same options.
+ * @property {number} attempts - Layouts tried until one was accepted.
+ */
+
+/**
+ * Placement attempts per obstacle before the layout is dropped.
+ * @constant
+ * @type {number}
+ */
+const PLACEMENT_TRIES = 50;
+
+const isOnBorder = ({ row, col }, rows, columns) =>
+    row === 0 || col === 0 || row === rows - 1 || col === columns - 1;
+
+/**
+ * Cells covered by a vehicle anchored at (row, col).
+ */
+const vehicleCells = (orientation, length, row, col) =>
+    Array.from({ length }, (_, offset) => ({
+        row: row + (orientation === 'vertical' ? offset : 0),
+        col: col + (orientation === 'horizontal' ? offset : 0),
+    }));
+
+/**
+ * Checks that a vehicle fits on free cells and that the cells right before and after it on its
+ * own axis are free too; vehicles touching end to end would be merged by the text format.
+ */
+const canPlace = (occupied, rows, columns, orientation, cells) => {
+    const first = cells[0];
+    const last = cells[cells.length - 1];
+    const [rowStep, colStep] = orientation === 'horizontal' ? [0, 1] : [1, 0];
+    const ends = [
+        { row: first.row - rowStep, col: first.col - colStep },
+        { row: last.row + rowStep, col: last.col + colStep },
+    ];
+
+    const insideAndFree = cells.every(
+        ({ row, col }) => row < rows && col < columns && !occupied[row][col],
+    );
+    const endsFree = ends.every(
+        ({ row, col }) =>
+            row < 0 || col < 0 || row >= rows || col >= columns || !occupied[row][col],
+    );
+    return insideAndFree && endsFree;
+};
+
+const markCells = (occupied, cells) => {
+    cells.forEach(({ row, col }) => {
+        occupied[row][col] = true;
+    });
+};
+
+/**
+ * Builds one random layout: the goal vehicle on the exit line (not on the exit yet) plus as
+ * many obstacles as fit. Obstacles parallel to the goal are kept off its line, since they
+ * could never get out of its way.
+ *
+ * @returns {import('../models/boardRenderer.js').ParsedBoard | null} Board-like layout for
+ *   {@link serializePuzzle}, or null when the obstacles could not be placed.
+ */
+const buildLayout = (random, { rows, columns, vehicleCount, exit, goalLength, lengths }) => {
+    const occupied = Array.from({ length: rows }, () => new Array(columns).fill(false));
+    const goalOrientation = exit.col === 0 || exit.col === columns - 1 ? 'horizontal' : 'vertical';
+    const isHorizontalGoal = goalOrientation === 'horizontal';
+    const goalSpan = (isHorizontalGoal ? columns : rows) - goalLength + 1;
+    const exitCoordinate = isHorizontalGoal ? exit.col : exit.row;
+
+    const goalStarts = Array.from({ length: goalSpan }, (_, start) => start).filter(
+        (start) => exitCoordinate < start || exitCoordinate >= start + goalLength,
+    );
+    if (!goalStarts.length) {
+        return null;
+    }
+
+    const goalStart = random.pick(goalStarts);
+    const goalCells = isHorizontalGoal
+        ? vehicleCells(goalOrientation, goalLength, exit.row, goalStart)
+        : vehicleCells(goalOrientation, goalLength, goalStart, exit.col);
+    markCells(occupied, goalCells);
+
+    const vehicles = [
+        { orientation: goalOrientation, length: goalLength, isGoal: true, cells: goalCells },
+    ];
+
+    for (let count = 1; count < vehicleCount; count += 1) {
+        let placed = false;
+
+        for (let tries = 0; tries < PLACEMENT_TRIES && !placed; tries += 1) {
+            const orientation = random.next() < 0.5 ? 'horizontal' : 'vertical';
+            const length = random.pick(lengths);
+            const cells = vehicleCells(
+                orientation,
+                length,
+                random.nextInt(rows),
+                random.nextInt(columns),
+            );
+            const onGoalLine =
+                orientation === goalOrientation &&
+                (isHorizontalGoal ? cells[0].row === exit.row : cells[0].col === exit.col);
+
+            if (!onGoalLine && canPlace(occupied, rows, columns, orientation, cells)) {
+                markCells(occupied, cells);
+                vehicles.push({ orientation, length, isGoal: false, cells });
+                placed = true;
+            }
+        }
+
+        if (!placed) {
+            return null;
+        }
+    }
+
+    return { rows, columns, exit, vehicles };
+};
+
+/**
+ * Generates a new puzzle whose optimal solution length (measured with BFS) falls inside
+ * [minDepth, maxDepth]. Layouts are drawn at random and rejected when they cannot be written
+ * faithfully, are unsolvable, or are too easy or too hard.
+ *
+ * @param {RandomPuzzleOptions} [options] - Generator options.
+ * @throws {Error} If the options are inconsistent or no layout is accepted in time.
+ * @returns {Promise<RandomPuzzleResult>} The accepted puzzle.
+ */
+const generateRandomPuzzle = async ({
+    rows = 6,
+    columns = 6,
+    vehicleCount = 10,
+    minDepth = 3,
+    maxDepth = Infinity,
+    exit = { row: Math.floor((rows - 1) / 2), col: columns - 1 },
+    goalLength = 2,
+    lengths = [2, 2, 2, 3],
+    seed,
+    maxAttempts = 1000,
+} = {}) => {
+    const insideBoard = exit.row >= 0 && exit.row < rows && exit.col >= 0 && exit.col < columns;
+    if (!insideBoard || !isOnBorder(exit, rows, columns)) {
+        throw new Error('La salida debe ubicarse en el borde del tablero.');
+    }
+
+    if (minDepth > maxDepth || vehicleCount < 1) {
+        throw new Error('Los parametros del generador no son validos.');
+    }
+
+    const random = createRandom(seed);
+    const layoutOptions = { rows, columns, vehicleCount, exit, goalLength, lengths };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+        const layout = buildLayout(random, layoutOptions);
+        if (!layout) {
+            continue;
+        }
+
+        const text = serializePuzzle(layout);
+        if (!isFaithfulPuzzleText(text, vehicleCount)) {
+            continue;
+        }
+
+        const board = parsePuzzle(text);
+        // eslint-disable-next-line no-await-in-loop
+        const result = await solveWithBfs(board);
+        const depth = result.moves.length;
+
+        if (result.status === 'solved' && depth >= minDepth && depth <= maxDepth) {
+            return { text, board, depth, seed: random.seed, attempts: attempt };
+        }
+    }
+
+    throw new Error(
+        `No se genero un puzzle con profundidad entre ${minDepth} y ${maxDepth} ` +
+            `tras ${maxAttempts} intentos.`,
+    );
+};
+
+export { generateRandomPuzzle };
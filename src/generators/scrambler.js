@@ -0,0 +1,100 @@
+import { parsePuzzle, serializePuzzle, isFaithfulPuzzleText } from '../models/boardRenderer.js';
+import {
+    createContext,
+    getInitialState,
+    generateMoves,
+    applyMove,
+    isGoalState,
+    decodeState,
+} from '../algorithms/solverCore.js';
+import { solveWithBfs } from '../algorithms/bfs.js';
+import { createRandom } from '../utils/random.js';
+
+/**
+ * @typedef {Object} ScrambleResult
+ * @property {string} text - Scrambled puzzle in the `parsePuzzle` text format.
+ * @property {import('../models/boardRenderer.js').ParsedBoard} board - The text, parsed.
+ * @property {number} depth - Optimal solution length measured with BFS.
+ * @property {number} seed - Seed that reproduces this result with the same options.
+ * @property {number} attempts - Random walks tried until one was accepted.
+ */
+
+/**
+ * Walks the vehicles through `steps` random legal moves. Moving the same vehicle twice in a row
+ * is avoided when possible, since it tends to undo the previous step.
+ *
+ * @param {import('../algorithms/solverCore.js').Context} context - Solving context.
+ * @param {import('../algorithms/solverCore.js').State} state - Starting state.
+ * @param {number} steps - Number of moves to apply.
+ * @param {import('../utils/random.js').Random} random - Seeded generator.
+ * @returns {import('../algorithms/solverCore.js').State} Final state of the walk.
+ */
+const randomWalk = (context, state, steps, random) => {
+    let current = state;
+    let lastVehicle = -1;
+
+    for (let step = 0; step < steps; step += 1) {
+        const moves = generateMoves(context, current);
+        if (!moves.length) {
+            break;
+        }
+
+        const fresh = moves.filter((move) => move.vehicleIndex !== lastVehicle);
+        const move = random.pick(fresh.length ? fresh : moves);
+        current = applyMove(context, current, move);
+        lastVehicle = move.vehicleIndex;
+    }
+
+    return current;
+};
+
+/**
+ * Scrambles a board with random legal moves and keeps the first result whose optimal solution
+ * is at least `minDepth` moves long. Moves are reversible, so every walk stays solvable; BFS is
+ * still run on the written text to measure (and double check) the solution.
+ *
+ * @param {import('../models/boardRenderer.js').ParsedBoard} boardData - Source board.
+ * @param {Object} [options] - Scramble options.
+ * @param {number} [options.steps=40] - Random moves per attempt.
+ * @param {number} [options.minDepth=1] - Minimum optimal solution length.
+ * @param {number | string} [options.seed] - Seed for reproducible output.
+ * @param {number} [options.maxAttempts=100] - Walks to try before giving up.
+ * @throws {Error} If no attempt reaches `minDepth`.
+ * @returns {Promise<ScrambleResult>} The accepted scramble.
+ */
+const scramblePuzzle = async (
+    boardData,
+    { steps = 40, minDepth = 1, seed, maxAttempts = 100 } = {},
+) => {
+    const context = createContext(boardData);
+    const random = createRandom(seed);
+    const initialState = getInitialState(context);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+        const state = randomWalk(context, initialState, steps, random);
+
+        if (isGoalState(context, state)) {
+            continue;
+        }
+
+        const text = serializePuzzle(boardData, decodeState(context, state));
+        if (!isFaithfulPuzzleText(text, boardData.vehicles.length)) {
+            continue;
+        }
+
+        const board = parsePuzzle(text);
+        // eslint-disable-next-line no-await-in-loop
+        const result = await solveWithBfs(board);
+        const depth = result.moves.length;
+
+        if (result.status === 'solved' && depth >= minDepth) {
+            return { text, board, depth, seed: random.seed, attempts: attempt };
+        }
+    }
+
+    throw new Error(
+        `No se genero un puzzle con profundidad minima ${minDepth} tras ${maxAttempts} intentos.`,
+    );
+};
+
+export { scramblePuzzle };
@@ -1,6 +1,15 @@
+import {
+    DEFAULT_MS_PER_CELL,
+    easeInOutCubic,
+    slideDuration,
+    slidePosition,
+    sweptArea,
+} from './moveAnimation.js';
+
 const HORIZONTAL_TOKENS = new Set(['-', '>', 'B']);
 const VERTICAL_TOKENS = new Set(['|', 'v', 'B']);
 const EMPTY_TOKEN = '.';
+const WALL_TOKEN = 'x';
 
 const VEHICLE_COLORS = [
     '#1E88E5',
@@ -13,6 +22,7 @@ const VEHICLE_COLORS = [
 ];
 
 const GOAL_COLOR = '#D81B60';
+const WALL_COLOR = '#546E7A';
 
 
 /**
@@ -65,11 +75,15 @@ const keyFromPosition = (row, col) => `${row}:${col}`;
  * specific element in the grid array at the given row and column coordinates.
  * @returns The function `determineOrientation` returns a string indicating the orientation of a token
  * in a grid at a specific row and column. The possible return values are 'vertical', 'horizontal', or
- * 'single' based on the presence of neighboring tokens in the grid.
+ * 'single' based on the presence of neighboring tokens in the grid, or 'fixed' for a wall.
  */
 const determineOrientation = (grid, row, col) => {
     const token = grid[row][col];
 
+    if (token === WALL_TOKEN) {
+        return 'fixed';
+    }
+
     if (VERTICAL_TOKENS.has(token) && !HORIZONTAL_TOKENS.has(token)) {
         return 'vertical';
     }
@@ -222,7 +236,7 @@ const collectVehicle = (grid, visited, row, col) => {
 
     visited.add(keyFromPosition(row, col));
     return {
-        orientation: 'single',
+        orientation,
         cells: [{ row, col, token: grid[row][col] }],
     };
 };
@@ -258,6 +272,8 @@ const parseExit = (line) => {
  * The function `assignVehicleColors` assigns colors and names to vehicles based on certain conditions.
  * @param vehicles - An array of objects representing vehicles. Each vehicle object has the following
  * properties:
+ * Vehicles that already carry `isGoal` (from formats that name the goal) keep it; otherwise the
+ * goal is the vehicle with a `B` token.
  * @returns The `assignVehicleColors` function returns an array of objects where each object represents
  * a vehicle with additional properties `isGoal`, `color`, and `name` assigned based on the logic
  * inside the `map` function.
@@ -266,9 +282,13 @@ const assignVehicleColors = (vehicles) => {
     let colorIndex = 0;
 
     return vehicles.map((vehicle) => {
-        const isGoal = vehicle.cells.some((cell) => cell.token === 'B');
+        if (vehicle.orientation === 'fixed') {
+            return { ...vehicle, isGoal: false, color: WALL_COLOR, name: 'Muro' };
+        }
+
+        const isGoal = vehicle.isGoal ?? vehicle.cells.some((cell) => cell.token === 'B');
         const color = isGoal ? GOAL_COLOR : VEHICLE_COLORS[colorIndex % VEHICLE_COLORS.length];
-        const name = isGoal ? 'Carro objetivo' : `Vehiculo ${colorIndex + 1}`;
+        const name = isGoal ? 'Carro objetivo' : `Vehiculo ${vehicle.letter ?? colorIndex + 1}`;
 
         if (!isGoal) {
             colorIndex += 1;
@@ -367,6 +387,118 @@ const parsePuzzle = (puzzleText) => {
     };
 };
 
+/**
+ * The function `vehicleAnchor` returns the top-most/left-most cell of a parsed vehicle, the
+ * position solver states use for it.
+ * @param vehicle - Parsed vehicle with its `cells`.
+ * @returns The anchor as `{ row, col }`.
+ */
+const vehicleAnchor = (vehicle) => ({
+    row: Math.min(...vehicle.cells.map((cell) => cell.row)),
+    col: Math.min(...vehicle.cells.map((cell) => cell.col)),
+});
+
+/**
+ * The function `vehicleTokens` lists the tokens that write a vehicle, from its anchor onwards:
+ * `-`/`|` segments ending in `>`/`v`, or in `B` for the goal vehicle. A goal parsed with its `B`
+ * at the front (e.g. one that exits to the left) keeps it there; single-cell vehicles and walls
+ * keep their original token.
+ * @param vehicle - Parsed vehicle.
+ * @returns One token per cell.
+ */
+const vehicleTokens = (vehicle) => {
+    if (vehicle.orientation === 'single' || vehicle.orientation === 'fixed') {
+        return [vehicle.cells[0].token];
+    }
+
+    const isHorizontal = vehicle.orientation === 'horizontal';
+    const tokens = new Array(vehicle.length).fill(isHorizontal ? '-' : '|');
+
+    if (vehicle.isGoal) {
+        const goalAtFront = vehicle.cells[0]?.token === 'B';
+        tokens[goalAtFront ? 0 : vehicle.length - 1] = 'B';
+    } else {
+        tokens[vehicle.length - 1] = isHorizontal ? '>' : 'v';
+    }
+
+    return tokens;
+};
+
+/**
+ * The function `serializePuzzle` is the inverse of `parsePuzzle`: it writes a board back in the
+ * text format, including the `Salida: fila,columna` line. With `positions` the vehicles are
+ * written at other anchors, so any solver state (see `decodeState`) can be saved as a puzzle.
+ * @param boardData - Board returned by `parsePuzzle` (or with the same `rows`, `columns`, `exit`
+ * and `vehicles` shape).
+ * @param positions - Optional anchor of every vehicle, in the same order as `boardData.vehicles`.
+ * @returns The puzzle text, ending with a newline.
+ */
+const serializePuzzle = (boardData, positions = boardData.vehicles.map(vehicleAnchor)) => {
+    const grid = Array.from({ length: boardData.rows }, () =>
+        new Array(boardData.columns).fill(EMPTY_TOKEN),
+    );
+
+    boardData.vehicles.forEach((vehicle, index) => {
+        const { row, col } = positions[index];
+        const isVertical = vehicle.orientation === 'vertical';
+
+        vehicleTokens(vehicle).forEach((token, offset) => {
+            grid[row + (isVertical ? offset : 0)][col + (isVertical ? 0 : offset)] = token;
+        });
+    });
+
+    const lines = grid.map((tokens) => tokens.join(' '));
+    lines.push(`Salida: ${boardData.exit.row},${boardData.exit.col}`);
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * The function `isFaithfulPuzzleText` checks that serialized text parses back into exactly the
+ * vehicles it was written from. The text format cannot separate two vehicles that touch end to
+ * end on the same line, and a `B` next to another vehicle may be read with the wrong orientation.
+ * @param puzzleText - Text produced by `serializePuzzle`.
+ * @param vehicleCount - Number of vehicles that were written.
+ * @returns True if parsing and serializing again yields the same text.
+ */
+const isFaithfulPuzzleText = (puzzleText, vehicleCount) => {
+    const reparsed = parsePuzzle(puzzleText);
+    return reparsed.vehicles.length === vehicleCount && serializePuzzle(reparsed) === puzzleText;
+};
+
+/**
+ * The function `createBoardData` builds a board in the shape `parsePuzzle` returns from vehicles
+ * that are already separated, for formats where two touching vehicles must not be merged. Every
+ * cell gets the token `serializePuzzle` would write for it.
+ * @param rows - Board rows.
+ * @param columns - Board columns.
+ * @param exit - Exit cell as `{ row, col }`.
+ * @param vehicles - Vehicles as `{ orientation, cells, isGoal, letter }`, with the cells as
+ * `{ row, col }` from the anchor onwards. Walls use the 'fixed' orientation; single-cell vehicles
+ * are written with their `letter`.
+ * @returns The board, with the token grid and the vehicles' colors and names.
+ */
+const createBoardData = (rows, columns, exit, vehicles) => {
+    const grid = Array.from({ length: rows }, () => new Array(columns).fill(EMPTY_TOKEN));
+
+    const tokenized = vehicles.map((vehicle) => {
+        const sized = { ...vehicle, isGoal: Boolean(vehicle.isGoal), length: vehicle.cells.length };
+        let tokens = [WALL_TOKEN];
+        if (sized.orientation === 'single') {
+            tokens = [sized.letter];
+        } else if (sized.orientation !== 'fixed') {
+            tokens = vehicleTokens(sized);
+        }
+
+        const cells = sized.cells.map(({ row, col }, index) => {
+            grid[row][col] = tokens[index];
+            return { row, col, token: tokens[index] };
+        });
+        return { ...sized, cells };
+    });
+
+    return { grid, rows, columns, exit, vehicles: assignVehicleColors(tokenized) };
+};
+
 /**
  * The function `ensureBoardElement` checks if a given element is a valid HTML element and throws an
  * error if it is not.
@@ -434,10 +566,12 @@ const createVehicleElement = (vehicle) => {
     element.dataset.length = String(vehicle.length);
     element.dataset.name = vehicle.name;
 
-    if (!vehicle.isGoal) {
-        element.dataset.vehicleRole = 'obstacle';
-    } else {
+    if (vehicle.isGoal) {
         element.dataset.vehicleRole = 'goal';
+    } else if (vehicle.orientation === 'fixed') {
+        element.dataset.vehicleRole = 'wall';
+    } else {
+        element.dataset.vehicleRole = 'obstacle';
     }
 
     const label = document.createElement('span');
@@ -523,5 +657,210 @@ const renderBoard = (boardElement, boardData) => {
     });
 };
 
+/**
+ * The function `positionVehicles` moves the rendered vehicle elements to new anchor positions
+ * without rebuilding the board, e.g. to show a solver state or a move made by the player.
+ * @param boardElement - The board element previously filled by `renderBoard`.
+ * @param positions - Top-most/left-most cell of every vehicle, in the same order as the parsed
+ * vehicles (the order in which `renderBoard` appended their elements).
+ */
+const positionVehicles = (boardElement, positions) => {
+    ensureBoardElement(boardElement);
+    const vehicleElements = boardElement.querySelectorAll('.vehicle');
+
+    positions.forEach((position, index) => {
+        const vehicleElement = vehicleElements[index];
+        if (!vehicleElement) {
+            return;
+        }
+
+        vehicleElement.style.top = `calc(var(--cell-size) * ${position.row})`;
+        vehicleElement.style.left = `calc(var(--cell-size) * ${position.col})`;
+        vehicleElement.dataset.row = String(position.row);
+        vehicleElement.dataset.col = String(position.col);
+    });
+};
+
+/**
+ * The function `clearMoveHighlight` removes the marks left by `highlightMove`.
+ * @param boardElement - The rendered board element.
+ */
+const clearMoveHighlight = (boardElement) => {
+    ensureBoardElement(boardElement);
+    boardElement.querySelectorAll('.move-target').forEach((element) => element.remove());
+    boardElement.querySelectorAll('.vehicle.highlighted').forEach((element) => {
+        element.classList.remove('highlighted');
+    });
+};
+
+/**
+ * The function `highlightMove` marks the vehicle a move applies to and outlines the cells it
+ * would occupy afterwards, without moving it (used for hints).
+ * @param boardElement - The rendered board element; vehicles must be at their current positions.
+ * @param move - Move to show, with `vehicleIndex`, `direction` and `steps`.
+ */
+const highlightMove = (boardElement, move) => {
+    clearMoveHighlight(boardElement);
+
+    const vehicleElement = boardElement.querySelectorAll('.vehicle')[move.vehicleIndex];
+    if (!vehicleElement) {
+        return;
+    }
+
+    const rowStep = { up: -1, down: 1 }[move.direction] ?? 0;
+    const colStep = { left: -1, right: 1 }[move.direction] ?? 0;
+    const row = Number(vehicleElement.dataset.row) + rowStep * move.steps;
+    const col = Number(vehicleElement.dataset.col) + colStep * move.steps;
+
+    const target = document.createElement('div');
+    target.classList.add('move-target');
+    target.style.top = `calc(var(--cell-size) * ${row})`;
+    target.style.left = `calc(var(--cell-size) * ${col})`;
+    target.style.width = vehicleElement.style.width;
+    target.style.height = vehicleElement.style.height;
+    target.style.setProperty(
+        '--vehicle-color',
+        vehicleElement.style.getPropertyValue('--vehicle-color'),
+    );
+    target.setAttribute('aria-hidden', 'true');
+
+    vehicleElement.classList.add('highlighted');
+    boardElement.appendChild(target);
+};
+
+/**
+ * The function `createMoveArrow` builds the arrow drawn over the cells a move sweeps, labelled
+ * with the number of cells.
+ * @param vehicleElement - Element of the vehicle about to move, at its current position.
+ * @param move - Move to draw, with `direction` and `steps`.
+ * @returns The arrow element (not yet attached).
+ */
+const createMoveArrow = (vehicleElement, move) => {
+    const from = {
+        row: Number(vehicleElement.dataset.row),
+        col: Number(vehicleElement.dataset.col),
+    };
+    const vehicle = {
+        orientation: vehicleElement.dataset.orientation,
+        length: Number(vehicleElement.dataset.length),
+    };
+    const area = sweptArea(from, vehicle, move);
+
+    const arrow = document.createElement('div');
+    arrow.classList.add('move-arrow');
+    arrow.dataset.direction = move.direction;
+    arrow.style.top = `calc(var(--cell-size) * ${area.row})`;
+    arrow.style.left = `calc(var(--cell-size) * ${area.col})`;
+    arrow.style.width = `calc(var(--cell-size) * ${area.width})`;
+    arrow.style.height = `calc(var(--cell-size) * ${area.height})`;
+    arrow.setAttribute('aria-hidden', 'true');
+
+    const label = document.createElement('span');
+    label.classList.add('move-arrow-label');
+    label.textContent = String(move.steps);
+    arrow.appendChild(label);
+
+    return arrow;
+};
+
+/**
+ * The function `animateMove` slides one vehicle through a move frame by frame, easing in and out,
+ * with a duration proportional to the cells travelled. The vehicle is highlighted while it moves
+ * and, with `arrowMs`, an arrow showing direction and distance is drawn that long before it
+ * starts. Aborting `signal` ends the slide at once with the vehicle at its destination.
+ * @param boardElement - The rendered board element; vehicles must be at their current positions.
+ * @param move - Move to play, with `vehicleIndex`, `direction` and `steps`.
+ * @param options - `msPerCell` (slide time per cell), `arrowMs` (0 hides the arrow) and `signal`.
+ * @returns A promise for `true` when the slide completed, `false` when it was aborted.
+ */
+const animateMove = (
+    boardElement,
+    move,
+    { msPerCell = DEFAULT_MS_PER_CELL, arrowMs = 0, signal } = {},
+) =>
+    new Promise((resolve) => {
+        ensureBoardElement(boardElement);
+        const vehicleElement = boardElement.querySelectorAll('.vehicle')[move.vehicleIndex];
+        if (!vehicleElement) {
+            resolve(false);
+            return;
+        }
+
+        const from = {
+            row: Number(vehicleElement.dataset.row),
+            col: Number(vehicleElement.dataset.col),
+        };
+        const to = slidePosition(from, move, 1);
+        const duration = slideDuration(move.steps, msPerCell);
+        const arrow = arrowMs > 0 ? createMoveArrow(vehicleElement, move) : null;
+        let startTime = null;
+        let frame = null;
+        let arrowTimer = null;
+
+        const placeVehicle = ({ row, col }) => {
+            vehicleElement.style.top = `calc(var(--cell-size) * ${row})`;
+            vehicleElement.style.left = `calc(var(--cell-size) * ${col})`;
+        };
+
+        const finish = (completed) => {
+            cancelAnimationFrame(frame);
+            clearTimeout(arrowTimer);
+            signal?.removeEventListener('abort', onAbort);
+            arrow?.remove();
+            placeVehicle(to);
+            vehicleElement.dataset.row = String(to.row);
+            vehicleElement.dataset.col = String(to.col);
+            vehicleElement.classList.remove('sliding');
+            resolve(completed);
+        };
+
+        const onAbort = () => finish(false);
 
-export { parsePuzzle, renderBoard, clearBoard };
+        const step = (now) => {
+            startTime ??= now;
+            const progress = duration > 0 ? (now - startTime) / duration : 1;
+            if (progress >= 1) {
+                finish(true);
+                return;
+            }
+
+            placeVehicle(slidePosition(from, move, easeInOutCubic(progress)));
+            frame = requestAnimationFrame(step);
+        };
+
+        if (signal?.aborted) {
+            finish(false);
+            return;
+        }
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        vehicleElement.classList.add('sliding');
+
+        if (arrow) {
+            boardElement.appendChild(arrow);
+            arrowTimer = setTimeout(() => {
+                frame = requestAnimationFrame(step);
+            }, arrowMs);
+        } else {
+            frame = requestAnimationFrame(step);
+        }
+    });
+
+
+export {
+    HORIZONTAL_TOKENS,
+    VERTICAL_TOKENS,
+    EMPTY_TOKEN,
+    WALL_TOKEN,
+    parsePuzzle,
+    createBoardData,
+    serializePuzzle,
+    isFaithfulPuzzleText,
+    vehicleAnchor,
+    renderBoard,
+    clearBoard,
+    positionVehicles,
+    highlightMove,
+    clearMoveHighlight,
+    animateMove,
+};
@@ -0,0 +1,44 @@
+import { solveWithBfs } from '../algorithms/bfs.js';
+
+/**
+ * @typedef {Object} Hint
+ * @property {'hint' | 'solved' | 'unsolved' | 'aborted'} status - `hint` when a next move was
+ *   found, `solved` when the player already reached the exit.
+ * @property {import('../algorithms/solverCore.js').Move | null} move - Next optimal move.
+ * @property {string | null} action - Readable description of `move`.
+ * @property {number} remaining - Moves left from the current position (-1 if unknown).
+ */
+
+/**
+ * Solves from the player's current position and returns the first move of the solution.
+ * BFS is the default because only an optimal solver guarantees that the hinted move is on a
+ * shortest path; any function with the solver signature can be passed (e.g. one that runs in
+ * the worker).
+ *
+ * @param {import('./playSession.js').PlaySession} session - Live play session.
+ * @param {Object} [options] - Hint options.
+ * @param {(board: import('./boardRenderer.js').ParsedBoard, options?: object) =>
+ *   Promise<import('../algorithms/solverCore.js').SolverResult>} [options.solve] - Solver.
+ * @param {AbortSignal} [options.signal] - Abort signal forwarded to the solver.
+ * @returns {Promise<Hint>} The hint.
+ */
+const findHint = async (session, { solve = solveWithBfs, signal } = {}) => {
+    if (session.isSolved()) {
+        return { status: 'solved', move: null, action: null, remaining: 0 };
+    }
+
+    const result = await solve(session.currentBoard(), { signal });
+
+    if (result.status !== 'solved' || !result.moves.length) {
+        return { status: result.status, move: null, action: null, remaining: -1 };
+    }
+
+    return {
+        status: 'hint',
+        move: result.moves[0],
+        action: result.actions[0],
+        remaining: result.moves.length,
+    };
+};
+
+export { findHint };
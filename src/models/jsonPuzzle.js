@@ -0,0 +1,246 @@
+import { createBoardData } from './boardRenderer.js';
+
+/**
+ * @typedef {Object} PuzzleMetadata
+ * @property {string | null} title - Puzzle title.
+ * @property {string | null} author - Who designed it.
+ * @property {Difficulty | null} difficulty - One of {@link DIFFICULTIES}.
+ * @property {number | null} optimalMoves - Known length of the shortest solution.
+ * @property {string[]} tags - Free-form labels.
+ */
+
+/**
+ * @typedef {'facil' | 'media' | 'dificil' | 'experto'} Difficulty
+ */
+
+/**
+ * Schema version this module reads; files may omit `version`.
+ * @constant
+ * @type {number}
+ */
+const PUZZLE_JSON_VERSION = 1;
+
+/**
+ * Accepted values of `difficulty`, from easiest to hardest.
+ * @constant
+ * @type {Difficulty[]}
+ */
+const DIFFICULTIES = Object.freeze(['facil', 'media', 'dificil', 'experto']);
+
+const ORIENTATIONS = ['horizontal', 'vertical', 'single', 'fixed'];
+const ONE_CELL = new Set(['single', 'fixed']);
+const VEHICLE_ID = /^[A-Z]$/;
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const requireInteger = (value, path, min) => {
+    if (!Number.isInteger(value) || value < min) {
+        throw new Error(`"${path}" debe ser un entero mayor o igual que ${min}.`);
+    }
+    return value;
+};
+
+const optionalString = (value, path) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`"${path}" debe ser un texto no vacio.`);
+    }
+    return value.trim();
+};
+
+/**
+ * Reads and checks the metadata fields of an object, filling the missing ones with defaults.
+ * Puzzle manifests use it for the metadata they list next to every puzzle.
+ *
+ * @param {Object} data - Object holding `title`, `author`, `difficulty`, `optimalMoves` and
+ *   `tags`, all optional.
+ * @param {string} [path] - Prefix of the field names in error messages, e.g.
+ *   `puzzles[2].metadata.`.
+ * @throws {Error} Naming the first invalid field.
+ * @returns {PuzzleMetadata} The metadata.
+ */
+const readPuzzleMetadata = (data, path = '') => {
+    const { difficulty = null, optimalMoves = null, tags = [] } = data;
+
+    if (difficulty !== null && !DIFFICULTIES.includes(difficulty)) {
+        throw new Error(`"${path}difficulty" debe ser uno de: ${DIFFICULTIES.join(', ')}.`);
+    }
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string' || !tag.trim())) {
+        throw new Error(`"${path}tags" debe ser una lista de textos no vacios.`);
+    }
+
+    return {
+        title: optionalString(data.title, `${path}title`),
+        author: optionalString(data.author, `${path}author`),
+        difficulty,
+        optimalMoves:
+            optimalMoves === null ? null : requireInteger(optimalMoves, `${path}optimalMoves`, 0),
+        tags: tags.map((tag) => tag.trim()),
+    };
+};
+
+/**
+ * Checks one entry of `vehicles` and expands it into the cells it covers.
+ */
+const readVehicle = (spec, index, rows, columns) => {
+    const path = `vehicles[${index}]`;
+
+    if (!isObject(spec)) {
+        throw new Error(`"${path}" debe ser un objeto.`);
+    }
+    if (!ORIENTATIONS.includes(spec.orientation)) {
+        throw new Error(`"${path}.orientation" debe ser uno de: ${ORIENTATIONS.join(', ')}.`);
+    }
+    if (spec.id !== undefined && !VEHICLE_ID.test(spec.id)) {
+        throw new Error(`"${path}.id" debe ser una letra mayuscula.`);
+    }
+    if (spec.orientation === 'single' && spec.id === undefined) {
+        throw new Error(`"${path}.id" es obligatorio en las piezas sueltas.`);
+    }
+    if (spec.color !== undefined && !HEX_COLOR.test(spec.color)) {
+        throw new Error(`"${path}.color" debe ser un color hexadecimal como "#1E88E5".`);
+    }
+
+    const isOneCell = ONE_CELL.has(spec.orientation);
+    const row = requireInteger(spec.row, `${path}.row`, 0);
+    const col = requireInteger(spec.col, `${path}.col`, 0);
+    const length = requireInteger(spec.length ?? (isOneCell ? 1 : 2), `${path}.length`, 1);
+    const isGoal = spec.goal === true;
+
+    if (isOneCell ? length !== 1 : length < 2) {
+        throw new Error(
+            `"${path}.length" debe ser ${isOneCell ? '1' : 'al menos 2'} en un vehiculo ` +
+                `${spec.orientation}.`,
+        );
+    }
+    if (isGoal && isOneCell) {
+        throw new Error(`"${path}" es el objetivo y debe ser horizontal o vertical.`);
+    }
+
+    const isVertical = spec.orientation === 'vertical';
+    const cells = Array.from({ length }, (_, offset) => ({
+        row: row + (isVertical ? offset : 0),
+        col: col + (isVertical ? 0 : offset),
+    }));
+
+    if (cells.some((cell) => cell.row >= rows || cell.col >= columns)) {
+        throw new Error(`"${path}" se sale del tablero de ${rows}x${columns}.`);
+    }
+
+    return {
+        orientation: spec.orientation,
+        isGoal,
+        letter: spec.id,
+        cells,
+        color: spec.color,
+        name: optionalString(spec.name, `${path}.name`),
+    };
+};
+
+/**
+ * Reads a puzzle written as JSON, the only format that can carry metadata and per-vehicle colors
+ * and names:
+ *
+ * ```json
+ * {
+ *   "title": "Atasco matinal",
+ *   "author": "Ana",
+ *   "difficulty": "media",
+ *   "optimalMoves": 8,
+ *   "tags": ["clasico"],
+ *   "rows": 6,
+ *   "columns": 6,
+ *   "exit": { "row": 2, "col": 5 },
+ *   "vehicles": [
+ *     { "orientation": "horizontal", "row": 2, "col": 0, "goal": true },
+ *     { "id": "C", "orientation": "vertical", "row": 0, "col": 2, "length": 3,
+ *       "color": "#43A047", "name": "Camion verde" },
+ *     { "orientation": "fixed", "row": 5, "col": 5 }
+ *   ]
+ * }
+ * ```
+ *
+ * Only `rows`, `columns`, `exit` and `vehicles` are required, with exactly one goal vehicle.
+ * Vehicles are anchored at their top-most/left-most cell; `length` defaults to 2 (1 for `single`
+ * pieces and `fixed` walls) and `id`, a letter, names the vehicle like in the lettered format.
+ *
+ * @param {string} puzzleText - JSON text.
+ * @throws {Error} Naming the first invalid field, e.g. `"vehicles[1].row"`.
+ * @returns {import('./boardRenderer.js').ParsedBoard & { metadata: PuzzleMetadata }} Board in the
+ *   `parsePuzzle` shape, vehicles in file order, plus the metadata.
+ */
+const parseJsonPuzzle = (puzzleText) => {
+    let data;
+    try {
+        data = JSON.parse(puzzleText);
+    } catch (error) {
+        throw new Error(`El JSON del puzzle no es valido: ${error.message}`);
+    }
+
+    if (!isObject(data)) {
+        throw new Error('El puzzle JSON debe ser un objeto.');
+    }
+    if (data.version !== undefined && data.version !== PUZZLE_JSON_VERSION) {
+        throw new Error(`Version de puzzle JSON no soportada: ${data.version}.`);
+    }
+
+    const rows = requireInteger(data.rows, 'rows', 1);
+    const columns = requireInteger(data.columns, 'columns', 1);
+
+    if (!isObject(data.exit)) {
+        throw new Error('"exit" debe ser un objeto con "row" y "col".');
+    }
+    const exit = {
+        row: requireInteger(data.exit.row, 'exit.row', 0),
+        col: requireInteger(data.exit.col, 'exit.col', 0),
+    };
+    if (exit.row >= rows || exit.col >= columns) {
+        throw new Error(`"exit" queda fuera del tablero de ${rows}x${columns}.`);
+    }
+
+    if (!Array.isArray(data.vehicles)) {
+        throw new Error('"vehicles" debe ser una lista.');
+    }
+    const vehicles = data.vehicles.map((spec, index) => readVehicle(spec, index, rows, columns));
+
+    const goals = vehicles.filter((vehicle) => vehicle.isGoal).length;
+    if (goals !== 1) {
+        throw new Error(`Debe haber exactamente un vehiculo con "goal": true y hay ${goals}.`);
+    }
+
+    const ids = new Set();
+    const occupied = new Map();
+    vehicles.forEach((vehicle, index) => {
+        if (vehicle.letter !== undefined) {
+            if (ids.has(vehicle.letter)) {
+                throw new Error(`El id "${vehicle.letter}" se repite en "vehicles[${index}]".`);
+            }
+            ids.add(vehicle.letter);
+        }
+
+        vehicle.cells.forEach(({ row, col }) => {
+            const key = `${row}:${col}`;
+            if (occupied.has(key)) {
+                throw new Error(
+                    `"vehicles[${index}]" se superpone con "vehicles[${occupied.get(key)}]" ` +
+                        `en ${row},${col}.`,
+                );
+            }
+            occupied.set(key, index);
+        });
+    });
+
+    const board = createBoardData(rows, columns, exit, vehicles);
+    board.vehicles = board.vehicles.map(({ color, name, ...vehicle }, index) => ({
+        ...vehicle,
+        color: vehicles[index].color ?? color,
+        name: vehicles[index].name ?? name,
+    }));
+
+    return { ...board, metadata: readPuzzleMetadata(data) };
+};
+
+export { PUZZLE_JSON_VERSION, DIFFICULTIES, readPuzzleMetadata, parseJsonPuzzle };
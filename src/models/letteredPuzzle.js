@@ -0,0 +1,249 @@
+import { EMPTY_TOKEN, WALL_TOKEN, createBoardData, vehicleAnchor } from './boardRenderer.js';
+
+/** @typedef {import('../algorithms/solverCore.js').Position} Position */
+
+/**
+ * Goal vehicle when the file has no `Objetivo:` line.
+ * @constant
+ * @type {string}
+ */
+const DEFAULT_GOAL_LETTER = 'A';
+
+const LETTER = /^[A-Z]$/;
+const EXIT_LINE = /^Salida\s*:\s*(-?\d+)\s*,\s*(-?\d+)\s*$/i;
+const GOAL_LINE = /^Objetivo\s*:\s*(\S+)\s*$/i;
+const DIRECTIVE = /^(Salida|Objetivo)\s*:/i;
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Error in a lettered puzzle, with the 1-based line and column it was found at.
+ */
+class PuzzleFormatError extends Error {
+    /**
+     * @param {string} message - Readable explanation.
+     * @param {{ line?: number, column?: number }} [location] - Where in the text.
+     */
+    constructor(message, { line = null, column = null } = {}) {
+        super(message);
+        this.name = 'PuzzleFormatError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+const readLines = (puzzleText) =>
+    puzzleText
+        .split(/\r?\n/)
+        .map((text, index) => ({ number: index + 1, text: text.trim() }))
+        .filter((line) => line.text.length > 0);
+
+const tokenize = (line) =>
+    [...line.text.matchAll(/\S+/g)].map((match) => ({ token: match[0], column: match.index + 1 }));
+
+/**
+ * Turns the cells of one letter into a vehicle, checking they form a straight unbroken line.
+ */
+const letterToVehicle = (letter, cells, isGoal) => {
+    const [first] = cells;
+    const location = { line: first.line, column: first.column };
+    const positions = cells.map(({ row, col }) => ({ row, col }));
+
+    if (cells.length === 1) {
+        if (isGoal) {
+            throw new PuzzleFormatError(
+                `El vehiculo objetivo ${letter} ocupa una sola casilla y no podria salir.`,
+                location,
+            );
+        }
+        return { orientation: 'single', isGoal, letter, cells: positions };
+    }
+
+    const sameRow = cells.every(({ row }) => row === first.row);
+    const sameCol = cells.every(({ col }) => col === first.col);
+    const offsets = cells.map(({ row, col }) => (sameRow ? col : row));
+    const isContiguous = offsets.every((offset, index) => offset === offsets[0] + index);
+
+    if ((!sameRow && !sameCol) || !isContiguous) {
+        throw new PuzzleFormatError(
+            `Las casillas del vehiculo ${letter} no forman una linea recta continua.`,
+            location,
+        );
+    }
+
+    return {
+        orientation: sameRow ? 'horizontal' : 'vertical',
+        isGoal,
+        letter,
+        cells: positions,
+    };
+};
+
+/**
+ * Reads a puzzle where every cell holds the letter of the vehicle on it:
+ *
+ * ```
+ * A A . B
+ * . . . B
+ * Salida: 0,3
+ * ```
+ *
+ * `.` is an empty cell and `x` a wall. Each letter is one vehicle, so two vehicles parked end to
+ * end stay separate, and each keeps its letter as its identity (`Vehiculo C`, `carro C` in the
+ * solver's actions). The goal vehicle is `A` unless an `Objetivo: L` line names another one. A
+ * letter on a single cell is a piece that slides both ways, like unknown tokens in the text
+ * format.
+ *
+ * @param {string} puzzleText - Puzzle contents.
+ * @throws {PuzzleFormatError} With the line and column of the first problem found.
+ * @returns {import('./boardRenderer.js').ParsedBoard} Board in the `parsePuzzle` shape; every
+ *   vehicle also keeps its `letter`.
+ */
+const parseLetteredPuzzle = (puzzleText) => {
+    const lines = readLines(puzzleText);
+    const boardEnd = lines.findIndex((line) => DIRECTIVE.test(line.text));
+    const boardLines = lines.slice(0, boardEnd === -1 ? lines.length : boardEnd);
+    let exit = null;
+    let goalLetter = DEFAULT_GOAL_LETTER;
+
+    if (!boardLines.length) {
+        const location = { line: lines[0]?.number };
+        throw new PuzzleFormatError('El puzzle no contiene un tablero.', location);
+    }
+
+    lines.slice(boardLines.length).forEach((line) => {
+        const exitMatch = EXIT_LINE.exec(line.text);
+        const goalMatch = GOAL_LINE.exec(line.text);
+
+        if (exitMatch) {
+            exit = { row: Number(exitMatch[1]), col: Number(exitMatch[2]) };
+        } else if (goalMatch && LETTER.test(goalMatch[1])) {
+            [, goalLetter] = goalMatch;
+        } else {
+            throw new PuzzleFormatError(
+                'Se esperaba "Salida: fila,columna" u "Objetivo: letra" despues del tablero.',
+                { line: line.number, column: 1 },
+            );
+        }
+    });
+
+    if (!exit) {
+        throw new PuzzleFormatError('No se encontro la linea de salida en el puzzle.');
+    }
+
+    const columns = tokenize(boardLines[0]).length;
+    const letters = new Map();
+    const walls = [];
+
+    boardLines.forEach((line, row) => {
+        const tokens = tokenize(line);
+
+        if (tokens.length !== columns) {
+            throw new PuzzleFormatError(
+                `La fila ${row} tiene ${tokens.length} casillas y la primera ${columns}.`,
+                { line: line.number, column: 1 },
+            );
+        }
+
+        tokens.forEach(({ token, column }, col) => {
+            const cell = { row, col, line: line.number, column };
+
+            if (token === EMPTY_TOKEN) {
+                return;
+            }
+            if (token === WALL_TOKEN) {
+                walls.push(cell);
+                return;
+            }
+            if (!LETTER.test(token)) {
+                throw new PuzzleFormatError(
+                    `Ficha invalida "${token}": se esperaba una letra mayuscula, "." o "x".`,
+                    { line: line.number, column },
+                );
+            }
+
+            if (!letters.has(token)) {
+                letters.set(token, []);
+            }
+            letters.get(token).push(cell);
+        });
+    });
+
+    if (!letters.has(goalLetter)) {
+        throw new PuzzleFormatError(`No se encontro el vehiculo objetivo ${goalLetter}.`);
+    }
+
+    // Same order as `parsePuzzle`: by the first cell of each vehicle, row by row.
+    const firstCell = (vehicle) => vehicle.cells[0].row * columns + vehicle.cells[0].col;
+    const vehicles = [
+        ...[...letters].map(([letter, cells]) =>
+            letterToVehicle(letter, cells, letter === goalLetter),
+        ),
+        ...walls.map(({ row, col }) => ({ orientation: 'fixed', cells: [{ row, col }] })),
+    ].sort((first, second) => firstCell(first) - firstCell(second));
+
+    return createBoardData(boardLines.length, columns, exit, vehicles);
+};
+
+/**
+ * Gives every movable vehicle a distinct letter: its own when it has one, otherwise the goal
+ * gets `A` (if free) and the rest the first free letters.
+ */
+const assignLetters = (vehicles) => {
+    const used = new Set(vehicles.map((vehicle) => vehicle.letter).filter(Boolean));
+    const free = [...LETTERS].filter((letter) => !used.has(letter));
+    const goal = vehicles.find((vehicle) => vehicle.isGoal);
+    const goalLetter =
+        goal?.letter ?? free.splice(Math.max(free.indexOf(DEFAULT_GOAL_LETTER), 0), 1)[0];
+
+    return vehicles.map((vehicle) => {
+        if (vehicle.orientation === 'fixed') {
+            return WALL_TOKEN;
+        }
+        return vehicle.letter ?? (vehicle.isGoal ? goalLetter : free.shift());
+    });
+};
+
+/**
+ * Writes a board in the lettered format, the inverse of {@link parseLetteredPuzzle}. Vehicles
+ * keep their letters; boards read from other formats get new ones.
+ *
+ * @param {import('./boardRenderer.js').ParsedBoard} boardData - Board to write.
+ * @param {Position[]} [positions] - Anchor of every vehicle, e.g. a solver state from
+ *   `decodeState`; the board's own layout by default.
+ * @returns {string} The puzzle text, ending with a newline.
+ */
+const serializeLetteredPuzzle = (
+    boardData,
+    positions = boardData.vehicles.map(vehicleAnchor),
+) => {
+    const movable = boardData.vehicles.filter((vehicle) => vehicle.orientation !== 'fixed');
+    if (movable.length > LETTERS.length) {
+        throw new Error(`El formato de letras admite como maximo ${LETTERS.length} vehiculos.`);
+    }
+
+    const letters = assignLetters(boardData.vehicles);
+    const grid = Array.from({ length: boardData.rows }, () =>
+        new Array(boardData.columns).fill(EMPTY_TOKEN),
+    );
+
+    boardData.vehicles.forEach((vehicle, index) => {
+        const { row, col } = positions[index];
+        const isVertical = vehicle.orientation === 'vertical';
+
+        for (let offset = 0; offset < vehicle.length; offset += 1) {
+            grid[row + (isVertical ? offset : 0)][col + (isVertical ? 0 : offset)] = letters[index];
+        }
+    });
+
+    const lines = grid.map((tokens) => tokens.join(' '));
+    lines.push(`Salida: ${boardData.exit.row},${boardData.exit.col}`);
+
+    const goalLetter = letters[boardData.vehicles.findIndex((vehicle) => vehicle.isGoal)];
+    if (goalLetter !== DEFAULT_GOAL_LETTER) {
+        lines.push(`Objetivo: ${goalLetter}`);
+    }
+
+    return `${lines.join('\n')}\n`;
+};
+
+export { DEFAULT_GOAL_LETTER, PuzzleFormatError, parseLetteredPuzzle, serializeLetteredPuzzle };
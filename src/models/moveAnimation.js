@@ -0,0 +1,80 @@
+/** @typedef {import('../algorithms/solverCore.js').Move} Move */
+/** @typedef {import('../algorithms/solverCore.js').Position} Position */
+
+/**
+ * Default slide time per cell, in milliseconds.
+ * @constant
+ * @type {number}
+ */
+const DEFAULT_MS_PER_CELL = 180;
+
+const DIRECTION_STEPS = {
+    up: { row: -1, col: 0 },
+    down: { row: 1, col: 0 },
+    left: { row: 0, col: -1 },
+    right: { row: 0, col: 1 },
+};
+
+/**
+ * Ease-in-out (cubic) curve: slow start, fast middle, slow stop.
+ *
+ * @param {number} progress - Linear progress in [0, 1].
+ * @returns {number} Eased progress in [0, 1].
+ */
+const easeInOutCubic = (progress) => {
+    const t = Math.min(Math.max(progress, 0), 1);
+    return t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2;
+};
+
+/**
+ * Duration of a slide; it grows with the distance so a 3-cell move is visibly longer than a
+ * 1-cell one.
+ *
+ * @param {number} steps - Cells travelled.
+ * @param {number} [msPerCell=DEFAULT_MS_PER_CELL] - Time per cell.
+ * @returns {number} Duration in milliseconds.
+ */
+const slideDuration = (steps, msPerCell = DEFAULT_MS_PER_CELL) => Math.max(steps, 0) * msPerCell;
+
+/**
+ * Position of a sliding vehicle part-way through a move.
+ *
+ * @param {Position} from - Anchor before the move.
+ * @param {Move} move - Move being animated.
+ * @param {number} progress - Eased progress in [0, 1].
+ * @returns {Position} Fractional anchor (in cells).
+ */
+const slidePosition = (from, move, progress) => {
+    const step = DIRECTION_STEPS[move.direction];
+    return {
+        row: from.row + step.row * move.steps * progress,
+        col: from.col + step.col * move.steps * progress,
+    };
+};
+
+/**
+ * Cells swept by the front of a vehicle during a move, used to draw the direction arrow.
+ *
+ * @param {Position} from - Anchor before the move.
+ * @param {{ orientation: string, length: number }} vehicle - Vehicle shape. Single-cell
+ *   vehicles count as length 1 on both axes.
+ * @param {Move} move - Move to draw.
+ * @returns {{ row: number, col: number, width: number, height: number }} Rectangle in cells.
+ */
+const sweptArea = (from, vehicle, move) => {
+    const width = vehicle.orientation === 'horizontal' ? vehicle.length : 1;
+    const height = vehicle.orientation === 'vertical' ? vehicle.length : 1;
+
+    switch (move.direction) {
+        case 'right':
+            return { row: from.row, col: from.col + width, width: move.steps, height };
+        case 'left':
+            return { row: from.row, col: from.col - move.steps, width: move.steps, height };
+        case 'down':
+            return { row: from.row + height, col: from.col, width, height: move.steps };
+        default:
+            return { row: from.row - move.steps, col: from.col, width, height: move.steps };
+    }
+};
+
+export { DEFAULT_MS_PER_CELL, easeInOutCubic, slideDuration, slidePosition, sweptArea };
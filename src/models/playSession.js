@@ -0,0 +1,177 @@
+import {
+    createContext,
+    getInitialState,
+    generateMoves,
+    applyMove,
+    decodeState,
+    isGoalState,
+    describeMove,
+} from '../algorithms/solverCore.js';
+
+/** @typedef {import('../algorithms/solverCore.js').Move} Move */
+/** @typedef {import('../algorithms/solverCore.js').Direction} Direction */
+/** @typedef {import('../algorithms/solverCore.js').Position} Position */
+
+/**
+ * @typedef {Object} PlaySession
+ * @property {import('../algorithms/solverCore.js').Context} context - Solving context of the board.
+ * @property {() => import('../algorithms/solverCore.js').State} getState - Copy of the packed state.
+ * @property {() => Position[]} getPositions - Anchor of every vehicle, indexed like the board.
+ * @property {(vehicleIndex: number) => Record<Direction, number>} maxSteps - Farthest legal
+ *   slide of a vehicle in each direction (0 where it cannot move).
+ * @property {(move: Move) => boolean} canMove - Whether a move is legal right now.
+ * @property {(move: Move) => Move | null} move - Applies a legal move; null if it was rejected.
+ * @property {() => Move | null} undo - Reverts the last move.
+ * @property {() => Move | null} redo - Re-applies the last undone move.
+ * @property {() => void} reset - Back to the initial layout with empty history.
+ * @property {() => boolean} canUndo - Whether there is a move to undo.
+ * @property {() => boolean} canRedo - Whether there is a move to redo.
+ * @property {() => number} moveCount - Moves played (undone moves excluded).
+ * @property {() => Move[]} moves - Moves played, in order.
+ * @property {() => string[]} actions - Readable description of the moves played.
+ * @property {() => boolean} isSolved - Whether the goal vehicle reached the exit.
+ * @property {() => import('./boardRenderer.js').ParsedBoard} currentBoard - The board with every
+ *   vehicle where the player left it, ready to hand to a solver.
+ */
+
+/**
+ * Inverse of a move: same vehicle and distance, opposite direction.
+ * @type {Record<Direction, Direction>}
+ */
+const OPPOSITE_DIRECTIONS = {
+    left: 'right',
+    right: 'left',
+    up: 'down',
+    down: 'up',
+};
+
+/**
+ * Copy of a parsed board with its vehicles moved to new anchors (e.g. a play session or solver
+ * state), so that any solver can start from there. Only `vehicles` changes; solvers do not read
+ * the token `grid`.
+ *
+ * @param {import('./boardRenderer.js').ParsedBoard} boardData - Parsed board.
+ * @param {Position[]} positions - Anchor of every vehicle, indexed like `boardData.vehicles`.
+ * @returns {import('./boardRenderer.js').ParsedBoard} Board with shifted vehicle cells.
+ */
+const boardAtPositions = (boardData, positions) => ({
+    ...boardData,
+    vehicles: boardData.vehicles.map((vehicle, index) => {
+        const anchorRow = Math.min(...vehicle.cells.map((cell) => cell.row));
+        const anchorCol = Math.min(...vehicle.cells.map((cell) => cell.col));
+        const rowShift = positions[index].row - anchorRow;
+        const colShift = positions[index].col - anchorCol;
+
+        return {
+            ...vehicle,
+            cells: vehicle.cells.map((cell) => ({
+                ...cell,
+                row: cell.row + rowShift,
+                col: cell.col + colShift,
+            })),
+        };
+    }),
+});
+
+/**
+ * Creates a manual play session on a parsed board. Moves are checked against the solver move
+ * generator, so players follow exactly the rules the algorithms use. Once the goal vehicle
+ * reaches the exit no more moves are accepted until the player undoes or resets.
+ *
+ * @param {import('./boardRenderer.js').ParsedBoard} boardData - Parsed board.
+ * @returns {PlaySession} Session bound to the board.
+ */
+const createPlaySession = (boardData) => {
+    const context = createContext(boardData);
+    const initialState = getInitialState(context);
+
+    let state = initialState;
+    let played = [];
+    let undone = [];
+
+    const findLegalMove = ({ vehicleIndex, direction, steps }) =>
+        generateMoves(context, state).find(
+            (candidate) =>
+                candidate.vehicleIndex === vehicleIndex &&
+                candidate.direction === direction &&
+                candidate.steps === steps,
+        ) ?? null;
+
+    const isSolved = () => isGoalState(context, state);
+
+    const canMove = (move) => !isSolved() && findLegalMove(move) !== null;
+
+    const move = (requested) => {
+        const legal = isSolved() ? null : findLegalMove(requested);
+        if (!legal) {
+            return null;
+        }
+
+        state = applyMove(context, state, legal);
+        played.push(legal);
+        undone = [];
+        return legal;
+    };
+
+    const undo = () => {
+        const last = played.pop();
+        if (!last) {
+            return null;
+        }
+
+        state = applyMove(context, state, { ...last, direction: OPPOSITE_DIRECTIONS[last.direction] });
+        undone.push(last);
+        return last;
+    };
+
+    const redo = () => {
+        const next = undone.pop();
+        if (!next) {
+            return null;
+        }
+
+        state = applyMove(context, state, next);
+        played.push(next);
+        return next;
+    };
+
+    const reset = () => {
+        state = initialState;
+        played = [];
+        undone = [];
+    };
+
+    const maxSteps = (vehicleIndex) => {
+        const limits = { left: 0, right: 0, up: 0, down: 0 };
+
+        generateMoves(context, state).forEach((candidate) => {
+            if (candidate.vehicleIndex === vehicleIndex) {
+                limits[candidate.direction] = Math.max(limits[candidate.direction], candidate.steps);
+            }
+        });
+
+        return limits;
+    };
+
+    return {
+        context,
+        getState: () => state.slice(),
+        getPositions: () => decodeState(context, state),
+        maxSteps,
+        canMove,
+        move,
+        undo,
+        redo,
+        reset,
+        canUndo: () => played.length > 0,
+        canRedo: () => undone.length > 0,
+        moveCount: () => played.length,
+        moves: () => [...played],
+        actions: () =>
+            played.map((entry) => describeMove(context.vehicles[entry.vehicleIndex], entry)),
+        isSolved,
+        currentBoard: () => boardAtPositions(boardData, decodeState(context, state)),
+    };
+};
+
+export { boardAtPositions, createPlaySession };
@@ -0,0 +1,124 @@
+/**
+ * @typedef {Object} PlaybackSnapshot
+ * @property {number} index - Frame shown (0 is the initial layout, i the layout after move i).
+ * @property {boolean} playing - Whether the player is advancing on its own.
+ */
+
+/**
+ * @typedef {Object} Playback
+ * @property {() => void} play - Starts advancing; restarts from the first frame when at the end.
+ * @property {() => void} pause - Stops advancing.
+ * @property {() => void} toggle - Play/pause.
+ * @property {() => void} stepForward - Pauses and shows the next frame.
+ * @property {() => void} stepBack - Pauses and shows the previous frame.
+ * @property {(index: number) => void} seek - Pauses and shows a frame (clamped to the range).
+ * @property {() => void} toStart - Pauses and shows the first frame.
+ * @property {() => void} toEnd - Pauses and shows the last frame.
+ * @property {(delayMs: number | ((index: number) => number)) => void} setDelay - Changes the time
+ *   between frames, even mid-play.
+ * @property {() => PlaybackSnapshot} snapshot - Current index and play state.
+ * @property {number} frameCount - Number of frames.
+ */
+
+/**
+ * Creates a player over a solution's `stateHistory`. It only tracks which frame is shown and
+ * when to show the next one; drawing is left to `onUpdate`. Timers are injectable so the
+ * player can be tested without waiting.
+ *
+ * @param {Object} options - Player options.
+ * @param {number} options.frameCount - Number of frames (moves + 1).
+ * @param {(snapshot: PlaybackSnapshot) => void} options.onUpdate - Called after every change.
+ * @param {number | ((index: number) => number)} [options.delayMs=600] - Time between frames
+ *   while playing. A function receives the frame being shown and returns how long to stay on
+ *   it, so frames with longer animations can be held longer.
+ * @param {(callback: () => void, delayMs: number) => any} [options.schedule=setTimeout] - Timer.
+ * @param {(handle: any) => void} [options.cancel=clearTimeout] - Cancels a timer.
+ * @returns {Playback} The player, showing frame 0 and paused.
+ */
+const createPlayback = ({
+    frameCount,
+    onUpdate,
+    delayMs = 600,
+    schedule = setTimeout,
+    cancel = clearTimeout,
+}) => {
+    const lastIndex = Math.max(frameCount - 1, 0);
+    let index = 0;
+    let playing = false;
+    let delay = delayMs;
+    let timer = null;
+
+    const snapshot = () => ({ index, playing });
+    const notify = () => onUpdate(snapshot());
+
+    const currentDelay = () => (typeof delay === 'function' ? delay(index) : delay);
+
+    const clearTimer = () => {
+        if (timer !== null) {
+            cancel(timer);
+            timer = null;
+        }
+    };
+
+    const advance = () => {
+        timer = null;
+        index = Math.min(index + 1, lastIndex);
+        playing = index < lastIndex;
+        if (playing) {
+            timer = schedule(advance, currentDelay());
+        }
+        notify();
+    };
+
+    const play = () => {
+        if (playing || lastIndex === 0) {
+            return;
+        }
+
+        if (index >= lastIndex) {
+            index = 0;
+        }
+        playing = true;
+        timer = schedule(advance, currentDelay());
+        notify();
+    };
+
+    const pause = () => {
+        clearTimer();
+        if (playing) {
+            playing = false;
+            notify();
+        }
+    };
+
+    const seek = (target) => {
+        clearTimer();
+        playing = false;
+        index = Math.min(Math.max(Math.trunc(target) || 0, 0), lastIndex);
+        notify();
+    };
+
+    const setDelay = (nextDelay) => {
+        delay = nextDelay;
+        if (playing) {
+            clearTimer();
+            timer = schedule(advance, currentDelay());
+        }
+    };
+
+    return {
+        play,
+        pause,
+        toggle: () => (playing ? pause() : play()),
+        stepForward: () => seek(index + 1),
+        stepBack: () => seek(index - 1),
+        seek,
+        toStart: () => seek(0),
+        toEnd: () => seek(lastIndex),
+        setDelay,
+        snapshot,
+        frameCount,
+    };
+};
+
+export { createPlayback };
@@ -0,0 +1,351 @@
+import { parsePuzzle, serializePuzzle, isFaithfulPuzzleText } from './boardRenderer.js';
+
+/** @typedef {import('../algorithms/solverCore.js').Position} Position */
+
+/**
+ * @typedef {Object} DraftVehicle
+ * @property {number} row - Top-most row.
+ * @property {number} col - Left-most column.
+ * @property {'horizontal' | 'vertical'} orientation - Axis the vehicle slides on.
+ * @property {number} length - Cells covered.
+ * @property {boolean} isGoal - Whether this is the vehicle that has to reach the exit.
+ */
+
+/**
+ * @typedef {Object} PuzzleDraft
+ * @property {number} rows - Board rows.
+ * @property {number} columns - Board columns.
+ * @property {DraftVehicle[]} vehicles - Vehicles in the order they were painted.
+ * @property {Position | null} exit - Exit cell, or null while not chosen.
+ */
+
+/**
+ * @typedef {Object} EditorDiagnostic
+ * @property {'outside' | 'overlap' | 'touching' | 'missing-goal' | 'missing-exit' | 'exit-border'
+ *   | 'exit-axis' | 'ambiguous'} code - Kind of problem.
+ * @property {string} message - Readable explanation.
+ * @property {Position[]} cells - Cells involved, to highlight them in the editor.
+ */
+
+/**
+ * @typedef {Object} PuzzleEditor
+ * @property {() => PuzzleDraft} getDraft - Copy of the board being edited.
+ * @property {(rows: number, columns: number) => void} resize - Changes the board size; vehicles
+ *   and exit are kept and reported if they no longer fit.
+ * @property {(vehicle: Omit<DraftVehicle, 'isGoal'>) => number} addVehicle - Paints a vehicle
+ *   and returns its index.
+ * @property {(row: number, col: number) => number} vehicleAt - Index of the last vehicle painted
+ *   over a cell, -1 if none.
+ * @property {(row: number, col: number) => boolean} removeVehicleAt - Erases the vehicle on a cell.
+ * @property {(index: number) => void} setGoal - Marks a vehicle as the goal (only one can be).
+ * @property {(exit: Position | null) => void} setExit - Chooses (or clears) the exit cell.
+ * @property {() => void} clear - Removes every vehicle and the exit.
+ * @property {() => EditorDiagnostic[]} validate - Problems that keep the draft from exporting.
+ * @property {() => string} toText - Draft in the `parsePuzzle` text format.
+ * @property {() => import('./boardRenderer.js').ParsedBoard} toBoard - Draft parsed like a file.
+ */
+
+/**
+ * Smallest board side the editor accepts.
+ * @constant
+ * @type {number}
+ */
+const MIN_SIZE = 3;
+
+/**
+ * Largest board side the editor accepts.
+ * @constant
+ * @type {number}
+ */
+const MAX_SIZE = 12;
+
+/**
+ * Shortest vehicle that can be painted; single cells are not movable and cannot be exported
+ * unambiguously.
+ * @constant
+ * @type {number}
+ */
+const MIN_VEHICLE_LENGTH = 2;
+
+const cellsOf = ({ row, col, orientation, length }) =>
+    Array.from({ length }, (_, offset) => ({
+        row: row + (orientation === 'vertical' ? offset : 0),
+        col: col + (orientation === 'horizontal' ? offset : 0),
+    }));
+
+const isInside = ({ row, col }, rows, columns) =>
+    row >= 0 && col >= 0 && row < rows && col < columns;
+
+const isOnBorder = ({ row, col }, rows, columns) =>
+    row === 0 || col === 0 || row === rows - 1 || col === columns - 1;
+
+/** Name used in messages: `objetivo` for the goal vehicle, its 1-based number otherwise. */
+const vehicleLabel = (vehicles, index) => (vehicles[index].isGoal ? 'objetivo' : `${index + 1}`);
+
+const checkSize = (rows, columns) => {
+    const valid = [rows, columns].every(
+        (size) => Number.isInteger(size) && size >= MIN_SIZE && size <= MAX_SIZE,
+    );
+    if (!valid) {
+        throw new Error(`El tablero debe medir entre ${MIN_SIZE} y ${MAX_SIZE} casillas por lado.`);
+    }
+};
+
+/**
+ * Whether two same-axis vehicles sit on one line with no gap between them; the text format would
+ * read them as a single longer vehicle.
+ */
+const touchEndToEnd = (first, second) => {
+    if (first.orientation !== second.orientation) {
+        return false;
+    }
+
+    if (first.orientation === 'horizontal') {
+        return (
+            first.row === second.row &&
+            (first.col + first.length === second.col || second.col + second.length === first.col)
+        );
+    }
+
+    return (
+        first.col === second.col &&
+        (first.row + first.length === second.row || second.row + second.length === first.row)
+    );
+};
+
+/**
+ * Problems of the exit cell relative to the board and the goal vehicle.
+ */
+const exitDiagnostics = ({ rows, columns, vehicles, exit }) => {
+    const goal = vehicles.find((vehicle) => vehicle.isGoal);
+
+    if (!exit) {
+        return [{ code: 'missing-exit', message: 'Falta elegir la casilla de salida.', cells: [] }];
+    }
+
+    if (!isInside(exit, rows, columns) || !isOnBorder(exit, rows, columns)) {
+        return [
+            {
+                code: 'exit-border',
+                message: 'La salida debe ubicarse en el borde del tablero.',
+                cells: isInside(exit, rows, columns) ? [exit] : [],
+            },
+        ];
+    }
+
+    if (!goal) {
+        return [];
+    }
+
+    const aligned =
+        goal.orientation === 'horizontal'
+            ? exit.row === goal.row && (exit.col === 0 || exit.col === columns - 1)
+            : exit.col === goal.col && (exit.row === 0 || exit.row === rows - 1);
+
+    if (aligned) {
+        return [];
+    }
+
+    const place =
+        goal.orientation === 'horizontal'
+            ? 'la fila del vehiculo objetivo, en el borde izquierdo o derecho'
+            : 'la columna del vehiculo objetivo, en el borde superior o inferior';
+    return [
+        {
+            code: 'exit-axis',
+            message: `La salida debe estar en ${place}.`,
+            cells: [exit, ...cellsOf(goal)],
+        },
+    ];
+};
+
+/**
+ * Board in the shape `serializePuzzle` writes from.
+ */
+const draftToBoardData = ({ rows, columns, vehicles, exit }) => ({
+    rows,
+    columns,
+    exit,
+    vehicles: vehicles.map((vehicle) => ({
+        orientation: vehicle.orientation,
+        length: vehicle.length,
+        isGoal: vehicle.isGoal,
+        cells: cellsOf(vehicle),
+    })),
+});
+
+/**
+ * Checks a draft and lists every problem found. An empty list means the draft exports to text
+ * that `parsePuzzle` reads back as exactly the painted vehicles.
+ *
+ * @param {PuzzleDraft} draft - Board being edited.
+ * @returns {EditorDiagnostic[]} Problems, in a stable order.
+ */
+const validateDraft = (draft) => {
+    const { rows, columns, vehicles } = draft;
+    const diagnostics = [];
+
+    vehicles.forEach((vehicle, index) => {
+        const cells = cellsOf(vehicle);
+        if (cells.some((cell) => !isInside(cell, rows, columns))) {
+            diagnostics.push({
+                code: 'outside',
+                message: `El vehiculo ${vehicleLabel(vehicles, index)} se sale del tablero.`,
+                cells: cells.filter((cell) => isInside(cell, rows, columns)),
+            });
+        }
+    });
+
+    vehicles.forEach((vehicle, index) => {
+        vehicles.slice(index + 1).forEach((other, offset) => {
+            const otherIndex = index + offset + 1;
+            const pair = `${vehicleLabel(vehicles, index)} y ${vehicleLabel(vehicles, otherIndex)}`;
+            const otherCells = cellsOf(other);
+            const shared = cellsOf(vehicle).filter((cell) =>
+                otherCells.some(({ row, col }) => row === cell.row && col === cell.col),
+            );
+
+            if (shared.length) {
+                diagnostics.push({
+                    code: 'overlap',
+                    message: `Los vehiculos ${pair} se superponen.`,
+                    cells: shared,
+                });
+            } else if (touchEndToEnd(vehicle, other)) {
+                diagnostics.push({
+                    code: 'touching',
+                    message:
+                        `Los vehiculos ${pair} quedan uno tras otro en la misma linea ` +
+                        'y se leerian como uno solo.',
+                    cells: [...cellsOf(vehicle), ...otherCells],
+                });
+            }
+        });
+    });
+
+    if (!vehicles.some((vehicle) => vehicle.isGoal)) {
+        diagnostics.push({
+            code: 'missing-goal',
+            message: 'Falta marcar el vehiculo objetivo.',
+            cells: [],
+        });
+    }
+
+    diagnostics.push(...exitDiagnostics(draft));
+
+    if (!diagnostics.length) {
+        const text = serializePuzzle(draftToBoardData(draft));
+        if (!isFaithfulPuzzleText(text, vehicles.length)) {
+            diagnostics.push({
+                code: 'ambiguous',
+                message:
+                    'El texto exportado no se leeria igual: ' +
+                    'separa el vehiculo objetivo de los vehiculos vecinos.',
+                cells: cellsOf(vehicles.find((vehicle) => vehicle.isGoal)),
+            });
+        }
+    }
+
+    return diagnostics;
+};
+
+/**
+ * Creates the state of the visual puzzle editor: a grid where vehicles are painted, one of them
+ * marked as the goal, and an exit cell chosen. Overlaps and other mistakes are allowed while
+ * editing and reported by `validate`; only a valid draft can be exported.
+ *
+ * @param {Object} [options] - Initial size.
+ * @param {number} [options.rows=6] - Board rows.
+ * @param {number} [options.columns=6] - Board columns.
+ * @returns {PuzzleEditor} The editor, with an empty board.
+ */
+const createPuzzleEditor = ({ rows = 6, columns = 6 } = {}) => {
+    checkSize(rows, columns);
+    const draft = { rows, columns, vehicles: [], exit: null };
+
+    const getDraft = () => ({
+        rows: draft.rows,
+        columns: draft.columns,
+        vehicles: draft.vehicles.map((vehicle) => ({ ...vehicle })),
+        exit: draft.exit ? { ...draft.exit } : null,
+    });
+
+    const resize = (nextRows, nextColumns) => {
+        checkSize(nextRows, nextColumns);
+        draft.rows = nextRows;
+        draft.columns = nextColumns;
+    };
+
+    const addVehicle = ({ row, col, orientation, length }) => {
+        if (orientation !== 'horizontal' && orientation !== 'vertical') {
+            throw new Error('La orientacion del vehiculo debe ser horizontal o vertical.');
+        }
+        if (!Number.isInteger(length) || length < MIN_VEHICLE_LENGTH) {
+            throw new Error(`Los vehiculos deben ocupar al menos ${MIN_VEHICLE_LENGTH} casillas.`);
+        }
+
+        draft.vehicles.push({ row, col, orientation, length, isGoal: false });
+        return draft.vehicles.length - 1;
+    };
+
+    const vehicleAt = (row, col) =>
+        draft.vehicles.findLastIndex((vehicle) =>
+            cellsOf(vehicle).some((cell) => cell.row === row && cell.col === col),
+        );
+
+    const removeVehicleAt = (row, col) => {
+        const index = vehicleAt(row, col);
+        if (index === -1) {
+            return false;
+        }
+
+        draft.vehicles.splice(index, 1);
+        return true;
+    };
+
+    const setGoal = (index) => {
+        if (!draft.vehicles[index]) {
+            return;
+        }
+
+        draft.vehicles.forEach((vehicle, current) => {
+            vehicle.isGoal = current === index;
+        });
+    };
+
+    const setExit = (exit) => {
+        draft.exit = exit ? { row: exit.row, col: exit.col } : null;
+    };
+
+    const clear = () => {
+        draft.vehicles = [];
+        draft.exit = null;
+    };
+
+    const validate = () => validateDraft(draft);
+
+    const toText = () => {
+        const [first] = validate();
+        if (first) {
+            throw new Error(`El puzzle no se puede exportar: ${first.message}`);
+        }
+
+        return serializePuzzle(draftToBoardData(draft));
+    };
+
+    return {
+        getDraft,
+        resize,
+        addVehicle,
+        vehicleAt,
+        removeVehicleAt,
+        setGoal,
+        setExit,
+        clear,
+        validate,
+        toText,
+        toBoard: () => parsePuzzle(toText()),
+    };
+};
+
+export { MIN_SIZE, MAX_SIZE, MIN_VEHICLE_LENGTH, cellsOf, validateDraft, createPuzzleEditor };
@@ -0,0 +1,118 @@
+import { parsePuzzle } from './boardRenderer.js';
+import { validatePuzzleText } from './puzzleValidator.js';
+import { parseLetteredPuzzle } from './letteredPuzzle.js';
+import { parseRushHourNotation } from './rushHourNotation.js';
+import { parseJsonPuzzle } from './jsonPuzzle.js';
+
+/**
+ * @typedef {'tokens' | 'lettered' | 'notation' | 'json'} PuzzleFormat
+ * `tokens` is the `-`/`>`/`|`/`v`/`B` text format, `lettered` the one with a letter per vehicle,
+ * `notation` the 36-character Rush Hour string and `json` the JSON format with metadata.
+ */
+
+/**
+ * Readable name of every format, for messages.
+ * @constant
+ * @type {Record<PuzzleFormat, string>}
+ */
+const FORMAT_NAMES = Object.freeze({
+    tokens: 'fichas',
+    lettered: 'letras',
+    notation: 'notacion Rush Hour',
+    json: 'JSON',
+});
+
+const PARSERS = {
+    tokens: parsePuzzle,
+    lettered: parseLetteredPuzzle,
+    notation: parseRushHourNotation,
+    json: parseJsonPuzzle,
+};
+
+const NOTATION = /^[A-Za-z.]{36}$/;
+const GOAL_LINE = /^Objetivo\s*:/i;
+const EXIT_LINE = /^Salida\s*:/i;
+const VEHICLE_LETTER = /^[A-Z]$/;
+const TOKEN_GOAL = 'B';
+
+/**
+ * Tells which format a puzzle file uses. Text starting with `{` is JSON; a single 36-character
+ * line is the Rush Hour notation; an `Objetivo:` line or any vehicle letter other than `B` (the
+ * only letter the token format uses) means the lettered format; anything else is read as the
+ * token format.
+ *
+ * @param {string} puzzleText - Puzzle contents.
+ * @returns {PuzzleFormat} The detected format.
+ */
+const detectPuzzleFormat = (puzzleText) => {
+    const lines = puzzleText
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line.length > 0);
+
+    if (lines[0]?.startsWith('{')) {
+        return 'json';
+    }
+
+    if (lines.length === 1 && NOTATION.test(lines[0])) {
+        return 'notation';
+    }
+
+    if (lines.some((line) => GOAL_LINE.test(line))) {
+        return 'lettered';
+    }
+
+    const hasLetters = lines
+        .filter((line) => !EXIT_LINE.test(line))
+        .some((line) =>
+            line.split(/\s+/).some((token) => VEHICLE_LETTER.test(token) && token !== TOKEN_GOAL),
+        );
+    return hasLetters ? 'lettered' : 'tokens';
+};
+
+/**
+ * Parses a puzzle in whichever format it is written.
+ *
+ * @param {string} puzzleText - Puzzle contents.
+ * @param {PuzzleFormat} [format] - Format to read, when it is already known (e.g. from a puzzle
+ *   manifest); detected from the text by default.
+ * @throws {Error} If the text is not a valid puzzle in its format.
+ * @returns {import('./boardRenderer.js').ParsedBoard} The board.
+ */
+const parsePuzzleText = (puzzleText, format = detectPuzzleFormat(puzzleText)) =>
+    PARSERS[format](puzzleText);
+
+/**
+ * Detects the format, parses the puzzle and reports its problems the way
+ * {@link validatePuzzleText} does. The token format gets the strict validator's full list of
+ * errors and warnings; the other formats report the first error their parser finds.
+ *
+ * @param {string} puzzleText - Puzzle contents.
+ * @returns {{ format: PuzzleFormat } & import('./puzzleValidator.js').PuzzleValidation} The
+ *   format, the diagnostics and the board (null when there are errors).
+ */
+const readPuzzle = (puzzleText) => {
+    const format = detectPuzzleFormat(puzzleText);
+
+    if (format === 'tokens') {
+        return { format, ...validatePuzzleText(puzzleText) };
+    }
+
+    try {
+        return { format, diagnostics: [], board: PARSERS[format](puzzleText) };
+    } catch (error) {
+        const diagnostic = {
+            severity: 'error',
+            code: 'invalid-format',
+            message: error.message,
+            line: error.line ?? null,
+            column: error.column ?? null,
+            row: null,
+            col: null,
+            token: null,
+        };
+        return { format, diagnostics: [diagnostic], board: null };
+    }
+};
+
+export { FORMAT_NAMES, detectPuzzleFormat, parsePuzzleText, readPuzzle };
@@ -0,0 +1,171 @@
+import { FORMAT_NAMES } from './puzzleFormats.js';
+import { readPuzzleMetadata } from './jsonPuzzle.js';
+
+/**
+ * @typedef {Object} PuzzleEntry
+ * @property {string} id - Id within its collection.
+ * @property {string} key - Id unique across collections, `coleccion/puzzle`.
+ * @property {string} name - Name shown in the puzzle list.
+ * @property {string} path - URL of the puzzle file, resolved against the manifest's URL.
+ * @property {import('./puzzleFormats.js').PuzzleFormat | null} format - Declared format, or null
+ *   to detect it from the contents.
+ * @property {import('./jsonPuzzle.js').PuzzleMetadata | null} metadata - Listed metadata.
+ */
+
+/**
+ * @typedef {Object} PuzzlePack
+ * @property {string} id - Pack id.
+ * @property {string} name - Name shown as the group label.
+ * @property {PuzzleEntry[]} puzzles - Puzzles in manifest order.
+ */
+
+/**
+ * @typedef {Object} PuzzleCollection
+ * @property {string} id - Collection id.
+ * @property {string} name - Readable name.
+ * @property {string} url - Where the manifest was read from.
+ * @property {PuzzlePack[]} packs - Packs with at least one puzzle, in manifest order.
+ */
+
+const ID = /^[A-Za-z0-9_-]+$/;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const requireId = (value, path) => {
+    if (typeof value !== 'string' || !ID.test(value)) {
+        throw new Error(`"${path}" debe ser un id de letras, numeros, "-" o "_".`);
+    }
+    return value;
+};
+
+const requireText = (value, path) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`"${path}" debe ser un texto no vacio.`);
+    }
+    return value.trim();
+};
+
+const readPacks = (packs) => {
+    if (!Array.isArray(packs)) {
+        throw new Error('"packs" debe ser una lista.');
+    }
+
+    const byId = new Map();
+    packs.forEach((pack, index) => {
+        const path = `packs[${index}]`;
+        if (!isObject(pack)) {
+            throw new Error(`"${path}" debe ser un objeto.`);
+        }
+
+        const id = requireId(pack.id, `${path}.id`);
+        if (byId.has(id)) {
+            throw new Error(`El pack "${id}" se repite en "${path}".`);
+        }
+        byId.set(id, { id, name: requireText(pack.name, `${path}.name`), puzzles: [] });
+    });
+    return byId;
+};
+
+/**
+ * Reads a puzzle collection manifest, the `index.json` that lists the puzzles of a folder:
+ *
+ * ```json
+ * {
+ *   "id": "pruebas",
+ *   "name": "Tableros de prueba",
+ *   "packs": [{ "id": "principiante", "name": "Principiante" }],
+ *   "puzzles": [
+ *     {
+ *       "id": "puzzle-1",
+ *       "name": "Puzzle 1",
+ *       "path": "Puzzle1.txt",
+ *       "format": "tokens",
+ *       "pack": "principiante",
+ *       "metadata": { "difficulty": "facil", "optimalMoves": 3 }
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * `packs`, `format`, `pack` and `metadata` are optional. Puzzles without a pack are grouped in
+ * one named after the collection; `format` is detected from the contents when it is missing.
+ *
+ * @param {string} manifestText - JSON text of the manifest.
+ * @param {string} manifestUrl - Absolute URL of the manifest; puzzle paths are relative to it.
+ * @throws {Error} Naming the first invalid field, e.g. `"puzzles[3].path"`.
+ * @returns {PuzzleCollection} The collection.
+ */
+const parsePuzzleManifest = (manifestText, manifestUrl) => {
+    let data;
+    try {
+        data = JSON.parse(manifestText);
+    } catch (error) {
+        throw new Error(`El JSON del indice de puzzles no es valido: ${error.message}`);
+    }
+
+    if (!isObject(data)) {
+        throw new Error('El indice de puzzles debe ser un objeto.');
+    }
+
+    const id = requireId(data.id, 'id');
+    const name = requireText(data.name, 'name');
+    const packs = readPacks(data.packs ?? []);
+    const defaultPack = { id: '', name, puzzles: [] };
+    const puzzleIds = new Set();
+
+    if (!Array.isArray(data.puzzles)) {
+        throw new Error('"puzzles" debe ser una lista.');
+    }
+
+    data.puzzles.forEach((puzzle, index) => {
+        const path = `puzzles[${index}]`;
+        if (!isObject(puzzle)) {
+            throw new Error(`"${path}" debe ser un objeto.`);
+        }
+
+        const puzzleId = requireId(puzzle.id, `${path}.id`);
+        if (puzzleIds.has(puzzleId)) {
+            throw new Error(`El puzzle "${puzzleId}" se repite en "${path}".`);
+        }
+        puzzleIds.add(puzzleId);
+
+        const format = puzzle.format ?? null;
+        if (format !== null && !Object.hasOwn(FORMAT_NAMES, format)) {
+            throw new Error(
+                `"${path}.format" debe ser uno de: ${Object.keys(FORMAT_NAMES).join(', ')}.`,
+            );
+        }
+
+        let pack = defaultPack;
+        if (puzzle.pack !== undefined) {
+            pack = packs.get(puzzle.pack);
+            if (!pack) {
+                throw new Error(`"${path}.pack" nombra un pack que no existe: "${puzzle.pack}".`);
+            }
+        }
+
+        if (puzzle.metadata !== undefined && !isObject(puzzle.metadata)) {
+            throw new Error(`"${path}.metadata" debe ser un objeto.`);
+        }
+
+        pack.puzzles.push({
+            id: puzzleId,
+            key: `${id}/${puzzleId}`,
+            name: requireText(puzzle.name, `${path}.name`),
+            path: new URL(requireText(puzzle.path, `${path}.path`), manifestUrl).href,
+            format,
+            metadata: puzzle.metadata
+                ? readPuzzleMetadata(puzzle.metadata, `${path}.metadata.`)
+                : null,
+        });
+    });
+
+    return {
+        id,
+        name,
+        url: manifestUrl,
+        packs: [...packs.values(), defaultPack].filter((pack) => pack.puzzles.length > 0),
+    };
+};
+
+export { parsePuzzleManifest };
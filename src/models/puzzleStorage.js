@@ -0,0 +1,294 @@
+import { detectPuzzleFormat } from './puzzleFormats.js';
+
+/**
+ * Key under which the whole library is stored, as one JSON document.
+ * @constant
+ * @type {string}
+ */
+const STORAGE_KEY = 'traffic-jam:biblioteca';
+
+/** Prefix of the keys of saved puzzles, next to the `coleccion/puzzle` keys of manifests. */
+const SAVED_PREFIX = 'local/';
+
+/**
+ * @typedef {Object} SavedPuzzle
+ * @property {string} id - Id within the library.
+ * @property {string} key - Puzzle key, `local/<id>`.
+ * @property {string} name - Name chosen by the user.
+ * @property {string} content - Puzzle text, in any format.
+ * @property {import('./puzzleFormats.js').PuzzleFormat} format - Format of `content`.
+ * @property {'import' | 'editor'} source - Where the puzzle came from.
+ * @property {string} savedAt - ISO date of when it was saved.
+ */
+
+/**
+ * @typedef {Object} AlgorithmHistory
+ * @property {number} runs - Times the algorithm was run to the end (aborted runs excluded).
+ * @property {number} solved - How many of those found a solution.
+ * @property {{ depth: number, explored: number, timeMs: number } | null} best - Lowest value of
+ *   every metric over the solved runs, each on its own.
+ * @property {string} lastRunAt - ISO date of the last run.
+ */
+
+/**
+ * @typedef {Object} PuzzleHistory
+ * @property {Record<string, AlgorithmHistory>} algorithms - By algorithm key.
+ * @property {number} manualSolves - Times the user solved it in play mode.
+ * @property {number | null} bestManualMoves - Fewest moves of a manual solution.
+ */
+
+/**
+ * @typedef {Object} KeyValueStorage
+ * The part of the Web Storage API the library needs (`localStorage` fits).
+ * @property {(key: string) => string | null} getItem
+ * @property {(key: string, value: string) => void} setItem
+ */
+
+/**
+ * @typedef {Object} PuzzleStorage
+ * @property {() => SavedPuzzle[]} listPuzzles - Saved puzzles, oldest first.
+ * @property {(puzzle: { name: string, content: string, source?: 'import' | 'editor' }) =>
+ *   SavedPuzzle} savePuzzle - Saves a new puzzle.
+ * @property {(id: string, name: string) => SavedPuzzle | null} renamePuzzle - Renames a puzzle.
+ * @property {(id: string) => boolean} deletePuzzle - Deletes a puzzle and its history.
+ * @property {(puzzleKey: string) => PuzzleHistory} getHistory - History of a puzzle.
+ * @property {(puzzleKey: string, algorithm: string, result: Object) => PuzzleHistory} recordRun
+ *   - Records a solver run.
+ * @property {(puzzleKey: string, moveCount: number) => PuzzleHistory} recordManualSolve -
+ *   Records a solution found in play mode.
+ */
+
+/**
+ * In-memory {@link KeyValueStorage}, for browsers where `localStorage` is not available and for
+ * tests. Nothing survives a reload.
+ *
+ * @returns {KeyValueStorage & { removeItem: (key: string) => void }} The storage.
+ */
+const createMemoryStorage = () => {
+    const items = new Map();
+
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            items.set(key, String(value));
+        },
+        removeItem: (key) => {
+            items.delete(key);
+        },
+    };
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const emptyLibrary = () => ({ puzzles: [], history: {} });
+
+const emptyHistory = () => ({ algorithms: {}, manualSolves: 0, bestManualMoves: null });
+
+const minimum = (previous, value) => (previous === undefined ? value : Math.min(previous, value));
+
+/**
+ * Name of the file a saved puzzle is exported to: its name without characters that file systems
+ * reject, with `.json` for JSON puzzles and `.txt` for the text formats.
+ *
+ * @param {SavedPuzzle} puzzle - Saved puzzle.
+ * @returns {string} The file name.
+ */
+const exportFileName = (puzzle) => {
+    const base = puzzle.name.replace(/[\\/:*?"<>|]+/g, '').trim() || 'puzzle';
+    return `${base}${puzzle.format === 'json' ? '.json' : '.txt'}`;
+};
+
+/**
+ * Describes a puzzle's history in readable lines: one per algorithm run on it and one for the
+ * manual solutions. An empty history gives no lines.
+ *
+ * @param {PuzzleHistory} history - History from `getHistory`.
+ * @param {(algorithm: string) => string} [algorithmName] - Readable name of an algorithm key.
+ * @returns {string[]} The lines.
+ */
+const summarizeHistory = (history, algorithmName = (algorithm) => algorithm) => {
+    const lines = Object.entries(history.algorithms).map(([algorithm, { runs, solved, best }]) => {
+        const line = `${algorithmName(algorithm)}: ${runs} ejecucion(es), ${solved} con solucion`;
+        if (!best) {
+            return line;
+        }
+        return (
+            `${line}; mejor: ${best.depth} movimientos, ${best.explored} nodos, ` +
+            `${best.timeMs} ms`
+        );
+    });
+
+    if (history.manualSolves) {
+        lines.push(
+            `Resuelto a mano ${history.manualSolves} vez/veces; ` +
+                `mejor: ${history.bestManualMoves} movimientos`,
+        );
+    }
+    return lines;
+};
+
+/**
+ * Creates the library of saved puzzles and per-puzzle history. Everything is kept in `storage`
+ * as one JSON document under {@link STORAGE_KEY}; a missing or unreadable document counts as an
+ * empty library. Writing errors (e.g. the storage quota) are thrown to the caller.
+ *
+ * History is kept by puzzle key, so it works for manifest puzzles (`coleccion/puzzle`) as well
+ * as saved ones (`local/<id>`); deleting a saved puzzle deletes its history too.
+ *
+ * @param {KeyValueStorage} [storage] - Where to keep the library; `localStorage` by default.
+ * @param {Object} [options]
+ * @param {() => number} [options.now] - Clock, in milliseconds; `Date.now` by default.
+ * @returns {PuzzleStorage} The library.
+ */
+const createPuzzleStorage = (storage = globalThis.localStorage, { now = Date.now } = {}) => {
+    const read = () => {
+        try {
+            const library = JSON.parse(storage.getItem(STORAGE_KEY));
+            if (Array.isArray(library?.puzzles) && isObject(library.history)) {
+                return library;
+            }
+        } catch {
+            // Corrupt documents are treated as empty; the next write replaces them.
+        }
+        return emptyLibrary();
+    };
+
+    const write = (library) => {
+        storage.setItem(STORAGE_KEY, JSON.stringify(library));
+    };
+
+    const timestamp = () => new Date(now()).toISOString();
+
+    /** @returns {SavedPuzzle[]} Saved puzzles, oldest first. */
+    const listPuzzles = () => read().puzzles;
+
+    /**
+     * @param {{ name: string, content: string, source?: 'import' | 'editor' }} puzzle
+     * @returns {SavedPuzzle} The puzzle as saved, with its id and key.
+     */
+    const savePuzzle = ({ name, content, source = 'import' }) => {
+        const library = read();
+        const ids = new Set(library.puzzles.map((puzzle) => puzzle.id));
+        let id = now().toString(36);
+        for (let suffix = 2; ids.has(id); suffix += 1) {
+            id = `${now().toString(36)}-${suffix}`;
+        }
+
+        const trimmed = content.trimEnd();
+        const saved = {
+            id,
+            key: `${SAVED_PREFIX}${id}`,
+            name: name.trim() || 'Puzzle sin nombre',
+            content: trimmed,
+            format: detectPuzzleFormat(trimmed),
+            source,
+            savedAt: timestamp(),
+        };
+
+        library.puzzles.push(saved);
+        write(library);
+        return saved;
+    };
+
+    /** @returns {SavedPuzzle | null} The renamed puzzle, or null if there is no such id. */
+    const renamePuzzle = (id, name) => {
+        const library = read();
+        const puzzle = library.puzzles.find((candidate) => candidate.id === id);
+        if (!puzzle || !name.trim()) {
+            return null;
+        }
+
+        puzzle.name = name.trim();
+        write(library);
+        return puzzle;
+    };
+
+    /** @returns {boolean} Whether a puzzle was deleted. */
+    const deletePuzzle = (id) => {
+        const library = read();
+        const index = library.puzzles.findIndex((puzzle) => puzzle.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        const [removed] = library.puzzles.splice(index, 1);
+        delete library.history[removed.key];
+        write(library);
+        return true;
+    };
+
+    /** @returns {PuzzleHistory} History of a puzzle key, empty if nothing was recorded. */
+    const getHistory = (puzzleKey) => read().history[puzzleKey] ?? emptyHistory();
+
+    const updateHistory = (puzzleKey, update) => {
+        const library = read();
+        const history = library.history[puzzleKey] ?? emptyHistory();
+        update(history);
+        library.history[puzzleKey] = history;
+        write(library);
+        return history;
+    };
+
+    /**
+     * Records a finished solver run. Aborted runs are ignored.
+     *
+     * @param {string} puzzleKey - Key of the puzzle.
+     * @param {string} algorithm - Algorithm key.
+     * @param {{ status: string, metrics: { depth: number, explored: number, timeMs: number } }}
+     *   result - Solver result.
+     * @returns {PuzzleHistory} The updated history.
+     */
+    const recordRun = (puzzleKey, algorithm, { status, metrics }) => {
+        if (status === 'aborted') {
+            return getHistory(puzzleKey);
+        }
+
+        return updateHistory(puzzleKey, (history) => {
+            const entry = history.algorithms[algorithm] ?? { runs: 0, solved: 0, best: null };
+            entry.runs += 1;
+            entry.lastRunAt = timestamp();
+
+            if (status === 'solved') {
+                entry.solved += 1;
+                entry.best = {
+                    depth: minimum(entry.best?.depth, metrics.depth),
+                    explored: minimum(entry.best?.explored, metrics.explored),
+                    timeMs: minimum(entry.best?.timeMs, metrics.timeMs),
+                };
+            }
+
+            history.algorithms[algorithm] = entry;
+        });
+    };
+
+    /**
+     * Records that the user solved a puzzle in play mode.
+     *
+     * @param {string} puzzleKey - Key of the puzzle.
+     * @param {number} moveCount - Moves the solution took.
+     * @returns {PuzzleHistory} The updated history.
+     */
+    const recordManualSolve = (puzzleKey, moveCount) =>
+        updateHistory(puzzleKey, (history) => {
+            history.manualSolves += 1;
+            history.bestManualMoves = minimum(history.bestManualMoves ?? undefined, moveCount);
+        });
+
+    return {
+        listPuzzles,
+        savePuzzle,
+        renamePuzzle,
+        deletePuzzle,
+        getHistory,
+        recordRun,
+        recordManualSolve,
+    };
+};
+
+export {
+    STORAGE_KEY,
+    createMemoryStorage,
+    createPuzzleStorage,
+    exportFileName,
+    summarizeHistory,
+};
@@ -0,0 +1,355 @@
+import {
+    HORIZONTAL_TOKENS,
+    VERTICAL_TOKENS,
+    EMPTY_TOKEN,
+    WALL_TOKEN,
+    parsePuzzle,
+} from './boardRenderer.js';
+
+/**
+ * @typedef {Object} PuzzleDiagnostic
+ * @property {'error' | 'warning'} severity - Errors make the puzzle unusable; warnings point at
+ *   text that parses, but probably not as the author intended.
+ * @property {string} code - Stable identifier of the problem (e.g. `ragged-row`).
+ * @property {string} message - Readable explanation.
+ * @property {number | null} line - 1-based line in the text.
+ * @property {number | null} column - 1-based character column in that line.
+ * @property {number | null} row - Board row (0-based) when the problem is on a cell.
+ * @property {number | null} col - Board column (0-based) when the problem is on a cell.
+ * @property {string | null} token - Token found at that position.
+ */
+
+/**
+ * @typedef {Object} PuzzleValidation
+ * @property {PuzzleDiagnostic[]} diagnostics - Problems found, ordered by position in the text.
+ * @property {import('./boardRenderer.js').ParsedBoard | null} board - Parsed board, or null
+ *   when there are errors.
+ */
+
+const GOAL_TOKEN = 'B';
+const HEAD_TOKENS = { horizontal: '>', vertical: 'v' };
+const KNOWN_TOKENS = new Set([...HORIZONTAL_TOKENS, ...VERTICAL_TOKENS, EMPTY_TOKEN, WALL_TOKEN]);
+const EXIT_LINE = /^Salida\s*:/i;
+const EXIT_FORMAT = /^Salida\s*:\s*(-?\d+)\s*,\s*(-?\d+)\s*$/i;
+
+const SEVERITY_LABELS = { error: 'error', warning: 'advertencia' };
+
+const createDiagnostic = (severity, code, message, location = {}) => ({
+    severity,
+    code,
+    message,
+    line: location.line ?? null,
+    column: location.column ?? null,
+    row: location.row ?? null,
+    col: location.col ?? null,
+    token: location.token ?? null,
+});
+
+/**
+ * Non-blank lines with their 1-based number, the same lines `parsePuzzle` keeps.
+ */
+const readLines = (puzzleText) =>
+    puzzleText
+        .split(/\r?\n/)
+        .map((text, index) => ({ number: index + 1, text: text.trimEnd() }))
+        .filter((line) => line.text.length > 0);
+
+const tokenize = (line) =>
+    [...line.text.matchAll(/\S+/g)].map((match) => ({ token: match[0], column: match.index + 1 }));
+
+const isOnBorder = ({ row, col }, rows, columns) =>
+    row === 0 || col === 0 || row === rows - 1 || col === columns - 1;
+
+/**
+ * Cells the goal vehicle has to cross to reach the exit, not counting its own cells.
+ */
+const pathToExit = (goal, exit) => {
+    const isHorizontal = goal.orientation === 'horizontal';
+    const positions = goal.cells.map((cell) => (isHorizontal ? cell.col : cell.row));
+    const target = isHorizontal ? exit.col : exit.row;
+    const start = Math.min(...positions);
+    const end = Math.max(...positions);
+    const [from, to] = target > end ? [end + 1, target] : [target, start - 1];
+
+    return Array.from({ length: Math.max(to - from + 1, 0) }, (_, offset) =>
+        isHorizontal
+            ? { row: exit.row, col: from + offset }
+            : { row: from + offset, col: exit.col },
+    );
+};
+
+/**
+ * Vehicle-level checks on top of the vehicles `parsePuzzle` builds from the grid.
+ */
+const checkVehicles = (puzzleText, { rows, width, exit, locate, error, warn }) => {
+    const { vehicles } = parsePuzzle(puzzleText);
+    // A `B` between a horizontal and a vertical run can be collected by both vehicles.
+    const goalCells = [
+        ...new Map(
+            vehicles
+                .flatMap((vehicle) => vehicle.cells.filter((cell) => cell.token === GOAL_TOKEN))
+                .map((cell) => [`${cell.row}:${cell.col}`, cell]),
+        ).values(),
+    ];
+
+    if (!goalCells.length) {
+        error('missing-goal', 'No hay vehiculo objetivo: falta la ficha B.');
+        return;
+    }
+
+    goalCells.slice(1).forEach(({ row, col }) => {
+        error(
+            'multiple-goals',
+            'Hay mas de una ficha B; solo puede haber un vehiculo objetivo.',
+            locate(row, col),
+        );
+    });
+
+    const tokenAt = (row, col) => rows[row]?.tokens[col]?.token;
+    const [goalCell] = goalCells;
+    const hasHorizontalNeighbor = [-1, 1].some((step) =>
+        HORIZONTAL_TOKENS.has(tokenAt(goalCell.row, goalCell.col + step)),
+    );
+    const hasVerticalNeighbor = [-1, 1].some((step) =>
+        VERTICAL_TOKENS.has(tokenAt(goalCell.row + step, goalCell.col)),
+    );
+
+    if (hasHorizontalNeighbor && hasVerticalNeighbor) {
+        warn(
+            'ambiguous-goal',
+            'La ficha B tiene piezas vecinas horizontales y verticales; ' +
+                'puede quedar unida al vehiculo equivocado.',
+            locate(goalCell.row, goalCell.col),
+        );
+    }
+
+    vehicles.forEach((vehicle) => {
+        if (vehicle.orientation === 'single' || vehicle.orientation === 'fixed') {
+            return;
+        }
+
+        const first = vehicle.cells[0];
+        const last = vehicle.cells.at(-1);
+        const heads = vehicle.cells.filter(
+            (cell) => cell.token === HEAD_TOKENS[vehicle.orientation] || cell.token === GOAL_TOKEN,
+        );
+        // The goal may carry its `B` at the front too, e.g. when it exits to the left.
+        const headInPlace = heads[0] === last || (vehicle.isGoal && heads[0] === first);
+        const where = `de la fila ${first.row}, columna ${first.col}`;
+        const name = vehicle.orientation;
+
+        if (!heads.length) {
+            warn(
+                'missing-head',
+                `El vehiculo ${name} ${where} no termina en "${HEAD_TOKENS[vehicle.orientation]}".`,
+                locate(last.row, last.col),
+            );
+        } else if (heads.length > 1) {
+            warn(
+                'merged-vehicles',
+                `Las piezas ${where} forman un solo vehiculo de ${vehicle.length} casillas con ` +
+                    `${heads.length} fichas finales; probablemente son vehiculos pegados.`,
+                locate(first.row, first.col),
+            );
+        } else if (!headInPlace) {
+            warn(
+                'misplaced-head',
+                `La ficha "${heads[0].token}" deberia ser la ultima del vehiculo ${name} ${where}.`,
+                locate(heads[0].row, heads[0].col),
+            );
+        }
+    });
+
+    const goal = vehicles.find((vehicle) => vehicle.isGoal);
+
+    if (goal.orientation === 'single') {
+        error(
+            'isolated-goal',
+            'La ficha B no esta unida a otras piezas: el vehiculo objetivo no podria moverse.',
+            locate(goalCell.row, goalCell.col),
+        );
+        return;
+    }
+
+    if (!exit) {
+        return;
+    }
+
+    const isHorizontal = goal.orientation === 'horizontal';
+    const goalLine = isHorizontal ? goal.cells[0].row : goal.cells[0].col;
+
+    if ((isHorizontal ? exit.row : exit.col) !== goalLine) {
+        const lineName = isHorizontal ? 'fila' : 'columna';
+        error(
+            'exit-not-aligned',
+            `La salida ${exit.row},${exit.col} no esta en la ${lineName} ${goalLine} del ` +
+                `vehiculo objetivo, que es ${goal.orientation}.`,
+            locate(goalCell.row, goalCell.col),
+        );
+        return;
+    }
+
+    // Walls never move, and a vehicle on the goal's own line can only slide along it, so with the
+    // exit on the border it can never get out of the way.
+    const exitOnBorder = isOnBorder(exit, rows.length, width);
+    const blockers = new Set();
+    pathToExit(goal, exit).forEach(({ row, col }) => {
+        const blocker = vehicles.find((vehicle) =>
+            vehicle.cells.some((cell) => cell.row === row && cell.col === col),
+        );
+        const isStuck =
+            blocker &&
+            (blocker.orientation === 'fixed' ||
+                (exitOnBorder && blocker.orientation === goal.orientation));
+
+        if (isStuck && !blockers.has(blocker)) {
+            blockers.add(blocker);
+            warn(
+                'blocked-exit',
+                `La pieza de la fila ${row}, columna ${col} nunca podra apartarse del camino ` +
+                    'del vehiculo objetivo: el puzzle no tiene solucion.',
+                locate(row, col),
+            );
+        }
+    });
+};
+
+/**
+ * Whether any diagnostic is an error.
+ *
+ * @param {PuzzleDiagnostic[]} diagnostics - Output of {@link validatePuzzleText}.
+ * @returns {boolean} True if the puzzle cannot be used.
+ */
+const hasErrors = (diagnostics) =>
+    diagnostics.some((diagnostic) => diagnostic.severity === 'error');
+
+/**
+ * Checks a puzzle text strictly and reports every problem with its position, instead of
+ * failing on the first one (or not at all) like `parsePuzzle`.
+ *
+ * Errors: empty text, missing or malformed `Salida` line, rows of different widths, exit outside
+ * the grid, no goal or several `B` tokens, a goal that cannot move, and an exit off the goal's
+ * axis. Warnings: unknown tokens (read as fixed obstacles), lines after the exit, vehicles
+ * without, with several or with a misplaced head token (`>`/`v`/`B`), a `B` with both
+ * horizontal and vertical neighbours, and vehicles that can never clear the goal's way out.
+ *
+ * @param {string} puzzleText - Puzzle in the text format.
+ * @returns {PuzzleValidation} Diagnostics, plus the parsed board when there are no errors.
+ */
+const validatePuzzleText = (puzzleText) => {
+    const diagnostics = [];
+    const error = (code, message, location) =>
+        diagnostics.push(createDiagnostic('error', code, message, location));
+    const warn = (code, message, location) =>
+        diagnostics.push(createDiagnostic('warning', code, message, location));
+
+    const lines = readLines(puzzleText);
+    const exitIndex = lines.findIndex((line) => EXIT_LINE.test(line.text));
+    const boardLines = exitIndex === -1 ? lines : lines.slice(0, exitIndex);
+    const rows = boardLines.map((line) => ({ number: line.number, tokens: tokenize(line) }));
+    const width = rows[0]?.tokens.length ?? 0;
+
+    const locate = (row, col) => {
+        const { number, tokens } = rows[row];
+        return { line: number, column: tokens[col].column, row, col, token: tokens[col].token };
+    };
+
+    if (!lines.length) {
+        error('empty', 'El puzzle esta vacio.');
+        return { diagnostics, board: null };
+    }
+
+    if (!rows.length) {
+        error('missing-board', 'El puzzle no contiene una representacion de tablero.', {
+            line: lines[0].number,
+            column: 1,
+        });
+    }
+
+    rows.forEach(({ number, tokens }, row) => {
+        if (tokens.length !== width) {
+            const extra = tokens[width] ?? tokens.at(-1);
+            error(
+                'ragged-row',
+                `La fila ${row} tiene ${tokens.length} casillas y se esperaban ${width} ` +
+                    '(como en la fila 0).',
+                { line: number, column: extra?.column ?? 1, row },
+            );
+        }
+
+        tokens.forEach(({ token }, col) => {
+            if (!KNOWN_TOKENS.has(token)) {
+                warn(
+                    'unknown-token',
+                    `Ficha desconocida "${token}": se tratara como una pieza suelta de una casilla.`,
+                    locate(row, col),
+                );
+            }
+        });
+    });
+
+    let exit = null;
+    let exitIsReadable = false;
+
+    if (exitIndex === -1) {
+        error('missing-exit', 'No se encontro la linea de salida en el puzzle.');
+    } else {
+        const exitLine = lines[exitIndex];
+        const match = EXIT_FORMAT.exec(exitLine.text.trim());
+        const location = { line: exitLine.number, column: exitLine.text.search(/\S/) + 1 };
+
+        lines.slice(exitIndex + 1).forEach((line) => {
+            warn('ignored-line', 'Esta linea esta despues de la salida y se ignora.', {
+                line: line.number,
+                column: line.text.search(/\S/) + 1,
+            });
+        });
+
+        if (!match) {
+            error(
+                'invalid-exit',
+                'Formato de salida invalido: se esperaba "Salida: fila,columna".',
+                location,
+            );
+        } else {
+            exitIsReadable = true;
+            exit = { row: Number(match[1]), col: Number(match[2]) };
+            const isInside =
+                exit.row >= 0 && exit.col >= 0 && exit.row < rows.length && exit.col < width;
+
+            if (!isInside) {
+                error(
+                    'exit-outside',
+                    `La salida ${exit.row},${exit.col} esta fuera del tablero de ` +
+                        `${rows.length}x${width}.`,
+                    location,
+                );
+                exit = null;
+            }
+        }
+    }
+
+    if (rows.length && exitIsReadable) {
+        checkVehicles(puzzleText, { rows, width, exit, locate, error, warn });
+    }
+
+    diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+
+    return { diagnostics, board: hasErrors(diagnostics) ? null : parsePuzzle(puzzleText) };
+};
+
+/**
+ * One-line description of a diagnostic, e.g. `linea 3, columna 5: error: ...`.
+ *
+ * @param {PuzzleDiagnostic} diagnostic - Diagnostic to format.
+ * @returns {string} Readable line.
+ */
+const formatDiagnostic = ({ severity, message, line, column }) => {
+    const location = [line && `linea ${line}`, column && `columna ${column}`]
+        .filter(Boolean)
+        .join(', ');
+    const prefix = location ? `${location}: ` : '';
+    return `${prefix}${SEVERITY_LABELS[severity]}: ${message}`;
+};
+
+export { validatePuzzleText, hasErrors, formatDiagnostic };
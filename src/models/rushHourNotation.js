@@ -0,0 +1,222 @@
+import { createBoardData, vehicleAnchor } from './boardRenderer.js';
+
+/** @typedef {import('../algorithms/solverCore.js').Position} Position */
+
+/**
+ * @typedef {Object} RushHourEntry
+ * @property {number} line - 1-based line of the entry in the dataset text.
+ * @property {string} notation - 36-character board.
+ * @property {number | null} moves - Known optimal move count, null when the line has none.
+ * @property {number | null} clusterSize - Size of the puzzle's state-space cluster, if given.
+ */
+
+/**
+ * Side of the boards the notation describes.
+ * @constant
+ * @type {number}
+ */
+const RUSH_HOUR_SIZE = 6;
+
+/**
+ * Exit cell of every notation board: the right end of the third row, where the red car leaves.
+ * @constant
+ * @type {Position}
+ */
+const RUSH_HOUR_EXIT = Object.freeze({ row: 2, col: RUSH_HOUR_SIZE - 1 });
+
+const GOAL_LETTER = 'A';
+const EMPTY_LETTERS = new Set(['o', '.']);
+const NOTATION_WALL = 'x';
+const VEHICLE_LETTERS = 'BCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Turns the cells of one letter into a vehicle, checking they form a straight unbroken line.
+ */
+const letterToVehicle = (letter, positions) => {
+    const sameRow = positions.every(({ row }) => row === positions[0].row);
+    const sameCol = positions.every(({ col }) => col === positions[0].col);
+    const orientation = sameRow ? 'horizontal' : 'vertical';
+    const isGoal = letter === GOAL_LETTER;
+
+    if (positions.length < 2 || (!sameRow && !sameCol)) {
+        throw new Error(`El vehiculo ${letter} debe ocupar al menos 2 casillas en linea recta.`);
+    }
+
+    const offsets = positions.map(({ row, col }) => (sameRow ? col : row));
+    const isContiguous = offsets.every((offset, index) => offset === offsets[0] + index);
+    if (!isContiguous) {
+        throw new Error(`Las casillas del vehiculo ${letter} no son contiguas.`);
+    }
+
+    if (isGoal && (!sameRow || positions[0].row !== RUSH_HOUR_EXIT.row)) {
+        const where = `la fila ${RUSH_HOUR_EXIT.row}`;
+        throw new Error(`El vehiculo ${GOAL_LETTER} debe ser horizontal y estar en ${where}.`);
+    }
+
+    return { orientation, isGoal, letter, cells: positions };
+};
+
+/**
+ * Reads a board in the 36-character Rush Hour notation used by community databases (such as
+ * Michael Fogleman's dataset): the 6x6 grid row by row, `o` (or `.`) for empty cells, `x` for
+ * walls, `A` for the red car and any other letter for the rest of the vehicles. The red car
+ * leaves through the right end of the third row.
+ *
+ * Unlike the text format, vehicles touching end to end stay separate because every one has its
+ * own letter. Walls become fixed single-cell vehicles.
+ *
+ * @param {string} notation - The 36 characters (surrounding whitespace is ignored).
+ * @returns {import('./boardRenderer.js').ParsedBoard} Board in the `parsePuzzle` shape; every
+ *   vehicle also keeps its `letter`.
+ */
+const parseRushHourNotation = (notation) => {
+    const characters = [...notation.trim()];
+
+    if (characters.length !== RUSH_HOUR_SIZE * RUSH_HOUR_SIZE) {
+        throw new Error(
+            `La notacion debe tener ${RUSH_HOUR_SIZE * RUSH_HOUR_SIZE} caracteres ` +
+                `y tiene ${characters.length}.`,
+        );
+    }
+
+    const letters = new Map();
+    const walls = [];
+    characters.forEach((character, index) => {
+        const position = {
+            row: Math.floor(index / RUSH_HOUR_SIZE),
+            col: index % RUSH_HOUR_SIZE,
+        };
+
+        if (EMPTY_LETTERS.has(character)) {
+            return;
+        }
+        if (character === NOTATION_WALL) {
+            walls.push({ index, position });
+            return;
+        }
+        if (!/^[A-Z]$/.test(character)) {
+            throw new Error(`Caracter invalido "${character}" en la posicion ${index + 1}.`);
+        }
+
+        if (!letters.has(character)) {
+            letters.set(character, { index, positions: [] });
+        }
+        letters.get(character).positions.push(position);
+    });
+
+    if (!letters.has(GOAL_LETTER)) {
+        throw new Error(`Falta el vehiculo objetivo ${GOAL_LETTER}.`);
+    }
+
+    // Same order as `parsePuzzle`: by the first cell of each vehicle, row by row.
+    const vehicles = [
+        ...[...letters].map(([letter, { index, positions }]) => ({
+            index,
+            vehicle: letterToVehicle(letter, positions),
+        })),
+        ...walls.map(({ index, position }) => ({
+            index,
+            vehicle: { orientation: 'fixed', cells: [position] },
+        })),
+    ]
+        .sort((first, second) => first.index - second.index)
+        .map(({ vehicle }) => vehicle);
+
+    return createBoardData(RUSH_HOUR_SIZE, RUSH_HOUR_SIZE, { ...RUSH_HOUR_EXIT }, vehicles);
+};
+
+/**
+ * Writes a board in the 36-character Rush Hour notation. The goal vehicle is `A` and the rest
+ * are lettered `B`, `C`, ... in the order of `boardData.vehicles`.
+ *
+ * @param {import('./boardRenderer.js').ParsedBoard} boardData - A 6x6 board with the exit at the
+ *   right end of the third row and a horizontal goal vehicle on that row.
+ * @param {Position[]} [positions] - Anchor of every vehicle, e.g. a solver state from
+ *   `decodeState`; the board's own layout by default.
+ * @returns {string} The notation.
+ */
+const formatRushHourNotation = (boardData, positions = boardData.vehicles.map(vehicleAnchor)) => {
+    const { rows, columns, exit, vehicles } = boardData;
+    const goal = vehicles.find((vehicle) => vehicle.isGoal);
+
+    if (rows !== RUSH_HOUR_SIZE || columns !== RUSH_HOUR_SIZE) {
+        throw new Error(`La notacion solo admite tableros de ${RUSH_HOUR_SIZE}x${RUSH_HOUR_SIZE}.`);
+    }
+    if (exit.row !== RUSH_HOUR_EXIT.row || exit.col !== RUSH_HOUR_EXIT.col) {
+        throw new Error(
+            `La notacion exige la salida en ${RUSH_HOUR_EXIT.row},${RUSH_HOUR_EXIT.col}.`,
+        );
+    }
+    if (!goal || goal.orientation !== 'horizontal') {
+        throw new Error('La notacion exige un vehiculo objetivo horizontal.');
+    }
+    if (vehicles.some((vehicle) => vehicle.orientation === 'single')) {
+        throw new Error('La notacion no admite piezas sueltas de una casilla.');
+    }
+    if (vehicles.filter((vehicle) => vehicle.orientation !== 'fixed').length > 26) {
+        throw new Error('La notacion admite como maximo 26 vehiculos.');
+    }
+
+    const characters = new Array(rows * columns).fill('o');
+    let nextLetter = 0;
+
+    vehicles.forEach((vehicle, index) => {
+        const { row, col } = positions[index];
+        let letter = NOTATION_WALL;
+
+        if (vehicle.isGoal) {
+            letter = GOAL_LETTER;
+        } else if (vehicle.orientation !== 'fixed') {
+            letter = VEHICLE_LETTERS[nextLetter];
+            nextLetter += 1;
+        }
+
+        for (let offset = 0; offset < vehicle.length; offset += 1) {
+            const cellRow = row + (vehicle.orientation === 'vertical' ? offset : 0);
+            const cellCol = col + (vehicle.orientation === 'horizontal' ? offset : 0);
+            characters[cellRow * columns + cellCol] = letter;
+        }
+    });
+
+    return characters.join('');
+};
+
+/**
+ * Reads a dataset of puzzles in the notation, one per line. Lines are either a bare notation or
+ * `moves notation clusterSize` as in Michael Fogleman's `rush.txt`; blank lines and lines
+ * starting with `#` are skipped. Notations are not parsed here, so one bad board does not stop
+ * the rest of the dataset from loading.
+ *
+ * @param {string} text - Dataset contents.
+ * @returns {RushHourEntry[]} The entries, in file order.
+ */
+const parseRushHourDataset = (text) =>
+    text.split(/\r?\n/).flatMap((rawLine, index) => {
+        const fields = rawLine.trim().split(/\s+/);
+
+        if (!fields[0] || fields[0].startsWith('#')) {
+            return [];
+        }
+
+        if (fields.length === 1) {
+            return [{ line: index + 1, notation: fields[0], moves: null, clusterSize: null }];
+        }
+
+        const [moves, notation, clusterSize] = fields;
+        return [
+            {
+                line: index + 1,
+                notation,
+                moves: Number.parseInt(moves, 10),
+                clusterSize: clusterSize === undefined ? null : Number.parseInt(clusterSize, 10),
+            },
+        ];
+    });
+
+export {
+    RUSH_HOUR_SIZE,
+    RUSH_HOUR_EXIT,
+    parseRushHourNotation,
+    formatRushHourNotation,
+    parseRushHourDataset,
+};
@@ -0,0 +1,240 @@
+/* Visual puzzle editor. Vehicles are painted on a grid by clicking a cell (with the chosen
+length) or dragging along a row or column; the goal vehicle and the exit are picked with their
+own tools. The draft and its validation live in models/puzzleEditor.js; this module only turns
+clicks into edits and redraws the grid, the diagnostics and the exported text. */
+
+import { cellsOf, createPuzzleEditor } from '../models/puzzleEditor.js';
+
+/** @typedef {import('../models/puzzleEditor.js').PuzzleEditor} PuzzleEditor */
+
+const cellKey = ({ row, col }) => `${row}:${col}`;
+
+/** Distinct hue per painted vehicle; the goal uses the board's goal color instead. */
+const vehicleColor = (index) => `hsl(${(index * 47 + 200) % 360} 65% 48%)`;
+
+/**
+ * Wires the editor markup (see the `editor-modal` section of index.html).
+ *
+ * @param {HTMLElement} root - Element containing the editor controls.
+ * @param {Object} [options] - Callbacks.
+ * @param {(text: string) => void} [options.onLoad] - Receives the exported text when the user
+ *   sends it to the solver.
+ * @returns {{ editor: PuzzleEditor, render: () => void }} The editor state and a redraw function.
+ */
+const createEditorPanel = (root, { onLoad } = {}) => {
+    const grid = root.querySelector('#editor-grid');
+    const rowsInput = root.querySelector('#editor-rows');
+    const columnsInput = root.querySelector('#editor-columns');
+    const lengthInput = root.querySelector('#editor-length');
+    const diagnosticsList = root.querySelector('#editor-diagnostics');
+    const output = root.querySelector('#editor-output');
+    const clearButton = root.querySelector('#editor-clear');
+    const downloadButton = root.querySelector('#editor-download');
+    const loadButton = root.querySelector('#editor-load');
+
+    const editor = createPuzzleEditor({
+        rows: Number(rowsInput?.value) || undefined,
+        columns: Number(columnsInput?.value) || undefined,
+    });
+    let paintStart = null;
+
+    const selectedTool = () => root.querySelector('input[name="editor-tool"]:checked')?.value;
+    const selectedLength = () => Number.parseInt(lengthInput?.value ?? '2', 10) || 2;
+
+    const renderGrid = (draft, diagnostics) => {
+        const owners = new Map();
+        draft.vehicles.forEach((vehicle, index) => {
+            cellsOf(vehicle).forEach((cell, offset) => {
+                owners.set(cellKey(cell), { vehicle, index, isFirst: offset === 0 });
+            });
+        });
+        const conflicts = new Set(
+            diagnostics.flatMap((diagnostic) => diagnostic.cells.map(cellKey)),
+        );
+
+        grid.style.setProperty('--rows', draft.rows);
+        grid.style.setProperty('--columns', draft.columns);
+
+        const cells = [];
+        for (let row = 0; row < draft.rows; row += 1) {
+            for (let col = 0; col < draft.columns; col += 1) {
+                const cell = document.createElement('button');
+                const owner = owners.get(cellKey({ row, col }));
+                cell.type = 'button';
+                cell.classList.add('editor-cell');
+                cell.dataset.row = String(row);
+                cell.dataset.col = String(col);
+                cell.setAttribute('aria-label', `Casilla ${row},${col}`);
+
+                if (owner) {
+                    cell.classList.add('occupied');
+                    cell.classList.toggle('goal', owner.vehicle.isGoal);
+                    cell.style.setProperty('--cell-color', vehicleColor(owner.index));
+                    if (owner.isFirst) {
+                        cell.textContent = owner.vehicle.isGoal ? 'B' : String(owner.index + 1);
+                    }
+                }
+                cell.classList.toggle('exit', draft.exit?.row === row && draft.exit?.col === col);
+                cell.classList.toggle('conflict', conflicts.has(cellKey({ row, col })));
+                cells.push(cell);
+            }
+        }
+        grid.replaceChildren(...cells);
+    };
+
+    const renderDiagnostics = (diagnostics) => {
+        if (!diagnosticsList) {
+            return;
+        }
+
+        const messages = diagnostics.length
+            ? diagnostics.map((diagnostic) => diagnostic.message)
+            : ['El puzzle es valido.'];
+        diagnosticsList.classList.toggle('valid', !diagnostics.length);
+        diagnosticsList.replaceChildren(
+            ...messages.map((message) => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                return item;
+            }),
+        );
+    };
+
+    const render = () => {
+        const draft = editor.getDraft();
+        const diagnostics = editor.validate();
+        const isValid = !diagnostics.length;
+
+        renderGrid(draft, diagnostics);
+        renderDiagnostics(diagnostics);
+        output && (output.value = isValid ? editor.toText() : '');
+        downloadButton && (downloadButton.disabled = !isValid);
+        loadButton && (loadButton.disabled = !isValid);
+    };
+
+    const cellFromPoint = (event) => {
+        const element = document.elementFromPoint(event.clientX, event.clientY);
+        const cell = element?.closest?.('.editor-cell');
+        return cell && grid.contains(cell)
+            ? { row: Number(cell.dataset.row), col: Number(cell.dataset.col) }
+            : null;
+    };
+
+    /**
+     * Paints a vehicle from the cell where the pointer went down to the one where it went up. A
+     * plain click (or a drag off the tool's axis) uses the length field instead.
+     */
+    const paintVehicle = (orientation, start, end) => {
+        const isHorizontal = orientation === 'horizontal';
+        const sameLine = end && (isHorizontal ? end.row === start.row : end.col === start.col);
+        const distance = sameLine && (isHorizontal ? end.col - start.col : end.row - start.row);
+        const span = Math.abs(distance || 0);
+
+        if (span > 0) {
+            editor.addVehicle({
+                row: isHorizontal ? start.row : Math.min(start.row, end.row),
+                col: isHorizontal ? Math.min(start.col, end.col) : start.col,
+                orientation,
+                length: span + 1,
+            });
+            return;
+        }
+
+        editor.addVehicle({ ...start, orientation, length: selectedLength() });
+    };
+
+    const applyTool = (tool, cell) => {
+        const draft = editor.getDraft();
+        const isExit = draft.exit?.row === cell.row && draft.exit?.col === cell.col;
+
+        if (tool === 'goal') {
+            editor.setGoal(editor.vehicleAt(cell.row, cell.col));
+        } else if (tool === 'exit') {
+            editor.setExit(isExit ? null : cell);
+        } else if (tool === 'erase') {
+            if (!editor.removeVehicleAt(cell.row, cell.col) && isExit) {
+                editor.setExit(null);
+            }
+        }
+    };
+
+    const handlePointerDown = (event) => {
+        const cell = cellFromPoint(event);
+        if (!cell || event.button > 0) {
+            return;
+        }
+
+        event.preventDefault();
+        paintStart = cell;
+    };
+
+    const edit = (start, end) => {
+        const tool = selectedTool();
+
+        if (tool === 'horizontal' || tool === 'vertical') {
+            paintVehicle(tool, start, end);
+        } else if (end && cellKey(end) === cellKey(start)) {
+            applyTool(tool, start);
+        }
+        render();
+    };
+
+    const handlePointerUp = (event) => {
+        if (!paintStart) {
+            return;
+        }
+
+        const start = paintStart;
+        paintStart = null;
+        edit(start, cellFromPoint(event));
+    };
+
+    /** Cells are buttons, so Enter/Space on a focused cell edits it like a click. */
+    const handleKeyboardClick = (event) => {
+        const element = event.target.closest('.editor-cell');
+        if (event.detail !== 0 || !element) {
+            return;
+        }
+
+        const cell = { row: Number(element.dataset.row), col: Number(element.dataset.col) };
+        edit(cell, cell);
+        grid.querySelector(`[data-row="${cell.row}"][data-col="${cell.col}"]`)?.focus();
+    };
+
+    const handleResize = () => {
+        const draft = editor.getDraft();
+        try {
+            editor.resize(Number(rowsInput.value), Number(columnsInput.value));
+        } catch {
+            rowsInput.value = String(draft.rows);
+            columnsInput.value = String(draft.columns);
+        }
+        render();
+    };
+
+    const handleDownload = () => {
+        const url = URL.createObjectURL(new Blob([editor.toText()], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'puzzle.txt';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    grid.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('pointerup', handlePointerUp);
+    grid.addEventListener('click', handleKeyboardClick);
+    rowsInput?.addEventListener('change', handleResize);
+    columnsInput?.addEventListener('change', handleResize);
+    clearButton?.addEventListener('click', () => {
+        editor.clear();
+        render();
+    });
+    downloadButton?.addEventListener('click', handleDownload);
+    loadButton?.addEventListener('click', () => onLoad?.(editor.toText()));
+
+    render();
+    return { editor, render };
+};
+
+export { createEditorPanel };
@@ -0,0 +1,140 @@
+/* Manager of the puzzles saved in the browser. Lists every saved puzzle with its format, origin
+and history, and lets the user open, rename, export or delete it. The library itself lives in
+models/puzzleStorage.js; this module only draws it and turns clicks into calls. */
+
+import { FORMAT_NAMES } from '../models/puzzleFormats.js';
+import { exportFileName, summarizeHistory } from '../models/puzzleStorage.js';
+
+/** @typedef {import('../models/puzzleStorage.js').SavedPuzzle} SavedPuzzle */
+
+const SOURCE_NAMES = { import: 'importado', editor: 'del editor' };
+
+const ACTIONS = [
+    ['open', 'Abrir'],
+    ['rename', 'Renombrar'],
+    ['export', 'Exportar'],
+    ['delete', 'Eliminar'],
+];
+
+const downloadPuzzle = (puzzle) => {
+    const type = puzzle.format === 'json' ? 'application/json' : 'text/plain';
+    const url = URL.createObjectURL(new Blob([`${puzzle.content}\n`], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = exportFileName(puzzle);
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Wires the saved-puzzles markup (see the `library-modal` section of index.html).
+ *
+ * @param {HTMLElement} root - Element containing the list.
+ * @param {Object} options
+ * @param {import('../models/puzzleStorage.js').PuzzleStorage} options.storage - The library.
+ * @param {(algorithm: string) => string} [options.algorithmName] - Readable algorithm names for
+ *   the history.
+ * @param {(puzzle: SavedPuzzle) => void} [options.onOpen] - The user wants to load a puzzle.
+ * @param {(puzzle: SavedPuzzle) => void} [options.onRename] - A puzzle was renamed.
+ * @param {(puzzle: SavedPuzzle) => void} [options.onDelete] - A puzzle was deleted.
+ * @param {(error: Error) => void} [options.onError] - The storage could not be written.
+ * @returns {{ render: () => void }} Redraws the list from the storage.
+ */
+const createLibraryPanel = (
+    root,
+    { storage, algorithmName, onOpen, onRename, onDelete, onError } = {},
+) => {
+    const list = root.querySelector('#library-list');
+    const emptyMessage = root.querySelector('#library-empty');
+
+    const createItem = (puzzle) => {
+        const item = document.createElement('li');
+        item.dataset.id = puzzle.id;
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = puzzle.name;
+        nameInput.classList.add('library-name');
+        nameInput.setAttribute('aria-label', 'Nombre del puzzle');
+
+        const details = document.createElement('p');
+        details.classList.add('library-details');
+        details.textContent = [
+            FORMAT_NAMES[puzzle.format],
+            SOURCE_NAMES[puzzle.source],
+            new Date(puzzle.savedAt).toLocaleString(),
+        ].join(' · ');
+
+        const history = document.createElement('ul');
+        history.classList.add('library-history');
+        const lines = summarizeHistory(storage.getHistory(puzzle.key), algorithmName);
+        (lines.length ? lines : ['Sin historial']).forEach((line) => {
+            const entry = document.createElement('li');
+            entry.textContent = line;
+            history.appendChild(entry);
+        });
+
+        const actions = document.createElement('div');
+        actions.classList.add('library-actions');
+        ACTIONS.forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.action = action;
+            button.textContent = label;
+            actions.appendChild(button);
+        });
+
+        item.append(nameInput, details, history, actions);
+        return item;
+    };
+
+    const render = () => {
+        const puzzles = storage.listPuzzles();
+        list.replaceChildren(...puzzles.map(createItem));
+        if (emptyMessage) {
+            emptyMessage.hidden = puzzles.length > 0;
+        }
+    };
+
+    const handleClick = (event) => {
+        const button = event.target.closest?.('button[data-action]');
+        const item = button?.closest('li[data-id]');
+        const puzzle = item && storage.listPuzzles().find(({ id }) => id === item.dataset.id);
+        if (!puzzle) {
+            return;
+        }
+
+        const handlers = {
+            open: () => onOpen?.(puzzle),
+            rename: () => {
+                const name = item.querySelector('.library-name').value;
+                const renamed = storage.renamePuzzle(puzzle.id, name);
+                if (renamed) {
+                    onRename?.(renamed);
+                }
+                render();
+            },
+            export: () => downloadPuzzle(puzzle),
+            delete: () => {
+                if (!window.confirm(`Se eliminara "${puzzle.name}" y su historial. Continuar?`)) {
+                    return;
+                }
+                storage.deletePuzzle(puzzle.id);
+                onDelete?.(puzzle);
+                render();
+            },
+        };
+
+        try {
+            handlers[button.dataset.action]?.();
+        } catch (error) {
+            onError?.(error);
+        }
+    };
+
+    list.addEventListener('click', handleClick);
+    render();
+    return { render };
+};
+
+export { createLibraryPanel };
@@ -3,19 +3,35 @@ handles loading puzzles, managing the control form, and coordinating the executi
 different search algorithms. */
 
 import {
-    discoverPuzzles,
+    DEFAULT_COLLECTIONS,
+    loadCollections,
     fetchPuzzle,
     PuzzleNotFoundError,
 } from './puzzleLoader.js';
 import {
-    parsePuzzle,
     renderBoard,
     clearBoard,
+    positionVehicles,
+    highlightMove,
+    clearMoveHighlight,
+    animateMove,
 } from '../models/boardRenderer.js';
-import { solveWithBacktracking } from '../algorithms/backtracking.js';
-import { solveWithBfs } from '../algorithms/bfs.js';
-import { solveWithAStar } from '../algorithms/astar.js';
-import { solveWithDfs } from '../algorithms/dfs.js';
+import { slideDuration } from '../models/moveAnimation.js';
+import { findHint } from '../models/hint.js';
+import { formatDiagnostic } from '../models/puzzleValidator.js';
+import { FORMAT_NAMES, parsePuzzleText, readPuzzle } from '../models/puzzleFormats.js';
+import { createPlayback } from '../models/playback.js';
+import { getSolver } from '../algorithms/registry.js';
+import { matchesPatternDatabase, parsePatternDatabase } from '../algorithms/patternDatabase.js';
+import { createSolverClient, createBrowserSolverWorker } from './solverClient.js';
+import { createPlayMode } from './playMode.js';
+import { createEditorPanel } from './editorPanel.js';
+import { createLibraryPanel } from './libraryPanel.js';
+import {
+    createMemoryStorage,
+    createPuzzleStorage,
+    summarizeHistory,
+} from '../models/puzzleStorage.js';
 
 
 /* The above code is selecting an HTML element with the id 'puzzle-select' using JavaScript. */
@@ -23,8 +39,12 @@ const puzzleSelect = document.getElementById('puzzle-select');
 
 
 const algorithmSelect = document.getElementById('algorithm-select');
+const heuristicSelect = document.getElementById('heuristic-select');
+const patternDatabaseButton = document.getElementById('pattern-database-button');
+const patternDatabaseInput = document.getElementById('pattern-database-input');
 
 const speedSlider = document.getElementById('animation-speed');
+const arrowToggle = document.getElementById('show-move-arrows');
 
 const solveButton = document.getElementById('solve-button');
 
@@ -33,17 +53,39 @@ const stopButton = document.getElementById('stop-button');
 
 const resetButton = document.getElementById('reset-board');
 
+const playModeButton = document.getElementById('play-mode-button');
+const undoButton = document.getElementById('undo-button');
+const redoButton = document.getElementById('redo-button');
+const moveCounter = document.getElementById('move-counter');
+const hintButton = document.getElementById('hint-button');
+
 
 const statusMessage = document.getElementById('status-message');
 
 const boardElement = document.getElementById('board');
 
+const puzzleInfo = document.getElementById('puzzle-info');
+const puzzleTitle = document.getElementById('puzzle-title');
+const puzzleDetails = document.getElementById('puzzle-details');
+const puzzleTags = document.getElementById('puzzle-tags');
+
 const actionLog = document.getElementById('action-log');
 
+const playbackStartButton = document.getElementById('playback-start');
+const playbackBackButton = document.getElementById('playback-back');
+const playbackToggleButton = document.getElementById('playback-toggle');
+const playbackForwardButton = document.getElementById('playback-forward');
+const playbackEndButton = document.getElementById('playback-end');
+const playbackScrubber = document.getElementById('playback-scrubber');
+const playbackPosition = document.getElementById('playback-position');
+
 const metricVisited = document.getElementById('metric-visited');
 const metricFrontier = document.getElementById('metric-frontier');
 const metricDepth = document.getElementById('metric-depth');
 const metricTime = document.getElementById('metric-time');
+const metricFrontiersRow = document.getElementById('metric-frontiers-row');
+const metricFrontiers = document.getElementById('metric-frontiers');
+const puzzleHistory = document.getElementById('puzzle-history');
 
 const importButton = document.getElementById('import-puzzle-button');
 const importModal = document.getElementById('import-modal');
@@ -51,6 +93,15 @@ const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
 const closeImportModal = document.getElementById('close-import-modal');
 const browseFileButton = document.getElementById('browse-file-button');
+const importDiagnostics = document.getElementById('import-diagnostics');
+
+const editorButton = document.getElementById('open-editor-button');
+const editorModal = document.getElementById('editor-modal');
+const closeEditorModal = document.getElementById('close-editor-modal');
+
+const libraryButton = document.getElementById('open-library-button');
+const libraryModal = document.getElementById('library-modal');
+const closeLibraryModal = document.getElementById('close-library-modal');
 
 
 const loadedPuzzles = new Map();
@@ -63,12 +114,83 @@ const toPuzzleKey = (id) => String(id);
 let currentBoard = null;
 let currentPuzzleId = null;
 
+/** Lazily created worker client; `false` once the worker turned out to be unavailable. */
+let solverClient = null;
+
+/** Active play mode controller (see playMode.js), or null while watching solutions. */
+let playMode = null;
+
+/** Pending hint search; aborted as soon as the board changes. */
+let hintController = null;
+
+/**
+ * Saved puzzles and per-puzzle history (see models/puzzleStorage.js). Where localStorage is not
+ * available (e.g. blocked by the browser) they only last until the page is closed.
+ */
+const puzzleStorage = (() => {
+    try {
+        // Where storage is blocked, reading the property or any item throws.
+        const storage = window.localStorage;
+        storage.getItem('');
+        return createPuzzleStorage(storage);
+    } catch (error) {
+        console.warn('localStorage no disponible; los puzzles no se guardaran:', error);
+        return createPuzzleStorage(createMemoryStorage());
+    }
+})();
+
+/** Saved-puzzles manager, created once the page is loaded. */
+let libraryPanel = null;
+
+/** Optimal solution length of every puzzle from its initial layout, by puzzle key. */
+const optimalLengths = new Map();
+
 
 const runState = {
     running: false,
     abortController: null,
-    animationTimeout: null,
     cancelled: false,
+    // Set when the user pressed Stop; an anytime search then still shows its best solution.
+    stoppedByUser: false,
+};
+
+/** Player over the last solution found (see models/playback.js) and the frames it shows. */
+let playback = null;
+let playbackHistory = [];
+let playbackMoves = [];
+let shownFrame = 0;
+let slideController = null;
+
+/**
+ * Returns the solver worker client, creating the worker on first use. Falls back to `null`
+ * (main-thread solving) where module workers are not available.
+ */
+const getSolverClient = () => {
+    if (solverClient === null) {
+        try {
+            solverClient =
+                typeof Worker === 'undefined' ? false : createSolverClient(createBrowserSolverWorker());
+        } catch (error) {
+            console.warn('No fue posible iniciar el worker del solucionador:', error);
+            solverClient = false;
+        }
+    }
+
+    return solverClient || null;
+};
+
+/**
+ * Runs a solver in the worker when possible, otherwise on the main thread. Both paths honour
+ * the same `signal`/`onProgress` contract and resolve to the same result shape.
+ */
+const solveInBackground = (algorithm, board, options) => {
+    const client = getSolverClient();
+
+    if (client) {
+        return client.solve(algorithm, board, options);
+    }
+
+    return getSolver(algorithm).solve(board, options);
 };
 
 const setStatus = (message, { isError = false } = {}) => {
@@ -80,7 +202,34 @@ const setStatus = (message, { isError = false } = {}) => {
     statusMessage.classList.toggle('status-error', Boolean(isError));
 };
 
-const updateMetrics = ({ explored = 0, frontier = 0, depth = 0, timeMs = 0 } = {}) => {
+/** Guaranteed quality of a solution, e.g. " (a lo sumo 1.5 veces el optimo)". */
+const describeBound = (bound) => {
+    if (bound === undefined || bound === 1) {
+        return '';
+    }
+    if (bound === null) {
+        return ' (sin garantia de ser optima)';
+    }
+    return ` (a lo sumo ${Number(bound.toFixed(2))} veces el optimo)`;
+};
+
+/** Per-frontier metrics of the bidirectional search, e.g. "adelante 19 / 51; atras 0 / 206". */
+const describeFrontiers = (forward, backward) => {
+    const side = (name, { explored, frontier }) => `${name} ${explored} / ${frontier}`;
+    const backwardText = backward
+        ? side('atras', backward)
+        : 'atras sin busqueda (demasiados estados meta)';
+    return `${side('adelante', forward)}; ${backwardText} (explorados / frontera)`;
+};
+
+const updateMetrics = ({
+    explored = 0,
+    frontier = 0,
+    depth = 0,
+    timeMs = 0,
+    forward = null,
+    backward = null,
+} = {}) => {
     if (metricVisited) {
         metricVisited.textContent = String(explored);
     }
@@ -93,38 +242,110 @@ const updateMetrics = ({ explored = 0, frontier = 0, depth = 0, timeMs = 0 } = {
     if (metricTime) {
         metricTime.textContent = String(timeMs);
     }
+    if (metricFrontiersRow && metricFrontiers) {
+        metricFrontiersRow.hidden = !forward;
+        metricFrontiers.textContent = forward ? describeFrontiers(forward, backward) : '';
+    }
 };
 
 const clearMetrics = () => {
     updateMetrics({ explored: 0, frontier: 0, depth: 0, timeMs: 0 });
 };
 
-const writeActions = (actions = []) => {
+/**
+ * Fills the action log. With `seekable`, clicking an action jumps the player to the board
+ * right after that move.
+ */
+const writeActions = (actions = [], { seekable = false } = {}) => {
+    if (!actionLog) {
+        return;
+    }
+
+    actionLog.replaceChildren(
+        ...actions.map((action, index) => {
+            const item = document.createElement('li');
+            item.textContent = action;
+            if (seekable) {
+                item.dataset.frame = String(index + 1);
+            }
+            return item;
+        }),
+    );
+};
+
+/** Marks the action that produced frame `frameIndex` (none for the initial frame). */
+const highlightAction = (frameIndex) => {
     if (!actionLog) {
         return;
     }
 
-    actionLog.value = actions.length ? actions.join('\n') : '';
+    Array.from(actionLog.children).forEach((item, index) => {
+        const isCurrent = index === frameIndex - 1;
+        item.classList.toggle('current', isCurrent);
+        if (isCurrent) {
+            item.setAttribute('aria-current', 'step');
+            item.scrollIntoView({ block: 'nearest' });
+        } else {
+            item.removeAttribute('aria-current');
+        }
+    });
 };
 
 const clearActions = () => {
     writeActions([]);
 };
 
+/** Only the solvers guided by a heuristic let the user pick one. */
+const syncHeuristicSelect = ({ locked = false } = {}) => {
+    const disabled = locked || !getSolver(algorithmSelect?.value)?.usesHeuristic;
+    heuristicSelect && (heuristicSelect.disabled = disabled);
+    patternDatabaseButton && (patternDatabaseButton.disabled = disabled);
+};
+
+/** Pattern database loaded by the user (see tools/buildPatternDatabase.mjs), if any. */
+let patternDatabase = null;
+
+/** Solver options for the selected heuristic; the pattern database replaces it when chosen. */
+const heuristicOptions = (algorithm) => {
+    if (!getSolver(algorithm).usesHeuristic || !heuristicSelect) {
+        return {};
+    }
+    return heuristicSelect.value === 'patternDatabase'
+        ? { patternDatabase }
+        : { heuristic: heuristicSelect.value };
+};
+
+const loadPatternDatabase = async (file) => {
+    if (!file) return;
+    try {
+        patternDatabase = await parsePatternDatabase(await file.text());
+    } catch (error) {
+        setStatus(`No se pudo cargar la base de patrones: ${error.message}`, { isError: true });
+        return;
+    }
+
+    const option = heuristicSelect?.querySelector('option[value="patternDatabase"]');
+    if (option) {
+        option.disabled = false;
+        option.textContent = `Base de patrones (${file.name})`;
+        heuristicSelect.value = 'patternDatabase';
+    }
+    setStatus(
+        `Base de patrones cargada: ${patternDatabase.vehicles.length} vehiculos en el patron, ` +
+            `${patternDatabase.distances.length} estados.`,
+    );
+};
+
 const stopCurrentRun = ({ fromUser = false } = {}) => {
     if (runState.abortController && !runState.abortController.signal.aborted) {
         runState.abortController.abort();
     }
 
-    if (runState.animationTimeout !== null) {
-        clearTimeout(runState.animationTimeout);
-        runState.animationTimeout = null;
-    }
-
     if (fromUser && runState.running) {
         setStatus('Resolucion detenida por el usuario.');
     }
 
+    runState.stoppedByUser = fromUser && runState.running;
     runState.running = false;
     runState.cancelled = true;
     runState.abortController = null;
@@ -133,7 +354,8 @@ const stopCurrentRun = ({ fromUser = false } = {}) => {
     stopButton && (stopButton.disabled = true);
     puzzleSelect && (puzzleSelect.disabled = false);
     algorithmSelect && (algorithmSelect.disabled = false);
-    speedSlider && (speedSlider.disabled = false);
+    syncHeuristicSelect();
+    playModeButton && (playModeButton.disabled = false);
 };
 
 const applyBoardState = (boardData, positions) => {
@@ -141,51 +363,112 @@ const applyBoardState = (boardData, positions) => {
         return;
     }
 
-    const vehicleElements = boardElement.querySelectorAll('.vehicle');
+    positionVehicles(boardElement, positions);
+};
 
-    positions.forEach((position, index) => {
-        const vehicleElement = vehicleElements[index];
-        if (!vehicleElement) {
-            return;
-        }
+const readDelay = () => Number.parseInt(speedSlider?.value ?? '600', 10) || 600;
 
-        vehicleElement.style.top = `calc(var(--cell-size) * ${position.row})`;
-        vehicleElement.style.left = `calc(var(--cell-size) * ${position.col})`;
-        vehicleElement.dataset.row = String(position.row);
-        vehicleElement.dataset.col = String(position.col);
-    });
+const updatePlaybackControls = ({ index, playing } = { index: 0, playing: false }) => {
+    const lastIndex = Math.max((playback?.frameCount ?? 1) - 1, 0);
+    const hasMoves = lastIndex > 0;
+
+    playbackStartButton && (playbackStartButton.disabled = !hasMoves || index === 0);
+    playbackBackButton && (playbackBackButton.disabled = !hasMoves || index === 0);
+    playbackForwardButton && (playbackForwardButton.disabled = !hasMoves || index === lastIndex);
+    playbackEndButton && (playbackEndButton.disabled = !hasMoves || index === lastIndex);
+
+    if (playbackToggleButton) {
+        const label = playing ? 'Pausar' : 'Reproducir';
+        playbackToggleButton.disabled = !hasMoves;
+        playbackToggleButton.innerHTML = playing ? '&#10074;&#10074;' : '&#9654;';
+        playbackToggleButton.setAttribute('aria-label', label);
+        playbackToggleButton.title = label;
+    }
+
+    if (playbackScrubber) {
+        playbackScrubber.max = String(lastIndex);
+        playbackScrubber.value = String(index);
+        playbackScrubber.disabled = !hasMoves;
+    }
+
+    playbackPosition && (playbackPosition.textContent = `Paso ${index} de ${lastIndex}`);
 };
 
-const animateSolution = (boardData, history, delayMs) =>
-    new Promise((resolve, reject) => {
-        if (!history.length) {
-            resolve();
-            return;
-        }
+/** Slide timing derived from the speed slider: each cell takes a third of the frame delay. */
+const slideTiming = () => {
+    const delay = readDelay();
+    return { msPerCell: delay / 3, arrowMs: arrowToggle?.checked ? delay / 2 : 0 };
+};
 
-        let stepIndex = 0;
-        runState.animationTimeout = null;
+/** Time the player stays on a frame: the slide that leads to it plus a pause. */
+const frameDelay = (index) => {
+    const move = playbackMoves[index - 1];
+    if (!move) {
+        return readDelay();
+    }
 
-        const scheduleNext = () => {
-            if (runState.cancelled) {
-                reject(new Error('Animacion cancelada.'));
-                return;
-            }
+    const { msPerCell, arrowMs } = slideTiming();
+    return arrowMs + slideDuration(move.steps, msPerCell) + readDelay();
+};
 
-            applyBoardState(boardData, history[stepIndex]);
+const cancelSlide = () => {
+    slideController?.abort();
+    slideController = null;
+};
 
-            if (stepIndex >= history.length - 1) {
-                runState.animationTimeout = null;
-                resolve();
-                return;
-            }
+/**
+ * Moves the board from the shown frame to `index`: advancing by one frame slides the vehicle
+ * that moved, any other jump places every vehicle directly.
+ */
+const moveToFrame = (index) => {
+    cancelSlide();
+    const move = playbackMoves[shownFrame];
+
+    if (move && boardElement && index === shownFrame + 1) {
+        slideController = new AbortController();
+        animateMove(boardElement, move, { ...slideTiming(), signal: slideController.signal });
+    } else {
+        applyBoardState(currentBoard, playbackHistory[index]);
+    }
 
-            stepIndex += 1;
-            runState.animationTimeout = setTimeout(scheduleNext, delayMs);
-        };
+    shownFrame = index;
+};
+
+const showPlaybackFrame = (snapshot) => {
+    if (!playback) {
+        return;
+    }
+
+    if (snapshot.index !== shownFrame) {
+        moveToFrame(snapshot.index);
+    }
+    highlightAction(snapshot.index);
+    updatePlaybackControls(snapshot);
+};
+
+const clearPlayback = () => {
+    const previous = playback;
+    playback = null;
+    previous?.pause();
+    cancelSlide();
+    playbackHistory = [];
+    playbackMoves = [];
+    shownFrame = 0;
+    updatePlaybackControls();
+};
 
-        scheduleNext();
+const loadPlayback = (history, moves) => {
+    clearPlayback();
+    playbackHistory = history;
+    playbackMoves = moves;
+    playback = createPlayback({
+        frameCount: history.length,
+        delayMs: frameDelay,
+        onUpdate: showPlaybackFrame,
     });
+    applyBoardState(currentBoard, history[0]);
+    showPlaybackFrame(playback.snapshot());
+};
 
 const parseAndRenderPuzzle = (puzzleId, puzzle) => {
     if (!boardElement) {
@@ -194,7 +477,7 @@ const parseAndRenderPuzzle = (puzzleId, puzzle) => {
     }
 
     if (!parsedBoards.has(puzzleId)) {
-        const parsed = parsePuzzle(puzzle.content);
+        const parsed = parsePuzzleText(puzzle.content, puzzle.format ?? undefined);
         parsedBoards.set(puzzleId, parsed);
     }
 
@@ -203,6 +486,77 @@ const parseAndRenderPuzzle = (puzzleId, puzzle) => {
     return boardData;
 };
 
+/**
+ * Shows the title, author, difficulty, optimal length and tags of puzzles that carry metadata
+ * (the JSON format) above the board, and hides the block for the other formats.
+ */
+const showPuzzleInfo = (metadata) => {
+    if (!puzzleInfo) {
+        return;
+    }
+
+    if (!metadata) {
+        puzzleInfo.setAttribute('hidden', '');
+        return;
+    }
+
+    puzzleTitle.textContent = metadata.title ?? 'Puzzle sin titulo';
+
+    const details = [];
+    if (metadata.author) {
+        details.push(`Autor: ${metadata.author}`);
+    }
+    if (metadata.difficulty) {
+        details.push(`Dificultad: ${metadata.difficulty}`);
+    }
+    if (metadata.optimalMoves !== null) {
+        details.push(`Solucion optima: ${metadata.optimalMoves} movimientos`);
+    }
+    puzzleDetails.textContent = details.join(' · ');
+    puzzleDetails.hidden = !details.length;
+    puzzleInfo.dataset.difficulty = metadata.difficulty ?? '';
+
+    puzzleTags.innerHTML = '';
+    metadata.tags.forEach((tag) => {
+        const item = document.createElement('li');
+        item.textContent = tag;
+        puzzleTags.appendChild(item);
+    });
+    puzzleTags.hidden = !metadata.tags.length;
+
+    puzzleInfo.removeAttribute('hidden');
+};
+
+const algorithmName = (algorithm) => getSolver(algorithm)?.displayName ?? algorithm;
+
+/** Lists what was recorded for the current puzzle: solver runs and manual solutions. */
+const showPuzzleHistory = () => {
+    if (!puzzleHistory) {
+        return;
+    }
+
+    const history = currentPuzzleId ? puzzleStorage.getHistory(currentPuzzleId) : null;
+    const lines = history ? summarizeHistory(history, algorithmName) : [];
+    puzzleHistory.replaceChildren(
+        ...lines.map((line) => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            return item;
+        }),
+    );
+    puzzleHistory.hidden = !lines.length;
+};
+
+/** Applies a history update; a full or blocked storage must not get in the way of the UI. */
+const rememberHistory = (record) => {
+    try {
+        record();
+    } catch (error) {
+        console.warn('No se pudo guardar el historial del puzzle:', error);
+    }
+    showPuzzleHistory();
+};
+
 const handlePuzzleSelection = async (event) => {
     const selectedRaw = event.target.value;
 
@@ -212,7 +566,9 @@ const handlePuzzleSelection = async (event) => {
 
     const puzzleKey = toPuzzleKey(selectedRaw);
 
+    exitPlayMode();
     stopCurrentRun();
+    clearPlayback();
     clearMetrics();
     clearActions();
 
@@ -220,19 +576,21 @@ const handlePuzzleSelection = async (event) => {
         let puzzle = loadedPuzzles.get(puzzleKey);
 
         if (!puzzle) {
-            const maybeNumber = Number.parseInt(selectedRaw, 10);
-            if (!Number.isNaN(maybeNumber)) {
-                puzzle = await fetchPuzzle(maybeNumber);
-                loadedPuzzles.set(puzzleKey, puzzle);
-            } else {
-                setStatus('El puzzle seleccionado no esta disponible.', { isError: true });
-                return;
-            }
+            setStatus('El puzzle seleccionado no esta disponible.', { isError: true });
+            return;
+        }
+
+        // Manifest entries are fetched the first time they are selected.
+        if (puzzle.content === undefined) {
+            puzzle = await fetchPuzzle(puzzle);
+            loadedPuzzles.set(puzzleKey, puzzle);
         }
 
         const boardData = parseAndRenderPuzzle(puzzleKey, puzzle);
         currentBoard = boardData;
         currentPuzzleId = puzzleKey;
+        showPuzzleInfo(boardData?.metadata ?? puzzle.metadata);
+        showPuzzleHistory();
 
         if (!boardData) {
             setStatus('No fue posible renderizar el puzzle seleccionado.', {
@@ -249,9 +607,10 @@ const handlePuzzleSelection = async (event) => {
         });
         document.dispatchEvent(selectionEvent);
 
-        setStatus(`Puzzle "${puzzle.name}" listo y renderizado.`);
+        setStatus(`Puzzle "${boardData.metadata?.title ?? puzzle.name}" listo y renderizado.`);
     } catch (error) {
         console.error('No se pudo cargar el puzzle seleccionado:', error);
+        showPuzzleInfo(null);
         if (boardElement) {
             clearBoard(boardElement);
         }
@@ -275,32 +634,55 @@ const initializePuzzles = async () => {
     setStatus('Cargando puzzles disponibles...');
 
     try {
-        const puzzles = await discoverPuzzles({ max: 25 });
+        const extraCollections = new URLSearchParams(window.location.search).getAll('coleccion');
+        const { collections, failures } = await loadCollections([
+            ...DEFAULT_COLLECTIONS,
+            ...extraCollections,
+        ]);
+
+        failures.forEach(({ url, error }) => {
+            console.warn(`No se pudo cargar la coleccion "${url}":`, error);
+        });
+
+        const packs = collections.flatMap((collection) =>
+            collection.packs.map((pack) => ({ collection, pack })),
+        );
+        const savedPuzzles = puzzleStorage.listPuzzles();
 
-        if (!puzzles.length) {
-            setStatus('No se encontraron puzzles en la carpeta indicada.', {
+        if (!packs.length && !savedPuzzles.length) {
+            setStatus('No se encontraron puzzles en las colecciones indicadas.', {
                 isError: true,
             });
             return;
         }
 
+        // One group per pack; with several collections the label also names the collection.
         puzzleSelect.innerHTML = '';
-        puzzles.forEach((puzzle) => {
-            const key = toPuzzleKey(puzzle.id);
-            loadedPuzzles.set(key, puzzle);
-            const option = document.createElement('option');
-            option.value = key;
-            option.textContent = puzzle.name;
-            puzzleSelect.appendChild(option);
+        packs.forEach(({ collection, pack }) => {
+            const group = document.createElement('optgroup');
+            group.label =
+                collections.length > 1 ? `${collection.name}: ${pack.name}` : pack.name;
+
+            pack.puzzles.forEach((entry) => {
+                const key = toPuzzleKey(entry.key);
+                loadedPuzzles.set(key, entry);
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = entry.name;
+                group.appendChild(option);
+            });
+
+            puzzleSelect.appendChild(group);
         });
+        savedPuzzles.forEach(addSavedPuzzleOption);
 
         puzzleSelect.disabled = false;
-        puzzleSelect.value = toPuzzleKey(puzzles[0].id);
+        puzzleSelect.value = toPuzzleKey(packs[0]?.pack.puzzles[0].key ?? savedPuzzles[0].key);
 
         const initialEvent = new Event('change');
         puzzleSelect.dispatchEvent(initialEvent);
     } catch (error) {
-        console.error('Error al descubrir puzzles disponibles:', error);
+        console.error('Error al cargar las colecciones de puzzles:', error);
         setStatus(
             'No fue posible cargar la lista de puzzles. Consulte la consola.',
             { isError: true },
@@ -309,46 +691,67 @@ const initializePuzzles = async () => {
 };
 
 /**
- * Deshabilita los controles, lanza un algoritmo y renderiza resultado + métricas.
+ * Deshabilita los controles, lanza un algoritmo (en el worker si esta disponible) y renderiza
+ * resultado + métricas.
  *
- * @param {(board: import('../models/boardRenderer.js').ParsedBoard, options?:object) => Promise<any>} solver
+ * @param {string} algorithm - Clave del algoritmo en el registro de solucionadores.
  * @param {{ displayName: string }} param1
  */
-const runAlgorithm = async (solver, { displayName }) => {
+const runAlgorithm = async (algorithm, { displayName }) => {
     if (!currentBoard) {
         setStatus('Debe seleccionar un puzzle antes de resolver.', { isError: true });
         return;
     }
 
-    const delayMs = Number.parseInt(speedSlider?.value ?? '600', 10) || 600;
+    const searchOptions = heuristicOptions(algorithm);
+    if (searchOptions.patternDatabase && !matchesPatternDatabase(patternDatabase, currentBoard)) {
+        setStatus('La base de patrones cargada no corresponde a este puzzle.', { isError: true });
+        return;
+    }
 
+    exitPlayMode();
     stopCurrentRun();
+    clearPlayback();
     clearMetrics();
     clearActions();
 
     runState.running = true;
     runState.cancelled = false;
+    runState.stoppedByUser = false;
     runState.abortController = new AbortController();
 
     solveButton && (solveButton.disabled = true);
     stopButton && (stopButton.disabled = false);
     puzzleSelect && (puzzleSelect.disabled = true);
     algorithmSelect && (algorithmSelect.disabled = true);
-    speedSlider && (speedSlider.disabled = true);
+    syncHeuristicSelect({ locked: true });
+    playModeButton && (playModeButton.disabled = true);
 
     setStatus(`Ejecutando ${displayName}...`);
 
     try {
-        const result = await solver(currentBoard, {
+        const result = await solveInBackground(algorithm, currentBoard, {
             signal: runState.abortController.signal,
-            onProgress: updateMetrics,
+            ...searchOptions,
+            onProgress: (metrics) => {
+                updateMetrics(metrics);
+                if (metrics.improvement && !runState.cancelled) {
+                    const { moves, suboptimalityBound } = metrics.improvement;
+                    setStatus(
+                        `Mejor solucion hasta ahora: ${moves.length} movimientos` +
+                            `${describeBound(suboptimalityBound)}. Detener para quedarse con ella.`,
+                    );
+                }
+            },
         });
 
-        if (runState.cancelled) {
+        const keepBest = runState.stoppedByUser && result.status === 'solved';
+        if (runState.cancelled && !keepBest) {
             return;
         }
 
         updateMetrics(result.metrics);
+        rememberHistory(() => puzzleStorage.recordRun(currentPuzzleId, algorithm, result));
 
         if (result.status === 'aborted') {
             setStatus('Resolucion cancelada.', { isError: true });
@@ -360,10 +763,13 @@ const runAlgorithm = async (solver, { displayName }) => {
             return;
         }
 
-        setStatus(`Solucion encontrada en ${result.metrics.depth} movimientos.`);
-        writeActions(result.actions);
-
-        await animateSolution(currentBoard, result.stateHistory, delayMs);
+        setStatus(
+            `Solucion encontrada en ${result.metrics.depth} movimientos` +
+                `${describeBound(result.suboptimalityBound)}.`,
+        );
+        writeActions(result.actions, { seekable: true });
+        loadPlayback(result.stateHistory, result.moves);
+        playback.play();
     } catch (error) {
         if (runState.cancelled || runState.abortController?.signal.aborted) {
             setStatus('Resolucion detenida.');
@@ -380,7 +786,8 @@ const runAlgorithm = async (solver, { displayName }) => {
         stopButton && (stopButton.disabled = true);
         puzzleSelect && (puzzleSelect.disabled = false);
         algorithmSelect && (algorithmSelect.disabled = false);
-        speedSlider && (speedSlider.disabled = false);
+        syncHeuristicSelect();
+        playModeButton && (playModeButton.disabled = false);
     }
 };
 
@@ -391,28 +798,14 @@ const handleSolveClick = () => {
     }
 
     const algorithm = algorithmSelect.value;
+    const solver = getSolver(algorithm);
 
-    if (algorithm === 'backtracking') {
-        runAlgorithm(solveWithBacktracking, { displayName: 'Backtracking' });
+    if (!solver) {
+        setStatus('Este algoritmo aun no esta implementado.', { isError: true });
         return;
     }
 
-    if (algorithm === 'bfs') {
-        runAlgorithm(solveWithBfs, { displayName: 'Busqueda en anchura (BFS)' });
-        return;
-    }
-
-    if (algorithm === 'dfs') {
-        runAlgorithm(solveWithDfs, { displayName: 'Busqueda en profundidad (DFS)' });
-        return;
-    }
-
-    if (algorithm === 'astar') {
-        runAlgorithm(solveWithAStar, { displayName: 'A*' });
-        return;
-    }
-
-    setStatus('Este algoritmo aun no esta implementado.', { isError: true });
+    runAlgorithm(algorithm, { displayName: solver.displayName });
 };
 
 const handleStopClick = () => {
@@ -424,12 +817,19 @@ const handleResetClick = () => {
         return;
     }
 
+    if (playMode) {
+        playMode.reset();
+        setStatus('Tablero restablecido.');
+        return;
+    }
+
     const puzzle = loadedPuzzles.get(currentPuzzleId);
     if (!puzzle) {
         return;
     }
 
     stopCurrentRun();
+    clearPlayback();
     clearActions();
     clearMetrics();
     const boardData = parseAndRenderPuzzle(currentPuzzleId, puzzle);
@@ -439,11 +839,191 @@ const handleResetClick = () => {
     setStatus('Tablero restablecido.');
 };
 
+const updatePlayControls = () => {
+    const session = playMode?.session ?? null;
+
+    undoButton && (undoButton.disabled = !session?.canUndo());
+    redoButton && (redoButton.disabled = !session?.canRedo());
+    moveCounter && (moveCounter.textContent = String(session?.moveCount() ?? 0));
+    if (hintButton) {
+        hintButton.disabled = !session || session.isSolved() || hintController !== null;
+    }
+
+    if (playModeButton) {
+        playModeButton.textContent = playMode ? 'Salir del juego' : 'Jugar';
+        playModeButton.setAttribute('aria-pressed', String(Boolean(playMode)));
+    }
+};
+
+const cancelHint = () => {
+    hintController?.abort();
+    hintController = null;
+
+    if (boardElement) {
+        clearMoveHighlight(boardElement);
+    }
+};
+
+const handlePlayChange = (session, move) => {
+    cancelHint();
+    writeActions(session.actions());
+    highlightAction(session.moveCount());
+    updatePlayControls();
+
+    if (session.isSolved()) {
+        if (move) {
+            rememberHistory(() =>
+                puzzleStorage.recordManualSolve(currentPuzzleId, session.moveCount()),
+            );
+        }
+        setStatus(`Puzzle resuelto en ${session.moveCount()} movimientos.`);
+    } else {
+        setStatus('Modo juego: arrastre los vehiculos o use las flechas del teclado.');
+    }
+};
+
+const exitPlayMode = () => {
+    if (!playMode) {
+        return;
+    }
+
+    cancelHint();
+    playMode.destroy();
+    playMode = null;
+    updatePlayControls();
+};
+
+const enterPlayMode = () => {
+    if (!currentBoard || !boardElement) {
+        setStatus('Debe seleccionar un puzzle antes de jugar.', { isError: true });
+        return;
+    }
+
+    stopCurrentRun();
+    clearPlayback();
+    clearMetrics();
+    clearActions();
+    renderBoard(boardElement, currentBoard);
+
+    try {
+        playMode = createPlayMode(boardElement, currentBoard, { onChange: handlePlayChange });
+    } catch (error) {
+        console.error('No se pudo iniciar el modo juego:', error);
+        setStatus('Este tablero no se puede jugar.', { isError: true });
+        return;
+    }
+
+    handlePlayChange(playMode.session);
+};
+
+/** Hints must lie on a shortest path, so they always use BFS (in the worker when available). */
+const solveOptimally = (board, options) => solveInBackground('bfs', board, options);
+
+const getOptimalLength = async (puzzleKey, board, signal) => {
+    if (!optimalLengths.has(puzzleKey)) {
+        const result = await solveOptimally(board, { signal });
+        if (result.status !== 'solved') {
+            return null;
+        }
+        optimalLengths.set(puzzleKey, result.moves.length);
+    }
+
+    return optimalLengths.get(puzzleKey);
+};
+
+const handleHintClick = async () => {
+    if (!playMode) {
+        return;
+    }
+
+    cancelHint();
+    const controller = new AbortController();
+    const { session } = playMode;
+    hintController = controller;
+    updatePlayControls();
+    setStatus('Calculando pista...');
+
+    try {
+        const hint = await findHint(session, { solve: solveOptimally, signal: controller.signal });
+        const optimal = await getOptimalLength(currentPuzzleId, currentBoard, controller.signal);
+
+        if (controller.signal.aborted) {
+            return;
+        }
+
+        if (hint.status === 'solved') {
+            setStatus('El puzzle ya esta resuelto.');
+            return;
+        }
+
+        if (hint.status !== 'hint') {
+            setStatus('No hay solucion desde esta posicion.', { isError: true });
+            return;
+        }
+
+        highlightMove(boardElement, hint.move);
+        const comparison =
+            optimal === null
+                ? ''
+                : ` Desde el inicio el optimo es ${optimal} y llevas ${session.moveCount()}.`;
+        setStatus(
+            `Pista: ${hint.action}. Faltan ${hint.remaining} movimientos desde aqui.${comparison}`,
+        );
+    } catch (error) {
+        if (!controller.signal.aborted) {
+            console.error('No se pudo calcular la pista:', error);
+            setStatus('No se pudo calcular la pista.', { isError: true });
+        }
+    } finally {
+        if (hintController === controller) {
+            hintController = null;
+        }
+        updatePlayControls();
+    }
+};
+
+const handlePlayModeClick = () => {
+    if (playMode) {
+        exitPlayMode();
+        setStatus('Modo juego finalizado.');
+        return;
+    }
+
+    enterPlayMode();
+};
+
 document.addEventListener('DOMContentLoaded', () => {
     puzzleSelect?.addEventListener('change', handlePuzzleSelection);
+    algorithmSelect?.addEventListener('change', () => syncHeuristicSelect());
+    patternDatabaseButton?.addEventListener('click', () => patternDatabaseInput?.click());
+    patternDatabaseInput?.addEventListener('change', async () => {
+        await loadPatternDatabase(patternDatabaseInput.files?.[0] || null);
+        patternDatabaseInput.value = '';
+    });
     solveButton?.addEventListener('click', handleSolveClick);
     stopButton?.addEventListener('click', handleStopClick);
     resetButton?.addEventListener('click', handleResetClick);
+    playModeButton?.addEventListener('click', handlePlayModeClick);
+    undoButton?.addEventListener('click', () => playMode?.undo());
+    redoButton?.addEventListener('click', () => playMode?.redo());
+    hintButton?.addEventListener('click', handleHintClick);
+
+    // Reproduccion paso a paso de la solucion
+    playbackStartButton?.addEventListener('click', () => playback?.toStart());
+    playbackBackButton?.addEventListener('click', () => playback?.stepBack());
+    playbackToggleButton?.addEventListener('click', () => playback?.toggle());
+    playbackForwardButton?.addEventListener('click', () => playback?.stepForward());
+    playbackEndButton?.addEventListener('click', () => playback?.toEnd());
+    playbackScrubber?.addEventListener('input', () => {
+        playback?.seek(Number(playbackScrubber.value));
+    });
+    speedSlider?.addEventListener('input', () => playback?.setDelay(frameDelay));
+    actionLog?.addEventListener('click', (event) => {
+        const item = event.target.closest?.('li[data-frame]');
+        if (item) {
+            playback?.seek(Number(item.dataset.frame));
+        }
+    });
 
     // Importación: abrir/cerrar modal
     importButton?.addEventListener('click', openImportModal);
@@ -479,10 +1059,58 @@ document.addEventListener('DOMContentLoaded', () => {
         processFile(file);
     });
 
+    // Editor visual de puzzles
+    if (editorModal) {
+        createEditorPanel(editorModal, { onLoad: loadEditedPuzzle });
+    }
+    editorButton?.addEventListener('click', openEditorModal);
+    closeEditorModal?.addEventListener('click', closeEditorModalFn);
+
+    // Puzzles guardados en el navegador
+    if (libraryModal) {
+        libraryPanel = createLibraryPanel(libraryModal, {
+            storage: puzzleStorage,
+            algorithmName,
+            onOpen: (puzzle) => {
+                closeLibraryModalFn();
+                selectPuzzle(toPuzzleKey(puzzle.key));
+            },
+            onRename: renameSavedPuzzle,
+            onDelete: removeSavedPuzzle,
+            onError: (error) => {
+                console.error('No se pudo actualizar la biblioteca de puzzles:', error);
+                setStatus('No se pudieron guardar los cambios en el navegador.', {
+                    isError: true,
+                });
+            },
+        });
+    }
+    libraryButton?.addEventListener('click', openLibraryModal);
+    closeLibraryModal?.addEventListener('click', closeLibraryModalFn);
+
+    syncHeuristicSelect();
     initializePuzzles();
 });
 
+/** Lists the validator's diagnostics in the import modal (hidden when there are none). */
+const showImportDiagnostics = (diagnostics = []) => {
+    if (!importDiagnostics) {
+        return;
+    }
+
+    importDiagnostics.replaceChildren(
+        ...diagnostics.map((diagnostic) => {
+            const item = document.createElement('li');
+            item.classList.add(diagnostic.severity);
+            item.textContent = formatDiagnostic(diagnostic);
+            return item;
+        }),
+    );
+    importDiagnostics.hidden = !diagnostics.length;
+};
+
 const openImportModal = () => {
+    showImportDiagnostics();
     importModal?.removeAttribute('hidden');
 };
 
@@ -490,35 +1118,153 @@ const closeImportModalFn = () => {
     importModal?.setAttribute('hidden', '');
 };
 
-const addImportedPuzzle = (name, content) => {
-    const id = `upload:${Date.now()}`;
-    const key = toPuzzleKey(id);
-    const puzzle = { id, name, path: '(local)', content: content.trimEnd() };
-    loadedPuzzles.set(key, puzzle);
+const openEditorModal = () => {
+    editorModal?.removeAttribute('hidden');
+};
+
+const closeEditorModalFn = () => {
+    editorModal?.setAttribute('hidden', '');
+};
+
+/** Adds a saved puzzle to the "Mis puzzles" group of the selector, creating the group. */
+const addSavedPuzzleOption = (puzzle) => {
+    const key = toPuzzleKey(puzzle.key);
+    loadedPuzzles.set(key, { ...puzzle, path: '(local)', metadata: null });
+
+    if (!puzzleSelect) {
+        return;
+    }
+
+    let group = puzzleSelect.querySelector('optgroup[data-saved]');
+    if (!group) {
+        group = document.createElement('optgroup');
+        group.label = 'Mis puzzles';
+        group.dataset.saved = '';
+        puzzleSelect.appendChild(group);
+    }
+
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = puzzle.name;
+    group.appendChild(option);
+};
 
+const selectPuzzle = (key) => {
     if (puzzleSelect) {
-        const option = document.createElement('option');
-        option.value = key;
-        option.textContent = name;
-        puzzleSelect.appendChild(option);
         puzzleSelect.value = key;
         const evt = new Event('change');
         puzzleSelect.dispatchEvent(evt);
     }
 };
 
+/**
+ * Saves an imported or edited puzzle in the browser and shows it. If the storage cannot be
+ * written it is still added, for this session only.
+ */
+const addImportedPuzzle = (name, content, source = 'import') => {
+    let puzzle = null;
+    try {
+        puzzle = puzzleStorage.savePuzzle({ name, content, source });
+    } catch (error) {
+        console.warn('No se pudo guardar el puzzle en el navegador:', error);
+        const id = `upload:${Date.now()}`;
+        puzzle = { id, key: id, name, content: content.trimEnd(), source };
+    }
+
+    addSavedPuzzleOption(puzzle);
+    libraryPanel?.render();
+    selectPuzzle(toPuzzleKey(puzzle.key));
+};
+
+const openLibraryModal = () => {
+    libraryPanel?.render();
+    libraryModal?.removeAttribute('hidden');
+};
+
+const closeLibraryModalFn = () => {
+    libraryModal?.setAttribute('hidden', '');
+};
+
+const renameSavedPuzzle = (puzzle) => {
+    const key = toPuzzleKey(puzzle.key);
+    const loaded = loadedPuzzles.get(key);
+    if (loaded) {
+        loadedPuzzles.set(key, { ...loaded, name: puzzle.name });
+    }
+
+    const option = puzzleSelect?.querySelector(`option[value="${CSS.escape(key)}"]`);
+    if (option) {
+        option.textContent = puzzle.name;
+    }
+    setStatus(`Puzzle renombrado a "${puzzle.name}".`);
+};
+
+const removeSavedPuzzle = (puzzle) => {
+    const key = toPuzzleKey(puzzle.key);
+    loadedPuzzles.delete(key);
+    parsedBoards.delete(key);
+    optimalLengths.delete(key);
+    puzzleSelect?.querySelector(`option[value="${CSS.escape(key)}"]`)?.remove();
+
+    const group = puzzleSelect?.querySelector('optgroup[data-saved]');
+    if (group && !group.children.length) {
+        group.remove();
+    }
+
+    if (currentPuzzleId === key) {
+        const first = puzzleSelect?.querySelector('option');
+        if (first) {
+            selectPuzzle(first.value);
+        } else {
+            exitPlayMode();
+            clearPlayback();
+            currentBoard = null;
+            currentPuzzleId = null;
+            boardElement && clearBoard(boardElement);
+            showPuzzleInfo(null);
+            showPuzzleHistory();
+        }
+    }
+    setStatus(`Puzzle "${puzzle.name}" eliminado.`);
+};
+
 const processFile = async (file) => {
     if (!file) return;
     try {
         const text = await file.text();
-        // Validar formato
-        parsePuzzle(text);
+        const { format, diagnostics, board } = readPuzzle(text);
+        const formatName = FORMAT_NAMES[format];
+        showImportDiagnostics(diagnostics);
+
+        if (!board) {
+            setStatus(
+                `El archivo (formato ${formatName}) tiene errores; revisa los diagnosticos.`,
+                { isError: true },
+            );
+            return;
+        }
+
         const name = file.name.replace(/\.[^/.]+$/, '');
         addImportedPuzzle(name || 'Puzzle importado', text);
+
+        // With warnings the modal stays open so they can be read.
+        if (diagnostics.length) {
+            const count = diagnostics.length;
+            setStatus(`Puzzle importado (formato ${formatName}) con ${count} advertencia(s).`);
+            return;
+        }
+
         closeImportModalFn();
-        setStatus('Puzzle importado correctamente.');
+        setStatus(`Puzzle importado correctamente (formato ${formatName}).`);
     } catch (err) {
-        console.error('Archivo de puzzle invalido:', err);
-        setStatus('El archivo no tiene el formato esperado.', { isError: true });
+        console.error('No se pudo leer el archivo de puzzle:', err);
+        setStatus('No se pudo leer el archivo.', { isError: true });
     }
 };
+
+/** Adds the puzzle exported by the editor to the selector and shows it on the board. */
+const loadEditedPuzzle = (text) => {
+    addImportedPuzzle('Puzzle del editor', text, 'editor');
+    closeEditorModalFn();
+    setStatus('Puzzle del editor cargado.');
+};
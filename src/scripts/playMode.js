@@ -0,0 +1,214 @@
+/* Manual play mode for the rendered board. Vehicles can be dragged along their axis with the
+mouse or a finger, or moved one cell at a time with the arrow keys once focused. All the rules
+live in the play session (see models/playSession.js); this module only turns input into moves. */
+
+import { positionVehicles } from '../models/boardRenderer.js';
+import { createPlaySession } from '../models/playSession.js';
+
+/** @typedef {import('../algorithms/solverCore.js').Move} Move */
+/** @typedef {import('../models/playSession.js').PlaySession} PlaySession */
+
+const KEY_DIRECTIONS = {
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Enables play mode on a board already drawn with `renderBoard`.
+ *
+ * @param {HTMLElement} boardElement - Rendered board.
+ * @param {import('../models/boardRenderer.js').ParsedBoard} boardData - Board being played.
+ * @param {Object} [options] - Callbacks.
+ * @param {(session: PlaySession, move: Move | null) => void} [options.onChange] - Called after
+ *   every applied, undone or redone move and after a reset (with `move` null).
+ * @returns {{
+ *   session: PlaySession,
+ *   undo: () => Move | null,
+ *   redo: () => Move | null,
+ *   reset: () => void,
+ *   destroy: () => void,
+ * }} Controller of the play mode.
+ */
+const createPlayMode = (boardElement, boardData, { onChange } = {}) => {
+    const session = createPlaySession(boardData);
+    let drag = null;
+
+    const vehicleElements = () => Array.from(boardElement.querySelectorAll('.vehicle'));
+
+    const notify = (move) => {
+        positionVehicles(boardElement, session.getPositions());
+        onChange?.(session, move);
+    };
+
+    const play = (move) => {
+        const applied = session.move(move);
+        if (applied) {
+            notify(applied);
+        }
+        return applied;
+    };
+
+    const undo = () => {
+        const move = session.undo();
+        if (move) {
+            notify(move);
+        }
+        return move;
+    };
+
+    const redo = () => {
+        const move = session.redo();
+        if (move) {
+            notify(move);
+        }
+        return move;
+    };
+
+    const reset = () => {
+        session.reset();
+        notify(null);
+    };
+
+    const handlePointerDown = (event) => {
+        const element = event.target.closest?.('.vehicle');
+        if (!element || drag || session.isSolved() || event.button > 0) {
+            return;
+        }
+
+        const vehicleIndex = vehicleElements().indexOf(element);
+        if (vehicleIndex === -1) {
+            return;
+        }
+
+        event.preventDefault();
+        element.setPointerCapture?.(event.pointerId);
+        element.classList.add('dragging');
+        element.focus({ preventScroll: true });
+
+        drag = {
+            element,
+            vehicleIndex,
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            cellSize: boardElement.clientWidth / boardData.columns,
+            origin: session.getPositions()[vehicleIndex],
+            orientation: session.context.vehicles[vehicleIndex].orientation,
+            limits: session.maxSteps(vehicleIndex),
+            axis: null,
+            offset: 0,
+        };
+    };
+
+    const handlePointerMove = (event) => {
+        if (!drag || event.pointerId !== drag.pointerId) {
+            return;
+        }
+
+        const deltaX = (event.clientX - drag.startX) / drag.cellSize;
+        const deltaY = (event.clientY - drag.startY) / drag.cellSize;
+        const { origin, limits, element } = drag;
+
+        if (drag.orientation === 'horizontal') {
+            drag.axis = 'x';
+        } else if (drag.orientation === 'vertical') {
+            drag.axis = 'y';
+        } else {
+            // Single-cell vehicles move on both axes; follow the dominant one.
+            drag.axis = Math.abs(deltaX) >= Math.abs(deltaY) ? 'x' : 'y';
+        }
+
+        drag.offset =
+            drag.axis === 'x'
+                ? clamp(deltaX, -limits.left, limits.right)
+                : clamp(deltaY, -limits.up, limits.down);
+
+        const row = origin.row + (drag.axis === 'y' ? drag.offset : 0);
+        const col = origin.col + (drag.axis === 'x' ? drag.offset : 0);
+        element.style.top = `calc(var(--cell-size) * ${row})`;
+        element.style.left = `calc(var(--cell-size) * ${col})`;
+    };
+
+    const finishDrag = (event, { cancelled = false } = {}) => {
+        if (!drag || event.pointerId !== drag.pointerId) {
+            return;
+        }
+
+        const { element, vehicleIndex, axis, offset } = drag;
+        const steps = Math.round(offset);
+        drag = null;
+        element.classList.remove('dragging');
+        element.releasePointerCapture?.(event.pointerId);
+
+        if (cancelled || steps === 0) {
+            positionVehicles(boardElement, session.getPositions());
+            return;
+        }
+
+        let direction = axis === 'x' ? 'right' : 'down';
+        if (steps < 0) {
+            direction = axis === 'x' ? 'left' : 'up';
+        }
+        if (!play({ vehicleIndex, direction, steps: Math.abs(steps) })) {
+            positionVehicles(boardElement, session.getPositions());
+        }
+    };
+
+    const handlePointerUp = (event) => finishDrag(event);
+    const handlePointerCancel = (event) => finishDrag(event, { cancelled: true });
+
+    const handleKeyDown = (event) => {
+        const key = event.key.toLowerCase();
+
+        if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+            event.preventDefault();
+            if (key === 'y' || event.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+            return;
+        }
+
+        const direction = KEY_DIRECTIONS[event.key];
+        const vehicleIndex = vehicleElements().indexOf(event.target);
+        if (!direction || vehicleIndex === -1) {
+            return;
+        }
+
+        event.preventDefault();
+        play({ vehicleIndex, direction, steps: 1 });
+    };
+
+    vehicleElements().forEach((element) => {
+        element.tabIndex = 0;
+    });
+    boardElement.classList.add('play-mode');
+    boardElement.addEventListener('pointerdown', handlePointerDown);
+    boardElement.addEventListener('pointermove', handlePointerMove);
+    boardElement.addEventListener('pointerup', handlePointerUp);
+    boardElement.addEventListener('pointercancel', handlePointerCancel);
+    boardElement.addEventListener('keydown', handleKeyDown);
+
+    const destroy = () => {
+        boardElement.classList.remove('play-mode');
+        boardElement.removeEventListener('pointerdown', handlePointerDown);
+        boardElement.removeEventListener('pointermove', handlePointerMove);
+        boardElement.removeEventListener('pointerup', handlePointerUp);
+        boardElement.removeEventListener('pointercancel', handlePointerCancel);
+        boardElement.removeEventListener('keydown', handleKeyDown);
+        vehicleElements().forEach((element) => {
+            element.removeAttribute('tabindex');
+            element.classList.remove('dragging');
+        });
+        drag = null;
+    };
+
+    return { session, undo, redo, reset, destroy };
+};
+
+export { createPlayMode };
@@ -1,7 +1,7 @@
-const PUZZLE_DIRECTORY = '../tests/boards';
-const PUZZLE_PREFIX = 'Puzzle';
-const PUZZLE_EXTENSION = '.txt';
-const DEFAULT_MAX_PUZZLES = 50;
+import { parsePuzzleManifest } from '../models/puzzleManifest.js';
+
+/** Manifests loaded at startup; more can be added with `?coleccion=url` in the page URL. */
+const DEFAULT_COLLECTIONS = ['../tests/boards/index.json'];
 
 /**
  * Error personalizado lanzado cuando un puzzle no se encuentra o la solicitud falla.
@@ -21,91 +21,85 @@ class PuzzleNotFoundError extends Error {
 
 /**
  * Cache interna para almacenar puzzles ya cargados.
- * @type {Map<number|string, PuzzleData>}
+ * @type {Map<string, PuzzleData>}
  */
 const puzzleCache = new Map();
 
-const buildPuzzlePath = (puzzleId) =>
-    `${PUZZLE_DIRECTORY}/${PUZZLE_PREFIX}${puzzleId}${PUZZLE_EXTENSION}`;
-
 /**
- * @typedef {Object} PuzzleData
- * @property {number|string} id - Identificador numerico del puzzle.
- * @property {string} name - Nombre descriptivo del puzzle.
- * @property {string} path - Ruta relativa al archivo de puzzle.
- * @property {string} content - Contenido textual del puzzle.
+ * @typedef {import('../models/puzzleManifest.js').PuzzleEntry & { content: string }} PuzzleData
+ * Manifest entry together with the textual contents of its file.
  */
 
-
 /**
- * The function `fetchPuzzle` asynchronously fetches puzzle data based on a given puzzle ID, caching
- * the data if available.
- * @param puzzleId - The `puzzleId` parameter is the unique identifier of the puzzle that you want to
- * fetch. It is used to determine which puzzle to retrieve from the cache or fetch from the server if
- * it's not already cached.
- * @returns The `fetchPuzzle` function returns a Promise that resolves to the puzzle data object
- * fetched from the server or retrieved from the cache. If the puzzle with the specified `puzzleId` is
- * found in the cache, it is returned directly from the cache. Otherwise, a network request is made to
- * fetch the puzzle data, and upon successful retrieval, the data is stored in the cache before being
- * returned
+ * @typedef {Object} LoadedCollections
+ * @property {import('../models/puzzleManifest.js').PuzzleCollection[]} collections - Collections
+ *   read, in the order they were requested.
+ * @property {{ url: string, error: Error }[]} failures - Manifests that could not be read.
  */
-async function fetchPuzzle(puzzleId) {
-    if (puzzleCache.has(puzzleId)) {
-        return puzzleCache.get(puzzleId);
-    }
 
-    const url = buildPuzzlePath(puzzleId);
+/**
+ * The function `loadCollection` fetches a puzzle manifest and reads it with
+ * `parsePuzzleManifest`; puzzle paths are resolved against the manifest's own URL.
+ * @param manifestUrl - URL of the manifest, relative to the page.
+ * @returns The collection, with its packs and puzzle entries (not their contents).
+ */
+async function loadCollection(manifestUrl) {
+    const url = new URL(manifestUrl, globalThis.location?.href).href;
     const response = await fetch(url);
 
     if (!response.ok) {
-        throw new PuzzleNotFoundError(puzzleId, response.status);
+        throw new Error(
+            `No se pudo cargar la coleccion "${manifestUrl}" (status ${response.status}).`,
+        );
     }
 
-    const text = await response.text();
-    const puzzleData = {
-        id: puzzleId,
-        name: `${PUZZLE_PREFIX} ${puzzleId}`,
-        path: url,
-        content: text.trimEnd(),
-    };
-
-    puzzleCache.set(puzzleId, puzzleData);
-    return puzzleData;
+    return parsePuzzleManifest(await response.text(), url);
 }
 
-
 /**
- * The `discoverPuzzles` function asynchronously fetches puzzles starting from a specified index, with
- * an option to stop on the first gap or after a certain number of consecutive misses.
- * @param [] - 1. `start`: The starting index for discovering puzzles. Defaults to 1 if not provided.
- * @returns The `discoverPuzzles` function returns an array of discovered puzzles.
+ * The function `loadCollections` loads several manifests at once. A manifest that fails does not
+ * stop the others; it is reported in `failures`.
+ * @param manifestUrls - URLs of the manifests, relative to the page.
+ * @returns {Promise<LoadedCollections>} The collections read and the failures.
  */
-async function discoverPuzzles({
-    start = 1,
-    max = DEFAULT_MAX_PUZZLES,
-    stopOnFirstGap = true,
-} = {}) {
-    const discovered = [];
-    let consecutiveMisses = 0;
-
-    for (let i = start; i < start + max; i += 1) {
-        try {
-            const puzzle = await fetchPuzzle(i);
-            discovered.push(puzzle);
-            consecutiveMisses = 0;
-        } catch (error) {
-            if (!(error instanceof PuzzleNotFoundError)) {
-                throw error;
-            }
-
-            consecutiveMisses += 1;
-            if (stopOnFirstGap || consecutiveMisses > 3) {
-                break;
-            }
+async function loadCollections(manifestUrls = DEFAULT_COLLECTIONS) {
+    const results = await Promise.allSettled(manifestUrls.map(loadCollection));
+    const collections = [];
+    const failures = [];
+
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            collections.push(result.value);
+        } else {
+            failures.push({ url: manifestUrls[index], error: result.reason });
         }
+    });
+
+    return { collections, failures };
+}
+
+/**
+ * The function `fetchPuzzle` fetches the file of a manifest entry, caching the result by the
+ * entry's key.
+ * @param entry - Puzzle entry from a collection (see `loadCollection`).
+ * @returns The entry together with the file contents.
+ */
+async function fetchPuzzle(entry) {
+    if (puzzleCache.has(entry.key)) {
+        return puzzleCache.get(entry.key);
     }
 
-    return discovered;
+    const response = await fetch(entry.path);
+
+    if (!response.ok) {
+        throw new PuzzleNotFoundError(entry.key, response.status);
+    }
+
+    const text = await response.text();
+    const puzzleData = { ...entry, content: text.trimEnd() };
+
+    puzzleCache.set(entry.key, puzzleData);
+    return puzzleData;
 }
 
 /**
@@ -117,9 +111,10 @@ function clearPuzzleCache() {
 }
 
 export {
+    DEFAULT_COLLECTIONS,
     PuzzleNotFoundError,
-    discoverPuzzles,
+    loadCollection,
+    loadCollections,
     fetchPuzzle,
     clearPuzzleCache,
 };
-
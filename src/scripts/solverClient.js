@@ -0,0 +1,133 @@
+/* Main-thread side of the solver worker protocol (see solverWorker.js). Wraps a worker in a
+promise API that mirrors the solvers themselves: `signal` and `onProgress` behave exactly like the
+options of solveWithBfs & co., only the search runs in the worker. */
+
+/**
+ * Error raised when the worker reports a failure or dies while runs are pending.
+ */
+class SolverWorkerError extends Error {
+    /**
+     * @param {string} message - Description of the failure.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'SolverWorkerError';
+    }
+}
+
+/**
+ * Subscribes to worker messages/errors for both browser `Worker` and Node `worker_threads`.
+ *
+ * @param {Worker | import('node:worker_threads').Worker} worker - Worker instance.
+ * @param {(data: any) => void} onMessage - Receives message payloads.
+ * @param {(error: Error) => void} onError - Receives fatal worker errors.
+ */
+const listenToWorker = (worker, onMessage, onError) => {
+    if (typeof worker.on === 'function') {
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+        return;
+    }
+
+    worker.addEventListener('message', (event) => onMessage(event.data));
+    worker.addEventListener('error', (event) => {
+        event.preventDefault?.();
+        onError(new SolverWorkerError(event.message || 'El worker del solucionador fallo.'));
+    });
+};
+
+/**
+ * Creates a client bound to a solver worker.
+ *
+ * @param {Worker | import('node:worker_threads').Worker} worker - Worker running solverWorker.js.
+ * @returns {{
+ *   solve: (algorithm: string, board: import('../models/boardRenderer.js').ParsedBoard, options?: {
+ *     signal?: AbortSignal,
+ *     onProgress?: (metrics: import('../algorithms/solverCore.js').Metrics) => void,
+ *     [option: string]: any,
+ *   }) => Promise<import('../algorithms/solverCore.js').SolverResult>,
+ *   terminate: () => void,
+ * }} Solver client.
+ */
+const createSolverClient = (worker) => {
+    /** Pending runs by id: promise callbacks, progress listener and signal cleanup. */
+    const pending = new Map();
+    let nextRunId = 1;
+
+    const settle = (runId) => {
+        const run = pending.get(runId);
+        pending.delete(runId);
+        run?.cleanup();
+        return run;
+    };
+
+    listenToWorker(
+        worker,
+        (message) => {
+            if (!message || !pending.has(message.runId)) {
+                return;
+            }
+
+            if (message.type === 'progress') {
+                pending.get(message.runId).onProgress?.(message.metrics);
+                return;
+            }
+
+            if (message.type === 'result') {
+                settle(message.runId).resolve(message.result);
+                return;
+            }
+
+            if (message.type === 'error') {
+                settle(message.runId).reject(new SolverWorkerError(message.message));
+            }
+        },
+        (error) => {
+            [...pending.keys()].forEach((runId) => settle(runId).reject(error));
+        },
+    );
+
+    const solve = (algorithm, board, { signal, onProgress, ...solverOptions } = {}) =>
+        new Promise((resolve, reject) => {
+            const runId = nextRunId;
+            nextRunId += 1;
+
+            const cancel = () => worker.postMessage({ type: 'cancel', runId });
+            signal?.addEventListener('abort', cancel, { once: true });
+
+            pending.set(runId, {
+                resolve,
+                reject,
+                onProgress: typeof onProgress === 'function' ? onProgress : null,
+                cleanup: () => signal?.removeEventListener('abort', cancel),
+            });
+
+            worker.postMessage({
+                type: 'start',
+                runId,
+                algorithm,
+                board,
+                options: solverOptions,
+                aborted: Boolean(signal?.aborted),
+            });
+        });
+
+    const terminate = () => {
+        [...pending.keys()].forEach((runId) =>
+            settle(runId).reject(new SolverWorkerError('El worker del solucionador fue detenido.')),
+        );
+        worker.terminate();
+    };
+
+    return { solve, terminate };
+};
+
+/**
+ * Starts the solver worker in the browser.
+ *
+ * @returns {Worker} Module worker running solverWorker.js.
+ */
+const createBrowserSolverWorker = () =>
+    new Worker(new URL('./solverWorker.js', import.meta.url), { type: 'module' });
+
+export { SolverWorkerError, createSolverClient, createBrowserSolverWorker };
@@ -0,0 +1,119 @@
+/* Worker entry point that runs the solvers off the main thread. The same file works as a browser
+module worker and as a Node `worker_threads` worker, so the protocol can be tested headlessly.
+
+Protocol (every message carries the `runId` chosen by the client):
+  client -> worker  { type: 'start', runId, algorithm, board, options, aborted }
+                    { type: 'cancel', runId }
+  worker -> client  { type: 'progress', runId, metrics }
+                    { type: 'result', runId, result }
+                    { type: 'error', runId, message } */
+
+import { getSolver } from '../algorithms/registry.js';
+
+/**
+ * Inside the worker the solver only needs to yield often enough to notice `cancel` messages.
+ * @constant
+ * @type {number}
+ */
+const WORKER_YIELD_INTERVAL_MS = 50;
+
+/**
+ * Minimum time between two progress messages sent back to the client.
+ * @constant
+ * @type {number}
+ */
+const PROGRESS_MESSAGE_INTERVAL_MS = 50;
+
+/** @type {Map<number | string, AbortController>} */
+const activeRuns = new Map();
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Runs one solver request and reports back through `post`.
+ *
+ * @param {(message: object) => void} post - Sends a message to the client.
+ * @param {{
+ *   runId: number | string,
+ *   algorithm: string,
+ *   board: object,
+ *   options?: object,
+ *   aborted?: boolean,
+ * }} message - Start request; `aborted` is set when the client's signal was already aborted.
+ */
+const startRun = async (post, { runId, algorithm, board, options = {}, aborted = false }) => {
+    const solver = getSolver(algorithm);
+
+    if (!solver) {
+        post({ type: 'error', runId, message: `Algoritmo desconocido: ${algorithm}` });
+        return;
+    }
+
+    const controller = new AbortController();
+    activeRuns.set(runId, controller);
+    if (aborted) {
+        controller.abort();
+    }
+    let lastProgress = -Infinity;
+
+    try {
+        const result = await solver.solve(board, {
+            ...options,
+            signal: controller.signal,
+            yieldEveryMs: WORKER_YIELD_INTERVAL_MS,
+            onProgress: (metrics) => {
+                const timestamp = now();
+                const throttled = timestamp - lastProgress < PROGRESS_MESSAGE_INTERVAL_MS;
+                // Improved solutions of the anytime search are never dropped.
+                if (throttled && !metrics.improvement) {
+                    return;
+                }
+                lastProgress = timestamp;
+                post({ type: 'progress', runId, metrics });
+            },
+        });
+
+        post({ type: 'result', runId, result });
+    } catch (error) {
+        post({ type: 'error', runId, message: error?.message ?? String(error) });
+    } finally {
+        activeRuns.delete(runId);
+    }
+};
+
+/**
+ * Dispatches a protocol message received from the client.
+ *
+ * @param {(message: object) => void} post - Sends a message to the client.
+ * @param {{ type: string, runId: number | string }} message - Incoming message.
+ */
+const handleMessage = (post, message) => {
+    if (!message || typeof message !== 'object') {
+        return;
+    }
+
+    if (message.type === 'start') {
+        startRun(post, message);
+        return;
+    }
+
+    if (message.type === 'cancel') {
+        activeRuns.get(message.runId)?.abort();
+    }
+};
+
+const isBrowserWorker =
+    typeof WorkerGlobalScope !== 'undefined' &&
+    typeof self !== 'undefined' &&
+    self instanceof WorkerGlobalScope;
+
+if (isBrowserWorker) {
+    self.addEventListener('message', (event) => {
+        handleMessage((message) => self.postMessage(message), event.data);
+    });
+} else {
+    const { parentPort } = await import('node:worker_threads');
+    parentPort?.on('message', (data) => {
+        handleMessage((message) => parentPort.postMessage(message), data);
+    });
+}
@@ -0,0 +1,77 @@
+/**
+ * @typedef {Object} Random
+ * @property {number} seed - Normalized 32-bit seed the generator started from.
+ * @property {() => number} next - Uniform float in [0, 1).
+ * @property {(max: number) => number} nextInt - Uniform integer in [0, max).
+ * @property {<T>(items: T[]) => T} pick - Uniformly chosen element of a non-empty array.
+ * @property {<T>(items: T[]) => T[]} shuffle - Shuffled copy of an array (Fisher-Yates).
+ */
+
+/**
+ * Turns a number or string seed into an unsigned 32-bit integer. Strings are hashed with FNV-1a
+ * so that seeds like "demo" are reproducible too.
+ *
+ * @param {number | string} seed - Seed provided by the caller.
+ * @returns {number} Unsigned 32-bit seed.
+ */
+const normalizeSeed = (seed) => {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.trunc(seed) >>> 0;
+    }
+
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < text.length; index += 1) {
+        hash ^= text.charCodeAt(index);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Returns a fresh seed for callers that were not given one, so the run can still be reported
+ * and replayed.
+ *
+ * @returns {number} Unsigned 32-bit seed.
+ */
+const randomSeed = () => Math.floor(Math.random() * 2 ** 32) >>> 0;
+
+/**
+ * Creates a deterministic pseudo-random generator (mulberry32). Same seed, same sequence.
+ *
+ * @param {number | string} [seed=randomSeed()] - Seed of the sequence.
+ * @returns {Random} Seeded generator.
+ */
+const createRandom = (seed = randomSeed()) => {
+    const normalized = normalizeSeed(seed);
+    let state = normalized;
+
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const nextInt = (max) => Math.floor(next() * max);
+
+    const pick = (items) => items[nextInt(items.length)];
+
+    const shuffle = (items) => {
+        const copy = [...items];
+        for (let index = copy.length - 1; index > 0; index -= 1) {
+            const other = nextInt(index + 1);
+            [copy[index], copy[other]] = [copy[other], copy[index]];
+        }
+        return copy;
+    };
+
+    return { seed: normalized, next, nextInt, pick, shuffle };
+};
+
+export { normalizeSeed, randomSeed, createRandom };
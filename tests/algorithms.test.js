@@ -5,14 +5,20 @@ import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
 
 import { parsePuzzle } from '../src/models/boardRenderer.js';
+import { parseLetteredPuzzle } from '../src/models/letteredPuzzle.js';
 import { solveWithBacktracking } from '../src/algorithms/backtracking.js';
 import { solveWithBfs } from '../src/algorithms/bfs.js';
+import { solveWithBidirectionalBfs } from '../src/algorithms/bidirectionalBfs.js';
 import { solveWithAStar } from '../src/algorithms/astar.js';
 import { solveWithDfs } from '../src/algorithms/dfs.js';
+import { solveWithIdaStar } from '../src/algorithms/idaStar.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const readBoard = async (name) =>
+    parsePuzzle(await readFile(join(__dirname, 'boards', name), 'utf8'));
+
 let puzzle1Board = null;
 let puzzle1GoalIndex = -1;
 let leftExitBoard = null;
@@ -93,10 +99,77 @@ describe('solveWithBfs', () => {
     });
 });
 
+describe('solveWithBidirectionalBfs', () => {
+    test('encuentra la solucion optima para el puzzle 1', async () => {
+        const result = await solveWithBidirectionalBfs(puzzle1Board);
+        expectSolved(puzzle1Board, puzzle1GoalIndex, result, { expectedLength: 3 });
+    });
+
+    test('coincide con BFS en la longitud de la solucion', async () => {
+        for (const name of ['Puzzle2.txt', 'Puzzle3.txt', 'Puzzle5.txt', 'Puzzle6.txt']) {
+            const board = await readBoard(name);
+            const [bidirectional, forward] = await Promise.all([
+                solveWithBidirectionalBfs(board),
+                solveWithBfs(board),
+            ]);
+            assert.equal(bidirectional.moves.length, forward.moves.length, name);
+            assert.ok(bidirectional.metrics.explored < forward.metrics.explored, name);
+        }
+    });
+
+    test('informa las metricas de cada frente por separado', async () => {
+        const board = await readBoard('Puzzle6.txt');
+        const progress = [];
+        const { metrics } = await solveWithBidirectionalBfs(board, {
+            onProgress: (sample) => progress.push(sample),
+        });
+
+        assert.equal(metrics.explored, metrics.forward.explored + metrics.backward.explored);
+        assert.equal(metrics.frontier, metrics.forward.frontier + metrics.backward.frontier);
+        assert.ok(metrics.forward.explored > 0 && metrics.backward.explored > 0);
+        assert.ok(metrics.backward.goalStates > 0);
+        assert.ok(progress.length > 1);
+        assert.ok(progress.every(({ forward, backward }) => forward && backward));
+    });
+
+    test('busca solo hacia adelante si hay demasiados estados meta', async () => {
+        const result = await solveWithBidirectionalBfs(puzzle1Board, { maxGoalStates: 10 });
+
+        expectSolved(puzzle1Board, puzzle1GoalIndex, result, { expectedLength: 3 });
+        assert.equal(result.metrics.backward, null);
+        assert.equal(result.metrics.forward.explored, result.metrics.explored);
+    });
+
+    test('termina sin solucion cuando uno de los frentes se agota', async () => {
+        const walled = parseLetteredPuzzle('A A x . .\nSalida: 0,4');
+        const result = await solveWithBidirectionalBfs(walled);
+
+        assert.equal(result.status, 'unsolved');
+        assert.equal(result.metrics.backward.goalStates, 1);
+        assert.equal(result.metrics.explored, 1);
+
+        const blocked = await solveWithBidirectionalBfs(parseLetteredPuzzle('A A x .\nSalida: 0,3'));
+        assert.equal(blocked.status, 'unsolved');
+        assert.equal(blocked.metrics.explored, 0);
+    });
+
+    test('respeta el AbortSignal antes de iniciar', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        const result = await solveWithBidirectionalBfs(puzzle1Board, { signal: controller.signal });
+
+        assert.equal(result.status, 'aborted');
+        assert.deepEqual(result.moves, []);
+        assert.equal(result.stateHistory.length, 1);
+        assert.equal(result.metrics.depth, 0);
+    });
+});
+
 describe('solveWithAStar', () => {
-    test('encuentra una solucion para el puzzle 1', async () => {
+    test('encuentra la solucion optima para el puzzle 1', async () => {
         const result = await solveWithAStar(puzzle1Board);
-        expectSolved(puzzle1Board, puzzle1GoalIndex, result);
+        expectSolved(puzzle1Board, puzzle1GoalIndex, result, { expectedLength: 3 });
     });
 
     test('respeta el AbortSignal antes de iniciar', async () => {
@@ -105,6 +178,136 @@ describe('solveWithAStar', () => {
 
         const result = await solveWithAStar(puzzle1Board, { signal: controller.signal });
 
+        assert.equal(result.status, 'aborted');
+        assert.deepEqual(result.moves, []);
+        assert.equal(result.stateHistory.length, 1);
+        assert.equal(result.metrics.depth, 0);
+        assert.equal(result.suboptimalityBound, null);
+    });
+
+    test('con peso acota la solucion por el peso', async () => {
+        const board = await readBoard('Puzzle11.txt');
+        const plain = await solveWithAStar(board);
+        const weighted = await solveWithAStar(board, { weight: 2 });
+        const greedy = await solveWithAStar(board, { greedy: true });
+
+        assert.equal(plain.suboptimalityBound, 1);
+        for (const result of [weighted, greedy]) {
+            assert.equal(result.status, 'solved');
+            assert.ok(result.suboptimalityBound >= 1);
+            assert.ok(result.moves.length <= plain.moves.length * result.suboptimalityBound);
+        }
+        assert.ok(weighted.suboptimalityBound <= 2);
+        assert.ok(weighted.moves.length <= 2 * plain.moves.length);
+    });
+
+    test('el modo anytime informa cada mejora hasta agotar la busqueda', async () => {
+        const board = await readBoard('Puzzle7.txt');
+        const improvements = [];
+        const result = await solveWithAStar(board, {
+            weight: 3,
+            anytime: true,
+            onProgress: ({ improvement }) => improvement && improvements.push(improvement),
+        });
+
+        assert.equal(result.status, 'solved');
+        assert.ok(improvements.length > 0);
+        improvements.slice(1).forEach((improvement, index) => {
+            assert.ok(improvement.moves.length < improvements[index].moves.length);
+        });
+        assert.deepEqual(result.moves, improvements.at(-1).moves);
+        assert.equal(result.suboptimalityBound, 1);
+    });
+
+    test('el modo anytime devuelve la mejor solucion al abortar', async () => {
+        const controller = new AbortController();
+        let firstImprovement = null;
+        const result = await solveWithAStar(puzzle1Board, {
+            greedy: true,
+            anytime: true,
+            signal: controller.signal,
+            onProgress: ({ improvement }) => {
+                if (improvement) {
+                    firstImprovement = improvement;
+                    controller.abort();
+                }
+            },
+        });
+
+        expectSolved(puzzle1Board, puzzle1GoalIndex, result);
+        assert.deepEqual(result.moves, firstImprovement.moves);
+        assert.equal(result.suboptimalityBound, firstImprovement.suboptimalityBound);
+    });
+});
+
+describe('solveWithIdaStar', () => {
+    test('encuentra la solucion optima para el puzzle 1', async () => {
+        const result = await solveWithIdaStar(puzzle1Board);
+        expectSolved(puzzle1Board, puzzle1GoalIndex, result, { expectedLength: 3 });
+    });
+
+    test('solo guarda el camino actual como frontera', async () => {
+        const progress = [];
+        const result = await solveWithIdaStar(await readBoard('Puzzle10.txt'), {
+            onProgress: (metrics) => progress.push(metrics),
+        });
+
+        assert.equal(result.status, 'solved');
+        assert.ok(progress.length > 0);
+        assert.ok(progress.every(({ frontier, depth }) => frontier <= depth + 1));
+    });
+
+    test('mueve dos veces seguidas un objetivo de una casilla para girar', async () => {
+        const boards = [
+            'B . .\n. . .\nSalida: 1,2',
+            'B . . .\n. . . .\n. . | .\n. . v .\nSalida: 3,3',
+        ];
+
+        for (const text of boards) {
+            const board = parsePuzzle(text);
+            // eslint-disable-next-line no-await-in-loop
+            const optimal = await solveWithBfs(board);
+            // eslint-disable-next-line no-await-in-loop
+            const result = await solveWithIdaStar(board);
+
+            assert.equal(result.status, 'solved', text);
+            assert.equal(result.moves.length, optimal.moves.length, text);
+        }
+    });
+
+    test('no encuentra solucion por encima de maxDepth', async () => {
+        const result = await solveWithIdaStar(puzzle1Board, { maxDepth: 1 });
+
+        assert.equal(result.status, 'unsolved');
+        assert.deepEqual(result.moves, []);
+    });
+
+    test('se rinde sin solucion aunque la heuristica no lo detecte', async () => {
+        const walled = parseLetteredPuzzle('A A x . .\n. C . . .\n. C . . .\nSalida: 0,4');
+        const result = await solveWithIdaStar(walled, { heuristic: 'legacy' });
+
+        assert.equal(result.status, 'unsolved');
+        assert.deepEqual(result.moves, []);
+    });
+
+    test('cuenta los estados expandidos y no los hijos cortados por la cota', async () => {
+        const solved = await solveWithIdaStar(parseLetteredPuzzle('. A A\nSalida: 0,2'));
+        assert.equal(solved.metrics.explored, 1);
+
+        // A single pass with the bound at h(start) = 5: the three slides of C reach f = 6.
+        const walled = parseLetteredPuzzle('A A x . .\nC C . . .\nSalida: 0,4');
+        const result = await solveWithIdaStar(walled, { heuristic: 'legacy', maxDepth: 5 });
+
+        assert.equal(result.status, 'unsolved');
+        assert.equal(result.metrics.explored, 1);
+    });
+
+    test('respeta el AbortSignal antes de iniciar', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        const result = await solveWithIdaStar(puzzle1Board, { signal: controller.signal });
+
         assert.equal(result.status, 'aborted');
         assert.deepEqual(result.moves, []);
         assert.equal(result.stateHistory.length, 1);
@@ -163,6 +366,12 @@ describe('Puzzles con salida hacia la izquierda', () => {
         expectSolved(leftExitBoard, leftExitGoalIndex, result, { expectedLength: 1 });
     });
 
+    test('IDA* resuelve un puzzle con salida a la izquierda', async () => {
+        assert.ok(leftExitBoard, 'No se pudo cargar el puzzle con salida izquierda.');
+        const result = await solveWithIdaStar(leftExitBoard);
+        expectSolved(leftExitBoard, leftExitGoalIndex, result, { expectedLength: 1 });
+    });
+
     test('Backtracking resuelve un puzzle con salida a la izquierda', async () => {
         assert.ok(leftExitBoard, 'No se pudo cargar el puzzle con salida izquierda.');
         const result = await solveWithBacktracking(leftExitBoard);
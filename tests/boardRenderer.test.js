@@ -0,0 +1,96 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import {
+    parsePuzzle,
+    serializePuzzle,
+    isFaithfulPuzzleText,
+} from '../src/models/boardRenderer.js';
+import {
+    createContext,
+    getInitialState,
+    generateMoves,
+    applyMove,
+    decodeState,
+} from '../src/algorithms/solverCore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const boardsDirectory = join(__dirname, 'boards');
+
+const vehicleShapes = (board) =>
+    board.vehicles.map(({ orientation, isGoal, cells }) => ({
+        orientation,
+        isGoal,
+        cells: cells.map(({ row, col }) => [row, col]),
+    }));
+
+let boards = [];
+
+before(async () => {
+    const names = (await readdir(boardsDirectory)).filter((name) => name.endsWith('.txt'));
+    boards = await Promise.all(
+        names.map(async (name) => ({
+            name,
+            board: parsePuzzle(await readFile(join(boardsDirectory, name), 'utf8')),
+        })),
+    );
+});
+
+describe('serializePuzzle', () => {
+    test('parsePuzzle lee de nuevo los mismos vehiculos en todos los tableros', () => {
+        boards.forEach(({ name, board }) => {
+            const text = serializePuzzle(board);
+            const reparsed = parsePuzzle(text);
+
+            assert.deepEqual(vehicleShapes(reparsed), vehicleShapes(board), name);
+            assert.deepEqual(reparsed.exit, board.exit, name);
+            assert.equal(serializePuzzle(reparsed), text, name);
+            assert.equal(isFaithfulPuzzleText(text, board.vehicles.length), true, name);
+        });
+    });
+
+    test('escribe los tokens de cada orientacion y la linea de salida', () => {
+        const text = serializePuzzle(parsePuzzle('| - >\nv . .\n. - B\nSalida: 2,2'));
+
+        assert.equal(text, '| - >\nv . .\n. - B\nSalida: 2,2\n');
+    });
+
+    test('conserva la B al frente del carro objetivo que sale por la izquierda', async () => {
+        const text = await readFile(join(boardsDirectory, 'PuzzleLeftExit.txt'), 'utf8');
+
+        assert.match(serializePuzzle(parsePuzzle(text)), /^\. B -\n/);
+    });
+
+    test('escribe un estado intermedio del solucionador', () => {
+        const { board } = boards.find(({ name }) => name === 'Puzzle5.txt');
+        const context = createContext(board);
+        const initial = getInitialState(context);
+        const [move] = generateMoves(context, initial);
+        const positions = decodeState(context, applyMove(context, initial, move));
+        const reparsed = parsePuzzle(serializePuzzle(board, positions));
+
+        assert.deepEqual(decodeState(context, getInitialState(createContext(reparsed))), positions);
+        assert.notEqual(serializePuzzle(board, positions), serializePuzzle(board));
+    });
+
+    test('detecta vehiculos que el formato de texto fusionaria', () => {
+        const board = parsePuzzle('- > . . . - B\nSalida: 0,6');
+        const apart = serializePuzzle(board, [
+            { row: 0, col: 1 },
+            { row: 0, col: 4 },
+        ]);
+        const touching = serializePuzzle(board, [
+            { row: 0, col: 2 },
+            { row: 0, col: 4 },
+        ]);
+
+        assert.equal(apart, '. - > . - B .\nSalida: 0,6\n');
+        assert.equal(isFaithfulPuzzleText(apart, 2), true);
+        assert.equal(touching, '. . - > - B .\nSalida: 0,6\n');
+        assert.equal(isFaithfulPuzzleText(touching, 2), false);
+    });
+});
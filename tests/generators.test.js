@@ -0,0 +1,151 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { parsePuzzle } from '../src/models/boardRenderer.js';
+import { solveWithBfs } from '../src/algorithms/bfs.js';
+import { createRandom } from '../src/utils/random.js';
+import { scramblePuzzle } from '../src/generators/scrambler.js';
+import { generateRandomPuzzle } from '../src/generators/randomPuzzle.js';
+import { analyzeStateSpace } from '../src/generators/hardestPuzzle.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+let puzzle1Board = null;
+let puzzle5Board = null;
+
+before(async () => {
+    const puzzle1Text = await readFile(join(__dirname, 'boards', 'Puzzle1.txt'), 'utf8');
+    puzzle1Board = parsePuzzle(puzzle1Text);
+    const puzzle5Text = await readFile(join(__dirname, 'boards', 'Puzzle5.txt'), 'utf8');
+    puzzle5Board = parsePuzzle(puzzle5Text);
+});
+
+describe('createRandom', () => {
+    test('la misma semilla produce la misma secuencia', () => {
+        const first = createRandom(42);
+        const second = createRandom('42');
+        const sequence = Array.from({ length: 5 }, () => first.next());
+
+        assert.deepEqual(Array.from({ length: 5 }, () => second.next()), sequence);
+        assert.ok(sequence.every((value) => value >= 0 && value < 1));
+        assert.notDeepEqual(createRandom('otra').shuffle([1, 2, 3, 4, 5, 6]), [1, 2, 3, 4, 5, 6]);
+    });
+});
+
+describe('scramblePuzzle', () => {
+    test('es reproducible con la misma semilla y respeta la profundidad minima', async () => {
+        const options = { steps: 60, minDepth: 4, seed: 7 };
+        const first = await scramblePuzzle(puzzle5Board, options);
+        const second = await scramblePuzzle(puzzle5Board, options);
+
+        assert.equal(first.text, second.text);
+        assert.ok(first.depth >= 4);
+
+        const result = await solveWithBfs(parsePuzzle(first.text));
+        assert.equal(result.status, 'solved');
+        assert.equal(result.moves.length, first.depth);
+    });
+
+    test('falla si ningun intento alcanza la profundidad pedida', async () => {
+        await assert.rejects(
+            scramblePuzzle(puzzle5Board, { steps: 10, minDepth: 99, seed: 1, maxAttempts: 3 }),
+            /profundidad minima 99/,
+        );
+    });
+});
+
+describe('tools/scramblePuzzle.mjs', () => {
+    const run = (...args) =>
+        spawnSync(
+            process.execPath,
+            [join(__dirname, '..', 'tools', 'scramblePuzzle.mjs'), ...args],
+            { encoding: 'utf8', timeout: 60_000 },
+        );
+    const puzzle5Path = join(__dirname, 'boards', 'Puzzle5.txt');
+
+    test('rechaza numeros con texto sobrante con el codigo de uso', () => {
+        assert.equal(run(puzzle5Path, '12abc').status, 2);
+        assert.equal(run(puzzle5Path, '12', '--attempts', '3x').status, 2);
+        assert.equal(run(puzzle5Path, '12', '--seed', '7x').status, 2);
+    });
+
+    test('acepta semillas numericas y de texto', () => {
+        assert.equal(run(puzzle5Path, '12', '--seed', '7').status, 0);
+        assert.equal(run(puzzle5Path, '12', '--seed', 'demo').status, 0);
+    });
+});
+
+describe('generateRandomPuzzle', () => {
+    test('genera tableros reproducibles dentro del rango de profundidad', async () => {
+        const options = { rows: 6, columns: 6, vehicleCount: 9, minDepth: 5, maxDepth: 7, seed: 11 };
+        const first = await generateRandomPuzzle(options);
+        const second = await generateRandomPuzzle(options);
+
+        assert.equal(first.text, second.text);
+        assert.ok(first.depth >= 5 && first.depth <= 7);
+        assert.equal(first.board.vehicles.length, 9);
+
+        const result = await solveWithBfs(parsePuzzle(first.text));
+        assert.equal(result.moves.length, first.depth);
+    });
+
+    test('coloca el carro objetivo sobre la fila o columna de la salida', async () => {
+        const { board } = await generateRandomPuzzle({
+            rows: 5,
+            columns: 7,
+            vehicleCount: 5,
+            exit: { row: 0, col: 3 },
+            seed: 3,
+        });
+        const goal = board.vehicles.find((vehicle) => vehicle.isGoal);
+
+        assert.equal(goal.orientation, 'vertical');
+        assert.ok(goal.cells.every((cell) => cell.col === 3));
+        assert.ok(goal.cells.every((cell) => cell.row !== 0));
+    });
+
+    test('rechaza salidas fuera del borde del tablero', async () => {
+        await assert.rejects(
+            generateRandomPuzzle({ exit: { row: 2, col: 2 } }),
+            /borde del tablero/,
+        );
+    });
+});
+
+describe('analyzeStateSpace', () => {
+    test('calcula la distancia de cada configuracion en un tablero minimo', async () => {
+        const analysis = await analyzeStateSpace(parsePuzzle('. B -\n. . .\nSalida: 0,0'));
+
+        assert.equal(analysis.status, 'complete');
+        assert.equal(analysis.componentSize, 2);
+        assert.equal(analysis.goalStates, 1);
+        assert.deepEqual(analysis.distribution, [1, 1]);
+        assert.equal(analysis.hardest[0].text, '. B -\n. . .\nSalida: 0,0\n');
+    });
+
+    test('coincide con BFS en el tablero original y en el mas dificil', async () => {
+        const analysis = await analyzeStateSpace(puzzle1Board, { maxResults: 1 });
+        const [hardest] = analysis.hardest;
+
+        assert.equal(analysis.startDistance, 3);
+        assert.equal(
+            analysis.distribution.reduce((sum, count) => sum + count, 0),
+            analysis.componentSize,
+        );
+        assert.equal(analysis.distribution[0], analysis.goalStates);
+        assert.equal(analysis.hardest.length, 1);
+        assert.ok(analysis.maxDistance >= analysis.startDistance);
+
+        const result = await solveWithBfs(parsePuzzle(hardest.text));
+        assert.equal(result.moves.length, analysis.maxDistance);
+    });
+
+    test('respeta el limite de configuraciones', async () => {
+        await assert.rejects(analyzeStateSpace(puzzle1Board, { maxStates: 100 }), /limite de 100/);
+    });
+});
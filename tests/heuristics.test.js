@@ -0,0 +1,156 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { parsePuzzleText } from '../src/models/puzzleFormats.js';
+import {
+    createContext,
+    getInitialState,
+    generateMoves,
+    applyMove,
+    stateKey,
+    isGoalState,
+} from '../src/algorithms/solverCore.js';
+import { solveWithBfs } from '../src/algorithms/bfs.js';
+import { solveWithAStar } from '../src/algorithms/astar.js';
+import { HEURISTICS, DEFAULT_HEURISTIC, getHeuristic } from '../src/algorithms/heuristics.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const boardsDir = join(__dirname, 'boards');
+
+// Boards whose reachable states are at most this many are checked state by state.
+const EXHAUSTIVE_LIMIT = 20000;
+
+const ADMISSIBLE = Object.keys(HEURISTICS).filter((name) => HEURISTICS[name].admissible);
+
+const boardNames = (await readdir(boardsDir)).filter((name) => name !== 'index.json').sort();
+
+const readBoard = async (name) => parsePuzzleText(await readFile(join(boardsDir, name), 'utf8'));
+
+/**
+ * Every state reachable from the initial one with its exact distance to the nearest goal state,
+ * or null when there are more than `limit` of them.
+ */
+const exactDistances = (context, limit) => {
+    const states = new Map();
+    const neighbours = new Map();
+    const queue = [getInitialState(context)];
+    states.set(stateKey(context, queue[0]), queue[0]);
+
+    for (let head = 0; head < queue.length; head += 1) {
+        const state = queue[head];
+        const key = stateKey(context, state);
+        const keys = [];
+        for (const move of generateMoves(context, state)) {
+            const next = applyMove(context, state, move);
+            const nextKey = stateKey(context, next);
+            keys.push(nextKey);
+            if (!states.has(nextKey)) {
+                if (states.size === limit) {
+                    return null;
+                }
+                states.set(nextKey, next);
+                queue.push(next);
+            }
+        }
+        neighbours.set(key, keys);
+    }
+
+    // Moves are reversible, so a BFS from every goal state over the same graph gives distances.
+    const distances = new Map();
+    const frontier = [];
+    states.forEach((state, key) => {
+        if (isGoalState(context, state)) {
+            distances.set(key, 0);
+            frontier.push(key);
+        }
+    });
+    for (let head = 0; head < frontier.length; head += 1) {
+        const key = frontier[head];
+        for (const nextKey of neighbours.get(key)) {
+            if (!distances.has(nextKey)) {
+                distances.set(nextKey, distances.get(key) + 1);
+                frontier.push(nextKey);
+            }
+        }
+    }
+
+    return [...states].map(([key, state]) => ({ state, distance: distances.get(key) ?? Infinity }));
+};
+
+/** States along a BFS-optimal solution with their distance to the goal. */
+const optimalPath = async (boardData, context) => {
+    const result = await solveWithBfs(boardData);
+    assert.equal(result.status, 'solved');
+
+    const path = [{ state: getInitialState(context), distance: result.moves.length }];
+    result.moves.forEach((move, index) => {
+        path.push({
+            state: applyMove(context, path.at(-1).state, move),
+            distance: result.moves.length - index - 1,
+        });
+    });
+    return path;
+};
+
+describe('heuristicas admisibles', () => {
+    for (const name of boardNames) {
+        test(`no sobrestiman la distancia optima de BFS en ${name}`, async () => {
+            const boardData = await readBoard(name);
+            const context = createContext(boardData);
+            const samples =
+                exactDistances(context, EXHAUSTIVE_LIMIT) ?? (await optimalPath(boardData, context));
+
+            for (const { state, distance } of samples) {
+                const estimates = ADMISSIBLE.map((heuristic) =>
+                    getHeuristic(heuristic)(context, state),
+                );
+                estimates.forEach((estimate, index) => {
+                    assert.ok(
+                        estimate <= distance,
+                        `${ADMISSIBLE[index]} estima ${estimate} con distancia ${distance}`,
+                    );
+                });
+
+                const { additive, blockerChain, directBlockers } = Object.fromEntries(
+                    ADMISSIBLE.map((heuristic, index) => [heuristic, estimates[index]]),
+                );
+                assert.ok(additive >= blockerChain && blockerChain >= directBlockers);
+            }
+        });
+    }
+
+    test('A* encuentra soluciones optimas con cada heuristica admisible', async () => {
+        const boardData = await readBoard('Puzzle11.txt');
+        const optimal = (await solveWithBfs(boardData)).moves.length;
+
+        for (const heuristic of ADMISSIBLE) {
+            // eslint-disable-next-line no-await-in-loop
+            const result = await solveWithAStar(boardData, { heuristic });
+            assert.equal(result.moves.length, optimal, heuristic);
+            assert.equal(result.suboptimalityBound, 1);
+        }
+    });
+});
+
+describe('getHeuristic', () => {
+    test('usa la heuristica aditiva por defecto', () => {
+        assert.equal(DEFAULT_HEURISTIC, 'additive');
+        assert.equal(getHeuristic(), HEURISTICS.additive.estimate);
+    });
+
+    test('rechaza nombres desconocidos', () => {
+        assert.throws(() => getHeuristic('manhattan'), /Heuristica desconocida: manhattan/);
+    });
+
+    test('la heuristica original no es admisible', async () => {
+        const boardData = await readBoard('Puzzle1.txt');
+        const context = createContext(boardData);
+
+        assert.equal(HEURISTICS.legacy.admissible, false);
+        assert.ok(getHeuristic('legacy')(context, getInitialState(context)) > 3);
+    });
+});
@@ -0,0 +1,126 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { parseJsonPuzzle } from '../src/models/jsonPuzzle.js';
+import { parsePuzzle, serializePuzzle } from '../src/models/boardRenderer.js';
+import { solveWithBfs } from '../src/algorithms/bfs.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const minimal = (overrides = {}) =>
+    JSON.stringify({
+        rows: 2,
+        columns: 3,
+        exit: { row: 0, col: 2 },
+        vehicles: [{ orientation: 'horizontal', row: 0, col: 0, goal: true }],
+        ...overrides,
+    });
+
+let exampleText = '';
+
+before(async () => {
+    exampleText = await readFile(join(__dirname, 'boards', 'Puzzle12.json'), 'utf8');
+});
+
+describe('parseJsonPuzzle', () => {
+    test('lee los metadatos y respeta colores y nombres propios', () => {
+        const board = parseJsonPuzzle(exampleText);
+
+        assert.deepEqual(board.metadata, {
+            title: 'Atasco en el puerto',
+            author: 'Equipo Traffic Jam',
+            difficulty: 'facil',
+            optimalMoves: 4,
+            tags: ['ejemplo', 'muros'],
+        });
+        assert.deepEqual(
+            board.vehicles.map(({ name, color }) => [name, color]),
+            [
+                ['Carro rojo', '#D81B60'],
+                ['Camion de carga', '#6D4C41'],
+                ['Vehiculo D', '#43A047'],
+                ['Vehiculo E', '#FB8C00'],
+                ['Autobus escolar', '#FDD835'],
+                ['Vehiculo G', '#00ACC1'],
+                ['Muro', '#546E7A'],
+            ],
+        );
+    });
+
+    test('devuelve la misma forma que parsePuzzle', async () => {
+        const board = parseJsonPuzzle(exampleText);
+        const reparsed = parsePuzzle(serializePuzzle(board));
+        const result = await solveWithBfs(board);
+
+        assert.deepEqual(board.grid, reparsed.grid);
+        assert.equal(result.status, 'solved');
+        assert.equal(result.moves.length, board.metadata.optimalMoves);
+    });
+
+    test('usa valores por defecto para los campos opcionales', () => {
+        const board = parseJsonPuzzle(minimal());
+
+        assert.deepEqual(board.metadata, {
+            title: null,
+            author: null,
+            difficulty: null,
+            optimalMoves: null,
+            tags: [],
+        });
+        assert.deepEqual(board.vehicles[0].cells, [
+            { row: 0, col: 0, token: '-' },
+            { row: 0, col: 1, token: 'B' },
+        ]);
+    });
+
+    test('una pieza suelta con id B no es el vehiculo objetivo', () => {
+        const board = parseJsonPuzzle(
+            minimal({
+                vehicles: [
+                    { orientation: 'single', row: 1, col: 2, id: 'B' },
+                    { orientation: 'horizontal', row: 0, col: 0, goal: true },
+                ],
+            }),
+        );
+
+        assert.deepEqual(
+            board.vehicles.map(({ isGoal }) => isGoal),
+            [false, true],
+        );
+    });
+
+    test('nombra el primer campo invalido', () => {
+        const goal = { orientation: 'horizontal', row: 0, col: 0, goal: true };
+        const cases = [
+            ['{"rows": 2,', /no es valido/],
+            ['[]', /debe ser un objeto/],
+            [minimal({ version: 2 }), /Version de puzzle JSON no soportada: 2/],
+            [minimal({ columns: 0 }), /"columns" debe ser un entero mayor o igual que 1/],
+            [minimal({ exit: { row: 0, col: 3 } }), /"exit" queda fuera del tablero de 2x3/],
+            [minimal({ difficulty: 'imposible' }), /"difficulty" debe ser uno de/],
+            [minimal({ tags: ['ok', 3] }), /"tags" debe ser una lista/],
+            [minimal({ vehicles: [{ ...goal, orientation: 'diagonal' }] }), /vehicles\[0\]/],
+            [minimal({ vehicles: [{ ...goal, col: 2 }] }), /se sale del tablero/],
+            [minimal({ vehicles: [{ ...goal, color: 'rojo' }] }), /color hexadecimal/],
+            [minimal({ vehicles: [{ ...goal, goal: false }] }), /exactamente un vehiculo/],
+            [
+                minimal({ vehicles: [goal, { orientation: 'single', row: 1, col: 0 }] }),
+                /"vehicles\[1\].id" es obligatorio/,
+            ],
+            [
+                minimal({ vehicles: [goal, { orientation: 'vertical', row: 0, col: 1 }] }),
+                /"vehicles\[1\]" se superpone con "vehicles\[0\]" en 0,1/,
+            ],
+            [
+                minimal({ vehicles: [goal, { orientation: 'fixed', row: 1, col: 0, length: 2 }] }),
+                /"vehicles\[1\].length" debe ser 1/,
+            ],
+        ];
+
+        cases.forEach(([text, message]) => assert.throws(() => parseJsonPuzzle(text), message));
+    });
+});
@@ -0,0 +1,134 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    PuzzleFormatError,
+    parseLetteredPuzzle,
+    serializeLetteredPuzzle,
+} from '../src/models/letteredPuzzle.js';
+import { parsePuzzle, serializePuzzle } from '../src/models/boardRenderer.js';
+import { createContext, describeMove } from '../src/algorithms/solverCore.js';
+import { solveWithBfs } from '../src/algorithms/bfs.js';
+
+const PARKED = 'A A B B\nC . . .\nC . x .\nSalida: 0,3\n';
+
+const summarize = (board) =>
+    board.vehicles.map(({ letter, orientation, cells }) => [
+        letter ?? null,
+        orientation,
+        cells.map(({ row, col }) => `${row},${col}`).join(' '),
+    ]);
+
+describe('parseLetteredPuzzle', () => {
+    test('separa los vehiculos pegados en la misma fila', () => {
+        const board = parseLetteredPuzzle(PARKED);
+
+        assert.deepEqual(summarize(board), [
+            ['A', 'horizontal', '0,0 0,1'],
+            ['B', 'horizontal', '0,2 0,3'],
+            ['C', 'vertical', '1,0 2,0'],
+            [null, 'fixed', '2,2'],
+        ]);
+        // The token format cannot tell A and B apart.
+        assert.equal(parsePuzzle(serializePuzzle(board)).vehicles.length, 3);
+    });
+
+    test('conserva la letra como identidad al nombrar y resolver', async () => {
+        const board = parseLetteredPuzzle('A A . C\n. . . C\nB B . .\nSalida: 0,3');
+        const context = createContext(board);
+        const result = await solveWithBfs(board);
+
+        assert.deepEqual(
+            board.vehicles.map(({ name }) => name),
+            ['Carro objetivo', 'Vehiculo C', 'Vehiculo B'],
+        );
+        assert.deepEqual(
+            context.vehicles.map(({ label }) => label),
+            ['carro objetivo', 'carro C', 'carro B'],
+        );
+        const [firstMove] = result.moves;
+        assert.equal(
+            result.actions[0],
+            describeMove(context.vehicles[firstMove.vehicleIndex], firstMove),
+        );
+        assert.match(result.actions[0], /^mover carro C hacia abajo/);
+    });
+
+    test('usa la linea Objetivo para elegir otro vehiculo objetivo', () => {
+        const board = parseLetteredPuzzle('. . Z\nD D Z\n. . .\nSalida: 2,2\nObjetivo: Z');
+        const goal = board.vehicles.find((vehicle) => vehicle.isGoal);
+
+        assert.equal(goal.letter, 'Z');
+        assert.equal(goal.orientation, 'vertical');
+        assert.equal(board.vehicles.find(({ letter }) => letter === 'D').isGoal, false);
+    });
+
+    test('lee una letra en una sola casilla como pieza suelta', () => {
+        const board = parseLetteredPuzzle('A A .\n. . K\nSalida: 0,2');
+
+        assert.deepEqual(summarize(board)[1], ['K', 'single', '1,2']);
+    });
+
+    test('una pieza suelta B no es el vehiculo objetivo', async () => {
+        const board = parseLetteredPuzzle('B . A A\nSalida: 0,3');
+        const result = await solveWithBfs(board);
+
+        assert.deepEqual(
+            board.vehicles.map(({ letter, isGoal }) => [letter, isGoal]),
+            [
+                ['B', false],
+                ['A', true],
+            ],
+        );
+        assert.equal(result.status, 'solved');
+        assert.equal(result.moves.length, 0);
+    });
+
+    test('indica linea y columna de cada error', () => {
+        const cases = [
+            ['A A .\nB C B\nSalida: 0,2', /linea recta continua/, 2, 1],
+            ['A A .\nB ? B\nSalida: 0,2', /Ficha invalida "\?"/, 2, 3],
+            ['A A .\nB B\nSalida: 0,2', /La fila 1 tiene 2 casillas/, 2, 1],
+            ['A A .\nSalida: 0,2\nfin', /Se esperaba/, 3, 1],
+            ['A . .\nSalida: 0,2', /objetivo A ocupa una sola casilla/, 1, 1],
+        ];
+
+        cases.forEach(([text, message, line, column]) => {
+            assert.throws(
+                () => parseLetteredPuzzle(text),
+                (error) =>
+                    error instanceof PuzzleFormatError &&
+                    message.test(error.message) &&
+                    error.line === line &&
+                    error.column === column,
+                text,
+            );
+        });
+        assert.throws(() => parseLetteredPuzzle('B B .\nSalida: 0,2'), /objetivo A/);
+        assert.throws(() => parseLetteredPuzzle('A A .\n'), /linea de salida/);
+    });
+});
+
+describe('serializeLetteredPuzzle', () => {
+    test('es la inversa de parseLetteredPuzzle', () => {
+        const text = '. . Z\nD D Z\nx . .\nSalida: 2,2\nObjetivo: Z\n';
+        const board = parseLetteredPuzzle(text);
+
+        assert.equal(serializeLetteredPuzzle(board), text);
+        assert.equal(serializeLetteredPuzzle(parseLetteredPuzzle(PARKED)), PARKED);
+    });
+
+    test('pone letras a los tableros del formato de fichas y escribe estados intermedios', () => {
+        const board = parsePuzzle('| - B\nv . .\n- > .\nSalida: 0,2');
+
+        assert.equal(serializeLetteredPuzzle(board), 'B A A\nB . .\nC C .\nSalida: 0,2\n');
+        assert.equal(
+            serializeLetteredPuzzle(board, [
+                { row: 1, col: 0 },
+                { row: 0, col: 0 },
+                { row: 2, col: 1 },
+            ]),
+            'A A .\nB . .\nB C C\nSalida: 0,2\n',
+        );
+    });
+});
@@ -0,0 +1,85 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_MS_PER_CELL,
+    easeInOutCubic,
+    slideDuration,
+    slidePosition,
+    sweptArea,
+} from '../src/models/moveAnimation.js';
+
+describe('easeInOutCubic', () => {
+    test('empieza y termina en los extremos y es simetrica', () => {
+        assert.equal(easeInOutCubic(0), 0);
+        assert.equal(easeInOutCubic(0.5), 0.5);
+        assert.equal(easeInOutCubic(1), 1);
+        assert.ok(Math.abs(easeInOutCubic(0.25) + easeInOutCubic(0.75) - 1) < 1e-12);
+    });
+
+    test('arranca y frena despacio y acota el progreso', () => {
+        assert.ok(easeInOutCubic(0.1) < 0.1);
+        assert.ok(easeInOutCubic(0.9) > 0.9);
+        assert.equal(easeInOutCubic(-1), 0);
+        assert.equal(easeInOutCubic(2), 1);
+    });
+});
+
+describe('slideDuration', () => {
+    test('escala con la cantidad de casillas recorridas', () => {
+        assert.equal(slideDuration(1), DEFAULT_MS_PER_CELL);
+        assert.equal(slideDuration(3, 100), 300);
+        assert.equal(slideDuration(0, 100), 0);
+    });
+});
+
+describe('slidePosition', () => {
+    test('interpola la posicion en la direccion del movimiento', () => {
+        const from = { row: 2, col: 1 };
+
+        assert.deepEqual(slidePosition(from, { direction: 'right', steps: 2 }, 0.5), {
+            row: 2,
+            col: 2,
+        });
+        assert.deepEqual(slidePosition(from, { direction: 'up', steps: 2 }, 1), {
+            row: 0,
+            col: 1,
+        });
+        assert.deepEqual(slidePosition(from, { direction: 'left', steps: 1 }, 0), from);
+    });
+});
+
+describe('sweptArea', () => {
+    test('cubre las casillas que recorre el frente del vehiculo', () => {
+        const horizontal = { orientation: 'horizontal', length: 2 };
+        const vertical = { orientation: 'vertical', length: 3 };
+
+        const right = { direction: 'right', steps: 3 };
+        const left = { direction: 'left', steps: 2 };
+
+        assert.deepEqual(sweptArea({ row: 2, col: 0 }, horizontal, right), {
+            row: 2,
+            col: 2,
+            width: 3,
+            height: 1,
+        });
+        assert.deepEqual(sweptArea({ row: 2, col: 3 }, horizontal, left), {
+            row: 2,
+            col: 1,
+            width: 2,
+            height: 1,
+        });
+        assert.deepEqual(sweptArea({ row: 1, col: 4 }, vertical, { direction: 'down', steps: 1 }), {
+            row: 4,
+            col: 4,
+            width: 1,
+            height: 1,
+        });
+        assert.deepEqual(sweptArea({ row: 3, col: 4 }, vertical, { direction: 'up', steps: 2 }), {
+            row: 1,
+            col: 4,
+            width: 1,
+            height: 2,
+        });
+    });
+});
@@ -0,0 +1,186 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { parsePuzzle, serializePuzzle, isFaithfulPuzzleText } from '../src/models/boardRenderer.js';
+import {
+    createContext,
+    getInitialState,
+    generateMoves,
+    applyMove,
+    stateKey,
+    isGoalState,
+} from '../src/algorithms/solverCore.js';
+import { solveWithAStar } from '../src/algorithms/astar.js';
+import { solveWithIdaStar } from '../src/algorithms/idaStar.js';
+import {
+    UNREACHABLE,
+    buildPatternDatabase,
+    matchesPatternDatabase,
+    createPatternHeuristic,
+    serializePatternDatabase,
+    parsePatternDatabase,
+} from '../src/algorithms/patternDatabase.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const readBoard = async (name) =>
+    parsePuzzle(await readFile(join(__dirname, 'boards', name), 'utf8'));
+
+let puzzle11Board = null;
+let puzzle11Database = null;
+
+before(async () => {
+    puzzle11Board = await readBoard('Puzzle11.txt');
+    puzzle11Database = await buildPatternDatabase(puzzle11Board);
+});
+
+/** Every state reachable from the initial one with its exact distance to a goal state. */
+const exactDistances = (context) => {
+    const states = [getInitialState(context)];
+    const indexByKey = new Map([[stateKey(context, states[0]), 0]]);
+    const neighbours = [];
+
+    for (let index = 0; index < states.length; index += 1) {
+        neighbours.push(
+            generateMoves(context, states[index]).map((move) => {
+                const next = applyMove(context, states[index], move);
+                const key = stateKey(context, next);
+                if (!indexByKey.has(key)) {
+                    indexByKey.set(key, states.length);
+                    states.push(next);
+                }
+                return indexByKey.get(key);
+            }),
+        );
+    }
+
+    const distances = states.map((state) => (isGoalState(context, state) ? 0 : Infinity));
+    const queue = distances.flatMap((distance, index) => (distance === 0 ? [index] : []));
+    for (let head = 0; head < queue.length; head += 1) {
+        neighbours[queue[head]].forEach((next) => {
+            if (distances[next] === Infinity) {
+                distances[next] = distances[queue[head]] + 1;
+                queue.push(next);
+            }
+        });
+    }
+
+    return states.map((state, index) => ({ state, distance: distances[index] }));
+};
+
+describe('buildPatternDatabase', () => {
+    test('con un patron parcial nunca sobrestima la distancia optima', async () => {
+        const boardData = await readBoard('Puzzle5.txt');
+        const context = createContext(boardData);
+        const database = await buildPatternDatabase(boardData, { maxEntries: 2000 });
+        const heuristic = createPatternHeuristic(database, context);
+
+        assert.ok(database.vehicles.length < boardData.vehicles.length);
+        for (const { state, distance } of exactDistances(context)) {
+            assert.ok(heuristic(context, state) <= distance);
+        }
+    });
+
+    test('con todos los vehiculos da la distancia exacta', async () => {
+        const boardData = await readBoard('Puzzle4.txt');
+        const context = createContext(boardData);
+        const database = await buildPatternDatabase(boardData);
+        const heuristic = createPatternHeuristic(database, context);
+
+        assert.equal(database.vehicles.length, boardData.vehicles.length);
+        for (const { state, distance } of exactDistances(context)) {
+            assert.equal(heuristic(context, state), distance);
+        }
+    });
+
+    test('recorta las distancias largas sin marcarlas como sin salida', async () => {
+        const boardData = await readBoard('Puzzle4.txt');
+        const context = createContext(boardData);
+        const database = await buildPatternDatabase(boardData, { maxDistance: 3 });
+        const heuristic = createPatternHeuristic(database, context);
+        const stored = database.distances.filter((distance) => distance !== UNREACHABLE);
+
+        assert.equal(Math.max(...stored), 3);
+        for (const { state, distance } of exactDistances(context)) {
+            const estimate = heuristic(context, state);
+            assert.ok(estimate <= distance);
+            assert.equal(Number.isFinite(estimate), Number.isFinite(distance));
+        }
+    });
+
+    test('explora menos nodos que la heuristica por defecto con la misma solucion', async () => {
+        for (const solve of [solveWithAStar, solveWithIdaStar]) {
+            // eslint-disable-next-line no-await-in-loop
+            const plain = await solve(puzzle11Board);
+            // eslint-disable-next-line no-await-in-loop
+            const result = await solve(puzzle11Board, { patternDatabase: puzzle11Database });
+
+            assert.equal(result.status, 'solved');
+            assert.equal(result.moves.length, plain.moves.length);
+            assert.ok(result.metrics.explored < plain.metrics.explored / 5);
+        }
+    });
+
+    test('sirve para otras posiciones de la misma familia', async () => {
+        const solution = await solveWithAStar(puzzle11Board);
+        const text = serializePuzzle(puzzle11Board, solution.stateHistory[4]);
+        assert.ok(isFaithfulPuzzleText(text, puzzle11Board.vehicles.length));
+        const laterBoard = parsePuzzle(text);
+
+        assert.equal(matchesPatternDatabase(puzzle11Database, laterBoard), true);
+        const result = await solveWithAStar(laterBoard, { patternDatabase: puzzle11Database });
+        assert.equal(result.moves.length, solution.moves.length - 4);
+    });
+
+    test('rechaza otras familias, vehiculos desconocidos y patrones grandes', async () => {
+        const puzzle1Board = await readBoard('Puzzle1.txt');
+
+        assert.equal(matchesPatternDatabase(puzzle11Database, puzzle1Board), false);
+        await assert.rejects(
+            solveWithAStar(puzzle1Board, { patternDatabase: puzzle11Database }),
+            /no corresponde a este tablero/,
+        );
+        await assert.rejects(
+            buildPatternDatabase(puzzle1Board, { vehicles: ['carro 99'] }),
+            /Vehiculo desconocido: carro 99/,
+        );
+        await assert.rejects(
+            buildPatternDatabase(puzzle11Board, { vehicles: ['carro 1'], maxEntries: 10 }),
+            /supera el limite de 10/,
+        );
+    });
+
+    test('respeta el AbortSignal', async () => {
+        const database = await buildPatternDatabase(puzzle11Board, { signal: AbortSignal.abort() });
+        assert.equal(database, null);
+    });
+});
+
+describe('serializePatternDatabase y parsePatternDatabase', () => {
+    test('conservan la base de patrones', async () => {
+        const text = await serializePatternDatabase(puzzle11Database);
+        const parsed = await parsePatternDatabase(text);
+
+        assert.ok(text.length < puzzle11Database.distances.length / 10);
+        assert.deepEqual(parsed.vehicles, puzzle11Database.vehicles);
+        assert.deepEqual(parsed.distances, puzzle11Database.distances);
+    });
+
+    test('rechazan archivos que no son bases de patrones o estan danados', async () => {
+        const data = JSON.parse(await serializePatternDatabase(puzzle11Database));
+
+        await assert.rejects(parsePatternDatabase('- B .'), /no es una base de patrones/);
+        await assert.rejects(
+            parsePatternDatabase(JSON.stringify({ ...data, version: 9 })),
+            /Version de base de patrones no soportada: 9/,
+        );
+        await assert.rejects(
+            parsePatternDatabase(JSON.stringify({ ...data, distances: data.distances.slice(8) })),
+            /esta danada/,
+        );
+    });
+});
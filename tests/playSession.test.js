@@ -0,0 +1,155 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { parsePuzzle } from '../src/models/boardRenderer.js';
+import { solveWithBfs } from '../src/algorithms/bfs.js';
+import { boardAtPositions, createPlaySession } from '../src/models/playSession.js';
+import { findHint } from '../src/models/hint.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+let puzzle1Board = null;
+
+before(async () => {
+    const puzzle1Text = await readFile(join(__dirname, 'boards', 'Puzzle1.txt'), 'utf8');
+    puzzle1Board = parsePuzzle(puzzle1Text);
+});
+
+const goalIndexOf = (session) => session.context.goalIndex;
+
+describe('createPlaySession', () => {
+    test('aplica movimientos legales y rechaza los ilegales', () => {
+        const session = createPlaySession(puzzle1Board);
+        const goal = goalIndexOf(session);
+        const before = session.getPositions();
+
+        // The goal car is blocked on its right by a vertical car two cells away.
+        assert.equal(session.move({ vehicleIndex: goal, direction: 'right', steps: 4 }), null);
+        assert.equal(session.move({ vehicleIndex: goal, direction: 'up', steps: 1 }), null);
+        assert.equal(session.move({ vehicleIndex: goal, direction: 'left', steps: 1 }), null);
+        assert.deepEqual(session.getPositions(), before);
+        assert.equal(session.moveCount(), 0);
+
+        const applied = session.move({ vehicleIndex: goal, direction: 'right', steps: 2 });
+        assert.deepEqual(applied, { vehicleIndex: goal, direction: 'right', steps: 2 });
+        assert.equal(session.getPositions()[goal].col, before[goal].col + 2);
+        assert.equal(session.moveCount(), 1);
+        assert.deepEqual(session.actions(), ['mover carro objetivo hacia la derecha 2 espacios']);
+    });
+
+    test('informa el desplazamiento maximo por direccion', () => {
+        const session = createPlaySession(puzzle1Board);
+
+        assert.deepEqual(session.maxSteps(goalIndexOf(session)), {
+            left: 0,
+            right: 2,
+            up: 0,
+            down: 0,
+        });
+    });
+
+    test('deshace y rehace movimientos, y un movimiento nuevo borra lo rehacible', () => {
+        const session = createPlaySession(puzzle1Board);
+        const goal = goalIndexOf(session);
+        const initial = session.getPositions();
+
+        session.move({ vehicleIndex: goal, direction: 'right', steps: 1 });
+        const afterMove = session.getPositions();
+
+        assert.equal(session.canRedo(), false);
+        assert.deepEqual(session.undo(), { vehicleIndex: goal, direction: 'right', steps: 1 });
+        assert.deepEqual(session.getPositions(), initial);
+        assert.equal(session.moveCount(), 0);
+        assert.equal(session.canRedo(), true);
+
+        session.redo();
+        assert.deepEqual(session.getPositions(), afterMove);
+        assert.equal(session.moveCount(), 1);
+
+        session.undo();
+        session.move({ vehicleIndex: goal, direction: 'right', steps: 2 });
+        assert.equal(session.canRedo(), false);
+        assert.equal(session.redo(), null);
+
+        session.reset();
+        assert.deepEqual(session.getPositions(), initial);
+        assert.equal(session.canUndo(), false);
+    });
+
+    test('detecta la victoria y bloquea movimientos hasta deshacer', async () => {
+        const session = createPlaySession(puzzle1Board);
+        const { moves } = await solveWithBfs(puzzle1Board);
+
+        moves.forEach((move) => {
+            assert.equal(session.isSolved(), false);
+            assert.ok(session.move(move));
+        });
+
+        assert.equal(session.isSolved(), true);
+        assert.equal(session.moveCount(), moves.length);
+
+        const goal = goalIndexOf(session);
+        assert.equal(session.canMove({ vehicleIndex: goal, direction: 'left', steps: 1 }), false);
+        assert.equal(session.move({ vehicleIndex: goal, direction: 'left', steps: 1 }), null);
+
+        session.undo();
+        assert.equal(session.isSolved(), false);
+    });
+});
+
+describe('boardAtPositions', () => {
+    test('mueve las celdas de cada vehiculo a su nueva posicion', () => {
+        const session = createPlaySession(puzzle1Board);
+        const goal = goalIndexOf(session);
+        session.move({ vehicleIndex: goal, direction: 'right', steps: 2 });
+
+        const board = boardAtPositions(puzzle1Board, session.getPositions());
+        assert.deepEqual(
+            board.vehicles[goal].cells.map(({ row, col }) => [row, col]),
+            [
+                [3, 2],
+                [3, 3],
+                [3, 4],
+            ],
+        );
+        assert.deepEqual(session.currentBoard().vehicles, board.vehicles);
+        assert.equal(puzzle1Board.vehicles[goal].cells[0].col, 0);
+    });
+});
+
+describe('findHint', () => {
+    test('sugiere un movimiento optimo desde la posicion actual', async () => {
+        const session = createPlaySession(puzzle1Board);
+        const goal = goalIndexOf(session);
+        session.move({ vehicleIndex: goal, direction: 'right', steps: 1 });
+
+        const hint = await findHint(session);
+        const { moves } = await solveWithBfs(session.currentBoard());
+
+        assert.equal(hint.status, 'hint');
+        assert.equal(hint.remaining, moves.length);
+        assert.match(hint.action, /^mover /);
+
+        // Following the hint brings the remaining count down by exactly one.
+        assert.ok(session.move(hint.move));
+        const next = await findHint(session);
+        assert.equal(next.remaining, hint.remaining - 1);
+    });
+
+    test('no sugiere nada cuando el puzzle ya esta resuelto', async () => {
+        const session = createPlaySession(puzzle1Board);
+        const { moves } = await solveWithBfs(puzzle1Board);
+        moves.forEach((move) => session.move(move));
+
+        assert.deepEqual(await findHint(session), {
+            status: 'solved',
+            move: null,
+            action: null,
+            remaining: 0,
+        });
+    });
+});
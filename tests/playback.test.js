@@ -0,0 +1,136 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPlayback } from '../src/models/playback.js';
+
+/** Manual timers: callbacks only run when the test calls `runNext`. */
+const createFakeTimers = () => {
+    const pending = new Map();
+    let nextHandle = 1;
+
+    return {
+        schedule: (callback, delayMs) => {
+            const handle = nextHandle;
+            nextHandle += 1;
+            pending.set(handle, { callback, delayMs });
+            return handle;
+        },
+        cancel: (handle) => pending.delete(handle),
+        runNext: () => {
+            const [handle, { callback }] = pending.entries().next().value;
+            pending.delete(handle);
+            callback();
+        },
+        pendingDelays: () => [...pending.values()].map((entry) => entry.delayMs),
+    };
+};
+
+const createTestPlayback = (frameCount) => {
+    const timers = createFakeTimers();
+    const updates = [];
+    const playback = createPlayback({
+        frameCount,
+        delayMs: 100,
+        schedule: timers.schedule,
+        cancel: timers.cancel,
+        onUpdate: (snapshot) => updates.push(snapshot),
+    });
+    return { playback, timers, updates };
+};
+
+describe('createPlayback', () => {
+    test('reproduce hasta el final y se detiene en el ultimo paso', () => {
+        const { playback, timers, updates } = createTestPlayback(3);
+
+        playback.play();
+        assert.deepEqual(playback.snapshot(), { index: 0, playing: true });
+
+        timers.runNext();
+        assert.deepEqual(playback.snapshot(), { index: 1, playing: true });
+
+        timers.runNext();
+        assert.deepEqual(playback.snapshot(), { index: 2, playing: false });
+        assert.deepEqual(timers.pendingDelays(), []);
+        assert.deepEqual(updates.at(-1), { index: 2, playing: false });
+
+        // Playing again from the end restarts from the first frame.
+        playback.play();
+        assert.deepEqual(playback.snapshot(), { index: 0, playing: true });
+    });
+
+    test('pausa, avanza y retrocede paso a paso dentro del rango', () => {
+        const { playback, timers } = createTestPlayback(4);
+
+        playback.play();
+        playback.toggle();
+        assert.deepEqual(playback.snapshot(), { index: 0, playing: false });
+        assert.deepEqual(timers.pendingDelays(), []);
+
+        playback.stepBack();
+        assert.equal(playback.snapshot().index, 0);
+
+        playback.stepForward();
+        playback.stepForward();
+        assert.equal(playback.snapshot().index, 2);
+
+        playback.stepBack();
+        assert.equal(playback.snapshot().index, 1);
+    });
+
+    test('salta al inicio, al final y a cualquier paso del historial', () => {
+        const { playback } = createTestPlayback(6);
+
+        playback.toEnd();
+        assert.equal(playback.snapshot().index, 5);
+
+        playback.seek(3);
+        assert.equal(playback.snapshot().index, 3);
+
+        playback.seek(99);
+        assert.equal(playback.snapshot().index, 5);
+
+        playback.toStart();
+        assert.equal(playback.snapshot().index, 0);
+    });
+
+    test('buscar un paso pausa la reproduccion', () => {
+        const { playback, timers } = createTestPlayback(4);
+
+        playback.play();
+        playback.seek(2);
+
+        assert.deepEqual(playback.snapshot(), { index: 2, playing: false });
+        assert.deepEqual(timers.pendingDelays(), []);
+    });
+
+    test('cambiar la velocidad afecta a la reproduccion en curso', () => {
+        const { playback, timers } = createTestPlayback(4);
+
+        playback.play();
+        playback.setDelay(40);
+
+        assert.deepEqual(timers.pendingDelays(), [40]);
+    });
+
+    test('acepta un retardo distinto para cada paso', () => {
+        const { playback, timers } = createTestPlayback(4);
+        playback.setDelay((index) => 100 + index * 50);
+
+        playback.play();
+        assert.deepEqual(timers.pendingDelays(), [100]);
+
+        timers.runNext();
+        assert.deepEqual(timers.pendingDelays(), [150]);
+
+        timers.runNext();
+        assert.deepEqual(timers.pendingDelays(), [200]);
+    });
+
+    test('no reproduce soluciones sin movimientos', () => {
+        const { playback, updates } = createTestPlayback(1);
+
+        playback.play();
+        assert.deepEqual(playback.snapshot(), { index: 0, playing: false });
+        assert.equal(updates.length, 0);
+    });
+});
@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPuzzleEditor } from '../src/models/puzzleEditor.js';
+import { solveWithBfs } from '../src/algorithms/bfs.js';
+
+const codesOf = (editor) => editor.validate().map((diagnostic) => diagnostic.code);
+
+/** Goal car on row 2 blocked by a vertical truck, exit on the right edge. */
+const createSampleEditor = () => {
+    const editor = createPuzzleEditor({ rows: 6, columns: 6 });
+    editor.setGoal(editor.addVehicle({ row: 2, col: 0, orientation: 'horizontal', length: 2 }));
+    editor.addVehicle({ row: 1, col: 3, orientation: 'vertical', length: 3 });
+    editor.setExit({ row: 2, col: 5 });
+    return editor;
+};
+
+describe('createPuzzleEditor', () => {
+    test('exporta el formato de texto y el tablero se puede resolver', async () => {
+        const editor = createSampleEditor();
+
+        assert.deepEqual(editor.validate(), []);
+        assert.equal(
+            editor.toText(),
+            [
+                '. . . . . .',
+                '. . . | . .',
+                '- B . | . .',
+                '. . . v . .',
+                '. . . . . .',
+                '. . . . . .',
+                'Salida: 2,5',
+                '',
+            ].join('\n'),
+        );
+
+        const board = editor.toBoard();
+        assert.equal(board.vehicles.length, 2);
+        assert.deepEqual(board.exit, { row: 2, col: 5 });
+
+        const result = await solveWithBfs(board);
+        assert.equal(result.status, 'solved');
+        assert.equal(result.moves.length, 2);
+    });
+
+    test('informa la falta de objetivo y de salida', () => {
+        const editor = createPuzzleEditor();
+        editor.addVehicle({ row: 0, col: 0, orientation: 'horizontal', length: 2 });
+
+        assert.deepEqual(codesOf(editor), ['missing-goal', 'missing-exit']);
+        assert.throws(() => editor.toText(), /no se puede exportar: Falta marcar/);
+    });
+
+    test('detecta superposiciones y vehiculos pegados en la misma linea', () => {
+        const editor = createSampleEditor();
+        editor.addVehicle({ row: 3, col: 2, orientation: 'horizontal', length: 2 });
+        editor.addVehicle({ row: 4, col: 3, orientation: 'vertical', length: 2 });
+
+        const diagnostics = editor.validate();
+        assert.deepEqual(
+            diagnostics.map(({ code }) => code),
+            ['overlap', 'touching'],
+        );
+        assert.deepEqual(diagnostics[0].cells, [{ row: 3, col: 3 }]);
+        assert.match(diagnostics[0].message, /vehiculos 2 y 3 se superponen/);
+    });
+
+    test('exige que la salida este en el borde y alineada con el objetivo', () => {
+        const editor = createSampleEditor();
+
+        editor.setExit({ row: 2, col: 3 });
+        assert.deepEqual(codesOf(editor), ['exit-border']);
+
+        editor.setExit({ row: 0, col: 5 });
+        assert.deepEqual(codesOf(editor), ['exit-axis']);
+
+        editor.setExit({ row: 2, col: 0 });
+        assert.deepEqual(codesOf(editor), []);
+    });
+
+    test('reporta los vehiculos que quedan fuera al achicar el tablero', () => {
+        const editor = createSampleEditor();
+        editor.resize(3, 6);
+
+        assert.deepEqual(codesOf(editor), ['outside']);
+        assert.throws(() => editor.resize(2, 6), /entre 3 y 12/);
+    });
+
+    test('borra vehiculos, cambia el objetivo y vacia el tablero', () => {
+        const editor = createSampleEditor();
+
+        editor.setGoal(editor.vehicleAt(3, 3));
+        assert.deepEqual(
+            editor.getDraft().vehicles.map((vehicle) => vehicle.isGoal),
+            [false, true],
+        );
+
+        assert.equal(editor.removeVehicleAt(2, 3), true);
+        assert.equal(editor.removeVehicleAt(2, 3), false);
+        assert.equal(editor.getDraft().vehicles.length, 1);
+
+        editor.clear();
+        assert.deepEqual(editor.getDraft(), { rows: 6, columns: 6, vehicles: [], exit: null });
+    });
+
+    test('rechaza vehiculos de una casilla', () => {
+        const editor = createPuzzleEditor();
+        assert.throws(
+            () => editor.addVehicle({ row: 0, col: 0, orientation: 'horizontal', length: 1 }),
+            /al menos 2 casillas/,
+        );
+    });
+});
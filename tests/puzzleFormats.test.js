@@ -0,0 +1,71 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { detectPuzzleFormat, parsePuzzleText, readPuzzle } from '../src/models/puzzleFormats.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const boardsDirectory = join(__dirname, 'boards');
+
+const NOTATION = 'BBoooCoooooCAAoooCoooooooooooooooooo';
+const JSON_PUZZLE = {
+    title: 'Corto',
+    rows: 1,
+    columns: 3,
+    exit: { row: 0, col: 2 },
+    vehicles: [{ orientation: 'horizontal', row: 0, col: 0, goal: true }],
+};
+
+let boardTexts = [];
+
+before(async () => {
+    const names = (await readdir(boardsDirectory)).filter((name) => name.endsWith('.txt'));
+    boardTexts = await Promise.all(
+        names.map(async (name) => readFile(join(boardsDirectory, name), 'utf8')),
+    );
+});
+
+describe('detectPuzzleFormat', () => {
+    test('reconoce el formato de fichas en todos los tableros de prueba', () => {
+        boardTexts.forEach((text) => assert.equal(detectPuzzleFormat(text), 'tokens'));
+    });
+
+    test('reconoce el formato de letras, la notacion de 36 caracteres y JSON', () => {
+        assert.equal(detectPuzzleFormat('A A .\nB . .\nSalida: 0,2'), 'lettered');
+        assert.equal(detectPuzzleFormat('. B B\n. . .\nSalida: 0,2\nObjetivo: B'), 'lettered');
+        assert.equal(detectPuzzleFormat(`\n${NOTATION}\n`), 'notation');
+        assert.equal(detectPuzzleFormat('- B x .\nSalida: 0,3'), 'tokens');
+        assert.equal(detectPuzzleFormat('\n  { "rows": 6 }'), 'json');
+    });
+});
+
+describe('readPuzzle', () => {
+    test('usa el validador estricto para el formato de fichas', () => {
+        const { format, diagnostics, board } = readPuzzle('- B . - >\nSalida: 0,4');
+
+        assert.equal(format, 'tokens');
+        assert.ok(board);
+        assert.deepEqual(diagnostics.map(({ code }) => code), ['blocked-exit']);
+    });
+
+    test('convierte los errores de los otros formatos en diagnosticos', () => {
+        const { format, diagnostics, board } = readPuzzle('A A .\nB ? B\nSalida: 0,2');
+
+        assert.equal(format, 'lettered');
+        assert.equal(board, null);
+        assert.deepEqual(
+            diagnostics.map(({ severity, code, line, column }) => [severity, code, line, column]),
+            [['error', 'invalid-format', 2, 3]],
+        );
+    });
+
+    test('parsePuzzleText lee cualquier formato', () => {
+        assert.equal(parsePuzzleText(NOTATION).vehicles.length, 3);
+        assert.equal(parsePuzzleText('A A B B\nSalida: 0,3').vehicles.length, 2);
+        assert.equal(parsePuzzleText('- > - B\nSalida: 0,3').vehicles.length, 1);
+        assert.equal(parsePuzzleText(JSON.stringify(JSON_PUZZLE)).metadata.title, 'Corto');
+    });
+});
@@ -0,0 +1,151 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { parsePuzzleManifest } from '../src/models/puzzleManifest.js';
+import { detectPuzzleFormat, parsePuzzleText } from '../src/models/puzzleFormats.js';
+import { loadCollections, fetchPuzzle, clearPuzzleCache } from '../src/scripts/puzzleLoader.js';
+import { solveWithBfs } from '../src/algorithms/bfs.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const boardsDirectory = join(__dirname, 'boards');
+const manifestUrl = pathToFileURL(join(boardsDirectory, 'index.json')).href;
+
+const BASE_URL = 'http://localhost/colecciones/index.json';
+
+const manifest = (overrides = {}) =>
+    JSON.stringify({
+        id: 'demo',
+        name: 'Demo',
+        puzzles: [{ id: 'uno', name: 'Uno', path: 'uno.txt' }],
+        ...overrides,
+    });
+
+let collection = null;
+
+before(async () => {
+    collection = parsePuzzleManifest(
+        await readFile(join(boardsDirectory, 'index.json'), 'utf8'),
+        manifestUrl,
+    );
+});
+
+describe('tests/boards/index.json', () => {
+    test('lista cada tablero de la carpeta con su formato', async () => {
+        const files = (await readdir(boardsDirectory)).filter((name) => name !== 'index.json');
+        const entries = collection.packs.flatMap((pack) => pack.puzzles);
+
+        assert.deepEqual(
+            entries.map(({ path }) => fileURLToPath(path).slice(boardsDirectory.length + 1)).sort(),
+            files.sort(),
+        );
+
+        for (const entry of entries) {
+            const text = await readFile(fileURLToPath(entry.path), 'utf8');
+            assert.equal(detectPuzzleFormat(text), entry.format, entry.id);
+        }
+    });
+
+    test('agrupa los tableros en packs por dificultad', () => {
+        assert.deepEqual(
+            collection.packs.map(({ id }) => id),
+            ['principiante', 'intermedio', 'experto'],
+        );
+    });
+
+    test('declara el numero optimo de movimientos de los packs rapidos de resolver', async () => {
+        const entries = collection.packs
+            .filter(({ id }) => id !== 'experto')
+            .flatMap((pack) => pack.puzzles);
+
+        for (const entry of entries) {
+            const board = parsePuzzleText(await readFile(fileURLToPath(entry.path), 'utf8'));
+            const result = await solveWithBfs(board);
+            assert.equal(result.moves.length, entry.metadata.optimalMoves, entry.id);
+        }
+    });
+});
+
+describe('parsePuzzleManifest', () => {
+    test('resuelve las rutas y agrupa los puzzles sin pack bajo la coleccion', () => {
+        const parsed = parsePuzzleManifest(
+            manifest({
+                packs: [{ id: 'a', name: 'Pack A' }, { id: 'vacio', name: 'Vacio' }],
+                puzzles: [
+                    { id: 'uno', name: 'Uno', path: 'uno.txt' },
+                    { id: 'dos', name: 'Dos', path: '../otros/dos.json', pack: 'a' },
+                ],
+            }),
+            BASE_URL,
+        );
+
+        assert.deepEqual(
+            parsed.packs.map(({ id, name, puzzles }) => [id, name, puzzles.map(({ key }) => key)]),
+            [
+                ['a', 'Pack A', ['demo/dos']],
+                ['', 'Demo', ['demo/uno']],
+            ],
+        );
+        assert.equal(parsed.packs[0].puzzles[0].path, 'http://localhost/otros/dos.json');
+        assert.equal(parsed.packs[1].puzzles[0].format, null);
+        assert.equal(parsed.packs[1].puzzles[0].metadata, null);
+    });
+
+    test('nombra el primer campo invalido', () => {
+        const puzzle = { id: 'uno', name: 'Uno', path: 'uno.txt' };
+        const cases = [
+            ['{', /no es valido/],
+            [manifest({ id: 'con espacios' }), /"id" debe ser un id/],
+            [manifest({ puzzles: {} }), /"puzzles" debe ser una lista/],
+            [manifest({ puzzles: [puzzle, puzzle] }), /"uno" se repite en "puzzles\[1\]"/],
+            [manifest({ puzzles: [{ ...puzzle, path: '' }] }), /"puzzles\[0\].path"/],
+            [manifest({ puzzles: [{ ...puzzle, format: 'xml' }] }), /"puzzles\[0\].format"/],
+            [manifest({ puzzles: [{ ...puzzle, pack: 'x' }] }), /pack que no existe: "x"/],
+            [
+                manifest({ puzzles: [{ ...puzzle, metadata: { optimalMoves: -1 } }] }),
+                /"puzzles\[0\].metadata.optimalMoves"/,
+            ],
+        ];
+
+        cases.forEach(([text, message]) =>
+            assert.throws(() => parsePuzzleManifest(text, BASE_URL), message),
+        );
+    });
+});
+
+describe('puzzleLoader', () => {
+    const originalFetch = globalThis.fetch;
+
+    before(() => {
+        globalThis.fetch = async (url) => {
+            try {
+                const text = await readFile(fileURLToPath(url), 'utf8');
+                return { ok: true, status: 200, text: async () => text };
+            } catch {
+                return { ok: false, status: 404, text: async () => '' };
+            }
+        };
+    });
+
+    after(() => {
+        globalThis.fetch = originalFetch;
+        clearPuzzleCache();
+    });
+
+    test('carga varias colecciones e informa las que fallan', async () => {
+        const missingUrl = pathToFileURL(join(boardsDirectory, 'no-existe.json')).href;
+        const { collections, failures } = await loadCollections([manifestUrl, missingUrl]);
+
+        assert.deepEqual(collections.map(({ id }) => id), ['pruebas']);
+        assert.deepEqual(failures.map(({ url }) => url), [missingUrl]);
+        assert.match(failures[0].error.message, /status 404/);
+
+        const [entry] = collections[0].packs[0].puzzles;
+        const puzzle = await fetchPuzzle(entry);
+        assert.equal(puzzle.key, 'pruebas/puzzle-left-exit');
+        assert.match(puzzle.content, /^Salida: 0,0$/m);
+    });
+});
@@ -0,0 +1,138 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    STORAGE_KEY,
+    createMemoryStorage,
+    createPuzzleStorage,
+    exportFileName,
+    summarizeHistory,
+} from '../src/models/puzzleStorage.js';
+
+const TOKENS = '- B .\n. . .\nSalida: 0,2\n';
+const LETTERED = 'A A . C\n. . . C\nSalida: 0,3\n';
+const START = Date.UTC(2024, 0, 15, 10, 30);
+
+let backing = null;
+let clock = START;
+let library = null;
+
+const metrics = (depth, explored, timeMs) => ({ depth, explored, timeMs, frontier: 0 });
+
+beforeEach(() => {
+    backing = createMemoryStorage();
+    clock = START;
+    library = createPuzzleStorage(backing, { now: () => clock });
+});
+
+describe('createPuzzleStorage', () => {
+    test('guarda los puzzles con su formato y los conserva entre instancias', () => {
+        const first = library.savePuzzle({ name: '  Mi atasco ', content: TOKENS });
+        const second = library.savePuzzle({ name: '', content: LETTERED, source: 'editor' });
+
+        assert.deepEqual(first, {
+            id: START.toString(36),
+            key: `local/${START.toString(36)}`,
+            name: 'Mi atasco',
+            content: TOKENS.trimEnd(),
+            format: 'tokens',
+            source: 'import',
+            savedAt: '2024-01-15T10:30:00.000Z',
+        });
+        assert.equal(second.id, `${START.toString(36)}-2`);
+        assert.equal(second.name, 'Puzzle sin nombre');
+        assert.equal(second.format, 'lettered');
+
+        const reopened = createPuzzleStorage(backing);
+        assert.deepEqual(
+            reopened.listPuzzles().map(({ name }) => name),
+            ['Mi atasco', 'Puzzle sin nombre'],
+        );
+    });
+
+    test('renombra y elimina puzzles junto con su historial', () => {
+        const saved = library.savePuzzle({ name: 'Uno', content: TOKENS });
+        library.recordManualSolve(saved.key, 4);
+
+        assert.equal(library.renamePuzzle(saved.id, ' Dos ').name, 'Dos');
+        assert.equal(library.renamePuzzle(saved.id, '   '), null);
+        assert.equal(library.renamePuzzle('otro', 'Tres'), null);
+        assert.equal(library.listPuzzles()[0].name, 'Dos');
+
+        assert.equal(library.deletePuzzle(saved.id), true);
+        assert.equal(library.deletePuzzle(saved.id), false);
+        assert.deepEqual(library.listPuzzles(), []);
+        assert.equal(library.getHistory(saved.key).manualSolves, 0);
+    });
+
+    test('registra ejecuciones con las mejores metricas y las soluciones manuales', () => {
+        const key = 'pruebas/puzzle-1';
+
+        library.recordRun(key, 'bfs', { status: 'solved', metrics: metrics(3, 40, 12) });
+        clock += 1000;
+        library.recordRun(key, 'bfs', { status: 'solved', metrics: metrics(3, 35, 20) });
+        library.recordRun(key, 'dfs', { status: 'unsolved', metrics: metrics(0, 90, 5) });
+        library.recordRun(key, 'astar', { status: 'aborted', metrics: metrics(0, 10, 1) });
+        library.recordManualSolve(key, 6);
+        library.recordManualSolve(key, 4);
+        library.recordManualSolve(key, 5);
+
+        assert.deepEqual(library.getHistory(key), {
+            algorithms: {
+                bfs: {
+                    runs: 2,
+                    solved: 2,
+                    best: { depth: 3, explored: 35, timeMs: 12 },
+                    lastRunAt: '2024-01-15T10:30:01.000Z',
+                },
+                dfs: { runs: 1, solved: 0, best: null, lastRunAt: '2024-01-15T10:30:01.000Z' },
+            },
+            manualSolves: 3,
+            bestManualMoves: 4,
+        });
+    });
+
+    test('trata un documento corrupto como una biblioteca vacia', () => {
+        backing.setItem(STORAGE_KEY, '{no es json');
+
+        assert.deepEqual(library.listPuzzles(), []);
+        library.savePuzzle({ name: 'Nuevo', content: TOKENS });
+        assert.equal(JSON.parse(backing.getItem(STORAGE_KEY)).puzzles.length, 1);
+    });
+
+    test('propaga los errores de escritura del almacenamiento', () => {
+        const full = {
+            getItem: () => null,
+            setItem: () => {
+                throw new Error('QuotaExceededError');
+            },
+        };
+
+        assert.throws(
+            () => createPuzzleStorage(full).savePuzzle({ name: 'x', content: TOKENS }),
+            /QuotaExceededError/,
+        );
+    });
+});
+
+describe('exportFileName y summarizeHistory', () => {
+    test('nombra el archivo exportado segun el formato', () => {
+        assert.equal(exportFileName({ name: 'Mi: atasco?', format: 'tokens' }), 'Mi atasco.txt');
+        assert.equal(exportFileName({ name: '///', format: 'json' }), 'puzzle.json');
+    });
+
+    test('describe el historial en lineas legibles', () => {
+        const key = 'pruebas/puzzle-2';
+        assert.deepEqual(summarizeHistory(library.getHistory(key)), []);
+
+        library.recordRun(key, 'bfs', { status: 'solved', metrics: metrics(4, 20, 3) });
+        library.recordRun(key, 'dfs', { status: 'unsolved', metrics: metrics(0, 9, 1) });
+        library.recordManualSolve(key, 7);
+
+        assert.deepEqual(summarizeHistory(library.getHistory(key), (name) => name.toUpperCase()), [
+            'BFS: 1 ejecucion(es), 1 con solucion; mejor: 4 movimientos, 20 nodos, 3 ms',
+            'DFS: 1 ejecucion(es), 0 con solucion',
+            'Resuelto a mano 1 vez/veces; mejor: 7 movimientos',
+        ]);
+    });
+});
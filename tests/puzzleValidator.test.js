@@ -0,0 +1,130 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import {
+    validatePuzzleText,
+    hasErrors,
+    formatDiagnostic,
+} from '../src/models/puzzleValidator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const BOARDS_DIR = join(__dirname, 'boards');
+
+/** Compact view of the diagnostics: `[severity, code, line, column]`. */
+const summarize = (text) =>
+    validatePuzzleText(text).diagnostics.map(({ severity, code, line, column }) => [
+        severity,
+        code,
+        line,
+        column,
+    ]);
+
+describe('validatePuzzleText', () => {
+    test('acepta los tableros de prueba sin errores', async () => {
+        const files = (await readdir(BOARDS_DIR)).filter((file) => file.endsWith('.txt'));
+
+        for (const file of files) {
+            // eslint-disable-next-line no-await-in-loop
+            const { diagnostics, board } = validatePuzzleText(
+                await readFile(join(BOARDS_DIR, file), 'utf8'),
+            );
+            assert.equal(hasErrors(diagnostics), false, file);
+            assert.ok(board, file);
+        }
+    });
+
+    test('senala filas de distinto ancho, fichas desconocidas y salidas fuera del tablero', () => {
+        const text = ['- B . .', '. . ? .', '. .', 'Salida: 1,9', ''].join('\n');
+
+        assert.deepEqual(summarize(text), [
+            ['warning', 'unknown-token', 2, 5],
+            ['error', 'ragged-row', 3, 3],
+            ['error', 'exit-outside', 4, 1],
+        ]);
+        assert.equal(validatePuzzleText(text).board, null);
+    });
+
+    test('incluye fila, columna y ficha del tablero en cada diagnostico', () => {
+        const [diagnostic] = validatePuzzleText('- B . <\nSalida: 0,3').diagnostics;
+
+        assert.deepEqual(diagnostic, {
+            severity: 'warning',
+            code: 'unknown-token',
+            message: 'Ficha desconocida "<": se tratara como una pieza suelta de una casilla.',
+            line: 1,
+            column: 7,
+            row: 0,
+            col: 3,
+            token: '<',
+        });
+    });
+
+    test('exige la linea de salida y un formato valido', () => {
+        assert.deepEqual(summarize(''), [['error', 'empty', null, null]]);
+        assert.deepEqual(summarize('- B .\n'), [['error', 'missing-exit', null, null]]);
+        assert.deepEqual(summarize('- B .\nSalida: 0'), [['error', 'invalid-exit', 2, 1]]);
+        assert.deepEqual(summarize('- B .\nSalida: 0,2\n. . .'), [
+            ['warning', 'ignored-line', 3, 1],
+        ]);
+    });
+
+    test('detecta varias fichas B, un objetivo aislado y salidas fuera de su eje', () => {
+        assert.deepEqual(summarize('- B . . .\n. . . . .\n- B . . .\nSalida: 0,4'), [
+            ['error', 'multiple-goals', 3, 3],
+        ]);
+        assert.deepEqual(summarize('. . .\n. B .\n. . .\nSalida: 1,2'), [
+            ['error', 'isolated-goal', 2, 3],
+        ]);
+        assert.deepEqual(summarize('| . .\nB . .\n. . .\nSalida: 0,2'), [
+            ['error', 'exit-not-aligned', 2, 1],
+        ]);
+    });
+
+    test('advierte vehiculos sin ficha final, pegados o con la ficha fuera de lugar', () => {
+        assert.deepEqual(summarize('- B . - -\n. . . . .\nSalida: 0,0'), [
+            ['warning', 'missing-head', 1, 9],
+        ]);
+        assert.deepEqual(summarize('- B . . .\n- > - > .\nSalida: 0,4'), [
+            ['warning', 'merged-vehicles', 2, 1],
+        ]);
+        assert.deepEqual(summarize('- B . . .\n> - . . .\nSalida: 0,4'), [
+            ['warning', 'misplaced-head', 2, 1],
+        ]);
+    });
+
+    test('advierte una ficha B ambigua y una salida inalcanzable', () => {
+        assert.deepEqual(summarize('. | .\n- B .\n. . .\nSalida: 2,1'), [
+            ['warning', 'ambiguous-goal', 2, 3],
+        ]);
+        assert.deepEqual(summarize('- B . - >\nSalida: 0,4'), [
+            ['warning', 'blocked-exit', 1, 7],
+        ]);
+        assert.deepEqual(summarize('- B x .\nSalida: 0,3'), [
+            ['warning', 'blocked-exit', 1, 5],
+        ]);
+
+        const { board } = validatePuzzleText('- B . - >\nSalida: 0,4');
+        assert.ok(board, 'las advertencias no impiden usar el tablero');
+    });
+});
+
+describe('formatDiagnostic', () => {
+    test('describe la posicion y la severidad', () => {
+        const [warning] = validatePuzzleText('- B . <\nSalida: 0,3').diagnostics;
+        const [error] = validatePuzzleText('- B .\n').diagnostics;
+
+        assert.equal(
+            formatDiagnostic(warning),
+            'linea 1, columna 7: advertencia: ' +
+                'Ficha desconocida "<": se tratara como una pieza suelta de una casilla.',
+        );
+        assert.equal(
+            formatDiagnostic(error),
+            'error: No se encontro la linea de salida en el puzzle.',
+        );
+    });
+});
@@ -0,0 +1,161 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import {
+    RUSH_HOUR_EXIT,
+    parseRushHourNotation,
+    formatRushHourNotation,
+    parseRushHourDataset,
+} from '../src/models/rushHourNotation.js';
+import { parsePuzzle, serializePuzzle } from '../src/models/boardRenderer.js';
+import { solveWithBfs } from '../src/algorithms/bfs.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const CLI_PATH = join(__dirname, '..', 'tools', 'verifyRushHourDataset.mjs');
+
+// First line of Michael Fogleman's dataset: the hardest puzzle with walls.
+const HARDEST = 'IBBxooIooLDDJAALooJoKEEMFFKooMGGHHHM';
+const SIMPLE = 'BBoooCoooooCAAoooCoooooooooooooooooo';
+
+let temporaryDirectory = null;
+let datasetPath = null;
+
+const runCli = (...args) =>
+    spawnSync(process.execPath, [CLI_PATH, ...args], { encoding: 'utf8', timeout: 60_000 });
+
+before(async () => {
+    temporaryDirectory = await mkdtemp(join(tmpdir(), 'rush-hour-'));
+    datasetPath = join(temporaryDirectory, 'rush.txt');
+    await writeFile(datasetPath, `# muestra\n60 ${HARDEST} 2\n2 ${SIMPLE} 1\n3 ${SIMPLE} 1\n`);
+});
+
+after(async () => {
+    await rm(temporaryDirectory, { recursive: true, force: true });
+});
+
+describe('parseRushHourNotation', () => {
+    test('construye el tablero con vehiculos separados, muros y la salida estandar', () => {
+        const board = parseRushHourNotation(HARDEST);
+        const goal = board.vehicles.find((vehicle) => vehicle.isGoal);
+        const walls = board.vehicles.filter((vehicle) => vehicle.orientation === 'fixed');
+
+        assert.equal(board.rows, 6);
+        assert.equal(board.columns, 6);
+        assert.deepEqual(board.exit, RUSH_HOUR_EXIT);
+        assert.equal(board.vehicles.length, 13);
+        assert.deepEqual(
+            goal.cells.map(({ row, col }) => [row, col]),
+            [
+                [2, 1],
+                [2, 2],
+            ],
+        );
+        assert.deepEqual(walls.map(({ cells: [{ row, col }] }) => [row, col]), [[0, 3]]);
+        assert.deepEqual(
+            board.vehicles.filter(({ cells }) => cells[0].row === 5).map(({ letter }) => letter),
+            ['G', 'H'],
+        );
+    });
+
+    test('coincide con el numero de movimientos optimo del dataset', async () => {
+        const result = await solveWithBfs(parseRushHourNotation(HARDEST));
+
+        assert.equal(result.status, 'solved');
+        assert.equal(result.moves.length, 60);
+    });
+
+    test('acepta puntos como celdas vacias', () => {
+        const board = parseRushHourNotation(SIMPLE.replaceAll('o', '.'));
+
+        assert.equal(formatRushHourNotation(board), SIMPLE);
+    });
+
+    test('rechaza notaciones mal formadas', () => {
+        assert.throws(() => parseRushHourNotation('AA'), /36 caracteres/);
+        assert.throws(() => parseRushHourNotation(SIMPLE.replace('C', '?')), /Caracter invalido/);
+        assert.throws(() => parseRushHourNotation(SIMPLE.replaceAll('A', 'D')), /objetivo A/);
+        assert.throws(
+            () => parseRushHourNotation(`${'o'.repeat(12)}AoAooo${'o'.repeat(18)}`),
+            /no son contiguas/,
+        );
+        assert.throws(() => parseRushHourNotation(`AA${'o'.repeat(34)}`), /fila 2/);
+    });
+});
+
+describe('formatRushHourNotation', () => {
+    test('es la inversa de parseRushHourNotation', () => {
+        const board = parseRushHourNotation(HARDEST);
+        const notation = formatRushHourNotation(board);
+        const reparsed = parseRushHourNotation(notation);
+
+        assert.equal(notation, 'BCCxooBooDEEFAADooFoGHHIJJGooIKKLLLI');
+        assert.equal(formatRushHourNotation(reparsed), notation);
+        assert.deepEqual(
+            reparsed.vehicles.map(({ orientation, cells }) => [orientation, cells.length]),
+            board.vehicles.map(({ orientation, cells }) => [orientation, cells.length]),
+        );
+    });
+
+    test('exporta tableros leidos del formato de texto y estados intermedios', () => {
+        const board = parsePuzzle(serializePuzzle(parseRushHourNotation(SIMPLE)));
+
+        assert.equal(formatRushHourNotation(board), SIMPLE);
+        assert.equal(
+            formatRushHourNotation(board, [
+                { row: 0, col: 0 },
+                { row: 3, col: 5 },
+                { row: 2, col: 3 },
+            ]),
+            'BBoooooooooooooAAooooooCoooooCoooooC',
+        );
+    });
+
+    test('rechaza tableros que la notacion no puede representar', () => {
+        const puzzle1 = parsePuzzle('- B . .\n. . . .\nSalida: 0,3');
+
+        assert.throws(() => formatRushHourNotation(puzzle1), /6x6/);
+    });
+});
+
+describe('parseRushHourDataset', () => {
+    test('lee lineas del dataset y notaciones sueltas', () => {
+        const entries = parseRushHourDataset(`# comentario\n\n60 ${HARDEST} 2\n${SIMPLE}\n`);
+
+        assert.deepEqual(entries, [
+            { line: 3, notation: HARDEST, moves: 60, clusterSize: 2 },
+            { line: 4, notation: SIMPLE, moves: null, clusterSize: null },
+        ]);
+    });
+});
+
+describe('tools/verifyRushHourDataset.mjs', () => {
+    test('informa los puzzles cuyo numero de movimientos no coincide', () => {
+        const { status, stdout } = runCli(datasetPath);
+
+        assert.equal(status, 1);
+        assert.match(stdout, /linea 4 .*: 2 movimientos, se esperaban 3/);
+        assert.doesNotMatch(stdout, /linea 2 /);
+        assert.match(stdout, /Verificados 3 puzzles con bfs: 2 correctos, 1 con otro numero/);
+    });
+
+    test('termina sin errores cuando todo coincide y admite salida JSON', () => {
+        const { status, stdout } = runCli('--limit', '2', '--json', datasetPath);
+        const { summary, reports } = JSON.parse(stdout);
+
+        assert.equal(status, 0);
+        assert.equal(summary.ok, 2);
+        assert.deepEqual(
+            reports.map(({ line, moves }) => [line, moves]),
+            [
+                [2, 60],
+                [3, 2],
+            ],
+        );
+    });
+});
@@ -0,0 +1,146 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const CLI_PATH = join(__dirname, '..', 'tools', 'solvePuzzle.mjs');
+const PUZZLE1_PATH = join(__dirname, 'boards', 'Puzzle1.txt');
+const PUZZLE10_PATH = join(__dirname, 'boards', 'Puzzle10.txt');
+
+let temporaryDirectory = null;
+let unsolvablePath = null;
+let invalidPath = null;
+let letteredPath = null;
+
+const runCli = (...args) =>
+    spawnSync(process.execPath, [CLI_PATH, ...args], { encoding: 'utf8', timeout: 60_000 });
+
+before(async () => {
+    temporaryDirectory = await mkdtemp(join(tmpdir(), 'solve-puzzle-'));
+    unsolvablePath = join(temporaryDirectory, 'bloqueado.txt');
+    invalidPath = join(temporaryDirectory, 'invalido.txt');
+    letteredPath = join(temporaryDirectory, 'letras.txt');
+
+    // The goal car can never get past the car that shares its row.
+    await writeFile(unsolvablePath, '- B . - >\nSalida: 0,4\n');
+    await writeFile(invalidPath, '- B . .\n');
+    await writeFile(letteredPath, 'A A . C\n. . . C\nB B . .\nSalida: 0,3\n');
+});
+
+after(async () => {
+    await rm(temporaryDirectory, { recursive: true, force: true });
+});
+
+describe('tools/solvePuzzle.mjs', () => {
+    test('resuelve un puzzle e imprime acciones, metricas y estado', () => {
+        const { status, stdout } = runCli(PUZZLE1_PATH);
+
+        assert.equal(status, 0);
+        assert.match(stdout, /Estado: solved/);
+        assert.match(stdout, /1\. mover /);
+        assert.match(stdout, /Metricas: explorados=\d+ frontera=\d+ profundidad=3/);
+    });
+
+    test('emite JSON con un resultado por archivo', () => {
+        const { status, stdout } = runCli('--algorithm', 'astar', '--json', PUZZLE1_PATH);
+        const [report] = JSON.parse(stdout);
+
+        assert.equal(status, 0);
+        assert.equal(report.algorithm, 'astar');
+        assert.equal(report.status, 'solved');
+        assert.ok(report.actions.length > 0);
+        assert.equal(report.metrics.depth, report.actions.length);
+    });
+
+    test('usa codigos de salida distintos para no resuelto, abortado y error de parseo', () => {
+        assert.equal(runCli(unsolvablePath).status, 1);
+        assert.equal(runCli('--timeout', '50', PUZZLE10_PATH).status, 2);
+        assert.equal(runCli(invalidPath).status, 3);
+    });
+
+    test('con varios archivos devuelve el codigo mas grave', () => {
+        const { status, stdout } = runCli('--json', PUZZLE1_PATH, unsolvablePath, invalidPath);
+        const reports = JSON.parse(stdout);
+
+        assert.equal(status, 3);
+        assert.deepEqual(
+            reports.map((report) => report.status),
+            ['solved', 'unsolved', 'error'],
+        );
+        assert.match(reports[2].error, /linea de salida/);
+        assert.deepEqual(
+            reports[2].diagnostics.map(({ severity, code }) => [severity, code]),
+            [['error', 'missing-exit']],
+        );
+    });
+
+    test('muestra los diagnosticos con linea y columna', () => {
+        const { stdout } = runCli(unsolvablePath);
+
+        assert.match(stdout, /linea 1, columna 7: advertencia: .*no tiene solucion/);
+    });
+
+    test('detecta el formato de letras y nombra los vehiculos por su letra', () => {
+        const { status, stdout } = runCli('--json', letteredPath);
+        const [report] = JSON.parse(stdout);
+
+        assert.equal(status, 0);
+        assert.equal(report.format, 'lettered');
+        assert.equal(report.actions.length, 2);
+        assert.match(report.actions[0], /carro C/);
+    });
+
+    test('pasa la heuristica elegida a A*', () => {
+        const depth = (...args) =>
+            JSON.parse(runCli('--algorithm', 'astar', '--json', ...args, PUZZLE1_PATH).stdout)[0]
+                .metrics.depth;
+
+        assert.equal(depth(), 3);
+        assert.equal(depth('--heuristic', 'directBlockers'), 3);
+        assert.equal(depth('--heuristic', 'legacy'), 4);
+    });
+
+    test('rechaza algoritmos o heuristicas desconocidos y llamadas sin archivos', () => {
+        assert.equal(runCli('--algorithm', 'dijkstra', PUZZLE1_PATH).status, 4);
+        assert.equal(runCli('--heuristic', 'manhattan', PUZZLE1_PATH).status, 4);
+        assert.equal(runCli().status, 4);
+    });
+
+    test('rechaza heuristicas y bases de patrones con algoritmos que no las usan', () => {
+        const { status, stderr } = runCli('--heuristic', 'legacy', PUZZLE1_PATH);
+
+        assert.equal(status, 4);
+        assert.match(stderr, /El algoritmo bfs no usa --heuristic/);
+        assert.equal(
+            runCli('-a', 'dfs', '--pattern-database', 'base.json', PUZZLE1_PATH).status,
+            4,
+        );
+        assert.equal(runCli('-a', 'idastar', '--heuristic', 'legacy', PUZZLE1_PATH).status, 0);
+    });
+
+    test('rechaza limites que no son enteros positivos', () => {
+        for (const option of ['--timeout=0', '--max-depth=0', '--timeout=-5', '--max-depth=3x']) {
+            const { status, stderr } = runCli(option, PUZZLE1_PATH);
+            assert.equal(status, 4, option);
+            assert.match(stderr, /entero positivo/);
+        }
+    });
+
+    test('distingue un fallo interno de un puzzle sin solucion', () => {
+        // Preloaded module that makes printing the report throw.
+        const failingLog = 'data:text/javascript,console.log=()=>{throw new Error("fallo interno")}';
+        const { status, stderr } = spawnSync(
+            process.execPath,
+            ['--import', failingLog, CLI_PATH, PUZZLE1_PATH],
+            { encoding: 'utf8', timeout: 60_000 },
+        );
+
+        assert.equal(status, 5);
+        assert.match(stderr, /fallo interno/);
+    });
+});
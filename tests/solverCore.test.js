@@ -0,0 +1,220 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { parsePuzzle } from '../src/models/boardRenderer.js';
+import {
+    createContext,
+    getInitialState,
+    getInitialPositions,
+    encodePositions,
+    decodeState,
+    buildOccupancy,
+    updateOccupancy,
+    isCellOccupied,
+    generateMoves,
+    applyMove,
+    moveBetween,
+    stateKey,
+    keyAfterMove,
+    decodeStateKey,
+    isGoalState,
+    describeMove,
+} from '../src/algorithms/solverCore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+let puzzle1Board = null;
+
+before(async () => {
+    const puzzle1Text = await readFile(join(__dirname, 'boards', 'Puzzle1.txt'), 'utf8');
+    puzzle1Board = parsePuzzle(puzzle1Text);
+});
+
+describe('createContext', () => {
+    test('rechaza datos de tablero invalidos', () => {
+        assert.throws(() => createContext(null), /no son validos/);
+    });
+
+    test('rechaza tableros sin carro objetivo', () => {
+        const board = parsePuzzle('- > .\n. . .\nSalida: 0,2');
+        assert.throws(() => createContext(board), /carro objetivo/);
+    });
+
+    test('etiqueta los vehiculos y ubica el objetivo', () => {
+        const context = createContext(puzzle1Board);
+        assert.equal(context.vehicles[context.goalIndex].label, 'carro objetivo');
+        assert.ok(context.vehicles.some((vehicle) => vehicle.label === 'carro 1'));
+    });
+});
+
+describe('generateMoves / applyMove', () => {
+    test('solo produce movimientos sobre celdas libres y dentro del tablero', () => {
+        const context = createContext(puzzle1Board);
+        const state = getInitialState(context);
+
+        generateMoves(context, state).forEach((move) => {
+            const next = decodeState(context, applyMove(context, state, move));
+            const cells = new Set();
+
+            context.vehicles.forEach((vehicle, index) => {
+                for (let offset = 0; offset < vehicle.length; offset += 1) {
+                    const row = next[index].row + (vehicle.orientation === 'vertical' ? offset : 0);
+                    const col = next[index].col + (vehicle.orientation === 'horizontal' ? offset : 0);
+                    assert.ok(row >= 0 && row < context.rows && col >= 0 && col < context.columns);
+                    assert.ok(!cells.has(`${row},${col}`), 'Dos vehiculos ocupan la misma celda.');
+                    cells.add(`${row},${col}`);
+                }
+            });
+        });
+    });
+
+    test('applyMove no modifica el estado original', () => {
+        const context = createContext(puzzle1Board);
+        const state = getInitialState(context);
+        const before = stateKey(context, state);
+
+        const [move] = generateMoves(context, state);
+        const next = applyMove(context, state, move);
+
+        assert.equal(stateKey(context, state), before);
+        assert.notEqual(stateKey(context, next), before);
+    });
+
+    test('los muros ocupan su celda pero nunca se mueven', () => {
+        const context = createContext(parsePuzzle('. . x\n- B .\n. . .\nSalida: 1,2'));
+        const state = getInitialState(context);
+        const wallIndex = context.vehicles.findIndex(({ orientation }) => orientation === 'fixed');
+
+        assert.equal(context.vehicles[wallIndex].label, 'muro');
+        assert.equal(context.vehicles[wallIndex].span, 1);
+        assert.deepEqual(decodeState(context, state)[wallIndex], { row: 0, col: 2 });
+        assert.ok(isCellOccupied(context, buildOccupancy(context, state), 0, 2));
+        assert.ok(generateMoves(context, state).every((move) => move.vehicleIndex !== wallIndex));
+    });
+});
+
+describe('codificacion compacta del estado', () => {
+    test('guarda una coordenada por vehiculo sobre su eje libre', () => {
+        const context = createContext(puzzle1Board);
+        const state = getInitialState(context);
+
+        assert.ok(state instanceof Uint8Array);
+        assert.equal(state.length, context.vehicles.length);
+        assert.deepEqual(decodeState(context, state), getInitialPositions(context));
+        assert.deepEqual(encodePositions(context, getInitialPositions(context)), state);
+    });
+
+    test('la clave es reversible y se puede derivar sin materializar el estado', () => {
+        const context = createContext(puzzle1Board);
+        const state = getInitialState(context);
+        const key = stateKey(context, state);
+
+        assert.equal(typeof key, 'number');
+        assert.deepEqual(decodeStateKey(context, key), state);
+
+        generateMoves(context, state).forEach((move) => {
+            const next = applyMove(context, state, move);
+            assert.equal(keyAfterMove(context, key, move), stateKey(context, next));
+            assert.deepEqual(moveBetween(context, state, next), move);
+        });
+    });
+
+    test('usa claves BigInt cuando el espacio de estados supera 2^53', () => {
+        const rows = Array.from({ length: 16 }, (_, row) =>
+            Array.from({ length: 16 }, (_, col) => {
+                if (row === 0 && col === 1) {
+                    return 'B';
+                }
+                if (row === 0 && col === 0) {
+                    return '-';
+                }
+                return row > 0 && col === 15 ? '>' : '.';
+            }).join(' '),
+        );
+        const board = parsePuzzle(`${rows.join('\n')}\nSalida: 0,15`);
+        const context = createContext(board);
+        const state = getInitialState(context);
+        const key = stateKey(context, state);
+
+        assert.equal(context.bigKeys, true);
+        assert.equal(typeof key, 'bigint');
+        assert.deepEqual(decodeStateKey(context, key), state);
+
+        const [move] = generateMoves(context, state);
+        assert.equal(keyAfterMove(context, key, move), stateKey(context, applyMove(context, state, move)));
+    });
+});
+
+describe('bitboard de ocupacion', () => {
+    test('marca exactamente las celdas cubiertas por vehiculos', () => {
+        const context = createContext(puzzle1Board);
+        const occupancy = buildOccupancy(context, getInitialState(context));
+
+        assert.equal(occupancy.length, Math.ceil((context.rows * context.columns) / 32));
+        puzzle1Board.grid.forEach((tokens, row) => {
+            tokens.forEach((token, col) => {
+                assert.equal(isCellOccupied(context, occupancy, row, col), token !== '.');
+            });
+        });
+    });
+
+    test('se actualiza de forma incremental y reversible al aplicar movimientos', () => {
+        const context = createContext(puzzle1Board);
+        const state = getInitialState(context);
+        const original = buildOccupancy(context, state);
+
+        generateMoves(context, state).forEach((move) => {
+            const next = applyMove(context, state, move);
+            const { vehicleIndex } = move;
+            const occupancy = original.slice();
+
+            updateOccupancy(context, occupancy, vehicleIndex, state[vehicleIndex], next[vehicleIndex]);
+            assert.deepEqual(occupancy, buildOccupancy(context, next));
+
+            updateOccupancy(context, occupancy, vehicleIndex, next[vehicleIndex], state[vehicleIndex]);
+            assert.deepEqual(occupancy, original);
+        });
+    });
+
+    test('usa varias palabras en tableros mayores a 8x8', () => {
+        const puzzle = [
+            '- - B . . . . . .',
+            ...Array.from({ length: 7 }, () => '. . . . . . . . .'),
+            '. . . . . . . - >',
+            'Salida: 0,8',
+        ].join('\n');
+        const context = createContext(parsePuzzle(puzzle));
+        const occupancy = buildOccupancy(context, getInitialState(context));
+
+        assert.equal(context.wordCount, 3);
+        assert.equal(isCellOccupied(context, occupancy, 8, 8), true);
+        assert.equal(isCellOccupied(context, occupancy, 8, 6), false);
+    });
+});
+
+describe('isGoalState', () => {
+    test('detecta cuando el carro objetivo cubre la salida', () => {
+        const board = parsePuzzle('. B -\n. . .\nSalida: 0,0');
+        const context = createContext(board);
+        const state = getInitialState(context);
+        const move = { vehicleIndex: 0, direction: 'left', steps: 1 };
+
+        assert.equal(isGoalState(context, state), false);
+        assert.equal(isGoalState(context, applyMove(context, state, move)), true);
+    });
+});
+
+describe('describeMove', () => {
+    test('usa singular y plural segun los pasos', () => {
+        const vehicle = { label: 'carro 2' };
+        assert.equal(describeMove(vehicle, { direction: 'up', steps: 1 }), 'mover carro 2 hacia arriba');
+        assert.equal(
+            describeMove(vehicle, { direction: 'left', steps: 3 }),
+            'mover carro 2 hacia la izquierda 3 espacios',
+        );
+    });
+});
@@ -0,0 +1,71 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { Worker } from 'node:worker_threads';
+
+import { parsePuzzle } from '../src/models/boardRenderer.js';
+import { createSolverClient, SolverWorkerError } from '../src/scripts/solverClient.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+let client = null;
+let puzzle1Board = null;
+let puzzle10Board = null;
+
+before(async () => {
+    puzzle1Board = parsePuzzle(await readFile(join(__dirname, 'boards', 'Puzzle1.txt'), 'utf8'));
+    puzzle10Board = parsePuzzle(await readFile(join(__dirname, 'boards', 'Puzzle10.txt'), 'utf8'));
+    client = createSolverClient(
+        new Worker(new URL('../src/scripts/solverWorker.js', import.meta.url)),
+    );
+});
+
+after(() => {
+    client?.terminate();
+});
+
+describe('solverWorker', () => {
+    test('resuelve en el worker y devuelve el mismo formato de resultado', async () => {
+        const result = await client.solve('bfs', puzzle1Board);
+
+        assert.equal(result.status, 'solved');
+        assert.equal(result.moves.length, 3);
+        assert.equal(result.stateHistory.length, 4);
+        assert.equal(result.actions.length, 3);
+        assert.equal(result.vehicleLabels.length, puzzle1Board.vehicles.length);
+    });
+
+    test('envia progreso y se cancela mediante el AbortSignal', async () => {
+        const controller = new AbortController();
+        const progress = [];
+
+        const result = await client.solve('bfs', puzzle10Board, {
+            signal: controller.signal,
+            onProgress: (metrics) => {
+                progress.push(metrics);
+                controller.abort();
+            },
+        });
+
+        assert.equal(result.status, 'aborted');
+        assert.ok(progress.length > 0);
+        assert.ok(result.metrics.explored < 563409);
+    });
+
+    test('respeta un AbortSignal ya cancelado', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        const result = await client.solve('astar', puzzle1Board, { signal: controller.signal });
+
+        assert.equal(result.status, 'aborted');
+        assert.deepEqual(result.moves, []);
+    });
+
+    test('rechaza algoritmos desconocidos', async () => {
+        await assert.rejects(client.solve('nope', puzzle1Board), SolverWorkerError);
+    });
+});
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Benchmark CLI: runs the solvers over the boards in tests/boards and prints time, explored
+ * nodes, node expansion rate and peak heap usage for each run.
+ *
+ * Usage:
+ *   node --expose-gc tools/benchmarkSolvers.mjs [--solvers bfs,astar] [--boards Puzzle9,Puzzle10]
+ */
+import { readFile, readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { dirname, join, basename } from 'node:path';
+
+import { parsePuzzle } from '../src/models/boardRenderer.js';
+import { solveWithBfs } from '../src/algorithms/bfs.js';
+import { solveWithBidirectionalBfs } from '../src/algorithms/bidirectionalBfs.js';
+import { solveWithDfs } from '../src/algorithms/dfs.js';
+import { solveWithBacktracking } from '../src/algorithms/backtracking.js';
+import { solveWithAStar } from '../src/algorithms/astar.js';
+import { solveWithIdaStar } from '../src/algorithms/idaStar.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const BOARDS_DIRECTORY = join(__dirname, '..', 'tests', 'boards');
+
+const SOLVERS = {
+    bfs: solveWithBfs,
+    dfs: solveWithDfs,
+    backtracking: solveWithBacktracking,
+    astar: solveWithAStar,
+    idastar: solveWithIdaStar,
+    bidirectional: solveWithBidirectionalBfs,
+};
+
+const readListOption = (args, name) => {
+    const index = args.indexOf(name);
+    if (index === -1 || !args[index + 1]) {
+        return null;
+    }
+    return args[index + 1].split(',').map((value) => value.trim()).filter(Boolean);
+};
+
+const toMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+const collectGarbage = () => {
+    if (typeof globalThis.gc === 'function') {
+        globalThis.gc();
+    }
+};
+
+const runBenchmark = async (solver, boardData) => {
+    collectGarbage();
+    const baseline = process.memoryUsage().heapUsed;
+    let peak = baseline;
+
+    const result = await solver(boardData, {
+        onProgress: () => {
+            peak = Math.max(peak, process.memoryUsage().heapUsed);
+        },
+    });
+
+    peak = Math.max(peak, process.memoryUsage().heapUsed);
+    return { result, peakHeap: peak - baseline };
+};
+
+const main = async () => {
+    const args = process.argv.slice(2);
+    const solverNames = readListOption(args, '--solvers') ?? ['bfs', 'astar'];
+    const boardFilter = readListOption(args, '--boards');
+
+    const files = (await readdir(BOARDS_DIRECTORY))
+        .filter((file) => file.endsWith('.txt'))
+        .filter((file) => !boardFilter || boardFilter.includes(basename(file, '.txt')))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    console.log('board\tsolver\tstatus\tdepth\texplored\ttimeMs\tnodesPerSec\tpeakHeapMB');
+
+    for (const file of files) {
+        const boardData = parsePuzzle(await readFile(join(BOARDS_DIRECTORY, file), 'utf8'));
+
+        for (const name of solverNames) {
+            const solver = SOLVERS[name];
+            if (!solver) {
+                throw new Error(`Algoritmo desconocido: ${name}`);
+            }
+
+            // eslint-disable-next-line no-await-in-loop
+            const { result, peakHeap } = await runBenchmark(solver, boardData);
+            console.log(
+                [
+                    basename(file, '.txt'),
+                    name,
+                    result.status,
+                    result.metrics.depth,
+                    result.metrics.explored,
+                    result.metrics.timeMs,
+                    Math.round((result.metrics.explored * 1000) / Math.max(result.metrics.timeMs, 1)),
+                    toMegabytes(peakHeap),
+                ].join('\t'),
+            );
+        }
+    }
+};
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
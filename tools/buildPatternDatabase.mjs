@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Pattern database builder CLI: abstracts a board to the goal vehicle, the walls and a subset of
+ * the other vehicles, computes the exact distance of every abstract state with a backward BFS
+ * and saves the table as JSON, ready for `solvePuzzle.mjs --pattern-database` or the browser.
+ *
+ * Usage:
+ *   node tools/buildPatternDatabase.mjs <puzzle.txt> [--output base.json] [--max-entries n]
+ *                                       [--vehicles "carro 1,carro 3"] [--compare]
+ *
+ * `--compare` solves the board with A* and IDA* twice, with the default heuristic and with the
+ * new database, and prints the nodes explored by each.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { parsePuzzleText } from '../src/models/puzzleFormats.js';
+import {
+    DEFAULT_MAX_ENTRIES,
+    UNREACHABLE,
+    buildPatternDatabase,
+    serializePatternDatabase,
+} from '../src/algorithms/patternDatabase.js';
+import { DEFAULT_HEURISTIC } from '../src/algorithms/heuristics.js';
+import { solveWithAStar } from '../src/algorithms/astar.js';
+import { solveWithIdaStar } from '../src/algorithms/idaStar.js';
+
+const USAGE = `Uso: node tools/buildPatternDatabase.mjs <puzzle.txt> [--output base.json]
+                                          [--max-entries ${DEFAULT_MAX_ENTRIES}]
+                                          [--vehicles "carro 1,carro 3"] [--compare]`;
+
+const readInteger = (value, fallback, name) => {
+    if (value === undefined) {
+        return fallback;
+    }
+
+    const number = Number.parseInt(value, 10);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new Error(`El valor de --${name} debe ser un entero positivo.`);
+    }
+    return number;
+};
+
+const describeDatabase = (database, timeMs) => {
+    const reachable = database.distances.filter((distance) => distance !== UNREACHABLE);
+    const maxDistance = reachable.reduce((max, distance) => Math.max(max, distance), 0);
+
+    return [
+        `Patron: ${database.vehicles.map(({ label }) => label).join(', ')}`,
+        `Estados abstractos: ${database.distances.length} (${reachable.length} con salida)`,
+        `Distancia maxima: ${maxDistance}`,
+        `Tiempo: ${Math.round(timeMs)}ms`,
+    ];
+};
+
+const compareNodes = async (boardData, database) => {
+    const lines = [''];
+
+    for (const [name, solve] of [
+        ['A*', solveWithAStar],
+        ['IDA*', solveWithIdaStar],
+    ]) {
+        // eslint-disable-next-line no-await-in-loop
+        const plain = await solve(boardData);
+        // eslint-disable-next-line no-await-in-loop
+        const withDatabase = await solve(boardData, { patternDatabase: database });
+        lines.push(
+            `${name}: ${plain.metrics.explored} nodos con ${DEFAULT_HEURISTIC}, ` +
+                `${withDatabase.metrics.explored} con la base de patrones`,
+        );
+    }
+    return lines;
+};
+
+const main = async () => {
+    const { values, positionals } = parseArgs({
+        args: process.argv.slice(2),
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            'max-entries': { type: 'string' },
+            vehicles: { type: 'string' },
+            compare: { type: 'boolean', default: false },
+        },
+    });
+    const [source] = positionals;
+
+    if (!source) {
+        throw new Error('Debe indicar el puzzle de la familia.');
+    }
+
+    const boardData = parsePuzzleText(await readFile(source, 'utf8'));
+    const startedAt = performance.now();
+    const database = await buildPatternDatabase(boardData, {
+        maxEntries: readInteger(values['max-entries'], DEFAULT_MAX_ENTRIES, 'max-entries'),
+        vehicles: values.vehicles?.split(',').map((label) => label.trim()),
+    });
+    const lines = describeDatabase(database, performance.now() - startedAt);
+
+    if (values.output) {
+        await writeFile(values.output, await serializePatternDatabase(database));
+        lines.push(`Guardada en ${values.output}`);
+    }
+
+    if (values.compare) {
+        lines.push(...(await compareNodes(boardData, database)));
+    }
+
+    console.log(lines.join('\n'));
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+});
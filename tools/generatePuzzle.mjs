@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Random puzzle generator CLI: builds brand-new boards whose optimal solution length (BFS)
+ * falls inside the requested range, and prints or saves them in the text format.
+ *
+ * Usage:
+ *   node tools/generatePuzzle.mjs [--rows 6] [--columns 6] [--vehicles 10] [--min-depth 3]
+ *                                 [--max-depth n] [--exit fila,columna] [--seed n]
+ *                                 [--attempts 1000] [--output puzzle.txt]
+ */
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { generateRandomPuzzle } from '../src/generators/randomPuzzle.js';
+
+const USAGE = `Uso: node tools/generatePuzzle.mjs [--rows 6] [--columns 6] [--vehicles 10]
+                                   [--min-depth 3] [--max-depth n] [--exit fila,columna]
+                                   [--seed n] [--attempts 1000] [--output puzzle.txt]`;
+
+const readInteger = (value, name) => {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const number = Number.parseInt(value, 10);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`El valor de --${name} debe ser un entero positivo.`);
+    }
+    return number;
+};
+
+const readExit = (value) => {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const [row, col] = value.split(',').map((part) => readInteger(part.trim(), 'exit'));
+    if (row === undefined || col === undefined) {
+        throw new Error('El valor de --exit debe tener la forma fila,columna.');
+    }
+    return { row, col };
+};
+
+const main = async () => {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            rows: { type: 'string' },
+            columns: { type: 'string' },
+            vehicles: { type: 'string' },
+            'min-depth': { type: 'string' },
+            'max-depth': { type: 'string' },
+            exit: { type: 'string' },
+            seed: { type: 'string' },
+            attempts: { type: 'string' },
+            output: { type: 'string' },
+        },
+    });
+
+    // Undefined entries fall back to the generator defaults.
+    const options = Object.fromEntries(
+        Object.entries({
+            rows: readInteger(values.rows, 'rows'),
+            columns: readInteger(values.columns, 'columns'),
+            vehicleCount: readInteger(values.vehicles, 'vehicles'),
+            minDepth: readInteger(values['min-depth'], 'min-depth'),
+            maxDepth: readInteger(values['max-depth'], 'max-depth'),
+            exit: readExit(values.exit),
+            seed: values.seed,
+            maxAttempts: readInteger(values.attempts, 'attempts'),
+        }).filter(([, value]) => value !== undefined),
+    );
+
+    const result = await generateRandomPuzzle(options);
+
+    if (values.output) {
+        await writeFile(values.output, result.text);
+    } else {
+        process.stdout.write(result.text);
+    }
+
+    const summary = [
+        `Semilla: ${result.seed}`,
+        `profundidad optima: ${result.depth}`,
+        `intentos: ${result.attempts}`,
+    ];
+    if (values.output) {
+        summary.push(`guardado en ${values.output}`);
+    }
+    console.error(summary.join(' | '));
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+});
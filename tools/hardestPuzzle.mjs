@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Hardest-puzzle search CLI: enumerates every configuration reachable from a board, measures
+ * the optimal solution length of each one by retrograde BFS from the goal states, and prints
+ * the distance distribution plus the configurations that need the most moves.
+ *
+ * Usage:
+ *   node tools/hardestPuzzle.mjs <puzzle.txt> [--max-states 2000000] [--top 3] [--json]
+ */
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { parsePuzzleText } from '../src/models/puzzleFormats.js';
+import { DEFAULT_MAX_STATES, analyzeStateSpace } from '../src/generators/hardestPuzzle.js';
+
+const USAGE =
+    'Uso: node tools/hardestPuzzle.mjs <puzzle.txt> [--max-states 2000000] [--top 3] [--json]';
+
+const readInteger = (value, fallback, name) => {
+    if (value === undefined) {
+        return fallback;
+    }
+
+    const number = Number.parseInt(value, 10);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`El valor de --${name} debe ser un entero positivo.`);
+    }
+    return number;
+};
+
+const formatAnalysis = (analysis) => {
+    const lines = [
+        `Configuraciones alcanzables: ${analysis.componentSize}`,
+        `Estados meta: ${analysis.goalStates}`,
+        `Distancia del tablero original: ${analysis.startDistance}`,
+        `Distancia maxima: ${analysis.maxDistance} (${analysis.hardestCount} configuraciones)`,
+        `Tiempo: ${analysis.timeMs}ms`,
+        '',
+        'Distancia\tConfiguraciones',
+        ...analysis.distribution.map((count, distance) => `${distance}\t${count}`),
+    ];
+
+    analysis.hardest.forEach(({ text, faithful }, index) => {
+        lines.push('', `# Configuracion mas dificil ${index + 1}`);
+        if (!faithful) {
+            lines.push('# (el formato de texto fusiona vehiculos que se tocan en esta posicion)');
+        }
+        lines.push(text.trimEnd());
+    });
+
+    return lines.join('\n');
+};
+
+const main = async () => {
+    const { values, positionals } = parseArgs({
+        args: process.argv.slice(2),
+        allowPositionals: true,
+        options: {
+            'max-states': { type: 'string' },
+            top: { type: 'string' },
+            json: { type: 'boolean', default: false },
+        },
+    });
+    const [source] = positionals;
+
+    if (!source) {
+        throw new Error('Debe indicar el puzzle a analizar.');
+    }
+
+    const boardData = parsePuzzleText(await readFile(source, 'utf8'));
+    const analysis = await analyzeStateSpace(boardData, {
+        maxStates: readInteger(values['max-states'], DEFAULT_MAX_STATES, 'max-states'),
+        maxResults: readInteger(values.top, 3, 'top'),
+    });
+
+    console.log(values.json ? JSON.stringify(analysis, null, 2) : formatAnalysis(analysis));
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+});
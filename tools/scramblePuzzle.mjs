@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Puzzle scrambler CLI: shuffles an existing board with random legal moves until its optimal
+ * solution (measured with BFS) is long enough, then prints or saves it in the text format.
+ *
+ * Usage:
+ *   node tools/scramblePuzzle.mjs <puzzle.txt> [steps=40] [minDepth=1] [output.txt]
+ *                                 [--seed n] [--attempts n]
+ *
+ * Exit codes: 0 scrambled, 1 unreadable puzzle or no scramble deep enough, 2 usage error.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { parsePuzzleText } from '../src/models/puzzleFormats.js';
+import { scramblePuzzle } from '../src/generators/scrambler.js';
+
+const USAGE = `Uso: node tools/scramblePuzzle.mjs <puzzle.txt> [pasos=40] [profundidadMinima=1]
+                                   [salida.txt] [--seed n] [--attempts n]`;
+
+const EXIT_CODES = Object.freeze({
+    failed: 1,
+    usage: 2,
+});
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const readInteger = (value, fallback, name) => {
+    if (value === undefined) {
+        return fallback;
+    }
+
+    const number = Number.parseInt(value, 10);
+    if (!Number.isInteger(number) || number < 0 || String(number) !== value.trim()) {
+        throw new UsageError(`El valor de ${name} debe ser un entero positivo.`);
+    }
+    return number;
+};
+
+/** Text seeds are hashed, but one that starts like a number (`7x`) is most likely a typo. */
+const readSeed = (value) => {
+    if (value !== undefined && /^\s*[-+]?\d/.test(value) && !/^\s*\d+\s*$/.test(value)) {
+        throw new UsageError(
+            `La semilla "${value}" debe ser un entero o un texto sin cifras al inicio.`,
+        );
+    }
+    return value?.trim();
+};
+
+const main = async () => {
+    const { values, positionals } = parseArgs({
+        args: process.argv.slice(2),
+        allowPositionals: true,
+        options: {
+            seed: { type: 'string' },
+            attempts: { type: 'string' },
+        },
+    });
+    const [source, stepsText, minDepthText, outputPath] = positionals;
+
+    if (!source) {
+        throw new UsageError('Debe indicar el puzzle de origen.');
+    }
+
+    const options = {
+        steps: readInteger(stepsText, 40, 'pasos'),
+        minDepth: readInteger(minDepthText, 1, 'profundidadMinima'),
+        maxAttempts: readInteger(values.attempts, 100, '--attempts'),
+        seed: readSeed(values.seed),
+    };
+    const boardData = parsePuzzleText(await readFile(source, 'utf8'));
+    const result = await scramblePuzzle(boardData, options);
+
+    if (outputPath) {
+        await writeFile(outputPath, result.text);
+    } else {
+        process.stdout.write(result.text);
+    }
+
+    const summary = [
+        `Semilla: ${result.seed}`,
+        `profundidad optima: ${result.depth}`,
+        `intentos: ${result.attempts}`,
+    ];
+    if (outputPath) {
+        summary.push(`guardado en ${outputPath}`);
+    }
+    console.error(summary.join(' | '));
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = error instanceof UsageError ? EXIT_CODES.usage : EXIT_CODES.failed;
+});
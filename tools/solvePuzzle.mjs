@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * Command-line solver for puzzle files in the `parsePuzzle` text format.
+ *
+ * Usage:
+ *   node tools/solvePuzzle.mjs [--algorithm <key>] [--heuristic <key>] [--pattern-database f]
+ *                              [--json] [--timeout ms] [--max-depth n] puzzle.txt [otro.txt ...]
+ *
+ * `--algorithm` takes any key of the solver registry (bfs, astar, anytime, ...) and
+ * `--heuristic` any key of heuristics.js; only A*, its variants and IDA* use it.
+ * `--pattern-database` replaces the heuristic with a database saved by buildPatternDatabase.mjs.
+ * Both are usage errors with the other algorithms.
+ *
+ * The format of every file (tokens, one letter per vehicle or the 36-character Rush Hour
+ * notation) is detected automatically. Files are checked first; errors and warnings are printed
+ * with line and column, and files with errors are not solved.
+ *
+ * Exit codes (with several files the highest one wins):
+ *   0 solved, 1 unsolved, 2 aborted (timeout), 3 unreadable or invalid puzzle (or pattern
+ *   database), 4 usage error, 5 unexpected internal error.
+ */
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { formatDiagnostic } from '../src/models/puzzleValidator.js';
+import { readPuzzle } from '../src/models/puzzleFormats.js';
+import { SOLVERS, getSolver } from '../src/algorithms/registry.js';
+import { HEURISTICS, DEFAULT_HEURISTIC } from '../src/algorithms/heuristics.js';
+import { parsePatternDatabase } from '../src/algorithms/patternDatabase.js';
+
+const EXIT_CODES = Object.freeze({
+    solved: 0,
+    unsolved: 1,
+    aborted: 2,
+    parseError: 3,
+    usage: 4,
+    internalError: 5,
+});
+
+/**
+ * Time slice between event-loop yields; it lets the timeout signal fire mid-search.
+ * @constant
+ * @type {number}
+ */
+const YIELD_INTERVAL_MS = 50;
+
+const USAGE = `Uso: node tools/solvePuzzle.mjs [opciones] puzzle.txt [otro.txt ...]
+
+Opciones:
+  -a, --algorithm <nombre>  ${Object.keys(SOLVERS).join(', ')} (por defecto: bfs)
+      --heuristic <nombre>  ${Object.keys(HEURISTICS).join(', ')}
+                            (por defecto: ${DEFAULT_HEURISTIC}; solo A* y sus variantes e IDA*)
+      --pattern-database <archivo>
+                            Usa una base de patrones (tools/buildPatternDatabase.mjs)
+  -t, --timeout <ms>        Cancela la busqueda tras este tiempo
+      --max-depth <n>       Limite de profundidad (solo DFS e IDA*)
+      --json                Imprime los resultados como JSON
+  -h, --help                Muestra esta ayuda
+
+Codigos de salida (con varios archivos gana el mayor):
+  0 resuelto, 1 sin solucion, 2 cancelado por el timeout, 3 puzzle o base de patrones
+  invalidos, 4 argumentos invalidos, 5 error interno`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const parsePositiveInteger = (value, name) => {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const number = Number.parseInt(value, 10);
+    if (!Number.isInteger(number) || number <= 0 || String(number) !== value.trim()) {
+        throw new UsageError(`El valor de --${name} debe ser un entero positivo.`);
+    }
+    return number;
+};
+
+const readOptions = (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            algorithm: { type: 'string', short: 'a', default: 'bfs' },
+            heuristic: { type: 'string' },
+            'pattern-database': { type: 'string' },
+            timeout: { type: 'string', short: 't' },
+            'max-depth': { type: 'string' },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    const solver = getSolver(values.algorithm);
+    if (!solver) {
+        throw new UsageError(`Algoritmo desconocido: ${values.algorithm}`);
+    }
+
+    const heuristic = values.heuristic ?? DEFAULT_HEURISTIC;
+    if (!Object.hasOwn(HEURISTICS, heuristic)) {
+        throw new UsageError(`Heuristica desconocida: ${heuristic}`);
+    }
+
+    // Without this check the option would be silently ignored.
+    const heuristicOption = values['pattern-database'] ? 'pattern-database' : 'heuristic';
+    if (!solver.usesHeuristic && values[heuristicOption] !== undefined) {
+        throw new UsageError(`El algoritmo ${values.algorithm} no usa --${heuristicOption}.`);
+    }
+
+    if (!positionals.length) {
+        throw new UsageError('Debe indicar al menos un archivo de puzzle.');
+    }
+
+    return {
+        algorithm: values.algorithm,
+        heuristic,
+        patternDatabasePath: values['pattern-database'],
+        timeoutMs: parsePositiveInteger(values.timeout, 'timeout'),
+        maxDepth: parsePositiveInteger(values['max-depth'], 'max-depth'),
+        json: values.json,
+        files: positionals,
+    };
+};
+
+/**
+ * Reads, validates and solves a single puzzle file.
+ *
+ * @returns {Promise<{ file: string, algorithm: string, format?: string, status: string,
+ *   exitCode: number, diagnostics: object[], actions?: string[], metrics?: object,
+ *   error?: string }>} Outcome for the report.
+ */
+const solveFile = async (file, { algorithm, heuristic, patternDatabase, timeoutMs, maxDepth }) => {
+    let text;
+
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (error) {
+        return {
+            file,
+            algorithm,
+            status: 'error',
+            exitCode: EXIT_CODES.parseError,
+            diagnostics: [],
+            error: error.message,
+        };
+    }
+
+    const { format, diagnostics, board: boardData } = readPuzzle(text);
+
+    if (!boardData) {
+        return {
+            file,
+            algorithm,
+            format,
+            status: 'error',
+            exitCode: EXIT_CODES.parseError,
+            diagnostics,
+            error: diagnostics.find((diagnostic) => diagnostic.severity === 'error').message,
+        };
+    }
+
+    try {
+        const result = await getSolver(algorithm).solve(boardData, {
+            signal: timeoutMs === undefined ? undefined : AbortSignal.timeout(timeoutMs),
+            maxDepth,
+            heuristic,
+            patternDatabase,
+            onProgress: () => {},
+            yieldEveryMs: YIELD_INTERVAL_MS,
+        });
+
+        return {
+            file,
+            algorithm,
+            format,
+            status: result.status,
+            exitCode: EXIT_CODES[result.status],
+            diagnostics,
+            actions: result.actions,
+            metrics: result.metrics,
+        };
+    } catch (error) {
+        // The solvers only throw for boards they cannot work with (e.g. no goal vehicle).
+        return {
+            file,
+            algorithm,
+            format,
+            status: 'error',
+            exitCode: EXIT_CODES.parseError,
+            diagnostics,
+            error: error.message,
+        };
+    }
+};
+
+const formatReport = (report) => {
+    const lines = [`== ${report.file} (${report.algorithm})`, `Estado: ${report.status}`];
+
+    if (report.diagnostics.length) {
+        lines.push('Diagnosticos:');
+        report.diagnostics.forEach((diagnostic) => lines.push(`  ${formatDiagnostic(diagnostic)}`));
+    }
+
+    if (report.error) {
+        if (!report.diagnostics.some(({ message }) => message === report.error)) {
+            lines.push(`Error: ${report.error}`);
+        }
+        return lines.join('\n');
+    }
+
+    if (report.actions.length) {
+        lines.push('Acciones:');
+        report.actions.forEach((action, index) => lines.push(`  ${index + 1}. ${action}`));
+    }
+
+    const { explored, frontier, depth, timeMs, forward, backward } = report.metrics;
+    lines.push(
+        `Metricas: explorados=${explored} frontera=${frontier} profundidad=${depth} tiempo=${timeMs}ms`,
+    );
+
+    if (forward) {
+        const side = (name, metrics) =>
+            `${name}: explorados=${metrics.explored} frontera=${metrics.frontier} ` +
+            `profundidad=${metrics.depth}`;
+        lines.push(`  ${side('Adelante', forward)}`);
+        lines.push(
+            backward
+                ? `  ${side('Atras', backward)} estadosMeta=${backward.goalStates}`
+                : '  Atras: sin busqueda (demasiados estados meta)',
+        );
+    }
+    return lines.join('\n');
+};
+
+const main = async () => {
+    let options;
+
+    try {
+        options = readOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return EXIT_CODES.usage;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_CODES.solved;
+    }
+
+    if (options.patternDatabasePath) {
+        try {
+            options.patternDatabase = await parsePatternDatabase(
+                await readFile(options.patternDatabasePath, 'utf8'),
+            );
+        } catch (error) {
+            console.error(`${options.patternDatabasePath}: ${error.message}`);
+            return EXIT_CODES.parseError;
+        }
+    }
+
+    const reports = [];
+    for (const file of options.files) {
+        // eslint-disable-next-line no-await-in-loop
+        const report = await solveFile(file, options);
+        reports.push(report);
+
+        if (!options.json) {
+            console.log(formatReport(report));
+        }
+    }
+
+    if (options.json) {
+        const output = reports.map(({ exitCode, ...report }) => report);
+        console.log(JSON.stringify(output, null, 2));
+    }
+
+    return Math.max(...reports.map((report) => report.exitCode));
+};
+
+main().then(
+    (exitCode) => {
+        process.exitCode = exitCode;
+    },
+    (error) => {
+        console.error(error);
+        process.exitCode = EXIT_CODES.internalError;
+    },
+);
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Checks a solver against a dataset of Rush Hour puzzles with known optimal move counts, such as
+ * Michael Fogleman's `rush.txt` (one `moves notation clusterSize` line per puzzle).
+ *
+ * Usage:
+ *   node tools/verifyRushHourDataset.mjs [--algorithm <key>] [--limit n] [--timeout ms] [--json]
+ *                                        dataset.txt
+ *
+ * Every puzzle is solved and its move count compared with the dataset's. Lines without a move
+ * count are only checked for being solvable.
+ *
+ * Exit codes:
+ *   0 every puzzle matched, 1 some puzzle did not match or could not be solved,
+ *   3 unreadable dataset, 4 usage error.
+ */
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import {
+    parseRushHourDataset,
+    parseRushHourNotation,
+} from '../src/models/rushHourNotation.js';
+import { SOLVERS, getSolver } from '../src/algorithms/registry.js';
+
+const EXIT_CODES = Object.freeze({
+    verified: 0,
+    failed: 1,
+    unreadable: 3,
+    usage: 4,
+});
+
+/**
+ * Time slice between event-loop yields; it lets the timeout signal fire mid-search.
+ * @constant
+ * @type {number}
+ */
+const YIELD_INTERVAL_MS = 50;
+
+const USAGE = `Uso: node tools/verifyRushHourDataset.mjs [opciones] dataset.txt
+
+Opciones:
+  -a, --algorithm <nombre>  ${Object.keys(SOLVERS).join(', ')} (por defecto: bfs)
+  -n, --limit <n>           Verifica solo los primeros n puzzles
+  -t, --timeout <ms>        Cancela cada busqueda tras este tiempo
+      --json                Imprime los resultados como JSON
+  -h, --help                Muestra esta ayuda`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const parsePositiveInteger = (value, name) => {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const number = Number.parseInt(value, 10);
+    if (!Number.isInteger(number) || number < 0 || String(number) !== value.trim()) {
+        throw new UsageError(`El valor de --${name} debe ser un entero positivo.`);
+    }
+    return number;
+};
+
+const readOptions = (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            algorithm: { type: 'string', short: 'a', default: 'bfs' },
+            limit: { type: 'string', short: 'n' },
+            timeout: { type: 'string', short: 't' },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    if (!getSolver(values.algorithm)) {
+        throw new UsageError(`Algoritmo desconocido: ${values.algorithm}`);
+    }
+
+    if (positionals.length !== 1) {
+        throw new UsageError('Debe indicar un unico archivo de dataset.');
+    }
+
+    return {
+        algorithm: values.algorithm,
+        limit: parsePositiveInteger(values.limit, 'limit'),
+        timeoutMs: parsePositiveInteger(values.timeout, 'timeout'),
+        json: values.json,
+        file: positionals[0],
+    };
+};
+
+/**
+ * Solves one dataset entry and compares its move count.
+ *
+ * @returns {Promise<{ line: number, notation: string, expected: number | null,
+ *   status: 'ok' | 'mismatch' | 'unsolved' | 'aborted' | 'error', moves?: number,
+ *   explored?: number, error?: string }>} Outcome for the report.
+ */
+const verifyEntry = async (entry, { algorithm, timeoutMs }) => {
+    const { line, notation, moves: expected } = entry;
+    const base = { line, notation, expected };
+
+    if (Number.isNaN(expected)) {
+        const error = 'Numero de movimientos invalido.';
+        return { ...base, expected: null, status: 'error', error };
+    }
+
+    try {
+        const result = await getSolver(algorithm).solve(parseRushHourNotation(notation), {
+            signal: timeoutMs === undefined ? undefined : AbortSignal.timeout(timeoutMs),
+            onProgress: () => {},
+            yieldEveryMs: YIELD_INTERVAL_MS,
+        });
+
+        if (result.status !== 'solved') {
+            return { ...base, status: result.status, explored: result.metrics.explored };
+        }
+
+        const matches = expected === null || result.moves.length === expected;
+        return {
+            ...base,
+            status: matches ? 'ok' : 'mismatch',
+            moves: result.moves.length,
+            explored: result.metrics.explored,
+        };
+    } catch (error) {
+        return { ...base, status: 'error', error: error.message };
+    }
+};
+
+const formatReport = (report) => {
+    const where = `linea ${report.line} (${report.notation})`;
+
+    if (report.status === 'error') {
+        return `${where}: error: ${report.error}`;
+    }
+    if (report.status === 'unsolved') {
+        return `${where}: sin solucion tras explorar ${report.explored} estados`;
+    }
+    if (report.status === 'aborted') {
+        return `${where}: cancelado tras explorar ${report.explored} estados`;
+    }
+    return `${where}: ${report.moves} movimientos, se esperaban ${report.expected}`;
+};
+
+const summarize = (reports) => {
+    const count = (status) => reports.filter((report) => report.status === status).length;
+    return {
+        total: reports.length,
+        ok: count('ok'),
+        mismatch: count('mismatch'),
+        unsolved: count('unsolved'),
+        aborted: count('aborted'),
+        error: count('error'),
+    };
+};
+
+const main = async () => {
+    let options;
+
+    try {
+        options = readOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return EXIT_CODES.usage;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_CODES.verified;
+    }
+
+    let text;
+    try {
+        text = await readFile(options.file, 'utf8');
+    } catch (error) {
+        console.error(error.message);
+        return EXIT_CODES.unreadable;
+    }
+
+    const entries = parseRushHourDataset(text).slice(0, options.limit);
+    const reports = [];
+    for (const entry of entries) {
+        // eslint-disable-next-line no-await-in-loop
+        const report = await verifyEntry(entry, options);
+        reports.push(report);
+
+        if (!options.json && report.status !== 'ok') {
+            console.log(formatReport(report));
+        }
+    }
+
+    const summary = summarize(reports);
+    if (options.json) {
+        console.log(JSON.stringify({ algorithm: options.algorithm, summary, reports }, null, 2));
+    } else {
+        console.log(
+            `Verificados ${summary.total} puzzles con ${options.algorithm}: ` +
+                `${summary.ok} correctos, ${summary.mismatch} con otro numero de movimientos, ` +
+                `${summary.unsolved} sin solucion, ${summary.aborted} cancelados, ` +
+                `${summary.error} con errores.`,
+        );
+    }
+
+    return summary.ok === summary.total ? EXIT_CODES.verified : EXIT_CODES.failed;
+};
+
+main().then(
+    (exitCode) => {
+        process.exitCode = exitCode;
+    },
+    (error) => {
+        console.error(error);
+        process.exitCode = 1;
+    },
+);